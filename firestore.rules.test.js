@@ -0,0 +1,602 @@
+import { readFileSync } from "node:fs";
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from "vitest";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  arrayRemove,
+  writeBatch,
+  arrayUnion,
+  increment,
+  Timestamp,
+} from "firebase/firestore";
+
+// Runs against the Firestore emulator: `npm run test:rules` (see the README)
+
+const ORG = "organizations/org1";
+const WEEK = `${ORG}/weeklySchedules/2024-06-03`;
+
+const organization = {
+  name: "Napsugár Bölcsőde",
+  ownerId: "owner",
+  memberIds: ["owner", "editor", "leader", "viewer"],
+  members: {
+    owner: { email: "owner@example.com" },
+    editor: { email: "editor@example.com", role: "editor" },
+    leader: { email: "leader@example.com", role: "unitLeader", unit: "I." },
+    viewer: { email: "viewer@example.com", role: "viewer" },
+  },
+  invitedEmails: ["invited@example.com"],
+};
+
+const weekRows = [
+  { staffId: "s1", unit: "I.", shifts: { "2024-06-03": "DE" } },
+  { staffId: "s2", unit: "II.", shifts: { "2024-06-04": "DU" } },
+];
+
+/** The stored form of the week of 2024-06-03, with its rows keyed by staff ID. */
+const storedWeek = (rows, revision) => ({
+  weekStartDate: "2024-06-03",
+  schemaVersion: 1,
+  rows: Object.fromEntries(rows.map((row) => [row.staffId, row])),
+  revision,
+});
+
+const week = storedWeek(weekRows, 1);
+
+/** The seeded week with other rows, as the next revision. */
+const editedWeek = (rows) => storedWeek(rows, 2);
+
+const inOneDay = () => Timestamp.fromMillis(Date.now() + 86400000);
+
+const invitationCode = (overrides = {}) => ({
+  organizationId: "org1",
+  organizationName: organization.name,
+  role: "editor",
+  email: null,
+  maxUses: 1,
+  useCount: 0,
+  usedBy: [],
+  expiresAt: inOneDay(),
+  ...overrides,
+});
+
+let testEnv;
+
+/**
+ * Returns the Firestore instance of a signed-in user.
+ *
+ * @param {string} uid - The user ID.
+ * @param {string} [email] - The email address in the token.
+ * @param {boolean} [verified=true] - Whether the email address is verified.
+ * @returns {import("firebase/firestore").Firestore} The Firestore instance.
+ */
+const dbOf = (uid, email = `${uid}@example.com`, verified = true) =>
+  testEnv
+    .authenticatedContext(uid, { email, email_verified: verified })
+    .firestore();
+
+/**
+ * Redeems an invitation code the way `AuthContext` does for a new account, before its email address is verified.
+ *
+ * @param {string} uid - The new user ID.
+ * @param {string} code - The code.
+ * @param {string} role - The role written into the membership.
+ * @param {string} [email] - The email address of the new account.
+ * @param {object} [member={}] - Other fields of the membership (e.g. the unit).
+ * @param {object} [organizationUpdate={}] - Other fields written into the organisation in the same update.
+ * @returns {Promise<void>} The commit of the batch.
+ */
+const redeem = (
+  uid,
+  code,
+  role,
+  email = `${uid}@example.com`,
+  member = {},
+  organizationUpdate = {},
+) => {
+  const db = dbOf(uid, email, false);
+  const batch = writeBatch(db);
+  batch.update(doc(db, `invitationCodes/${code}`), {
+    useCount: increment(1),
+    usedBy: arrayUnion(uid),
+  });
+  batch.update(doc(db, ORG), {
+    memberIds: arrayUnion(uid),
+    [`members.${uid}`]: { email, role, invitationCode: code, ...member },
+    ...organizationUpdate,
+  });
+  batch.set(doc(db, `userProfiles/${uid}`), {
+    email,
+    activeOrganizationId: "org1",
+    invitationCode: code,
+  });
+  return batch.commit();
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-bolcsi-plan",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, ORG), organization);
+    await setDoc(doc(db, `${ORG}/settings/global`), {
+      staffList: [{ id: "s1" }, { id: "s2" }],
+      staffIds: ["s1", "s2"],
+      shiftTypes: [{ code: "DE" }, { code: "DU" }],
+      shiftTypeCodes: ["DE", "DU"],
+      staffUnits: { s1: "I.", s2: "II." },
+    });
+    await setDoc(doc(db, WEEK), week);
+    await setDoc(doc(db, "userProfiles/owner"), {
+      email: "owner@example.com",
+      activeOrganizationId: "org1",
+    });
+    await setDoc(doc(db, "userSchedules/owner/settings/global"), {
+      units: ["I."],
+    });
+    await setDoc(doc(db, "invitationCodes/GOODCODE"), invitationCode());
+    await setDoc(
+      doc(db, "invitationCodes/EXPIRED"),
+      invitationCode({ expiresAt: Timestamp.fromMillis(Date.now() - 1000) }),
+    );
+    await setDoc(
+      doc(db, "invitationCodes/BOUND"),
+      invitationCode({ email: "bound@example.com", maxUses: 5 }),
+    );
+    await setDoc(
+      doc(db, "invitationCodes/LEADER"),
+      invitationCode({ role: "unitLeader", unit: "II.", maxUses: 5 }),
+    );
+  });
+});
+
+describe("firestore.rules", () => {
+  describe("cross-user access", () => {
+    it("should deny the data of an organisation to other users", async () => {
+      const stranger = dbOf("stranger");
+      await assertFails(getDoc(doc(stranger, ORG)));
+      await assertFails(getDoc(doc(stranger, `${ORG}/settings/global`)));
+      await assertFails(getDoc(doc(stranger, WEEK)));
+      await assertFails(setDoc(doc(stranger, WEEK), week));
+      await assertFails(
+        setDoc(doc(stranger, `${ORG}/auditLog/entry1`), {
+          userId: "stranger",
+        }),
+      );
+    });
+
+    it("should deny the profiles and the legacy data of other users", async () => {
+      const stranger = dbOf("stranger");
+      await assertFails(getDoc(doc(stranger, "userProfiles/owner")));
+      await assertFails(
+        getDoc(doc(stranger, "userSchedules/owner/settings/global")),
+      );
+      await assertSucceeds(
+        getDoc(doc(dbOf("owner"), "userSchedules/owner/settings/global")),
+      );
+    });
+
+    it("should deny everything to unauthenticated users", async () => {
+      const anonymous = testEnv.unauthenticatedContext().firestore();
+      await assertFails(getDoc(doc(anonymous, `${ORG}/settings/global`)));
+      await assertFails(getDoc(doc(anonymous, "invitationCodes/GOODCODE")));
+    });
+
+    it("should let every member read the data of the organisation", async () => {
+      const viewer = dbOf("viewer");
+      await assertSucceeds(getDoc(doc(viewer, `${ORG}/settings/global`)));
+      await assertSucceeds(getDoc(doc(viewer, WEEK)));
+    });
+
+    it("should deny the data of the organisation to members with an unverified email address", async () => {
+      const unverified = dbOf("editor", "editor@example.com", false);
+      await assertFails(getDoc(doc(unverified, ORG)));
+      await assertFails(getDoc(doc(unverified, `${ORG}/settings/global`)));
+      await assertFails(getDoc(doc(unverified, WEEK)));
+      await assertFails(
+        updateDoc(doc(unverified, `${ORG}/settings/global`), { units: [] }),
+      );
+    });
+  });
+
+  describe("roles", () => {
+    it("should let editors but not viewers write a week", async () => {
+      const edited = editedWeek([
+        { ...weekRows[0], shifts: { "2024-06-05": "DU" } },
+      ]);
+      await assertFails(setDoc(doc(dbOf("viewer"), WEEK), edited));
+      await assertSucceeds(setDoc(doc(dbOf("editor"), WEEK), edited));
+    });
+
+    it("should let unit leaders change only one row of their unit", async () => {
+      const leader = dbOf("leader");
+      const changeRow = (index, shifts) =>
+        editedWeek(
+          weekRows.map((row, i) => (i === index ? { ...row, shifts } : row)),
+        );
+      await assertSucceeds(
+        setDoc(doc(leader, WEEK), changeRow(0, { "2024-06-04": "DU" })),
+      );
+      await assertFails(
+        setDoc(doc(leader, WEEK), changeRow(1, { "2024-06-04": "DE" })),
+      );
+    });
+
+    it("should check the default unit of unit leader rows without a unit", async () => {
+      const leader = dbOf("leader");
+      const clearUnit = (index) =>
+        editedWeek(
+          weekRows.map((row, i) =>
+            i === index
+              ? { ...row, unit: "", shifts: { "2024-06-05": "DE" } }
+              : row,
+          ),
+        );
+      await assertFails(setDoc(doc(leader, WEEK), clearUnit(1)));
+      await assertSucceeds(setDoc(doc(leader, WEEK), clearUnit(0)));
+    });
+
+    it("should let only the owner delete staff members", async () => {
+      const shrunk = {
+        staffList: [{ id: "s1" }],
+        staffIds: ["s1"],
+        shiftTypes: [{ code: "DE" }, { code: "DU" }],
+        shiftTypeCodes: ["DE", "DU"],
+      };
+      await assertFails(
+        setDoc(doc(dbOf("editor"), `${ORG}/settings/global`), shrunk),
+      );
+      await assertSucceeds(
+        setDoc(doc(dbOf("owner"), `${ORG}/settings/global`), shrunk),
+      );
+    });
+
+    it("should not let editors swap a staff member or shift type for a new one", async () => {
+      const settingsRef = doc(dbOf("editor"), `${ORG}/settings/global`);
+      await assertFails(
+        updateDoc(settingsRef, {
+          staffList: [{ id: "s1" }, { id: "s3" }],
+          staffIds: ["s1", "s3"],
+        }),
+      );
+      await assertFails(
+        updateDoc(settingsRef, {
+          shiftTypes: [{ code: "DE" }, { code: "EJ" }],
+          shiftTypeCodes: ["DE", "EJ"],
+        }),
+      );
+      await assertSucceeds(
+        updateDoc(settingsRef, {
+          staffList: [{ id: "s1" }, { id: "s2" }, { id: "s3" }],
+          staffIds: ["s1", "s2", "s3"],
+        }),
+      );
+    });
+
+    it("should let only the owner change roles", async () => {
+      await assertFails(
+        updateDoc(doc(dbOf("editor"), ORG), {
+          "members.viewer.role": "editor",
+        }),
+      );
+      await assertSucceeds(
+        updateDoc(doc(dbOf("owner"), ORG), { "members.viewer.role": "editor" }),
+      );
+    });
+
+    it("should let invited users join only as viewers", async () => {
+      const invited = dbOf("invited", "invited@example.com");
+      const join = (role) =>
+        updateDoc(doc(invited, ORG), {
+          memberIds: arrayUnion("invited"),
+          "members.invited": { email: "invited@example.com", role },
+          invitedEmails: arrayRemove("invited@example.com"),
+        });
+      await assertFails(join("editor"));
+      await assertSucceeds(join("viewer"));
+    });
+
+    it("should not let an unverified account join with an invited email address", async () => {
+      const unverified = dbOf("invited", "invited@example.com", false);
+      await assertFails(getDoc(doc(unverified, ORG)));
+      await assertFails(
+        updateDoc(doc(unverified, ORG), {
+          memberIds: arrayUnion("invited"),
+          "members.invited": { email: "invited@example.com", role: "viewer" },
+          invitedEmails: arrayRemove("invited@example.com"),
+        }),
+      );
+    });
+
+    it("should not let invited users change other members when joining", async () => {
+      const invited = dbOf("invited", "invited@example.com");
+      const join = (update) =>
+        updateDoc(doc(invited, ORG), {
+          memberIds: arrayUnion("invited"),
+          "members.invited": { email: "invited@example.com", role: "viewer" },
+          invitedEmails: arrayRemove("invited@example.com"),
+          ...update,
+        });
+      // Dropping a member
+      await assertFails(
+        join({ memberIds: ["owner", "editor", "leader", "invited"] }),
+      );
+      await assertFails(join({ "members.viewer": deleteField() }));
+      // Rewriting the role or the unit of a member
+      await assertFails(join({ "members.viewer.role": "editor" }));
+      await assertFails(join({ "members.leader.unit": "II." }));
+      // Other fields of the organisation
+      await assertFails(join({ name: "Másik" }));
+      await assertFails(join({ invitedEmails: [] }));
+    });
+  });
+
+  describe("weekly schedule validation", () => {
+    it("should require the week start date of the document ID", async () => {
+      const editor = dbOf("editor");
+      await assertFails(
+        setDoc(doc(editor, WEEK), { ...week, weekStartDate: "2024-06-10" }),
+      );
+      await assertFails(
+        setDoc(doc(editor, `${ORG}/weeklySchedules/2024-6-3`), {
+          ...week,
+          weekStartDate: "2024-6-3",
+        }),
+      );
+      await assertFails(
+        setDoc(doc(editor, `${ORG}/weeklySchedules/2024-02-31`), {
+          weekStartDate: "2024-02-31",
+          rows: {},
+          revision: 1,
+        }),
+      );
+    });
+
+    it("should only accept shifts on the dates of the week", async () => {
+      const editor = dbOf("editor");
+      const withShifts = (shifts) =>
+        editedWeek([{ staffId: "s1", unit: "I.", shifts }]);
+      await assertSucceeds(
+        setDoc(doc(editor, WEEK), withShifts({ "2024-06-09": "SZ" })),
+      );
+      await assertFails(
+        setDoc(doc(editor, WEEK), withShifts({ "2024-06-10": "DE" })),
+      );
+      await assertFails(setDoc(doc(editor, WEEK), withShifts("DE")));
+      await assertFails(
+        setDoc(doc(editor, WEEK), { ...withShifts({}), extra: true }),
+      );
+    });
+
+    it("should only accept the next revision of a week", async () => {
+      const editor = dbOf("editor");
+      const edited = editedWeek([weekRows[0]]);
+      const { revision, ...withoutRevision } = edited;
+      await assertFails(setDoc(doc(editor, WEEK), { ...edited, revision: 1 }));
+      await assertFails(
+        setDoc(doc(editor, WEEK), { ...edited, revision: revision + 1 }),
+      );
+      await assertFails(setDoc(doc(editor, WEEK), withoutRevision));
+      await assertSucceeds(setDoc(doc(editor, WEEK), edited));
+      // Writing the same rows again keeps the revision (a repeated migration)
+      await assertSucceeds(setDoc(doc(editor, WEEK), edited));
+      await assertFails(
+        setDoc(doc(editor, `${ORG}/weeklySchedules/2024-06-10`), {
+          weekStartDate: "2024-06-10",
+          rows: {},
+          revision: 2,
+        }),
+      );
+    });
+
+    it("should accept field-level row updates with the next revision", async () => {
+      const changeRow = (db, staffId, row) =>
+        updateDoc(doc(db, WEEK), {
+          [`rows.${staffId}`]: row,
+          revision: 2,
+        });
+      await assertFails(
+        changeRow(dbOf("leader"), "s2", { ...weekRows[1], shifts: {} }),
+      );
+      await assertFails(
+        updateDoc(doc(dbOf("editor"), WEEK), { "rows.s2": deleteField() }),
+      );
+      await assertSucceeds(
+        changeRow(dbOf("leader"), "s1", { ...weekRows[0], shifts: {} }),
+      );
+      await assertSucceeds(
+        updateDoc(doc(dbOf("editor"), WEEK), {
+          "rows.s2": deleteField(),
+          revision: 3,
+        }),
+      );
+    });
+
+    it("should rewrite weeks of the old array layout with keyed rows", async () => {
+      const legacyWeek = `${ORG}/weeklySchedules/2024-06-10`;
+      const legacyRows = [
+        { staffId: "s1", unit: "I.", shifts: { "2024-06-10": "DE" } },
+      ];
+      await testEnv.withSecurityRulesDisabled((context) =>
+        setDoc(doc(context.firestore(), legacyWeek), {
+          weekStartDate: "2024-06-10",
+          staff: legacyRows,
+        }),
+      );
+      const editor = dbOf("editor");
+      await assertFails(
+        setDoc(doc(editor, legacyWeek), {
+          weekStartDate: "2024-06-10",
+          staff: legacyRows,
+          revision: 1,
+        }),
+      );
+      await assertFails(
+        setDoc(doc(editor, legacyWeek), {
+          weekStartDate: "2024-06-10",
+          schemaVersion: "1",
+          rows: { s1: legacyRows[0] },
+          revision: 1,
+        }),
+      );
+      await assertSucceeds(
+        setDoc(doc(editor, legacyWeek), {
+          weekStartDate: "2024-06-10",
+          schemaVersion: 1,
+          rows: { s1: legacyRows[0] },
+          revision: 1,
+        }),
+      );
+    });
+  });
+
+  describe("invitation codes", () => {
+    it("should let a new account redeem a valid code once", async () => {
+      await assertSucceeds(redeem("newbie", "GOODCODE", "editor"));
+      await assertFails(redeem("second", "GOODCODE", "editor"));
+
+      const saved = await testEnv.withSecurityRulesDisabled(async (context) =>
+        (await getDoc(doc(context.firestore(), ORG))).data(),
+      );
+      expect(saved.members.newbie.role).toBe("editor");
+    });
+
+    it("should reject expired codes, foreign emails and other roles", async () => {
+      await assertFails(redeem("newbie", "EXPIRED", "editor"));
+      await assertFails(
+        redeem("newbie", "BOUND", "editor", "other@example.com"),
+      );
+      await assertSucceeds(
+        redeem("newbie", "BOUND", "editor", "bound@example.com"),
+      );
+      await assertFails(redeem("another", "GOODCODE", "owner"));
+    });
+
+    it("should not let code holders change other members when joining", async () => {
+      await assertFails(
+        redeem("newbie", "GOODCODE", "editor", undefined, undefined, {
+          memberIds: ["owner", "editor", "leader", "newbie"],
+        }),
+      );
+      await assertFails(
+        redeem("newbie", "GOODCODE", "editor", undefined, undefined, {
+          "members.viewer.role": "editor",
+        }),
+      );
+      await assertFails(
+        redeem("newbie", "GOODCODE", "editor", undefined, undefined, {
+          "members.leader.unit": "II.",
+        }),
+      );
+      await assertFails(
+        redeem("newbie", "GOODCODE", "editor", undefined, undefined, {
+          invitedEmails: [],
+        }),
+      );
+    });
+
+    it("should give the unit of the code to new unit leaders", async () => {
+      await assertFails(
+        redeem("newbie", "LEADER", "unitLeader", undefined, { unit: "I." }),
+      );
+      await assertFails(redeem("newbie", "LEADER", "unitLeader"));
+      await assertFails(
+        redeem("newbie", "GOODCODE", "editor", undefined, { unit: "I." }),
+      );
+      await assertSucceeds(
+        redeem("newbie", "LEADER", "unitLeader", undefined, { unit: "II." }),
+      );
+    });
+
+    it("should let only the owner create and list codes", async () => {
+      const code = invitationCode();
+      await assertFails(
+        setDoc(doc(dbOf("editor"), "invitationCodes/NEWCODE"), code),
+      );
+      await assertSucceeds(
+        setDoc(doc(dbOf("owner"), "invitationCodes/NEWCODE"), code),
+      );
+
+      const listCodes = (db) =>
+        getDocs(
+          query(
+            collection(db, "invitationCodes"),
+            where("organizationId", "==", "org1"),
+          ),
+        );
+      await assertFails(listCodes(dbOf("editor")));
+      await assertSucceeds(listCodes(dbOf("owner")));
+    });
+
+    it("should not create a profile without a membership", async () => {
+      await assertFails(
+        setDoc(doc(dbOf("stranger"), "userProfiles/stranger"), {
+          email: "stranger@example.com",
+          activeOrganizationId: "org1",
+        }),
+      );
+    });
+  });
+
+  describe("account deletion", () => {
+    it("should let a member leave but not remove others", async () => {
+      const leave = (uid) =>
+        updateDoc(doc(dbOf("viewer"), ORG), {
+          memberIds: arrayRemove(uid),
+          [`members.${uid}`]: deleteField(),
+        });
+      await assertFails(leave("editor"));
+      await assertSucceeds(leave("viewer"));
+    });
+
+    it("should let only the owner delete the organisation and users their own profile", async () => {
+      await assertFails(deleteDoc(doc(dbOf("editor"), ORG)));
+      await assertSucceeds(deleteDoc(doc(dbOf("owner"), ORG)));
+      await assertFails(deleteDoc(doc(dbOf("editor"), "userProfiles/owner")));
+      await assertSucceeds(deleteDoc(doc(dbOf("owner"), "userProfiles/owner")));
+    });
+
+    it("should let the owner delete the data of an organisation only without other members", async () => {
+      const entry = `${ORG}/auditLog/entry1`;
+      await testEnv.withSecurityRulesDisabled((context) =>
+        setDoc(doc(context.firestore(), entry), { userId: "editor" }),
+      );
+      await assertFails(deleteDoc(doc(dbOf("owner"), entry)));
+      await testEnv.withSecurityRulesDisabled((context) =>
+        updateDoc(doc(context.firestore(), ORG), { memberIds: ["owner"] }),
+      );
+      await assertFails(deleteDoc(doc(dbOf("editor"), entry)));
+      await assertSucceeds(deleteDoc(doc(dbOf("owner"), entry)));
+      await assertSucceeds(deleteDoc(doc(dbOf("owner"), WEEK)));
+      await assertSucceeds(
+        deleteDoc(doc(dbOf("owner"), `${ORG}/settings/global`)),
+      );
+      await assertSucceeds(
+        deleteDoc(doc(dbOf("owner"), "invitationCodes/GOODCODE")),
+      );
+    });
+  });
+});
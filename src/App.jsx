@@ -1,27 +1,60 @@
-import React, { useState, useRef, useMemo, useCallback } from "react";
-import { Calendar, Loader, Home, AlertTriangle } from "lucide-react";
+import React, {
+  useState,
+  useRef,
+  useMemo,
+  useCallback,
+  useEffect,
+} from "react";
+import {
+  Calendar,
+  Camera,
+  Loader,
+  Home,
+  AlertTriangle,
+  Wand2,
+} from "lucide-react";
 
 // Component Imports
 import Header from "./components/Header";
 import Footer from "./components/Footer";
 import ScheduleTable from "./components/ScheduleTable";
+import MonthScheduleTable from "./components/MonthScheduleTable";
 import StaffModal from "./components/StaffModal";
 import SettingsModal from "./components/SettingsModal";
+import AutoFillModal from "./components/AutoFillModal";
+import StaffTimelineModal from "./components/StaffTimelineModal";
+import ExportModal from "./components/ExportModal";
+import BackupModal from "./components/BackupModal";
+import AuditLogModal from "./components/AuditLogModal";
+import WeekSnapshotsModal from "./components/WeekSnapshotsModal";
+import OrganizationModal from "./components/OrganizationModal";
+import AccountModal from "./components/AccountModal";
+import SyncConflictsModal from "./components/SyncConflictsModal";
+import HistoryControls from "./components/HistoryControls";
 import Legend from "./components/Legend";
 import LoginPage from "./components/LoginPage";
+import EmailVerificationPage from "./components/EmailVerificationPage";
 
 // Hook Imports
 import useStaffData from "./hooks/useStaffData";
+import useInstallPrompt from "./hooks/useInstallPrompt";
 import { useAuth } from "./contexts/AuthContext";
+import { useOrganization } from "./contexts/OrganizationContext";
 
 // Utility Imports
 import {
   getCurrentMonday,
   getWeekDates,
+  getMonthDates,
+  formatMonth,
   getWeekRangeString,
   isEvenWeek,
   formatDate,
+  toDateKey,
 } from "./utils/helpers";
+import { buildStaffByUnit, mergeWeeklyStaff } from "./utils/staffRows";
+import { canEditStaffRow } from "./utils/permissions";
+import { findStaffRow } from "./utils/weekRevision";
 
 /**
  * The main application component that orchestrates the display and management
@@ -36,9 +69,16 @@ const NurseSchedulerApp = () => {
   // ==========================================================================
 
   /**
-   * Authentication context hook to get the current user.
+   * Authentication context hook to get the current user and whether their email address is verified.
+   */
+  const { currentUser, emailVerified } = useAuth();
+
+  /**
+   * Organisation context hook to get the shared workspace whose data is displayed
+   * and the permissions of the user in it.
    */
-  const { currentUser } = useAuth();
+  const { organization, organizationLoading, organizationError, permissions } =
+    useOrganization();
 
   /**
    * State hook for tracking the Monday of the currently displayed week.
@@ -46,24 +86,119 @@ const NurseSchedulerApp = () => {
    */
   const [currentWeek, setCurrentWeek] = useState(getCurrentMonday());
 
+  /**
+   * State hook for the active view: the editable weekly grid or the read-only monthly overview.
+   * @type {['week' | 'month', React.Dispatch<React.SetStateAction<'week' | 'month'>>]}
+   */
+  const [viewMode, setViewMode] = useState("week");
+
+  /**
+   * State hook for the first day of the month displayed in the monthly view.
+   * @type {[Date, React.Dispatch<React.SetStateAction<Date>>]}
+   */
+  const [currentMonth, setCurrentMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1, 12);
+  });
+
+  /**
+   * State hook for the weekly schedule documents overlapping the displayed month (null while loading).
+   * @type {[Array<object> | null, React.Dispatch<React.SetStateAction<Array<object> | null>>]}
+   */
+  const [monthSchedules, setMonthSchedules] = useState(null);
+
+  /**
+   * State hook for whether the weekly schedules of the displayed month failed to load.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [monthLoadFailed, setMonthLoadFailed] = useState(false);
+
   /**
    * State hook for storing the data of the staff member currently being edited in the StaffModal.
    * @type {[object | null, React.Dispatch<React.SetStateAction<object | null>>]}
    */
   const [editingStaff, setEditingStaff] = useState(null);
 
+  /**
+   * State hook for the saved weekly row of the staff member when the StaffModal was opened
+   * (null if they were not in the saved week). A save is rejected if someone else changed it since.
+   * @type {[object | null, React.Dispatch<React.SetStateAction<object | null>>]}
+   */
+  const [editingBaseRow, setEditingBaseRow] = useState(null);
+
   /**
    * State hook to control the visibility of the StaffModal.
    * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
    */
   const [showModal, setShowModal] = useState(false);
 
+  /**
+   * State hook for the paid leave days used up to today per staff member in the StaffModal's year,
+   * counted from the saved weeks of the year except the current one (null while loading).
+   * @type {[object | null, React.Dispatch<React.SetStateAction<object | null>>]}
+   */
+  const [leaveUsage, setLeaveUsage] = useState(null);
+
   /**
    * State hook to control the visibility of the SettingsModal.
    * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
    */
   const [showSettingsModal, setShowSettingsModal] = useState(false);
 
+  /**
+   * State hook to control the visibility of the AutoFillModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showAutoFillModal, setShowAutoFillModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the ExportModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showExportModal, setShowExportModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the BackupModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showBackupModal, setShowBackupModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the AuditLogModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showAuditLogModal, setShowAuditLogModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the WeekSnapshotsModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showSnapshotsModal, setShowSnapshotsModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the OrganizationModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showOrganizationModal, setShowOrganizationModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the AccountModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showAccountModal, setShowAccountModal] = useState(false);
+
+  /**
+   * State hook to control the visibility of the SyncConflictsModal.
+   * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
+   */
+  const [showSyncModal, setShowSyncModal] = useState(false);
+
+  /**
+   * State hook for the staff member whose timeline is shown in the StaffTimelineModal (null if closed).
+   * @type {[object | null, React.Dispatch<React.SetStateAction<object | null>>]}
+   */
+  const [timelineStaff, setTimelineStaff] = useState(null);
+
   /**
    * State hook to track if a "copy week" operation is in progress.
    * @type {[boolean, React.Dispatch<React.SetStateAction<boolean>>]}
@@ -89,6 +224,7 @@ const NurseSchedulerApp = () => {
    */
   const {
     globalSettings,
+    currentWeeklySchedule,
     demoGlobalSettings,
     settingsLoading,
     scheduleLoading: dataHookLoading,
@@ -101,13 +237,37 @@ const NurseSchedulerApp = () => {
     handleAddJobTitle,
     handleRemoveJobTitle,
     handleUpdateShiftTypes,
+    handleUpdateCoverageRules,
     updateStaffInWeeklySchedule,
     removeStaffFromWeeklySchedule,
+    applyWeeklyStaffChanges,
     getShiftColor,
     getStaffByUnit,
     copyScheduleFromWeek,
+    fetchSchedulesInRange,
+    fetchMonthSchedules,
+    fetchLeaveUsage,
+    fetchAllData,
+    restoreBackup,
+    migrateStoredData,
+    fetchAuditLog,
+    fetchWeekSnapshots,
+    createWeekSnapshot,
+    deleteWeekSnapshot,
+    rollbackWeekToSnapshot,
+    editHistory,
+    isApplyingHistory,
+    undoEdit,
+    redoEdit,
+    syncStatus,
+    resolveSyncConflict,
   } = useStaffData(currentWeek);
 
+  /**
+   * Install prompt hook offering the installation of the app (PWA) from the header.
+   */
+  const { canInstall, promptInstall } = useInstallPrompt();
+
   // ==========================================================================
   // Memoized Values & Derived State
   // ==========================================================================
@@ -122,10 +282,14 @@ const NurseSchedulerApp = () => {
   );
 
   /**
-   * Array of Date objects for the currently selected week (Mon-Sat).
+   * Array of Date objects for the working days of the currently selected week
+   * (the weekdays selected in the global settings, Mon-Sat by default).
    * @type {Date[]}
    */
-  const weekDates = useMemo(() => getWeekDates(currentWeek), [currentWeek]);
+  const weekDates = useMemo(
+    () => getWeekDates(currentWeek, globalSettings?.workingWeekdays),
+    [currentWeek, globalSettings?.workingWeekdays],
+  );
 
   /**
    * Formatted string representing the date range of the current week.
@@ -152,6 +316,45 @@ const NurseSchedulerApp = () => {
     return getStaffByUnit();
   }, [isLoading, globalSettings, getStaffByUnit]); // getStaffByUnit dependency ensures recalc when its internal logic changes
 
+  /**
+   * Array of Date objects for the working days of the month displayed in the monthly view.
+   * @type {Date[]}
+   */
+  const monthDates = useMemo(
+    () => getMonthDates(currentMonth, globalSettings?.workingWeekdays),
+    [currentMonth, globalSettings?.workingWeekdays],
+  );
+
+  /**
+   * Staff data of the displayed month grouped by unit, prepared for the MonthScheduleTable.
+   * The weekly overrides of the latest week of the month determine the unit of a staff member.
+   * @type {object}
+   */
+  const monthStaffByUnit = useMemo(() => {
+    if (!globalSettings || !monthSchedules) return {};
+    return buildStaffByUnit(globalSettings, mergeWeeklyStaff(monthSchedules));
+  }, [globalSettings, monthSchedules]);
+
+  /**
+   * @effect Loads the weekly schedules of the displayed month while the monthly view is open.
+   * Reloads when the month changes or the view is reopened, so that edits made in the weekly view are shown.
+   */
+  useEffect(() => {
+    if (viewMode !== "month") return;
+    let isCancelled = false;
+    setMonthSchedules(null);
+    setMonthLoadFailed(false);
+    fetchMonthSchedules(currentMonth).then((schedules) => {
+      if (isCancelled) return;
+      // A failed load is shown as an error, not as an empty month
+      if (schedules) setMonthSchedules(schedules);
+      else setMonthLoadFailed(true);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [viewMode, currentMonth, fetchMonthSchedules]);
+
   /**
    * @effect Developer mode keyboard shortcut listener
    * Listens for Ctrl+Shift+D to toggle developer mode
@@ -179,6 +382,35 @@ const NurseSchedulerApp = () => {
     return () => document.removeEventListener("keydown", handleKeyDown);
   }, []);
 
+  /**
+   * @effect Undo/redo keyboard shortcut listener
+   * Listens for Ctrl+Z (undo) and Ctrl+Shift+Z or Ctrl+Y (redo). Text fields keep their own
+   * undo, and the shortcuts are ignored while a modal is open.
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!permissions.canEditWeek) return;
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      if (
+        event.target.closest?.("input, textarea, select, [contenteditable]") ||
+        document.querySelector('[aria-modal="true"]')
+      ) {
+        return;
+      }
+      event.preventDefault();
+      if (key === "y" || event.shiftKey) {
+        redoEdit();
+      } else {
+        undoEdit();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [undoEdit, redoEdit, permissions.canEditWeek]);
+
   /**
    * Options for the "copy schedule" dropdown, representing the previous 4 weeks.
    * @type {Array<{value: string, label: string, displayLabel: string}>}
@@ -206,6 +438,20 @@ const NurseSchedulerApp = () => {
     [staffByUnit],
   );
 
+  /**
+   * The unresolved sync conflicts of the current week as 'staffId|key', outlined in the table.
+   * @type {Set<string>}
+   */
+  const weekConflictCells = useMemo(
+    () =>
+      new Set(
+        syncStatus.conflicts
+          .filter((c) => c.weekStartDate === toDateKey(currentWeek))
+          .map((c) => `${c.staffId}|${c.key}`),
+      ),
+    [syncStatus.conflicts, currentWeek],
+  );
+
   // ==========================================================================
   // Event Handlers & Callbacks
   // ==========================================================================
@@ -216,19 +462,31 @@ const NurseSchedulerApp = () => {
    * Prepares the data structure required by the modal.
    * @param {object} staffWeeklyData - The full weekly data object for the staff member from `staffByUnit`.
    */
-  const handleEditStaff = useCallback((staffWeeklyData) => {
-    const staffDataForModal = {
-      staffId: staffWeeklyData.staffId,
-      name: staffWeeklyData.name,
-      unit: staffWeeklyData.unit,
-      group: staffWeeklyData.group,
-      jobTitle: staffWeeklyData.jobTitle,
-      shifts: staffWeeklyData.shifts || {},
-      employeeNumber: staffWeeklyData.employeeNumber,
-    };
-    setEditingStaff(staffDataForModal);
-    setShowModal(true);
-  }, []);
+  const handleEditStaff = useCallback(
+    (staffWeeklyData) => {
+      const staffDataForModal = {
+        staffId: staffWeeklyData.staffId,
+        name: staffWeeklyData.name,
+        unit: staffWeeklyData.unit,
+        group: staffWeeklyData.group,
+        jobTitle: staffWeeklyData.jobTitle,
+        shifts: staffWeeklyData.shifts || {},
+        employeeNumber: staffWeeklyData.employeeNumber,
+        annualLeaveDays: staffWeeklyData.annualLeaveDays,
+      };
+      setEditingStaff(staffDataForModal);
+      setEditingBaseRow(
+        findStaffRow(currentWeeklySchedule, staffWeeklyData.staffId),
+      );
+      setShowModal(true);
+      // Load the leave usage of the other weeks; the current week is counted by the modal from its local shifts
+      setLeaveUsage(null);
+      fetchLeaveUsage(currentWeek.getFullYear(), toDateKey(currentWeek)).then(
+        setLeaveUsage,
+      );
+    },
+    [fetchLeaveUsage, currentWeek, currentWeeklySchedule],
+  );
 
   /**
    * @function handleDeleteStaffFromWeek
@@ -260,18 +518,26 @@ const NurseSchedulerApp = () => {
    * @function handleSaveStaffWeeklyData
    * Saves the edited weekly data for a staff member via the StaffModal.
    * Validates required fields and calls the `updateStaffInWeeklySchedule` function from the hook.
-   * Closes the StaffModal upon successful initiation of the save.
+   * Closes the StaffModal once the row is saved; a rejected save is returned to the modal to merge.
    * @param {object} updatedStaffWeeklyData - The updated data object from the StaffModal.
+   * @param {object | null} baseRow - The saved row the edit started from (null if the staff member was not in the week).
+   * @returns {Promise<import('./hooks/useStaffData').StaffRowSaveResult | null>} The result of the save (null if the data is invalid).
    */
   const handleSaveStaffWeeklyData = useCallback(
-    (updatedStaffWeeklyData) => {
+    async (updatedStaffWeeklyData, baseRow) => {
       if (!updatedStaffWeeklyData.name?.trim()) {
         alert("Név megadása kötelező");
-        return;
+        return null;
       }
-      updateStaffInWeeklySchedule(updatedStaffWeeklyData);
-      setShowModal(false);
-      setEditingStaff(null);
+      const result = await updateStaffInWeeklySchedule(
+        updatedStaffWeeklyData,
+        baseRow,
+      );
+      if (result.saved) {
+        setShowModal(false);
+        setEditingStaff(null);
+      }
+      return result;
     },
     [updateStaffInWeeklySchedule],
   );
@@ -298,6 +564,50 @@ const NurseSchedulerApp = () => {
     setCurrentWeek(getCurrentMonday());
   }, []);
 
+  /**
+   * @function changeMonth
+   * Navigates the monthly view forward or backward by a specified number of months.
+   * @param {number} direction - The number of months to move (-1 for previous, 1 for next).
+   */
+  const changeMonth = useCallback((direction) => {
+    setCurrentMonth(
+      (prevMonth) =>
+        new Date(
+          prevMonth.getFullYear(),
+          prevMonth.getMonth() + direction,
+          1,
+          12,
+        ),
+    );
+  }, []);
+
+  /**
+   * @function jumpToCurrentMonth
+   * Sets the `currentMonth` state to the actual current month.
+   */
+  const jumpToCurrentMonth = useCallback(() => {
+    const today = new Date();
+    setCurrentMonth(new Date(today.getFullYear(), today.getMonth(), 1, 12));
+  }, []);
+
+  /**
+   * @function switchViewMode
+   * Switches between the weekly and the monthly view. The monthly view opens
+   * on the month of the currently selected week.
+   * @param {'week' | 'month'} mode - The view to show.
+   */
+  const switchViewMode = useCallback(
+    (mode) => {
+      if (mode === "month") {
+        setCurrentMonth(
+          new Date(currentWeek.getFullYear(), currentWeek.getMonth(), 1, 12),
+        );
+      }
+      setViewMode(mode);
+    },
+    [currentWeek],
+  );
+
   /**
    * @function handleCopyWeekSelect
    * Handles the selection from the "copy schedule" dropdown.
@@ -308,7 +618,7 @@ const NurseSchedulerApp = () => {
   const handleCopyWeekSelect = useCallback(
     async (event) => {
       const selectedValue = event.target.value;
-      if (!selectedValue || isCopying) return;
+      if (!selectedValue || isCopying || !permissions.canEditWholeWeek) return;
 
       const weeksAgo = parseInt(selectedValue, 10);
       const sourceWeekDate = new Date(currentWeek);
@@ -351,7 +661,13 @@ const NurseSchedulerApp = () => {
         event.target.value = ""; // Reset dropdown selection
       }
     },
-    [currentWeek, isCopying, copyScheduleFromWeek, saveError],
+    [
+      currentWeek,
+      isCopying,
+      copyScheduleFromWeek,
+      saveError,
+      permissions.canEditWholeWeek,
+    ],
   );
 
   /**
@@ -370,6 +686,22 @@ const NurseSchedulerApp = () => {
     setShowSettingsModal(false);
   }, []);
 
+  /**
+   * @function openAutoFillModal
+   * Opens the AutoFillModal for the current week.
+   */
+  const openAutoFillModal = useCallback(() => {
+    setShowAutoFillModal(true);
+  }, []);
+
+  /**
+   * @function closeAutoFillModal
+   * Closes the AutoFillModal.
+   */
+  const closeAutoFillModal = useCallback(() => {
+    setShowAutoFillModal(false);
+  }, []);
+
   /**
    * @function closeStaffModal
    * Closes the StaffModal and resets the editing state.
@@ -388,6 +720,38 @@ const NurseSchedulerApp = () => {
     return <LoginPage />;
   }
 
+  // Render the verification page until the email address of the user is verified
+  if (!emailVerified) {
+    return <EmailVerificationPage />;
+  }
+
+  // Render Loading Indicator while resolving (or migrating) the organisation of the user
+  if (organizationLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <Loader className="w-16 h-16 animate-spin text-blue-600" />
+        <p className="ml-4 text-xl">Szervezet betöltése...</p>
+      </div>
+    );
+  }
+
+  // Let the user join or create an organisation if none is active
+  if (!organization) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        {organizationError && (
+          <p
+            className="m-4 bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded text-center"
+            role="alert"
+          >
+            {organizationError}
+          </p>
+        )}
+        <OrganizationModal />
+      </div>
+    );
+  }
+
   // Render Loading Indicator while fetching initial global settings
   if (settingsLoading) {
     return (
@@ -429,7 +793,21 @@ const NurseSchedulerApp = () => {
     <div className="flex flex-col min-h-screen bg-gray-50 print:bg-white">
       {/* Header - Hidden during printing */}
       <div className="print:hidden">
-        <Header user={currentUser} onSettingsClick={openSettingsModal} />
+        <Header
+          user={currentUser}
+          onSettingsClick={
+            permissions.canEditSettings ? openSettingsModal : null
+          }
+          onExportClick={() => setShowExportModal(true)}
+          onAuditLogClick={() => setShowAuditLogModal(true)}
+          onBackupClick={() => setShowBackupModal(true)}
+          organizationName={organization.name}
+          onOrganizationClick={() => setShowOrganizationModal(true)}
+          onAccountClick={() => setShowAccountModal(true)}
+          syncStatus={syncStatus}
+          onSyncClick={() => setShowSyncModal(true)}
+          onInstallClick={canInstall ? promptInstall : null}
+        />
       </div>
 
       {/* Save Error Display - Hidden during printing */}
@@ -445,70 +823,161 @@ const NurseSchedulerApp = () => {
       )}
 
       {/* Main Content Area */}
-      <main className="container mx-auto p-4 flex-grow">
+      {/* Hidden during printing while the timeline modal is open, so that only the timeline is printed */}
+      <main
+        className={`container mx-auto p-4 flex-grow ${timelineStaff ? "print:hidden" : ""}`}
+      >
         {/* Top Control Bar (Navigation, Week Info, Copy Action) */}
         <div className="flex flex-wrap justify-between items-center mb-6 bg-white p-4 rounded-lg shadow print:shadow-none print:mb-2 print:p-2">
-          {/* Week Navigation Controls */}
+          {/* Week / Month Navigation Controls */}
           <div className="flex items-center space-x-2 mb-2 md:mb-0 print:hidden">
-            <button
-              onClick={() => changeWeek(-1)}
-              className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
-              title="Előző hét"
-              disabled={isLoading}
-              aria-label="Előző hét"
+            <div
+              className="flex rounded border border-gray-300 overflow-hidden mr-2"
+              role="group"
+              aria-label="Nézet választása"
             >
-              ←
-            </button>
-            <button
-              onClick={jumpToCurrentWeek}
-              className="p-2 bg-blue-100 rounded hover:bg-blue-200"
-              title="Ugrás a mai hétre"
-              disabled={isLoading}
-              aria-label="Ugrás a mai hétre"
-            >
-              <Home className="w-5 h-5 text-blue-700" />
-            </button>
-            <button
-              onClick={() => changeWeek(1)}
-              className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
-              title="Következő hét"
-              disabled={isLoading}
-              aria-label="Következő hét"
-            >
-              →
-            </button>
+              <button
+                onClick={() => switchViewMode("week")}
+                className={`px-3 py-2 text-sm ${viewMode === "week" ? "bg-blue-600 text-white" : "bg-white hover:bg-gray-100"}`}
+                aria-pressed={viewMode === "week"}
+              >
+                Heti
+              </button>
+              <button
+                onClick={() => switchViewMode("month")}
+                className={`px-3 py-2 text-sm border-l border-gray-300 ${viewMode === "month" ? "bg-blue-600 text-white" : "bg-white hover:bg-gray-100"}`}
+                aria-pressed={viewMode === "month"}
+              >
+                Havi
+              </button>
+            </div>
+            {viewMode === "week" ? (
+              <>
+                <button
+                  onClick={() => changeWeek(-1)}
+                  className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                  title="Előző hét"
+                  disabled={isLoading}
+                  aria-label="Előző hét"
+                >
+                  ←
+                </button>
+                <button
+                  onClick={jumpToCurrentWeek}
+                  className="p-2 bg-blue-100 rounded hover:bg-blue-200"
+                  title="Ugrás a mai hétre"
+                  disabled={isLoading}
+                  aria-label="Ugrás a mai hétre"
+                >
+                  <Home className="w-5 h-5 text-blue-700" />
+                </button>
+                <button
+                  onClick={() => changeWeek(1)}
+                  className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                  title="Következő hét"
+                  disabled={isLoading}
+                  aria-label="Következő hét"
+                >
+                  →
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  onClick={() => changeMonth(-1)}
+                  className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                  title="Előző hónap"
+                  aria-label="Előző hónap"
+                >
+                  ←
+                </button>
+                <button
+                  onClick={jumpToCurrentMonth}
+                  className="p-2 bg-blue-100 rounded hover:bg-blue-200"
+                  title="Ugrás az aktuális hónapra"
+                  aria-label="Ugrás az aktuális hónapra"
+                >
+                  <Home className="w-5 h-5 text-blue-700" />
+                </button>
+                <button
+                  onClick={() => changeMonth(1)}
+                  className="px-3 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                  title="Következő hónap"
+                  aria-label="Következő hónap"
+                >
+                  →
+                </button>
+              </>
+            )}
+            {permissions.canEditWeek && (
+              <div className="pl-2">
+                <HistoryControls
+                  history={editHistory}
+                  isBusy={isApplyingHistory}
+                  onUndo={undoEdit}
+                  onRedo={redoEdit}
+                />
+              </div>
+            )}
           </div>
 
-          {/* Current Week Display */}
+          {/* Current Week / Month Display */}
           <div className="flex items-center text-center mx-auto mb-2 md:mb-0">
             <Calendar
               className="w-5 h-5 mr-2 text-blue-600 print:text-black"
               aria-hidden="true"
             />
             <h2 className="text-lg sm:text-xl font-semibold">
-              {weekRange} ({weekParity})
+              {viewMode === "week"
+                ? `${weekRange} (${weekParity})`
+                : formatMonth(currentMonth)}
             </h2>
           </div>
 
-          {/* Copy Schedule Dropdown */}
-          <div className="flex items-center space-x-2 mb-2 md:mb-0 print:hidden">
-            <select
-              onChange={handleCopyWeekSelect}
+          {/* Copy Schedule Dropdown & Auto-Fill Button (weekly view only) */}
+          <div
+            className={`flex items-center space-x-2 mb-2 md:mb-0 print:hidden ${viewMode === "month" ? "invisible" : ""}`}
+          >
+            {permissions.canEditWholeWeek && (
+              <button
+                onClick={openAutoFillModal}
+                disabled={isCopying || isLoading}
+                className="px-3 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50 flex items-center"
+                title="Üres cellák kitöltése a lefedettségi szabályok alapján"
+                aria-label="Hét automatikus kitöltése"
+              >
+                <Wand2 className="w-5 h-5 mr-1" aria-hidden="true" />
+                Automatikus kitöltés
+              </button>
+            )}
+            <button
+              onClick={() => setShowSnapshotsModal(true)}
               disabled={isCopying || isLoading}
-              className="flex-grow px-3 py-2 border rounded bg-yellow-500 text-white hover:bg-yellow-600 disabled:opacity-50 cursor-pointer"
-              value="" // Controlled by resetting on change/confirm
-              title="Korábbi hét beosztásának másolása erre a hétre"
-              aria-label="Beosztás másolása korábbi hétről"
+              className="p-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+              title="A hét pillanatképei (mentés, összehasonlítás, visszaállítás)"
+              aria-label="A hét pillanatképei"
             >
-              <option value="" disabled>
-                {isCopying ? "Másolás..." : "Beosztás másolása innen..."}
-              </option>
-              {copyOptions.map((opt) => (
-                <option key={opt.value} value={opt.value}>
-                  {opt.displayLabel}
+              <Camera className="w-5 h-5" aria-hidden="true" />
+            </button>
+            {permissions.canEditWholeWeek && (
+              <select
+                onChange={handleCopyWeekSelect}
+                disabled={isCopying || isLoading}
+                className="flex-grow px-3 py-2 border rounded bg-yellow-500 text-white hover:bg-yellow-600 disabled:opacity-50 cursor-pointer"
+                value="" // Controlled by resetting on change/confirm
+                title="Korábbi hét beosztásának másolása erre a hétre"
+                aria-label="Beosztás másolása korábbi hétről"
+              >
+                <option value="" disabled>
+                  {isCopying ? "Másolás..." : "Beosztás másolása innen..."}
                 </option>
-              ))}
-            </select>
+                {copyOptions.map((opt) => (
+                  <option key={opt.value} value={opt.value}>
+                    {opt.displayLabel}
+                  </option>
+                ))}
+              </select>
+            )}
             {/* Copying Loader */}
             {isCopying && (
               <Loader
@@ -521,23 +990,41 @@ const NurseSchedulerApp = () => {
 
         {/* Printable Area Container */}
         <div ref={printableAreaRef} className="print-container">
-          {/* Main Schedule Table */}
-          <ScheduleTable
-            weekDates={weekDates}
-            staffByUnit={staffByUnit}
-            handleEditStaff={handleEditStaff}
-            handleDeleteStaff={handleDeleteStaffFromWeek}
-            getShiftColor={getShiftColor}
-            timeSlots={globalSettings.timeSlots || {}}
-            isLoading={isLoading} // Pass combined loading state
-            scheduleExists={currentScheduleExists}
-            globalSettings={globalSettings} // Pass full settings for lookups, orphaned checks etc.
-          />
+          {/* Main Schedule Table (weekly grid or monthly overview) */}
+          {viewMode === "month" ? (
+            <MonthScheduleTable
+              monthDates={monthDates}
+              staffByUnit={monthStaffByUnit}
+              getShiftColor={getShiftColor}
+              isLoading={
+                settingsLoading || (monthSchedules === null && !monthLoadFailed)
+              }
+              loadFailed={monthLoadFailed}
+              globalSettings={globalSettings}
+            />
+          ) : (
+            <ScheduleTable
+              weekDates={weekDates}
+              staffByUnit={staffByUnit}
+              handleEditStaff={handleEditStaff}
+              handleShowTimeline={setTimelineStaff}
+              handleDeleteStaff={handleDeleteStaffFromWeek}
+              canEditStaff={(staff) => canEditStaffRow(permissions, staff)}
+              getShiftColor={getShiftColor}
+              timeSlots={globalSettings.timeSlots || {}}
+              isLoading={isLoading} // Pass combined loading state
+              scheduleExists={currentScheduleExists}
+              globalSettings={globalSettings} // Pass full settings for lookups, orphaned checks etc.
+              conflictCells={weekConflictCells}
+            />
+          )}
           {/* Shift Legend */}
           <Legend
             shiftTypes={globalSettings.shiftTypes || []}
             timeSlots={globalSettings.timeSlots || {}}
             onUpdateShiftTypes={handleUpdateShiftTypes}
+            canEdit={permissions.canEditShiftTypes}
+            canDelete={permissions.canDeleteShiftTypes}
           />
         </div>
       </main>
@@ -553,9 +1040,11 @@ const NurseSchedulerApp = () => {
       {showModal && editingStaff && globalSettings && (
         <StaffModal
           editingStaff={editingStaff}
+          baseRow={editingBaseRow}
           globalSettings={globalSettings}
           weekDates={weekDates}
           getShiftColor={getShiftColor}
+          leaveUsage={leaveUsage}
           handleSaveStaff={handleSaveStaffWeeklyData}
           handleAddUnit={handleAddUnit}
           handleAddGroup={handleAddGroup}
@@ -563,10 +1052,115 @@ const NurseSchedulerApp = () => {
           handleRemoveUnit={handleRemoveUnit}
           handleRemoveGroup={handleRemoveGroup}
           handleRemoveJobTitle={handleRemoveJobTitle}
+          canEditCategories={permissions.canEditSettings}
+          isUnitLocked={!permissions.canEditAllRows}
           onClose={closeStaffModal}
         />
       )}
 
+      {/* Weekly Auto-Fill Modal */}
+      {showAutoFillModal && globalSettings && (
+        <AutoFillModal
+          globalSettings={globalSettings}
+          staffByUnit={staffByUnit}
+          weekDates={weekDates}
+          getShiftColor={getShiftColor}
+          onSaveRules={handleUpdateCoverageRules}
+          onApply={(entries) =>
+            applyWeeklyStaffChanges(entries, "Automatikus kitöltés")
+          }
+          onClose={closeAutoFillModal}
+        />
+      )}
+
+      {/* Staff Timeline Modal */}
+      {timelineStaff && globalSettings && (
+        <StaffTimelineModal
+          staff={timelineStaff}
+          globalSettings={globalSettings}
+          initialDate={currentWeek}
+          fetchSchedulesInRange={fetchSchedulesInRange}
+          getShiftColor={getShiftColor}
+          onClose={() => setTimelineStaff(null)}
+        />
+      )}
+
+      {/* Excel Export Modal */}
+      {showExportModal && globalSettings && (
+        <ExportModal
+          globalSettings={globalSettings}
+          currentWeek={currentWeek}
+          weekDates={weekDates}
+          staffByUnit={staffByUnit}
+          currentMonth={viewMode === "month" ? currentMonth : currentWeek}
+          initialScope={viewMode}
+          fetchSchedulesInRange={fetchSchedulesInRange}
+          getShiftColor={getShiftColor}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
+
+      {/* Week Snapshots Modal */}
+      {showSnapshotsModal && globalSettings && (
+        <WeekSnapshotsModal
+          globalSettings={globalSettings}
+          currentWeek={currentWeek}
+          weekDates={weekDates}
+          weekLabel={weekRange}
+          currentSchedule={currentWeeklySchedule}
+          getShiftColor={getShiftColor}
+          fetchWeekSnapshots={fetchWeekSnapshots}
+          createWeekSnapshot={createWeekSnapshot}
+          deleteWeekSnapshot={deleteWeekSnapshot}
+          rollbackWeekToSnapshot={rollbackWeekToSnapshot}
+          canEdit={permissions.canEditWholeWeek}
+          onClose={() => setShowSnapshotsModal(false)}
+        />
+      )}
+
+      {/* Organisation Modal */}
+      {showOrganizationModal && (
+        <OrganizationModal
+          key={organization.id}
+          units={globalSettings?.units || []}
+          onClose={() => setShowOrganizationModal(false)}
+        />
+      )}
+
+      {/* Account Modal */}
+      {showAccountModal && (
+        <AccountModal onClose={() => setShowAccountModal(false)} />
+      )}
+
+      {/* Sync Conflicts Modal */}
+      {showSyncModal && (
+        <SyncConflictsModal
+          syncStatus={syncStatus}
+          onResolve={resolveSyncConflict}
+          canEdit={permissions.canEditWeek}
+          onClose={() => setShowSyncModal(false)}
+        />
+      )}
+
+      {/* Audit Log Modal */}
+      {showAuditLogModal && globalSettings && (
+        <AuditLogModal
+          globalSettings={globalSettings}
+          initialWeek={currentWeek}
+          fetchAuditLog={fetchAuditLog}
+          onClose={() => setShowAuditLogModal(false)}
+        />
+      )}
+
+      {/* Backup & Restore Modal */}
+      {showBackupModal && (
+        <BackupModal
+          fetchAllData={fetchAllData}
+          restoreBackup={permissions.canRestoreBackup ? restoreBackup : null}
+          onClose={() => setShowBackupModal(false)}
+        />
+      )}
+
       {/* Global Settings Modal */}
       {showSettingsModal && globalSettings && (
         <SettingsModal
@@ -581,6 +1175,12 @@ const NurseSchedulerApp = () => {
           handleRemoveGroup={handleRemoveGroup}
           handleAddJobTitle={handleAddJobTitle}
           handleRemoveJobTitle={handleRemoveJobTitle}
+          fetchLeaveUsage={fetchLeaveUsage}
+          canDeleteStaff={permissions.canDeleteStaff}
+          canManageInvitations={permissions.canManageMembers}
+          migrateStoredData={
+            permissions.canRestoreBackup ? migrateStoredData : null
+          }
           onClose={closeSettingsModal}
         />
       )}
@@ -0,0 +1,323 @@
+import React, { useState } from "react";
+import { X, UserCog, Mail, Lock, Trash2 } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { useOrganization } from "../contexts/OrganizationContext";
+import { getAuthErrorMessage, planAccountDeletion } from "../utils/account";
+
+/**
+ * @typedef {object} AccountModalProps
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal for the account of the logged-in user: changing the email address (confirmed by a link
+ * sent to the new address), changing the password and deleting the account. Every change asks for
+ * the current password, because Firebase requires a recent login for them.
+ *
+ * @param {AccountModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered account modal.
+ */
+const AccountModal = ({ onClose }) => {
+  const { currentUser, changeEmail, changePassword, deleteAccount } = useAuth();
+  const { organizations } = useOrganization();
+
+  /**
+   * @state {boolean} isWorking - True while a change is being saved.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @state {{kind: 'error' | 'info', text: string} | null} message - The result of the last change.
+   */
+  const [message, setMessage] = useState(null);
+
+  /**
+   * @state {{newEmail: string, password: string}} emailForm - The values of the email change form.
+   */
+  const [emailForm, setEmailForm] = useState({ newEmail: "", password: "" });
+
+  /**
+   * @state {{password: string, newPassword: string, confirmPassword: string}} passwordForm - The values of the password change form.
+   */
+  const [passwordForm, setPasswordForm] = useState({
+    password: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+
+  /**
+   * @state {string} deletePassword - The current password typed to delete the account.
+   */
+  const [deletePassword, setDeletePassword] = useState("");
+
+  const deletionPlan = planAccountDeletion(organizations, currentUser.uid);
+  const isDeletionBlocked = deletionPlan.blockingOrganizationNames.length > 0;
+
+  /**
+   * @function runChange
+   * Runs an account change while the forms are disabled and shows its result.
+   * @param {function(): Promise<void>} change - The change.
+   * @param {string} successText - The message shown after a successful change.
+   * @returns {Promise<boolean>} True if the change succeeded.
+   */
+  const runChange = async (change, successText) => {
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      await change();
+      setMessage({ kind: "info", text: successText });
+      return true;
+    } catch (error) {
+      console.error("Account change failed:", error);
+      setMessage({ kind: "error", text: getAuthErrorMessage(error) });
+      return false;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * @function handleEmailChange
+   * Sends the verification link to the new email address.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleEmailChange = async (e) => {
+    e.preventDefault();
+    const success = await runChange(
+      () => changeEmail(emailForm.newEmail, emailForm.password),
+      `Elküldtük a megerősítő linket a(z) ${emailForm.newEmail.trim()} címre. A fiók e-mail címe a link megnyitása után változik meg, utána jelentkezzen be újra.`,
+    );
+    if (success) setEmailForm({ newEmail: "", password: "" });
+  };
+
+  /**
+   * @function handlePasswordChange
+   * Validates and saves the new password.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handlePasswordChange = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setMessage({ kind: "error", text: "A két jelszó nem egyezik!" });
+      return;
+    }
+    if (passwordForm.newPassword.length < 6) {
+      setMessage({
+        kind: "error",
+        text: "A jelszónak legalább 6 karakter hosszúnak kell lennie.",
+      });
+      return;
+    }
+    const success = await runChange(
+      () => changePassword(passwordForm.password, passwordForm.newPassword),
+      "A jelszó megváltozott.",
+    );
+    if (success) {
+      setPasswordForm({ password: "", newPassword: "", confirmPassword: "" });
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * Deletes the account after confirmation. The app returns to the login page, so errors
+   * are also reported with an alert.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (
+      !window.confirm(
+        "Biztosan törli a fiókját? A csak Önhöz tartozó szervezetek adatai is elvesznek, és a művelet nem vonható vissza.",
+      )
+    ) {
+      return;
+    }
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      await deleteAccount(deletePassword);
+    } catch (error) {
+      console.error("Account deletion failed:", error);
+      const text = `Sikertelen törlés: ${getAuthErrorMessage(error)}`;
+      setMessage({ kind: "error", text });
+      alert(text);
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="account-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2
+            id="account-modal-title"
+            className="text-xl font-semibold flex items-center"
+          >
+            <UserCog className="w-5 h-5 mr-2" aria-hidden="true" />
+            Fiók
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-6 overflow-y-auto">
+          <p className="text-sm">
+            Bejelentkezve:{" "}
+            <span className="font-semibold">{currentUser.email}</span>
+          </p>
+
+          {message && (
+            <p
+              className={`text-sm border p-2 rounded ${
+                message.kind === "error"
+                  ? "bg-red-100 border-red-300 text-red-700"
+                  : "bg-green-100 border-green-300 text-green-700"
+              }`}
+              role={message.kind === "error" ? "alert" : "status"}
+            >
+              {message.text}
+            </p>
+          )}
+
+          {/* Email Change */}
+          <form onSubmit={handleEmailChange} className="space-y-2">
+            <h3 className="font-semibold flex items-center">
+              <Mail className="w-4 h-4 mr-2" aria-hidden="true" />
+              E-mail cím módosítása
+            </h3>
+            <input
+              type="email"
+              value={emailForm.newEmail}
+              onChange={(e) =>
+                setEmailForm((prev) => ({ ...prev, newEmail: e.target.value }))
+              }
+              placeholder="Új e-mail cím"
+              aria-label="Új e-mail cím"
+              autoComplete="email"
+              className="w-full p-2 border rounded"
+              disabled={isWorking}
+            />
+            <input
+              type="password"
+              value={emailForm.password}
+              onChange={(e) =>
+                setEmailForm((prev) => ({ ...prev, password: e.target.value }))
+              }
+              placeholder="Jelenlegi jelszó"
+              aria-label="Jelenlegi jelszó az e-mail cím módosításához"
+              autoComplete="current-password"
+              className="w-full p-2 border rounded"
+              disabled={isWorking}
+            />
+            <button
+              type="submit"
+              disabled={
+                isWorking || !emailForm.newEmail.trim() || !emailForm.password
+              }
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Megerősítő link küldése
+            </button>
+          </form>
+
+          {/* Password Change */}
+          <form
+            onSubmit={handlePasswordChange}
+            className="space-y-2 border-t pt-4"
+          >
+            <h3 className="font-semibold flex items-center">
+              <Lock className="w-4 h-4 mr-2" aria-hidden="true" />
+              Jelszó módosítása
+            </h3>
+            {[
+              ["password", "Jelenlegi jelszó", "current-password"],
+              ["newPassword", "Új jelszó (min. 6 karakter)", "new-password"],
+              ["confirmPassword", "Új jelszó megerősítése", "new-password"],
+            ].map(([field, label, autoComplete]) => (
+              <input
+                key={field}
+                type="password"
+                value={passwordForm[field]}
+                onChange={(e) =>
+                  setPasswordForm((prev) => ({
+                    ...prev,
+                    [field]: e.target.value,
+                  }))
+                }
+                placeholder={label}
+                aria-label={label}
+                autoComplete={autoComplete}
+                className="w-full p-2 border rounded"
+                disabled={isWorking}
+              />
+            ))}
+            <button
+              type="submit"
+              disabled={
+                isWorking || !passwordForm.password || !passwordForm.newPassword
+              }
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Jelszó módosítása
+            </button>
+          </form>
+
+          {/* Account Deletion */}
+          <form onSubmit={handleDelete} className="space-y-2 border-t pt-4">
+            <h3 className="font-semibold flex items-center text-red-700">
+              <Trash2 className="w-4 h-4 mr-2" aria-hidden="true" />
+              Fiók törlése
+            </h3>
+            {isDeletionBlocked ? (
+              <p className="text-sm text-gray-600">
+                A fiók nem törölhető, amíg Ön a tulajdonosa ezeknek a más
+                tagokkal közös szervezeteknek:{" "}
+                {deletionPlan.blockingOrganizationNames.join(", ")}. Előbb
+                távolítsa el belőlük a többi tagot.
+              </p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600">
+                  A törléssel kilép a más tulajdonában lévő szervezetekből, a
+                  csak Önhöz tartozó szervezetek pedig az adataikkal együtt
+                  törlődnek.
+                </p>
+                <input
+                  type="password"
+                  value={deletePassword}
+                  onChange={(e) => setDeletePassword(e.target.value)}
+                  placeholder="Jelenlegi jelszó"
+                  aria-label="Jelenlegi jelszó a fiók törléséhez"
+                  autoComplete="current-password"
+                  className="w-full p-2 border rounded"
+                  disabled={isWorking}
+                />
+                <button
+                  type="submit"
+                  disabled={isWorking || !deletePassword}
+                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+                >
+                  Fiók végleges törlése
+                </button>
+              </>
+            )}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { X, Loader, AlertTriangle } from "lucide-react";
+import {
+  formatDate,
+  getCurrentMonday,
+  getDayName,
+  toDateKey,
+} from "../utils/helpers";
+import { AUDIT_FIELD_LABELS } from "../utils/auditLog";
+
+/**
+ * Converts a 'YYYY-MM-DD' key into a date label, e.g. "2024.06.04 (Kedd)".
+ *
+ * @param {string} dateKey - The date key.
+ * @param {boolean} [withDayName=false] - Whether to append the name of the day.
+ * @returns {string} The label.
+ */
+const formatDateKey = (dateKey, withDayName = false) => {
+  const date = new Date(`${dateKey}T12:00:00`);
+  return withDayName
+    ? `${formatDate(date)} (${getDayName(date)})`
+    : formatDate(date);
+};
+
+/**
+ * @typedef {object} AuditLogModalProps
+ * @property {object} globalSettings - Global settings (the staff list is offered in the staff filter).
+ * @property {Date} initialWeek - The Monday of the week selected in the week filter by default.
+ * @property {function({weekStartDate?: string, staffId?: string}=): Promise<Array<object> | null>} fetchAuditLog - Loads the audit entries.
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal listing the audit log: who changed which shift, weekly override or setting, and when,
+ * with the old and new values. The entries can be filtered by week, staff member and user.
+ *
+ * @param {AuditLogModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered audit log modal.
+ */
+const AuditLogModal = ({
+  globalSettings,
+  initialWeek,
+  fetchAuditLog,
+  onClose,
+}) => {
+  /**
+   * @state {string} weekFilter - A day of the filtered week ('YYYY-MM-DD'), empty for every week.
+   */
+  const [weekFilter, setWeekFilter] = useState(() => toDateKey(initialWeek));
+
+  /**
+   * @state {string} staffFilter - The ID of the filtered staff member, empty for everyone.
+   */
+  const [staffFilter, setStaffFilter] = useState("");
+
+  /**
+   * @state {string} userFilter - The ID of the filtered user, empty for every user.
+   */
+  const [userFilter, setUserFilter] = useState("");
+
+  /**
+   * @state {Array<object> | null} entries - The loaded audit entries (null while loading).
+   */
+  const [entries, setEntries] = useState(null);
+
+  /**
+   * @state {boolean} loadError - True if the entries could not be loaded.
+   */
+  const [loadError, setLoadError] = useState(false);
+
+  const weekStartDate = weekFilter
+    ? toDateKey(getCurrentMonday(new Date(`${weekFilter}T12:00:00`)))
+    : "";
+
+  /**
+   * @effect Loads the audit entries of the selected week and staff member.
+   */
+  useEffect(() => {
+    let isCancelled = false;
+    setEntries(null);
+    setLoadError(false);
+    fetchAuditLog({
+      weekStartDate: weekStartDate || undefined,
+      staffId: staffFilter || undefined,
+    }).then((result) => {
+      if (isCancelled) return;
+      setLoadError(!result);
+      setEntries(result || []);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [weekStartDate, staffFilter, fetchAuditLog]);
+
+  /**
+   * The users appearing in the loaded entries.
+   * @type {Array<{userId: string, userEmail: string}>}
+   */
+  const users = useMemo(() => {
+    const byId = new Map();
+    (entries || []).forEach((entry) => {
+      if (!byId.has(entry.userId)) byId.set(entry.userId, entry.userEmail);
+    });
+    return [...byId].map(([userId, userEmail]) => ({ userId, userEmail }));
+  }, [entries]);
+
+  const visibleEntries = (entries || []).filter(
+    (entry) => !userFilter || entry.userId === userFilter,
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="audit-log-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 id="audit-log-modal-title" className="text-xl font-semibold">
+            Módosítási napló
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="p-4 border-b flex flex-wrap items-end gap-4">
+          <div>
+            <label
+              htmlFor="audit-week-filter"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Hét
+            </label>
+            <div className="flex items-center space-x-2">
+              <input
+                id="audit-week-filter"
+                type="date"
+                value={weekFilter}
+                onChange={(e) => setWeekFilter(e.target.value)}
+                className="p-2 border rounded"
+              />
+              {weekFilter && (
+                <button
+                  onClick={() => setWeekFilter("")}
+                  className="px-2 py-2 text-sm bg-gray-200 rounded hover:bg-gray-300"
+                >
+                  Összes hét
+                </button>
+              )}
+            </div>
+          </div>
+          <div>
+            <label
+              htmlFor="audit-staff-filter"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Dolgozó
+            </label>
+            <select
+              id="audit-staff-filter"
+              value={staffFilter}
+              onChange={(e) => setStaffFilter(e.target.value)}
+              className="p-2 border rounded"
+            >
+              <option value="">Mindenki</option>
+              {(globalSettings.staffList || []).map((staff) => (
+                <option key={staff.id} value={staff.id}>
+                  {staff.name}
+                  {staff.employeeNumber ? ` (${staff.employeeNumber})` : ""}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label
+              htmlFor="audit-user-filter"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Felhasználó
+            </label>
+            <select
+              id="audit-user-filter"
+              value={userFilter}
+              onChange={(e) => setUserFilter(e.target.value)}
+              className="p-2 border rounded"
+            >
+              <option value="">Mindenki</option>
+              {users.map((user) => (
+                <option key={user.userId} value={user.userId}>
+                  {user.userEmail || user.userId}
+                </option>
+              ))}
+            </select>
+          </div>
+          {weekStartDate && (
+            <p className="text-sm text-gray-500 pb-2">
+              A(z) {formatDateKey(weekStartDate)} kezdetű hét
+            </p>
+          )}
+        </div>
+
+        {/* Entries */}
+        <div className="p-4 overflow-auto flex-grow">
+          {entries === null ? (
+            <div className="flex items-center justify-center p-8 text-gray-500">
+              <Loader
+                className="w-5 h-5 mr-2 animate-spin"
+                aria-hidden="true"
+              />
+              Betöltés...
+            </div>
+          ) : loadError ? (
+            <p className="flex items-center text-red-600" role="alert">
+              <AlertTriangle className="w-5 h-5 mr-2" aria-hidden="true" />
+              Hiba történt a napló betöltése közben.
+            </p>
+          ) : visibleEntries.length === 0 ? (
+            <p className="text-gray-500">
+              Nincs a szűrésnek megfelelő bejegyzés.
+            </p>
+          ) : (
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-gray-100 text-left">
+                  <th className="p-2 border">Időpont</th>
+                  <th className="p-2 border">Felhasználó</th>
+                  <th className="p-2 border">Hét</th>
+                  <th className="p-2 border">Dolgozó</th>
+                  <th className="p-2 border">Nap</th>
+                  <th className="p-2 border">Mező</th>
+                  <th className="p-2 border">Régi érték</th>
+                  <th className="p-2 border">Új érték</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEntries.map((entry) => (
+                  <tr key={entry.id} className="align-top">
+                    <td className="p-2 border whitespace-nowrap">
+                      {entry.timestamp
+                        ? entry.timestamp.toDate().toLocaleString("hu-HU")
+                        : "Mentés alatt..."}
+                    </td>
+                    <td className="p-2 border">
+                      {entry.userEmail || entry.userId}
+                    </td>
+                    <td className="p-2 border whitespace-nowrap">
+                      {entry.weekStartDate
+                        ? formatDateKey(entry.weekStartDate)
+                        : "Beállítások"}
+                    </td>
+                    <td className="p-2 border">{entry.staffName}</td>
+                    <td className="p-2 border whitespace-nowrap">
+                      {entry.day ? formatDateKey(entry.day, true) : ""}
+                    </td>
+                    <td className="p-2 border">
+                      {AUDIT_FIELD_LABELS[entry.field] || entry.field}
+                    </td>
+                    <td className="p-2 border break-all text-red-700">
+                      {entry.oldValue}
+                    </td>
+                    <td className="p-2 border break-all text-green-700">
+                      {entry.newValue}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-between items-center">
+          <span className="text-sm text-gray-500">
+            {entries ? `${visibleEntries.length} bejegyzés` : ""}
+          </span>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Bezárás
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogModal;
@@ -0,0 +1,371 @@
+import React, { useState, useMemo, useCallback } from "react";
+import { X, Wand2, AlertTriangle, Loader } from "lucide-react";
+import {
+  formatDate,
+  getDayName,
+  getContrastingTextColor,
+  toDateKey,
+} from "../utils/helpers";
+import {
+  generateWeekSchedule,
+  diffStaffShifts,
+} from "../utils/scheduleGenerator";
+import { describeRule } from "../utils/coverage";
+import { isNonWorkingDay } from "../utils/holidays";
+import CoverageRulesEditor from "./CoverageRulesEditor";
+
+/**
+ * @typedef {object} AutoFillModalProps
+ * @property {object} globalSettings - Global settings (units, groups, jobTitles, shiftTypes, coverageRules).
+ * @property {object.<string, Array<object>>} staffByUnit - Staff data of the current week grouped by unit (from `getStaffByUnit`).
+ * @property {Date[]} weekDates - The days of the current week.
+ * @property {function(string): string} getShiftColor - Returns the background color for a shift code.
+ * @property {function(Array<object>): Promise<boolean>} onSaveRules - Persists the edited coverage rules.
+ * @property {function(Array<object>): Promise<boolean>} onApply - Saves the changed weekly staff entries.
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal that proposes shifts for the empty cells of the current week based on
+ * configurable coverage rules (e.g. "each group needs one k.gy.n. in the DE shift").
+ * The rules can be edited and saved here, and the proposal is shown as a preview
+ * (changed cells highlighted) before anything is written to Firestore.
+ *
+ * @param {AutoFillModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered auto-fill modal.
+ */
+const AutoFillModal = ({
+  globalSettings,
+  staffByUnit,
+  weekDates,
+  getShiftColor,
+  onSaveRules,
+  onApply,
+  onClose,
+}) => {
+  // ==========================================================================
+  // State Variables
+  // ==========================================================================
+
+  /**
+   * @state {Array<object>} localRules - Editable copy of the coverage rules.
+   */
+  const [localRules, setLocalRules] = useState(() =>
+    (globalSettings?.coverageRules || []).map((rule) => ({ ...rule })),
+  );
+
+  /**
+   * @state {boolean} fillRemaining - Whether cells not required by any rule should be filled too.
+   */
+  const [fillRemaining, setFillRemaining] = useState(true);
+
+  /**
+   * @state {{proposedRows: Array<object>, unmet: Array<object>} | null} proposal - The last generated proposal.
+   */
+  const [proposal, setProposal] = useState(null);
+
+  /**
+   * @state {boolean} isSaving - True while rules or the proposal are being saved.
+   */
+  const [isSaving, setIsSaving] = useState(false);
+
+  // ==========================================================================
+  // Derived Data
+  // ==========================================================================
+
+  /**
+   * Flat list of the week's staff rows in display order (orphaned categories included as-is).
+   * @type {Array<object>}
+   */
+  const staffRows = useMemo(
+    () => Object.values(staffByUnit || {}).flat(),
+    [staffByUnit],
+  );
+
+  /**
+   * Date keys ('YYYY-MM-DD') of the current week.
+   * @type {string[]}
+   */
+  const dateKeys = useMemo(() => weekDates.map(toDateKey), [weekDates]);
+
+  /**
+   * The cells changed by the current proposal.
+   * @type {Array<{staffId: string, name: string, dateKey: string, before: string, after: string}>}
+   */
+  const changes = useMemo(
+    () =>
+      proposal
+        ? diffStaffShifts(staffRows, proposal.proposedRows, dateKeys)
+        : [],
+    [proposal, staffRows, dateKeys],
+  );
+
+  /**
+   * Set of "staffId|dateKey" strings for quick lookup of changed cells in the preview.
+   * @type {Set<string>}
+   */
+  const changedCells = useMemo(
+    () => new Set(changes.map((c) => `${c.staffId}|${c.dateKey}`)),
+    [changes],
+  );
+
+  // ==========================================================================
+  // Rule Editing Handlers
+  // ==========================================================================
+
+  /**
+   * @function handleRulesChange
+   * Stores the edited rules and discards the outdated proposal.
+   * @param {Array<object>} newRules - The edited rule list.
+   */
+  const handleRulesChange = useCallback((newRules) => {
+    setLocalRules(newRules);
+    setProposal(null);
+  }, []);
+
+  /**
+   * @function saveRules
+   * Persists the local rules to the global settings.
+   * @async
+   */
+  const saveRules = async () => {
+    setIsSaving(true);
+    try {
+      const success = await onSaveRules(localRules);
+      if (success) {
+        alert("Szabályok sikeresen mentve.");
+      } else {
+        alert("Hiba történt a szabályok mentésekor.");
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ==========================================================================
+  // Proposal Handlers
+  // ==========================================================================
+
+  /**
+   * @function generateProposal
+   * Runs the generator on the working days of the current week with the local rules.
+   * Holidays and transferred rest days are left untouched.
+   */
+  const generateProposal = () => {
+    setProposal(
+      generateWeekSchedule({
+        staffRows,
+        weekDates: weekDates.filter(
+          (date) => !isNonWorkingDay(date, globalSettings?.calendarOverrides),
+        ),
+        rules: localRules,
+        shiftTypes: globalSettings?.shiftTypes || [],
+        fillRemaining,
+      }),
+    );
+  };
+
+  /**
+   * @function applyProposal
+   * Saves the weekly data of every staff member affected by the proposal, then closes the modal.
+   * @async
+   */
+  const applyProposal = async () => {
+    if (!proposal || changes.length === 0) return;
+    const changedIds = new Set(changes.map((c) => c.staffId));
+    const entries = proposal.proposedRows
+      .filter((row) => changedIds.has(row.staffId))
+      .map((row) => ({
+        staffId: row.staffId,
+        name: row.name,
+        unit: row.unit,
+        group: row.group,
+        jobTitle: row.jobTitle,
+        shifts: row.shifts,
+      }));
+
+    setIsSaving(true);
+    try {
+      const success = await onApply(entries);
+      if (success) {
+        onClose();
+      } else {
+        alert("Hiba történt a javaslat mentésekor.");
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ==========================================================================
+  // Main Component Render
+  // ==========================================================================
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="autofill-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center flex-shrink-0">
+          <h2 id="autofill-modal-title" className="text-xl font-semibold">
+            Hét automatikus kitöltése
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body (Scrollable) */}
+        <div className="p-6 flex-grow overflow-y-auto space-y-6">
+          {/* Coverage Rules Editor */}
+          <fieldset>
+            <legend className="font-medium mb-2 text-base">
+              Lefedettségi szabályok
+            </legend>
+            <CoverageRulesEditor
+              rules={localRules}
+              onChange={handleRulesChange}
+              globalSettings={globalSettings}
+              disabled={isSaving}
+            />
+            <div className="flex flex-wrap items-center gap-3 mt-3">
+              <button
+                onClick={saveRules}
+                disabled={isSaving}
+                className="px-3 py-1 border border-blue-500 text-blue-600 rounded hover:bg-blue-50 text-sm disabled:opacity-50"
+              >
+                Szabályok mentése
+              </button>
+              <label className="flex items-center text-sm ml-auto">
+                <input
+                  type="checkbox"
+                  checked={fillRemaining}
+                  onChange={(e) => {
+                    setFillRemaining(e.target.checked);
+                    setProposal(null);
+                  }}
+                  className="mr-2"
+                />
+                A szabályon felüli üres cellák kitöltése is
+              </label>
+              <button
+                onClick={generateProposal}
+                className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 flex items-center text-sm"
+              >
+                <Wand2 className="w-4 h-4 mr-1" /> Javaslat készítése
+              </button>
+            </div>
+          </fieldset>
+
+          {/* Proposal Preview */}
+          {proposal && (
+            <section className="space-y-3">
+              <h3 className="font-medium text-base">
+                Javaslat előnézete ({changes.length} módosított cella)
+              </h3>
+
+              {/* Unmet requirements */}
+              {proposal.unmet.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 p-3 rounded text-sm">
+                  <p className="font-medium flex items-center mb-1">
+                    <AlertTriangle className="w-4 h-4 mr-1" />
+                    Nem teljesíthető követelmények (nincs elég szabad dolgozó):
+                  </p>
+                  <ul className="list-disc list-inside max-h-32 overflow-y-auto">
+                    {proposal.unmet.map((u) => (
+                      <li key={`${u.rule.id}-${u.rule.group}-${u.dateKey}`}>
+                        {formatDate(new Date(u.dateKey))}:{" "}
+                        {describeRule(u.rule)} – hiányzik {u.missing} fő
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Preview table */}
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm border">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="p-2 text-left">Név</th>
+                      <th className="p-2 text-left">Csoport</th>
+                      {weekDates.map((date) => (
+                        <th key={toDateKey(date)} className="p-2 text-center">
+                          {getDayName(date)}
+                          <br />
+                          <span className="text-xs font-normal">
+                            {formatDate(date)}
+                          </span>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {proposal.proposedRows.map((row) => (
+                      <tr key={row.staffId} className="border-t">
+                        <td className="p-2">{row.name}</td>
+                        <td className="p-2">{row.group}</td>
+                        {dateKeys.map((dateKey) => {
+                          const code = row.shifts[dateKey] || "";
+                          const isChanged = changedCells.has(
+                            `${row.staffId}|${dateKey}`,
+                          );
+                          const bgColor = code ? getShiftColor(code) : "";
+                          return (
+                            <td
+                              key={dateKey}
+                              className={`p-2 text-center ${isChanged ? "font-bold ring-2 ring-inset ring-purple-500" : "opacity-60"}`}
+                              style={{
+                                backgroundColor: bgColor || undefined,
+                                color: bgColor
+                                  ? getContrastingTextColor(bgColor)
+                                  : undefined,
+                              }}
+                              title={isChanged ? "Új (javasolt) műszak" : ""}
+                            >
+                              {code || "-"}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-end space-x-3 flex-shrink-0 bg-gray-50 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100"
+          >
+            Mégsem
+          </button>
+          <button
+            type="button"
+            onClick={applyProposal}
+            disabled={!proposal || changes.length === 0 || isSaving}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+          >
+            {isSaving && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+            Javaslat alkalmazása
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AutoFillModal;
@@ -0,0 +1,342 @@
+import React, { useState } from "react";
+import { X, Download, Upload, Loader, AlertTriangle } from "lucide-react";
+import { formatDate, toDateKey } from "../utils/helpers";
+import {
+  createBackup,
+  downloadBackup,
+  parseBackup,
+  planRestore,
+} from "../utils/backup";
+
+/**
+ * @constant {number} MAX_LISTED_WEEKS
+ * The number of week start dates listed per category in the restore summary.
+ */
+const MAX_LISTED_WEEKS = 8;
+
+/**
+ * @typedef {object} BackupModalProps
+ * @property {function(): Promise<import('../utils/backup').AccountData | null>} fetchAllData - Loads the settings and every weekly schedule.
+ * @property {function(import('../utils/backup').RestorePlan): Promise<boolean> | null} restoreBackup - Writes a restore plan to Firestore (null if the user may not restore, which hides the restore section).
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal for backing up all data of the account (global settings and every weekly schedule)
+ * into one versioned JSON file, and for restoring such a file. The restore either replaces
+ * the current data or merges the backup into it, and shows a summary of the changes before writing.
+ *
+ * @param {BackupModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered backup modal.
+ */
+const BackupModal = ({ fetchAllData, restoreBackup, onClose }) => {
+  /**
+   * @state {boolean} isWorking - True while data is being loaded or written.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @state {{backup: import('../utils/backup').AccountBackup, fileName: string} | null} selected - The selected and validated backup file.
+   */
+  const [selected, setSelected] = useState(null);
+
+  /**
+   * @state {import('../utils/backup').AccountData | null} currentData - The current data of the account the summary is compared to.
+   */
+  const [currentData, setCurrentData] = useState(null);
+
+  /**
+   * @state {'merge' | 'replace'} mode - The selected restore mode.
+   */
+  const [mode, setMode] = useState("merge");
+
+  /**
+   * @state {string | null} fileError - The validation error of the selected file.
+   */
+  const [fileError, setFileError] = useState(null);
+
+  const plan =
+    selected && currentData
+      ? planRestore({ backup: selected.backup, current: currentData, mode })
+      : null;
+
+  /**
+   * @function handleBackup
+   * Loads every document of the account and downloads them as a backup file.
+   */
+  const handleBackup = async () => {
+    setIsWorking(true);
+    try {
+      const data = await fetchAllData();
+      if (!data) {
+        alert("Hiba történt az adatok betöltése közben.");
+        return;
+      }
+      downloadBackup(
+        createBackup(data),
+        `bolcsiplan_mentes_${toDateKey(new Date())}.json`,
+      );
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * @function handleFileChange
+   * Validates the selected backup file and loads the current data for the summary.
+   * @param {React.ChangeEvent<HTMLInputElement>} e - The change event of the file input.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow selecting the same file again
+    setSelected(null);
+    setFileError(null);
+    if (!file) return;
+
+    setIsWorking(true);
+    try {
+      const { backup, error } = parseBackup(await file.text());
+      if (error) {
+        setFileError(error);
+        return;
+      }
+      const data = await fetchAllData();
+      if (!data) {
+        setFileError("Hiba történt a jelenlegi adatok betöltése közben.");
+        return;
+      }
+      setCurrentData(data);
+      setSelected({ backup, fileName: file.name });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * @function handleRestore
+   * Asks for confirmation and writes the restore plan.
+   */
+  const handleRestore = async () => {
+    if (!plan) return;
+    const question =
+      mode === "replace"
+        ? "Biztosan felülírja az összes jelenlegi adatot a mentés tartalmával? Ez nem vonható vissza."
+        : "Biztosan visszaállítja a mentés tartalmát a jelenlegi adatok mellé?";
+    if (!window.confirm(question)) return;
+
+    setIsWorking(true);
+    const success = await restoreBackup(plan);
+    setIsWorking(false);
+    if (success) {
+      alert("A visszaállítás sikeresen megtörtént.");
+      onClose();
+    } else {
+      alert("Hiba történt a visszaállítás során.");
+    }
+  };
+
+  /**
+   * Renders a line of the restore summary with the affected weeks.
+   *
+   * @param {string} label - The label of the line.
+   * @param {string[]} weeks - The affected week start dates.
+   * @param {string} [className=""] - Extra classes of the line.
+   * @returns {JSX.Element} The rendered line.
+   */
+  const renderWeekLine = (label, weeks, className = "") => (
+    <li className={className}>
+      {label}: <span className="font-medium">{weeks.length} hét</span>
+      {weeks.length > 0 && (
+        <span className="block text-xs text-gray-500">
+          {weeks
+            .slice(0, MAX_LISTED_WEEKS)
+            .map((key) => formatDate(new Date(`${key}T12:00:00`)))
+            .join(", ")}
+          {weeks.length > MAX_LISTED_WEEKS &&
+            `, ... (+${weeks.length - MAX_LISTED_WEEKS})`}
+        </span>
+      )}
+    </li>
+  );
+
+  /**
+   * Renders a restore mode radio option.
+   *
+   * @param {'merge' | 'replace'} value - The mode.
+   * @param {string} label - The label of the option.
+   * @param {string} description - The description shown below the label.
+   * @returns {JSX.Element} The rendered option.
+   */
+  const renderModeOption = (value, label, description) => (
+    <label className="flex items-start space-x-2 p-2 border rounded cursor-pointer hover:bg-gray-50">
+      <input
+        type="radio"
+        name="restore-mode"
+        value={value}
+        checked={mode === value}
+        onChange={() => setMode(value)}
+        className="mt-1"
+        disabled={isWorking}
+      />
+      <span>
+        <span className="block font-medium">{label}</span>
+        <span className="block text-sm text-gray-500">{description}</span>
+      </span>
+    </label>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="backup-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 id="backup-modal-title" className="text-xl font-semibold">
+            Biztonsági mentés
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-6 overflow-y-auto">
+          {/* Backup */}
+          <section className="space-y-2">
+            <h3 className="font-semibold">Mentés</h3>
+            <p className="text-sm text-gray-600">
+              A beállítások és az összes heti beosztás letöltése egyetlen JSON
+              fájlba.
+            </p>
+            <button
+              onClick={handleBackup}
+              disabled={isWorking}
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+            >
+              <Download className="w-4 h-4 mr-2" aria-hidden="true" />
+              Mentés letöltése
+            </button>
+          </section>
+
+          {/* Restore */}
+          {restoreBackup && (
+            <section className="space-y-3 border-t pt-4">
+              <h3 className="font-semibold">Visszaállítás</h3>
+              <label className="inline-flex items-center px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer">
+                <Upload className="w-4 h-4 mr-2" aria-hidden="true" />
+                Mentés kiválasztása
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleFileChange}
+                  className="hidden"
+                  disabled={isWorking}
+                />
+              </label>
+              {fileError && (
+                <p className="text-sm text-red-600" role="alert">
+                  {fileError}
+                </p>
+              )}
+
+              {selected && plan && (
+                <>
+                  <p className="text-sm text-gray-600">
+                    {selected.fileName} (mentve:{" "}
+                    {formatDate(new Date(selected.backup.exportedAt))})
+                  </p>
+                  {renderModeOption(
+                    "merge",
+                    "Összefésülés",
+                    "A mentésben szereplő beállítások és hetek felülírják a jelenlegieket, a többi adat megmarad.",
+                  )}
+                  {renderModeOption(
+                    "replace",
+                    "Teljes csere",
+                    "A jelenlegi adatok helyére a mentés tartalma kerül, a mentésben nem szereplő hetek törlődnek.",
+                  )}
+
+                  {/* Restore Summary */}
+                  <div className="p-3 bg-gray-50 border rounded text-sm">
+                    <h4 className="font-medium mb-2">Változások</h4>
+                    <ul className="space-y-1">
+                      <li>
+                        Módosuló beállítások:{" "}
+                        <span className="font-medium">
+                          {plan.changedSettings.length > 0
+                            ? plan.changedSettings.join(", ")
+                            : "nincs"}
+                        </span>
+                      </li>
+                      <li>
+                        Dolgozók száma:{" "}
+                        <span className="font-medium">
+                          {plan.staffCount.before} → {plan.staffCount.after}
+                        </span>
+                      </li>
+                      {renderWeekLine("Új hetek", plan.addedWeeks)}
+                      {renderWeekLine("Felülírt hetek", plan.changedWeeks)}
+                      {renderWeekLine("Változatlan hetek", plan.unchangedWeeks)}
+                      {mode === "replace" &&
+                        renderWeekLine(
+                          "Törölt hetek",
+                          plan.deletedWeeks,
+                          "text-red-700",
+                        )}
+                    </ul>
+                  </div>
+                  {mode === "replace" && (
+                    <p className="flex items-start text-sm text-red-700">
+                      <AlertTriangle
+                        className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0"
+                        aria-hidden="true"
+                      />
+                      A teljes csere nem vonható vissza. Előtte érdemes mentést
+                      készíteni a jelenlegi adatokról.
+                    </p>
+                  )}
+                </>
+              )}
+            </section>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            disabled={isWorking}
+          >
+            Bezárás
+          </button>
+          {restoreBackup && (
+            <button
+              onClick={handleRestore}
+              disabled={isWorking || !plan}
+              className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 flex items-center"
+            >
+              {isWorking && (
+                <Loader
+                  className="w-4 h-4 mr-2 animate-spin"
+                  aria-hidden="true"
+                />
+              )}
+              Visszaállítás
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupModal;
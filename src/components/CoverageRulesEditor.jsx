@@ -0,0 +1,260 @@
+import React from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { EACH_GROUP, RULE_WEEKDAYS, generateRuleId } from "../utils/coverage";
+import { normalizeWorkingWeekdays } from "../utils/helpers";
+
+/**
+ * @typedef {object} CoverageRulesEditorProps
+ * @property {Array<object>} rules - The coverage rules being edited (see `CoverageRule` in `utils/coverage.js`).
+ * @property {function(Array<object>): void} onChange - Called with the new rule list after every edit.
+ * @property {object} globalSettings - Settings providing the selectable `units`, `groups`, `jobTitles`, `shiftTypes` and `workingWeekdays`.
+ * @property {boolean} [disabled=false] - Disables every input (e.g. while saving).
+ */
+
+/**
+ * A controlled table editor for the coverage rules (minimum staffing requirements).
+ * Each rule has a scope (unit, group, job title), a required shift, a minimum head count
+ * and the weekdays it applies to. Used in the Settings modal and the weekly auto-fill modal.
+ *
+ * @param {CoverageRulesEditorProps} props - Component props.
+ * @returns {JSX.Element} The rendered rules editor.
+ */
+const CoverageRulesEditor = ({
+  rules = [],
+  onChange,
+  globalSettings,
+  disabled = false,
+}) => {
+  /**
+   * @function updateRule
+   * Updates a field of a rule.
+   * @param {string} ruleId - The ID of the rule to update.
+   * @param {string} field - The field to update.
+   * @param {*} value - The new value.
+   */
+  const updateRule = (ruleId, field, value) => {
+    onChange(
+      rules.map((rule) =>
+        rule.id === ruleId ? { ...rule, [field]: value } : rule,
+      ),
+    );
+  };
+
+  /**
+   * @function toggleWeekday
+   * Adds or removes a weekday from a rule. A rule without weekdays applies on every day.
+   * @param {object} rule - The rule to update.
+   * @param {number} weekday - The weekday (`Date.getDay()` value) to toggle.
+   */
+  const toggleWeekday = (rule, weekday) => {
+    const current = rule.weekdays || [];
+    const next = current.includes(weekday)
+      ? current.filter((d) => d !== weekday)
+      : [...current, weekday].sort((a, b) => a - b);
+    updateRule(rule.id, "weekdays", next);
+  };
+
+  /**
+   * @constant {number[]} workingWeekdays - The scheduled weekdays; only these are offered as rule days.
+   */
+  const workingWeekdays = normalizeWorkingWeekdays(
+    globalSettings?.workingWeekdays,
+  );
+
+  /**
+   * @function addRule
+   * Appends a new rule (any shift, minimum 1 person, every day).
+   */
+  const addRule = () => {
+    onChange([
+      ...rules,
+      {
+        id: generateRuleId(),
+        unit: "",
+        group: "",
+        jobTitle: "",
+        shiftCode: "",
+        minCount: 1,
+        weekdays: [],
+      },
+    ]);
+  };
+
+  /**
+   * @function toOptions
+   * Maps a list of category names to select options.
+   * @param {string[]} [items=[]] - The category names.
+   * @returns {Array<{value: string, label: string}>} The options.
+   */
+  const toOptions = (items = []) =>
+    items.map((item) => ({ value: item, label: item }));
+
+  /**
+   * @function renderSelect
+   * Renders a small select for one field of a rule.
+   * @param {object} rule - The rule being edited.
+   * @param {string} field - The rule field bound to the select.
+   * @param {Array<{value: string, label: string}>} options - The selectable options.
+   * @param {string} label - Accessible label of the select.
+   * @returns {JSX.Element} The select element.
+   */
+  const renderSelect = (rule, field, options, label) => (
+    <select
+      value={rule[field] || ""}
+      onChange={(e) => updateRule(rule.id, field, e.target.value)}
+      className="w-full p-1 border rounded text-sm bg-white"
+      disabled={disabled}
+      aria-label={label}
+    >
+      {options.map((opt) => (
+        <option key={`${field}-${opt.value}`} value={opt.value}>
+          {opt.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div>
+      <table className="w-full text-sm border bg-white">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="p-2 text-left">Egység</th>
+            <th className="p-2 text-left">Csoport</th>
+            <th className="p-2 text-left">Munkakör</th>
+            <th className="p-2 text-left">Műszak</th>
+            <th className="p-2 text-left w-20">Min. fő</th>
+            <th className="p-2 text-left">Napok</th>
+            <th className="p-2 w-10"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.length === 0 && (
+            <tr>
+              <td colSpan={7} className="p-3 text-center text-gray-500">
+                Nincs megadott szabály.
+              </td>
+            </tr>
+          )}
+          {rules.map((rule) => (
+            <tr key={rule.id} className="border-t">
+              <td className="p-1">
+                {renderSelect(
+                  rule,
+                  "unit",
+                  [
+                    { value: "", label: "Minden egység" },
+                    ...toOptions(globalSettings?.units),
+                  ],
+                  "Egység",
+                )}
+              </td>
+              <td className="p-1">
+                {renderSelect(
+                  rule,
+                  "group",
+                  [
+                    { value: "", label: "Összesen (bármely csoport)" },
+                    { value: EACH_GROUP, label: "Minden csoportban külön" },
+                    ...toOptions(globalSettings?.groups),
+                  ],
+                  "Csoport",
+                )}
+              </td>
+              <td className="p-1">
+                {renderSelect(
+                  rule,
+                  "jobTitle",
+                  [
+                    { value: "", label: "Minden munkakör" },
+                    ...toOptions(globalSettings?.jobTitles),
+                  ],
+                  "Munkakör",
+                )}
+              </td>
+              <td className="p-1">
+                {renderSelect(
+                  rule,
+                  "shiftCode",
+                  [
+                    { value: "", label: "Bármely műszak" },
+                    ...(globalSettings?.shiftTypes || []).map((st) => ({
+                      value: st.code,
+                      label: `${st.code} - ${st.name}`,
+                    })),
+                  ],
+                  "Műszak",
+                )}
+              </td>
+              <td className="p-1">
+                <input
+                  type="number"
+                  min="0"
+                  value={rule.minCount}
+                  onChange={(e) =>
+                    updateRule(rule.id, "minCount", e.target.value)
+                  }
+                  className="w-full p-1 border rounded text-sm"
+                  disabled={disabled}
+                  aria-label="Minimális létszám"
+                />
+              </td>
+              <td className="p-1">
+                <div
+                  className="flex space-x-0.5"
+                  title="Ha egy nap sincs kijelölve, a szabály minden napra vonatkozik"
+                >
+                  {RULE_WEEKDAYS.filter(
+                    (day) =>
+                      workingWeekdays.includes(day.value) ||
+                      (rule.weekdays || []).includes(day.value),
+                  ).map((day) => {
+                    const isSelected = (rule.weekdays || []).includes(
+                      day.value,
+                    );
+                    return (
+                      <button
+                        key={day.value}
+                        type="button"
+                        onClick={() => toggleWeekday(rule, day.value)}
+                        disabled={disabled}
+                        className={`px-1.5 py-0.5 rounded text-xs border ${isSelected ? "bg-blue-600 text-white border-blue-600" : "bg-white text-gray-600 hover:bg-gray-100"}`}
+                        aria-pressed={isSelected}
+                      >
+                        {day.label}
+                      </button>
+                    );
+                  })}
+                </div>
+              </td>
+              <td className="p-1 text-center">
+                <button
+                  type="button"
+                  onClick={() =>
+                    onChange(rules.filter((r) => r.id !== rule.id))
+                  }
+                  disabled={disabled}
+                  className="p-1 text-red-600 hover:text-red-800"
+                  title="Szabály törlése"
+                  aria-label="Szabály törlése"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        onClick={addRule}
+        disabled={disabled}
+        className="mt-3 px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center text-sm disabled:opacity-50"
+      >
+        <Plus className="w-4 h-4 mr-1" /> Új szabály
+      </button>
+    </div>
+  );
+};
+
+export default CoverageRulesEditor;
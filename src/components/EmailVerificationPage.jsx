@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { MailCheck, RefreshCw, Send, LogOut } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { getAuthErrorMessage } from "../utils/account";
+
+/**
+ * Renders the page shown to logged-in users whose email address is not verified yet.
+ * The schedule is loaded only after the user opened the verification link; the page can
+ * send the link again, check whether it was opened and log out.
+ *
+ * @returns {JSX.Element} The rendered email verification page.
+ */
+const EmailVerificationPage = () => {
+  const { currentUser, sendVerificationEmail, reloadUser, logout } = useAuth();
+
+  /**
+   * @state {{kind: 'error' | 'info', text: string} | null} message - The result of the last action.
+   */
+  const [message, setMessage] = useState(null);
+
+  /**
+   * @state {boolean} isWorking - True while an action is in progress.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @function runAction
+   * Runs an action while the buttons are disabled and shows its result.
+   * @param {function(): Promise<string | null>} action - The action, returning its info message.
+   */
+  const runAction = async (action) => {
+    if (isWorking) return;
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      const info = await action();
+      if (info) setMessage({ kind: "info", text: info });
+    } catch (error) {
+      console.error("Email verification action failed:", error);
+      setMessage({ kind: "error", text: getAuthErrorMessage(error) });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * @function handleResend
+   * Sends the verification link again.
+   */
+  const handleResend = () =>
+    runAction(async () => {
+      await sendVerificationEmail();
+      return "Elküldtük az új megerősítő linket.";
+    });
+
+  /**
+   * @function handleCheck
+   * Reloads the user; the schedule opens if the address was verified in the meantime.
+   */
+  const handleCheck = () =>
+    runAction(async () =>
+      (await reloadUser())
+        ? null
+        : "Az e-mail cím még nincs megerősítve. Nyissa meg a levélben kapott linket.",
+    );
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-blue-100 via-white to-blue-100">
+      <div className="bg-white p-8 rounded-xl shadow-lg w-full max-w-md border border-gray-200 space-y-4">
+        <h2 className="text-2xl font-bold text-center text-gray-800 flex items-center justify-center">
+          <MailCheck className="w-6 h-6 mr-2" aria-hidden="true" />
+          E-mail cím megerősítése
+        </h2>
+        <p className="text-sm text-gray-700">
+          A beosztás megnyitása előtt erősítse meg az e-mail címét. A megerősítő
+          linket a(z){" "}
+          <span className="font-semibold">{currentUser?.email}</span> címre
+          küldtük.
+        </p>
+
+        {message && (
+          <div
+            className={`border px-4 py-3 rounded text-sm ${
+              message.kind === "error"
+                ? "bg-red-100 border-red-400 text-red-700"
+                : "bg-green-100 border-green-400 text-green-700"
+            }`}
+            role={message.kind === "error" ? "alert" : "status"}
+          >
+            {message.text}
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={handleCheck}
+          disabled={isWorking}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded disabled:opacity-50 flex items-center justify-center"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" aria-hidden="true" />
+          Megerősítettem
+        </button>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={isWorking}
+          className="w-full border border-blue-600 text-blue-600 hover:bg-blue-50 py-2 px-4 rounded disabled:opacity-50 flex items-center justify-center"
+        >
+          <Send className="w-4 h-4 mr-2" aria-hidden="true" />
+          Link újraküldése
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            logout().catch((error) => console.error("Failed to log out", error))
+          }
+          className="w-full text-sm text-gray-600 hover:underline flex items-center justify-center"
+        >
+          <LogOut className="w-4 h-4 mr-1" aria-hidden="true" />
+          Kijelentkezés
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationPage;
@@ -0,0 +1,285 @@
+import React, { useState } from "react";
+import { X, FileSpreadsheet, Loader } from "lucide-react";
+import {
+  formatMonth,
+  getMonthDates,
+  getWeekDates,
+  getWeekRangeString,
+  isEvenWeek,
+  toDateKey,
+} from "../utils/helpers";
+import { buildStaffByUnit, mergeWeeklyStaff } from "../utils/staffRows";
+import {
+  buildScheduleSheet,
+  createWorkbook,
+  downloadWorkbook,
+} from "../utils/xlsxExport";
+
+/**
+ * @constant {number} MAX_EXPORT_WEEKS
+ * The largest number of weeks (sheets) in a multi-week export.
+ */
+const MAX_EXPORT_WEEKS = 53;
+
+/**
+ * @typedef {object} ExportModalProps
+ * @property {object} globalSettings - Global settings (staff list, categories, shift types, time slots, working weekdays).
+ * @property {Date} currentWeek - The Monday of the week displayed in the weekly view.
+ * @property {Array<Date>} weekDates - The working days of the current week.
+ * @property {object} staffByUnit - Staff data of the current week grouped by unit (from `getStaffByUnit`).
+ * @property {Date} currentMonth - A date of the month offered for the monthly export.
+ * @property {'week' | 'month'} initialScope - The export scope selected when the modal opens (follows the active view).
+ * @property {function(Date, Date): Promise<Array<object> | null>} fetchSchedulesInRange - Loads the weekly schedules overlapping a date range.
+ * @property {function(string): string} getShiftColor - Returns the background color for a shift code.
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal for exporting the schedule to an Excel (.xlsx) file. Offers the current week,
+ * the current month (one sheet) or several weeks starting with the current one (one sheet per week).
+ * The sheets keep the unit sections, the shift colors, the time slots and the title of the period.
+ *
+ * @param {ExportModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered export modal.
+ */
+const ExportModal = ({
+  globalSettings,
+  currentWeek,
+  weekDates,
+  staffByUnit,
+  currentMonth,
+  initialScope = "week",
+  fetchSchedulesInRange,
+  getShiftColor,
+  onClose,
+}) => {
+  /**
+   * @state {'week' | 'month' | 'weeks'} scope - The selected export scope.
+   */
+  const [scope, setScope] = useState(initialScope);
+
+  /**
+   * @state {number | string} weekCount - Number of weeks of the multi-week export (string while typing).
+   */
+  const [weekCount, setWeekCount] = useState(4);
+
+  /**
+   * @state {boolean} isExporting - True while the file is being generated.
+   */
+  const [isExporting, setIsExporting] = useState(false);
+
+  /**
+   * Builds the export sheet of a week.
+   *
+   * @param {Date} monday - The Monday of the week.
+   * @param {object} weekStaffByUnit - The staff rows of the week grouped by unit.
+   * @returns {import('../utils/xlsxExport').ExportSheet} The sheet description.
+   */
+  const buildWeekSheet = (monday, weekStaffByUnit) => {
+    const dates = getWeekDates(monday, globalSettings.workingWeekdays);
+    return buildScheduleSheet({
+      name: toDateKey(monday),
+      title: `${getWeekRangeString(dates)} (${isEvenWeek(monday) ? "páros" : "páratlan"})`,
+      dates,
+      staffByUnit: weekStaffByUnit,
+      getShiftColor,
+      timeSlots: globalSettings.timeSlots,
+      shiftTypes: globalSettings.shiftTypes,
+      units: globalSettings.units,
+    });
+  };
+
+  /**
+   * @function handleExport
+   * Collects the data of the selected scope, generates the workbook and starts the download.
+   */
+  const handleExport = async () => {
+    const count = Number(weekCount);
+    if (
+      scope === "weeks" &&
+      (!Number.isInteger(count) || count < 1 || count > MAX_EXPORT_WEEKS)
+    ) {
+      return alert(
+        `A hetek száma 1 és ${MAX_EXPORT_WEEKS} közötti egész szám lehet!`,
+      );
+    }
+
+    setIsExporting(true);
+    try {
+      let sheets;
+      let fileName;
+      if (scope === "week") {
+        sheets = [buildWeekSheet(currentWeek, staffByUnit)];
+        fileName = `beosztas_${toDateKey(currentWeek)}.xlsx`;
+      } else if (scope === "month") {
+        const year = currentMonth.getFullYear();
+        const month = currentMonth.getMonth();
+        const schedules = await fetchSchedulesInRange(
+          new Date(year, month, 1, 12),
+          new Date(year, month + 1, 0, 12),
+        );
+        if (!schedules) throw new Error("Could not load month schedules");
+        const monthKey = `${year}-${String(month + 1).padStart(2, "0")}`;
+        sheets = [
+          buildScheduleSheet({
+            name: monthKey,
+            title: formatMonth(currentMonth),
+            dates: getMonthDates(currentMonth, globalSettings.workingWeekdays),
+            staffByUnit: buildStaffByUnit(
+              globalSettings,
+              mergeWeeklyStaff(schedules),
+            ),
+            getShiftColor,
+            timeSlots: globalSettings.timeSlots,
+            shiftTypes: globalSettings.shiftTypes,
+            units: globalSettings.units,
+          }),
+        ];
+        fileName = `beosztas_${monthKey}.xlsx`;
+      } else {
+        const lastDay = new Date(currentWeek);
+        lastDay.setDate(lastDay.getDate() + count * 7 - 1);
+        const schedules = await fetchSchedulesInRange(currentWeek, lastDay);
+        if (!schedules) throw new Error("Could not load weekly schedules");
+        sheets = Array.from({ length: count }, (_, index) => {
+          const monday = new Date(currentWeek);
+          monday.setDate(monday.getDate() + index * 7);
+          const schedule = schedules.find(
+            (s) => s.weekStartDate === toDateKey(monday),
+          );
+          return buildWeekSheet(
+            monday,
+            buildStaffByUnit(globalSettings, schedule?.staff),
+          );
+        });
+        fileName = `beosztas_${toDateKey(currentWeek)}_${count}het.xlsx`;
+      }
+
+      downloadWorkbook(await createWorkbook(sheets), fileName);
+      onClose();
+    } catch (error) {
+      console.error("Error exporting schedule:", error);
+      alert("Hiba történt az Excel fájl készítése közben.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  /**
+   * Renders a scope radio option.
+   *
+   * @param {'week' | 'month' | 'weeks'} value - The scope.
+   * @param {string} label - The label of the option.
+   * @param {string} description - The description shown below the label.
+   * @returns {JSX.Element} The rendered option.
+   */
+  const renderScopeOption = (value, label, description) => (
+    <label className="flex items-start space-x-2 p-2 border rounded cursor-pointer hover:bg-gray-50">
+      <input
+        type="radio"
+        name="export-scope"
+        value={value}
+        checked={scope === value}
+        onChange={() => setScope(value)}
+        className="mt-1"
+        disabled={isExporting}
+      />
+      <span>
+        <span className="block font-medium">{label}</span>
+        <span className="block text-sm text-gray-500">{description}</span>
+      </span>
+    </label>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="export-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 id="export-modal-title" className="text-xl font-semibold">
+            Exportálás Excel fájlba
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-3">
+          {renderScopeOption(
+            "week",
+            "Aktuális hét",
+            getWeekRangeString(weekDates),
+          )}
+          {renderScopeOption(
+            "month",
+            "Hónap",
+            `${formatMonth(currentMonth)}, egy munkalapon`,
+          )}
+          {renderScopeOption(
+            "weeks",
+            "Több hét",
+            "Az aktuális héttől kezdve, hetenként külön munkalapon",
+          )}
+          {scope === "weeks" && (
+            <div className="pl-8">
+              <label
+                htmlFor="export-week-count"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Hetek száma
+              </label>
+              <input
+                id="export-week-count"
+                type="number"
+                min="1"
+                max={MAX_EXPORT_WEEKS}
+                value={weekCount}
+                onChange={(e) => setWeekCount(e.target.value)}
+                className="w-24 p-2 border rounded"
+                disabled={isExporting}
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            disabled={isExporting}
+          >
+            Mégse
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center"
+          >
+            {isExporting ? (
+              <Loader
+                className="w-4 h-4 mr-2 animate-spin"
+                aria-hidden="true"
+              />
+            ) : (
+              <FileSpreadsheet className="w-4 h-4 mr-2" aria-hidden="true" />
+            )}
+            Exportálás
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -1,18 +1,98 @@
 import React from "react";
-import { Settings, Printer, LogOut, User } from "lucide-react";
+import {
+  Settings,
+  Printer,
+  FileSpreadsheet,
+  DatabaseBackup,
+  ScrollText,
+  Building2,
+  LogOut,
+  User,
+  Cloud,
+  CloudAlert,
+  CloudOff,
+  CloudUpload,
+  Download,
+} from "lucide-react";
 import { useAuth } from "../contexts/AuthContext";
 
+/**
+ * Returns the icon, label and colors of the sync indicator: unresolved conflicts first, then the
+ * offline state, then the edits waiting for the server.
+ *
+ * @param {import('../hooks/useStaffData').SyncStatus} syncStatus - The synchronization state.
+ * @returns {{Icon: React.ComponentType, label: string, title: string, className: string}} The indicator.
+ */
+const getSyncIndicator = (syncStatus) => {
+  const { isOnline, isSyncing, hasPendingWrites, queuedWeeks, conflicts } =
+    syncStatus;
+  if (conflicts.length > 0) {
+    return {
+      Icon: CloudAlert,
+      label: `${conflicts.length} ütközés`,
+      title: "Szinkronizálási ütközések feloldása",
+      className: "bg-orange-500 hover:bg-orange-400",
+    };
+  }
+  if (!isOnline) {
+    return {
+      Icon: CloudOff,
+      label:
+        queuedWeeks.length > 0 ? `Offline (${queuedWeeks.length})` : "Offline",
+      title:
+        "Nincs internetkapcsolat, a módosítások a kapcsolat helyreállása után mentődnek",
+      className: "bg-amber-500 hover:bg-amber-400",
+    };
+  }
+  if (isSyncing || hasPendingWrites || queuedWeeks.length > 0) {
+    return {
+      Icon: CloudUpload,
+      label: "Mentés...",
+      title: "A módosítások mentése folyamatban",
+      className: "bg-blue-500 hover:bg-blue-400",
+    };
+  }
+  return {
+    Icon: Cloud,
+    label: "Mentve",
+    title: "Minden módosítás mentve",
+    className: "bg-blue-500 hover:bg-blue-400",
+  };
+};
+
 /**
  * Renders the application header.
- * Displays the application title, logged-in user information (if available),
- * and action buttons for settings, printing the schedule, and logging out.
+ * Displays the application title, logged-in user information (if available, opening the account settings),
+ * the active organisation (opening its members and invitations), the sync state (offline, unsaved edits, conflicts), and action buttons for settings, printing the schedule,
+ * exporting it to Excel, viewing the audit log, backing up the data, installing the app and logging out.
  *
  * @param {object} props - The component props.
  * @param {object | null} props.user - The currently authenticated user object (should contain email). Null if no user is logged in.
- * @param {Function} props.onSettingsClick - Callback function to execute when the settings button is clicked.
+ * @param {Function | null} props.onSettingsClick - Callback function to execute when the settings button is clicked. The button is hidden if null (e.g. for viewers).
+ * @param {Function} props.onExportClick - Callback function to execute when the Excel export button is clicked.
+ * @param {Function} props.onAuditLogClick - Callback function to execute when the audit log button is clicked.
+ * @param {Function} props.onBackupClick - Callback function to execute when the backup button is clicked.
+ * @param {string} [props.organizationName] - The name of the active organisation.
+ * @param {Function} props.onOrganizationClick - Callback function to execute when the organisation button is clicked.
+ * @param {Function} props.onAccountClick - Callback function to execute when the user email is clicked.
+ * @param {import('../hooks/useStaffData').SyncStatus} [props.syncStatus] - The synchronization state shown next to the organisation. Hidden if missing.
+ * @param {Function} [props.onSyncClick] - Callback function to execute when the sync indicator is clicked.
+ * @param {Function | null} [props.onInstallClick] - Callback function to execute when the install button is clicked. The button is hidden if null (the browser does not offer installing the app).
  * @returns {JSX.Element} The rendered header component.
  */
-const Header = ({ user, onSettingsClick }) => {
+const Header = ({
+  user,
+  onSettingsClick,
+  onExportClick,
+  onAuditLogClick,
+  onBackupClick,
+  organizationName,
+  onOrganizationClick,
+  onAccountClick,
+  syncStatus,
+  onSyncClick,
+  onInstallClick = null,
+}) => {
   // --- Hooks ---
   const { logout } = useAuth();
 
@@ -38,6 +118,8 @@ const Header = ({ user, onSettingsClick }) => {
   };
 
   // --- Render Logic ---
+  const syncIndicator = syncStatus ? getSyncIndicator(syncStatus) : null;
+
   return (
     <header className="bg-blue-600 text-white p-4 shadow-md print:hidden">
       {" "}
@@ -49,27 +131,64 @@ const Header = ({ user, onSettingsClick }) => {
 
         {/* User Info and Action Buttons */}
         <div className="flex flex-wrap items-center justify-center md:justify-end space-x-1 sm:space-x-2">
-          {/* User Email Display */}
+          {/* User Email Display (Account Button) */}
           {user && (
-            <span className="flex items-center text-sm mr-2 sm:mr-4 mb-2 md:mb-0 order-first md:order-none">
+            <button
+              onClick={onAccountClick}
+              className="flex items-center text-sm mr-2 sm:mr-4 mb-2 md:mb-0 order-first md:order-none rounded px-1 hover:bg-blue-500"
+              title="Fiók beállításai"
+              aria-label={`Fiók beállításai (${user.email})`}
+            >
               <User className="w-4 h-4 mr-1 flex-shrink-0" />
-              <span className="truncate" title={user.email}>
-                {user.email}
-              </span>{" "}
-            </span>
+              <span className="truncate">{user.email}</span>
+            </button>
           )}
 
-          {/* Settings Button */}
+          {/* Organisation Button */}
           <button
-            onClick={onSettingsClick}
-            className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
-            title="Beállítások"
-            aria-label="Beállítások megnyitása"
+            onClick={onOrganizationClick}
+            className="flex items-center px-2 py-2 sm:px-3 bg-blue-500 text-white rounded hover:bg-blue-400 mb-2 md:mb-0 max-w-[14rem]"
+            title="Szervezet és tagok"
+            aria-label="Szervezet és tagok kezelése"
           >
-            <Settings className="w-4 h-4 sm:mr-1" aria-hidden="true" />{" "}
-            <span className="hidden sm:inline">Beállítások</span>
+            <Building2
+              className="w-4 h-4 sm:mr-1 flex-shrink-0"
+              aria-hidden="true"
+            />
+            <span className="hidden sm:inline truncate">
+              {organizationName || "Szervezet"}
+            </span>
           </button>
 
+          {/* Sync Indicator */}
+          {syncIndicator && (
+            <button
+              onClick={onSyncClick}
+              className={`flex items-center px-2 py-2 sm:px-3 text-white rounded mb-2 md:mb-0 ${syncIndicator.className}`}
+              title={syncIndicator.title}
+              aria-label={`Szinkronizálás: ${syncIndicator.label}`}
+            >
+              <syncIndicator.Icon
+                className="w-4 h-4 sm:mr-1 flex-shrink-0"
+                aria-hidden="true"
+              />
+              <span className="hidden sm:inline">{syncIndicator.label}</span>
+            </button>
+          )}
+
+          {/* Settings Button */}
+          {onSettingsClick && (
+            <button
+              onClick={onSettingsClick}
+              className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
+              title="Beállítások"
+              aria-label="Beállítások megnyitása"
+            >
+              <Settings className="w-4 h-4 sm:mr-1" aria-hidden="true" />{" "}
+              <span className="hidden sm:inline">Beállítások</span>
+            </button>
+          )}
+
           {/* Print Button */}
           <button
             onClick={handlePrint}
@@ -81,6 +200,52 @@ const Header = ({ user, onSettingsClick }) => {
             <span className="hidden sm:inline">Nyomtatás</span>
           </button>
 
+          {/* Excel Export Button */}
+          <button
+            onClick={onExportClick}
+            className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
+            title="Exportálás Excel fájlba"
+            aria-label="Beosztás exportálása Excel fájlba"
+          >
+            <FileSpreadsheet className="w-4 h-4 sm:mr-1" aria-hidden="true" />
+            <span className="hidden sm:inline">Excel</span>
+          </button>
+
+          {/* Audit Log Button */}
+          <button
+            onClick={onAuditLogClick}
+            className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
+            title="Módosítási napló"
+            aria-label="Módosítási napló megnyitása"
+          >
+            <ScrollText className="w-4 h-4 sm:mr-1" aria-hidden="true" />
+            <span className="hidden sm:inline">Napló</span>
+          </button>
+
+          {/* Backup Button */}
+          <button
+            onClick={onBackupClick}
+            className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
+            title="Biztonsági mentés"
+            aria-label="Biztonsági mentés és visszaállítás"
+          >
+            <DatabaseBackup className="w-4 h-4 sm:mr-1" aria-hidden="true" />
+            <span className="hidden sm:inline">Mentés</span>
+          </button>
+
+          {/* Install Button */}
+          {onInstallClick && (
+            <button
+              onClick={onInstallClick}
+              className="flex items-center px-2 py-2 sm:px-3 bg-white text-blue-600 rounded hover:bg-blue-50 mb-2 md:mb-0"
+              title="Telepítés"
+              aria-label="Alkalmazás telepítése az eszközre"
+            >
+              <Download className="w-4 h-4 sm:mr-1" aria-hidden="true" />
+              <span className="hidden sm:inline">Telepítés</span>
+            </button>
+          )}
+
           {/* Logout Button */}
           <button
             onClick={handleLogout}
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { Undo2, Redo2, History } from "lucide-react";
+import { formatDate } from "../utils/helpers";
+
+/**
+ * @typedef {object} HistoryControlsProps
+ * @property {import('../utils/editHistory').EditHistory} history - The undo and redo stacks of the session.
+ * @property {boolean} isBusy - True while an undo or redo is being written (disables the buttons).
+ * @property {function(): void} onUndo - Undoes the last edit.
+ * @property {function(): void} onRedo - Redoes the last undone edit.
+ */
+
+/**
+ * Describes the documents changed by an edit, e.g. "Beállítások" or "2024.06.03. hét".
+ *
+ * @param {import('../utils/editHistory').HistoryEntry} entry - The edit.
+ * @returns {string} The description.
+ */
+const describeTargets = (entry) =>
+  entry.changes
+    .map((change) =>
+      change.target === "settings"
+        ? "Beállítások"
+        : `${formatDate(new Date(`${change.weekStartDate}T12:00:00`))}. hét`,
+    )
+    .join(", ");
+
+/**
+ * Undo and redo buttons with a dropdown list of the edits of the session.
+ * The list shows the undone edits (that can be redone) greyed out above the done edits, newest first.
+ *
+ * @param {HistoryControlsProps} props - Component props.
+ * @returns {JSX.Element} The rendered controls.
+ */
+const HistoryControls = ({ history, isBusy, onUndo, onRedo }) => {
+  /**
+   * @state {boolean} isListOpen - Whether the history list is shown.
+   */
+  const [isListOpen, setIsListOpen] = useState(false);
+
+  const lastEdit = history.past[history.past.length - 1];
+  const nextRedo = history.future[0];
+
+  /**
+   * Renders an item of the history list.
+   *
+   * @param {import('../utils/editHistory').HistoryEntry} entry - The edit.
+   * @param {boolean} isUndone - True for undone edits.
+   * @returns {JSX.Element} The rendered item.
+   */
+  const renderEntry = (entry, isUndone) => (
+    <li
+      key={entry.id}
+      className={`px-3 py-2 border-b last:border-b-0 ${isUndone ? "text-gray-400 line-through" : ""}`}
+    >
+      <span className="block text-sm">{entry.label}</span>
+      <span className="block text-xs text-gray-500">
+        {new Date(entry.timestamp).toLocaleTimeString("hu-HU", {
+          hour: "2-digit",
+          minute: "2-digit",
+        })}{" "}
+        · {describeTargets(entry)}
+      </span>
+    </li>
+  );
+
+  return (
+    <div className="relative flex items-center space-x-1 print:hidden">
+      <button
+        onClick={onUndo}
+        disabled={isBusy || !lastEdit}
+        className="p-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+        title={
+          lastEdit ? `Visszavonás: ${lastEdit.label} (Ctrl+Z)` : "Visszavonás"
+        }
+        aria-label="Utolsó módosítás visszavonása"
+      >
+        <Undo2 className="w-5 h-5" aria-hidden="true" />
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={isBusy || !nextRedo}
+        className="p-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+        title={
+          nextRedo
+            ? `Újra: ${nextRedo.label} (Ctrl+Shift+Z)`
+            : "Újra végrehajtás"
+        }
+        aria-label="Visszavont módosítás újra végrehajtása"
+      >
+        <Redo2 className="w-5 h-5" aria-hidden="true" />
+      </button>
+      <button
+        onClick={() => setIsListOpen((prev) => !prev)}
+        className={`p-2 rounded ${isListOpen ? "bg-blue-100" : "bg-gray-200 hover:bg-gray-300"}`}
+        title="Módosítások előzménye"
+        aria-label="Módosítások előzménye"
+        aria-expanded={isListOpen}
+      >
+        <History className="w-5 h-5" aria-hidden="true" />
+      </button>
+
+      {isListOpen && (
+        <div className="absolute left-0 top-full mt-1 w-72 max-h-80 overflow-y-auto bg-white border rounded shadow-lg z-40">
+          {history.past.length === 0 && history.future.length === 0 ? (
+            <p className="px-3 py-2 text-sm text-gray-500">
+              Még nincs módosítás ebben a munkamenetben.
+            </p>
+          ) : (
+            <ul>
+              {[...history.future]
+                .reverse()
+                .map((entry) => renderEntry(entry, true))}
+              {[...history.past]
+                .reverse()
+                .map((entry) => renderEntry(entry, false))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryControls;
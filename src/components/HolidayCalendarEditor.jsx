@@ -0,0 +1,256 @@
+import React, { useState } from "react";
+import { Plus, Trash2, RotateCcw } from "lucide-react";
+import {
+  CALENDAR_DAY_TYPES,
+  getDefaultHungarianCalendar,
+  getHolidayCalendar,
+  getCalendarDayTypeLabel,
+} from "../utils/holidays";
+
+/**
+ * @typedef {object} HolidayCalendarEditorProps
+ * @property {Array<object>} overrides - The calendar overrides being edited (see `CalendarDay` in `utils/holidays.js`).
+ * @property {function(Array<object>): void} onChange - Called with the new override list after every edit.
+ * @property {boolean} [disabled=false] - Disables every input (e.g. while saving).
+ */
+
+/**
+ * A controlled editor for the holiday calendar. Lists the effective special days of the selected year
+ * (the built-in Hungarian holidays and transferred days combined with the overrides) and lets the
+ * administrator add, change or remove days. Built-in days are never deleted, only overridden.
+ *
+ * @param {HolidayCalendarEditorProps} props - Component props.
+ * @returns {JSX.Element} The rendered calendar editor.
+ */
+const HolidayCalendarEditor = ({
+  overrides = [],
+  onChange,
+  disabled = false,
+}) => {
+  /**
+   * @state {number} year - The year being displayed.
+   */
+  const [year, setYear] = useState(new Date().getFullYear());
+
+  /**
+   * @state {object} newDay - The add form (date, type and name of the new day).
+   */
+  const [newDay, setNewDay] = useState({
+    date: "",
+    type: "holiday",
+    name: "",
+  });
+
+  const builtInDays = getDefaultHungarianCalendar(year);
+  const effectiveDays = getHolidayCalendar(year, overrides);
+  const removedDays = builtInDays.filter((day) =>
+    overrides.some((o) => o.date === day.date && o.type === "normal"),
+  );
+
+  /**
+   * @function setOverride
+   * Adds an override for a date, replacing an existing override of the same date.
+   * @param {object} day - The override (`date`, `type`, `name`).
+   */
+  const setOverride = (day) => {
+    onChange(
+      [...overrides.filter((o) => o.date !== day.date), day].sort((a, b) =>
+        a.date.localeCompare(b.date),
+      ),
+    );
+  };
+
+  /**
+   * @function removeOverride
+   * Removes the override of a date, restoring the built-in entry (if any).
+   * @param {string} date - The date ('YYYY-MM-DD').
+   */
+  const removeOverride = (date) => {
+    onChange(overrides.filter((o) => o.date !== date));
+  };
+
+  /**
+   * @function handleAdd
+   * Validates the add form and stores the new day as an override.
+   */
+  const handleAdd = () => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(newDay.date)) {
+      return alert("Adjon meg egy érvényes dátumot!");
+    }
+    setOverride({
+      date: newDay.date,
+      type: newDay.type,
+      name: newDay.name.trim(),
+    });
+    setYear(Number(newDay.date.slice(0, 4)));
+    setNewDay({ date: "", type: "holiday", name: "" });
+  };
+
+  /**
+   * @function isOverridden
+   * Checks whether a date has an override.
+   * @param {string} date - The date ('YYYY-MM-DD').
+   * @returns {boolean} True if the date has an override.
+   */
+  const isOverridden = (date) => overrides.some((o) => o.date === date);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => setYear(year - 1)}
+          className="px-2 py-1 border rounded text-sm hover:bg-gray-100"
+          aria-label="Előző év"
+        >
+          ‹
+        </button>
+        <span className="font-semibold w-14 text-center">{year}</span>
+        <button
+          type="button"
+          onClick={() => setYear(year + 1)}
+          className="px-2 py-1 border rounded text-sm hover:bg-gray-100"
+          aria-label="Következő év"
+        >
+          ›
+        </button>
+      </div>
+
+      <table className="w-full text-sm border bg-white">
+        <thead className="bg-gray-100">
+          <tr>
+            <th className="p-2 text-left w-28">Dátum</th>
+            <th className="p-2 text-left">Típus</th>
+            <th className="p-2 text-left">Megnevezés</th>
+            <th className="p-2 text-left w-24">Forrás</th>
+            <th className="p-2 w-10"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {effectiveDays.map((day) => {
+            const overridden = isOverridden(day.date);
+            return (
+              <tr key={day.date} className="border-t">
+                <td className="p-2 font-mono">{day.date}</td>
+                <td className="p-2">{getCalendarDayTypeLabel(day.type)}</td>
+                <td className="p-2">{day.name}</td>
+                <td className="p-2 text-gray-500">
+                  {overridden ? "Egyedi" : "Beépített"}
+                </td>
+                <td className="p-1 text-center">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      overridden
+                        ? removeOverride(day.date)
+                        : setOverride({
+                            date: day.date,
+                            type: "normal",
+                            name: "",
+                          })
+                    }
+                    disabled={disabled}
+                    className="p-1 text-red-600 hover:text-red-800"
+                    title="Nap törlése a naptárból"
+                    aria-label={`${day.date} törlése a naptárból`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+          {removedDays.map((day) => (
+            <tr key={`removed-${day.date}`} className="border-t text-gray-400">
+              <td className="p-2 font-mono line-through">{day.date}</td>
+              <td className="p-2 line-through">
+                {getCalendarDayTypeLabel(day.type)}
+              </td>
+              <td className="p-2 line-through">{day.name}</td>
+              <td className="p-2">Eltávolítva</td>
+              <td className="p-1 text-center">
+                <button
+                  type="button"
+                  onClick={() => removeOverride(day.date)}
+                  disabled={disabled}
+                  className="p-1 text-blue-600 hover:text-blue-800"
+                  title="Beépített nap visszaállítása"
+                  aria-label={`${day.date} visszaállítása`}
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex flex-wrap items-end gap-2">
+        <div>
+          <label
+            htmlFor="calendar-new-date"
+            className="block text-xs font-medium text-gray-700 mb-1"
+          >
+            Dátum
+          </label>
+          <input
+            id="calendar-new-date"
+            type="date"
+            value={newDay.date}
+            onChange={(e) => setNewDay({ ...newDay, date: e.target.value })}
+            className="p-1 border rounded text-sm"
+            disabled={disabled}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="calendar-new-type"
+            className="block text-xs font-medium text-gray-700 mb-1"
+          >
+            Típus
+          </label>
+          <select
+            id="calendar-new-type"
+            value={newDay.type}
+            onChange={(e) => setNewDay({ ...newDay, type: e.target.value })}
+            className="p-1 border rounded text-sm bg-white"
+            disabled={disabled}
+          >
+            {CALENDAR_DAY_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-grow">
+          <label
+            htmlFor="calendar-new-name"
+            className="block text-xs font-medium text-gray-700 mb-1"
+          >
+            Megnevezés
+          </label>
+          <input
+            id="calendar-new-name"
+            type="text"
+            value={newDay.name}
+            onChange={(e) => setNewDay({ ...newDay, name: e.target.value })}
+            className="w-full p-1 border rounded text-sm"
+            placeholder="pl. Munkanap (dec. 24. helyett)"
+            disabled={disabled}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={disabled}
+          className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 flex items-center text-sm disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" /> Hozzáadás
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HolidayCalendarEditor;
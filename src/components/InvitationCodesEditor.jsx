@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { AlertTriangle, Loader, Plus, Trash2 } from "lucide-react";
+import { useOrganization } from "../contexts/OrganizationContext";
+import {
+  ASSIGNABLE_ROLES,
+  DEFAULT_MEMBER_ROLE,
+  ROLES,
+  ROLE_LABELS,
+} from "../utils/permissions";
+import {
+  DEFAULT_CODE_VALIDITY_DAYS,
+  getInvitationCodeStatus,
+  toDateValue,
+} from "../utils/invitationCodes";
+
+/**
+ * @constant {object.<string, {label: string, className: string}>} STATUS_BADGES
+ * The labels and colors of the code states.
+ */
+const STATUS_BADGES = {
+  active: { label: "Érvényes", className: "bg-green-100 text-green-800" },
+  expired: { label: "Lejárt", className: "bg-gray-200 text-gray-700" },
+  usedUp: { label: "Felhasználva", className: "bg-gray-200 text-gray-700" },
+};
+
+/**
+ * @constant {object} EMPTY_FORM
+ * The initial values of the new code form.
+ */
+const EMPTY_FORM = {
+  role: DEFAULT_MEMBER_ROLE,
+  unit: "",
+  email: "",
+  maxUses: 1,
+  validityDays: DEFAULT_CODE_VALIDITY_DAYS,
+};
+
+/**
+ * @typedef {object} InvitationCodesEditorProps
+ * @property {string[]} [units=[]] - The units selectable for unit leader codes.
+ */
+
+/**
+ * Manages the registration codes of the active organisation (Settings / Meghívók tab, owner only).
+ * A new account can only be registered with a valid code; the code decides which organisation
+ * the account joins and with which role, how many accounts may use it, until when, and optionally
+ * the only email address that may use it. Changes are saved immediately.
+ *
+ * @param {InvitationCodesEditorProps} props - Component props.
+ * @returns {JSX.Element} The rendered invitation codes editor.
+ */
+const InvitationCodesEditor = ({ units = [] }) => {
+  const { fetchInvitationCodes, createInvitationCode, deleteInvitationCode } =
+    useOrganization();
+
+  /**
+   * @state {Array<object> | null} codes - The codes of the organisation, newest first (null while loading).
+   */
+  const [codes, setCodes] = useState(null);
+
+  /**
+   * @state {boolean} loadError - True if the codes could not be loaded.
+   */
+  const [loadError, setLoadError] = useState(false);
+
+  /**
+   * @state {object} form - The values of the new code form (see `InvitationCodeOptions`).
+   */
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  /**
+   * @state {string | null} createdCode - The code created last, highlighted so that it can be passed on.
+   */
+  const [createdCode, setCreatedCode] = useState(null);
+
+  /**
+   * @state {boolean} isWorking - True while a code is created or revoked.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @function loadCodes
+   * Loads the codes of the organisation.
+   */
+  const loadCodes = useCallback(async () => {
+    const result = await fetchInvitationCodes();
+    setLoadError(!result);
+    setCodes(result || []);
+  }, [fetchInvitationCodes]);
+
+  /**
+   * @effect Loads the codes when the tab opens.
+   */
+  useEffect(() => {
+    loadCodes();
+  }, [loadCodes]);
+
+  /**
+   * @function updateForm
+   * Updates a field of the new code form.
+   * @param {string} field - The field to update.
+   * @param {*} value - The new value.
+   */
+  const updateForm = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  /**
+   * @function handleCreate
+   * Creates a code with the form values and reloads the list.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (isWorking) return;
+    if (form.role === ROLES.UNIT_LEADER && !form.unit) {
+      alert("Egységvezetői kódhoz válasszon egységet!");
+      return;
+    }
+    setIsWorking(true);
+    const code = await createInvitationCode({
+      ...form,
+      maxUses: Number(form.maxUses),
+      validityDays: Math.max(1, Number(form.validityDays) || 1),
+    });
+    setIsWorking(false);
+    if (code) {
+      setCreatedCode(code);
+      setForm(EMPTY_FORM);
+      loadCodes();
+    } else {
+      alert("Hiba történt a meghívó kód létrehozása közben.");
+    }
+  };
+
+  /**
+   * @function handleDelete
+   * Revokes a code after confirmation and reloads the list.
+   * @param {string} code - The code to revoke.
+   */
+  const handleDelete = async (code) => {
+    if (
+      isWorking ||
+      !window.confirm(
+        `Biztosan visszavonja a(z) ${code} meghívó kódot? A vele már regisztrált felhasználók tagok maradnak.`,
+      )
+    ) {
+      return;
+    }
+    setIsWorking(true);
+    const success = await deleteInvitationCode(code);
+    setIsWorking(false);
+    if (success) {
+      loadCodes();
+    } else {
+      alert("Hiba történt a meghívó kód visszavonása közben.");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* New Code Form */}
+      <form
+        onSubmit={handleCreate}
+        className="flex flex-wrap items-end gap-3 bg-white border rounded p-3"
+      >
+        <label className="text-sm">
+          <span className="block text-gray-700 mb-1">Szerepkör</span>
+          <select
+            value={form.role}
+            onChange={(e) => updateForm("role", e.target.value)}
+            className="p-2 border rounded bg-white"
+            disabled={isWorking}
+          >
+            {ASSIGNABLE_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {ROLE_LABELS[role]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {form.role === ROLES.UNIT_LEADER && (
+          <label className="text-sm">
+            <span className="block text-gray-700 mb-1">Egység</span>
+            <select
+              value={form.unit}
+              onChange={(e) => updateForm("unit", e.target.value)}
+              className="p-2 border rounded bg-white"
+              disabled={isWorking}
+            >
+              <option value="">Válasszon...</option>
+              {units.map((unit) => (
+                <option key={unit} value={unit}>
+                  {unit}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="text-sm flex-grow">
+          <span className="block text-gray-700 mb-1">
+            E-mail cím (üresen bárki használhatja)
+          </span>
+          <input
+            type="email"
+            value={form.email}
+            onChange={(e) => updateForm("email", e.target.value)}
+            placeholder="uj.kollega@example.com"
+            className="w-full p-2 border rounded"
+            disabled={isWorking}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-700 mb-1">Felhasználások</span>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={form.maxUses}
+            onChange={(e) => updateForm("maxUses", e.target.value)}
+            className="w-24 p-2 border rounded"
+            disabled={isWorking}
+          />
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-700 mb-1">Érvényes (nap)</span>
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={form.validityDays}
+            onChange={(e) => updateForm("validityDays", e.target.value)}
+            className="w-24 p-2 border rounded"
+            disabled={isWorking}
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isWorking}
+          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center text-sm"
+        >
+          <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+          Kód létrehozása
+        </button>
+      </form>
+
+      {createdCode && (
+        <p
+          className="bg-green-50 border border-green-300 text-green-800 rounded p-3 text-sm"
+          role="status"
+        >
+          Az új meghívó kód:{" "}
+          <span className="font-mono font-semibold text-base select-all">
+            {createdCode}
+          </span>
+          . Adja át a regisztráló kollégának.
+        </p>
+      )}
+
+      {/* Code List */}
+      {codes === null ? (
+        <p className="flex items-center text-gray-500">
+          <Loader className="w-4 h-4 mr-2 animate-spin" aria-hidden="true" />
+          Betöltés...
+        </p>
+      ) : loadError ? (
+        <p className="flex items-center text-red-600" role="alert">
+          <AlertTriangle className="w-4 h-4 mr-2" aria-hidden="true" />
+          Hiba történt a meghívó kódok betöltése közben.
+        </p>
+      ) : codes.length === 0 ? (
+        <p className="text-sm text-gray-500">Még nincs meghívó kód.</p>
+      ) : (
+        <table className="w-full text-sm border bg-white">
+          <thead className="bg-gray-100">
+            <tr>
+              <th className="p-2 text-left">Kód</th>
+              <th className="p-2 text-left">Szerepkör</th>
+              <th className="p-2 text-left">E-mail cím</th>
+              <th className="p-2 text-left">Felhasználva</th>
+              <th className="p-2 text-left">Lejárat</th>
+              <th className="p-2 text-left">Állapot</th>
+              <th className="p-2 w-10"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map((code) => {
+              const badge = STATUS_BADGES[getInvitationCodeStatus(code)];
+              return (
+                <tr key={code.id} className="border-t">
+                  <td className="p-2 font-mono select-all">{code.id}</td>
+                  <td className="p-2">
+                    {ROLE_LABELS[code.role] || "-"}
+                    {code.unit ? ` (${code.unit})` : ""}
+                  </td>
+                  <td className="p-2">{code.email || "bárki"}</td>
+                  <td className="p-2">
+                    {code.useCount || 0} / {code.maxUses}
+                  </td>
+                  <td className="p-2">
+                    {toDateValue(code.expiresAt)?.toLocaleString("hu-HU") ??
+                      "-"}
+                  </td>
+                  <td className="p-2">
+                    <span
+                      className={`px-2 py-0.5 rounded text-xs ${badge.className}`}
+                    >
+                      {badge.label}
+                    </span>
+                  </td>
+                  <td className="p-2 text-center">
+                    <button
+                      onClick={() => handleDelete(code.id)}
+                      disabled={isWorking}
+                      className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+                      title="Meghívó kód visszavonása"
+                      aria-label={`${code.id} meghívó kód visszavonása`}
+                    >
+                      <Trash2 className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default InvitationCodesEditor;
@@ -7,6 +7,8 @@ import { getContrastingTextColor } from "../utils/helpers";
  * @typedef {object} LegendProps
  * @property {Array<object>} [shiftTypes=[]] - An array of shift type objects. Each object is expected to have at least 'code', 'name', and 'color' properties. Defaults to an empty array.
  * @property {object} [timeSlots={}] - An object mapping shift codes (string) to their time slot descriptions (string). Defaults to an empty object.
+ * @property {boolean} [canEdit=true] - Whether the user may manage the shift types (otherwise the manage button is hidden).
+ * @property {boolean} [canDelete=true] - Whether the user may delete shift types in the modal.
  * @property {function(Array<object>, object): void | boolean} onUpdateShiftTypes - Callback function invoked when shift types are saved via the modal. It receives the updated `newShiftTypes` array and `newTimeSlots` object. Return value can indicate success/failure to the caller if needed, but often void is sufficient if the function handles its own logic/errors.
  */
 
@@ -17,7 +19,13 @@ import { getContrastingTextColor } from "../utils/helpers";
  * @param {LegendProps} props - The component props.
  * @returns {JSX.Element} The rendered legend component.
  */
-const Legend = ({ shiftTypes = [], timeSlots = {}, onUpdateShiftTypes }) => {
+const Legend = ({
+  shiftTypes = [],
+  timeSlots = {},
+  canEdit = true,
+  canDelete = true,
+  onUpdateShiftTypes,
+}) => {
   // --- State ---
   /**
    * Controls the visibility of the ShiftTypesModal.
@@ -62,14 +70,16 @@ const Legend = ({ shiftTypes = [], timeSlots = {}, onUpdateShiftTypes }) => {
         <h3 className="text-lg font-medium print:text-base">
           Műszakok jelmagyarázata
         </h3>
-        <button
-          onClick={openModal}
-          className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 print:hidden"
-          aria-label="Műszaktípusok és időpontok szerkesztése"
-        >
-          <Settings className="w-4 h-4 mr-1" aria-hidden="true" />
-          Műszakok kezelése
-        </button>
+        {canEdit && (
+          <button
+            onClick={openModal}
+            className="flex items-center px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 print:hidden"
+            aria-label="Műszaktípusok és időpontok szerkesztése"
+          >
+            <Settings className="w-4 h-4 mr-1" aria-hidden="true" />
+            Műszakok kezelése
+          </button>
+        )}
       </div>
 
       {/* Legend Items Grid */}
@@ -113,6 +123,7 @@ const Legend = ({ shiftTypes = [], timeSlots = {}, onUpdateShiftTypes }) => {
           shiftTypes={shiftTypes}
           timeSlots={timeSlots}
           onSave={handleSaveShiftTypes}
+          canDelete={canDelete}
           onClose={closeModal}
         />
       )}
@@ -1,16 +1,12 @@
 import React, { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
-import { Lock, Mail, UserPlus, LogIn, Key } from "lucide-react";
-
-/**
- * @constant {string} VALID_INVITATION_CODE
- * Defines the required invitation code for user registration.
- */
-const VALID_INVITATION_CODE = import.meta.env.VITE_INVITATION_CODE;
+import { Lock, Mail, UserPlus, LogIn, Key, Send } from "lucide-react";
+import { normalizeInvitationCode } from "../utils/invitationCodes";
+import { getAuthErrorMessage } from "../utils/account";
 
 /**
  * Renders the Login and Registration page component.
- * Handles user input, authentication state (login/signup), error display,
+ * Handles user input, authentication state (login/signup/password reset), error display,
  * and interaction with the authentication context.
  *
  * @returns {JSX.Element} The rendered login/registration page.
@@ -20,12 +16,13 @@ const LoginPage = () => {
   // State Variables
   // ==========================================================================
 
-  const [activeTab, setActiveTab] = useState("login"); // Controls visibility of 'login' or 'register' form
+  const [activeTab, setActiveTab] = useState("login"); // Controls visibility of 'login', 'register' or 'reset' form
   const [email, setEmail] = useState(""); // Stores the user's email input
   const [password, setPassword] = useState(""); // Stores the user's password input
   const [confirmPassword, setConfirmPassword] = useState(""); // Stores the password confirmation input (for registration)
   const [invitationCode, setInvitationCode] = useState(""); // Stores the invitation code input (for registration)
   const [error, setError] = useState(""); // Stores any authentication or validation error messages
+  const [info, setInfo] = useState(""); // Stores the confirmation message of a sent password reset email
   const [loading, setLoading] = useState(false); // Indicates if an authentication request is in progress
 
   // ==========================================================================
@@ -33,22 +30,23 @@ const LoginPage = () => {
   // ==========================================================================
 
   /**
-   * Access authentication functions (login, signup) from the AuthContext.
+   * Access authentication functions (login, signup, resetPassword) from the AuthContext.
    */
-  const { login, signup } = useAuth();
+  const { login, signup, resetPassword } = useAuth();
 
   // ==========================================================================
   // Handler Functions
   // ==========================================================================
 
   /**
-   * Switches the active form tab between 'login' and 'register'.
-   * Clears any existing error messages when switching.
-   * @param {'login' | 'register'} tab - The tab to switch to.
+   * Switches the active form between 'login', 'register' and 'reset' (forgotten password).
+   * Clears any existing error and info messages when switching.
+   * @param {'login' | 'register' | 'reset'} tab - The tab to switch to.
    */
   const switchTab = (tab) => {
     setActiveTab(tab);
     setError(""); // Clear errors on tab switch for better UX
+    setInfo("");
   };
 
   /**
@@ -81,9 +79,10 @@ const LoginPage = () => {
 
   /**
    * Handles the registration form submission.
-   * Performs validation (password match, length, invitation code), prevents
+   * Performs validation (password match, length, a typed invitation code), prevents
    * multiple submissions, sets loading state, calls the signup function
-   * from AuthContext, and handles potential errors.
+   * from AuthContext, and handles potential errors. The invitation code itself is
+   * checked in Firestore when it is redeemed by the signup.
    * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
    */
   const handleSignup = async (e) => {
@@ -102,16 +101,17 @@ const LoginPage = () => {
       setError("A jelszónak legalább 6 karakter hosszúnak kell lennie.");
       return; // Stop submission if password is too short
     }
-    if (invitationCode.trim() !== VALID_INVITATION_CODE) {
-      setError("Érvénytelen meghívó kód!");
-      return; // Stop submission if invitation code is incorrect
+    const code = normalizeInvitationCode(invitationCode);
+    if (!code) {
+      setError("Adja meg a meghívó kódot!");
+      return; // Stop submission if no invitation code was typed
     }
     // --- End Validation ---
 
     setLoading(true); // Indicate processing started
 
     try {
-      await signup(email, password);
+      await signup(email, password, code);
       // On successful signup, the AuthProvider handles redirection or state update.
     } catch (err) {
       console.error("Signup failed:", err);
@@ -123,6 +123,38 @@ const LoginPage = () => {
     }
   };
 
+  /**
+   * Handles the forgotten password form submission.
+   * Sends a password reset email to the typed address. Firebase does not reveal whether the
+   * address is registered, so the same confirmation is shown for every valid address.
+   * @param {React.FormEvent<HTMLFormElement>} e - The form submission event.
+   */
+  const handleResetPassword = async (e) => {
+    e.preventDefault(); // Prevent default form submission behavior
+    if (loading) return; // Avoid concurrent requests
+
+    setError(""); // Clear previous messages
+    setInfo("");
+    if (!email.trim()) {
+      setError("Adja meg az e-mail címét!");
+      return; // Stop submission if no email was typed
+    }
+
+    setLoading(true); // Indicate processing started
+
+    try {
+      await resetPassword(email);
+      setInfo(
+        "Ha ezzel a címmel van fiók, elküldtük rá a jelszó visszaállításához szükséges linket.",
+      );
+    } catch (err) {
+      console.error("Password reset failed:", err);
+      setError(`Sikertelen küldés: ${getAuthErrorMessage(err)}`);
+    } finally {
+      setLoading(false); // Indicate processing finished
+    }
+  };
+
   // ==========================================================================
   // Helper Components / Rendering Functions
   // ==========================================================================
@@ -226,6 +258,16 @@ const LoginPage = () => {
           </div>
         )}
 
+        {/* Info Message Display Area */}
+        {info && (
+          <div
+            className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4 text-sm"
+            role="status"
+          >
+            {info}
+          </div>
+        )}
+
         {/* Conditional Rendering: Login Form */}
         {activeTab === "login" && (
           <form onSubmit={handleLogin} noValidate>
@@ -256,6 +298,46 @@ const LoginPage = () => {
               {loading ? "Bejelentkezés..." : "Bejelentkezés"}{" "}
               {/* Dynamic button text */}
             </button>
+            <button
+              type="button"
+              onClick={() => switchTab("reset")}
+              className="w-full mt-3 text-sm text-blue-600 hover:underline"
+            >
+              Elfelejtett jelszó?
+            </button>
+          </form>
+        )}
+
+        {/* Conditional Rendering: Forgotten Password Form */}
+        {activeTab === "reset" && (
+          <form onSubmit={handleResetPassword} noValidate>
+            <p className="text-sm text-gray-600 mb-4">
+              Adja meg a fiókja e-mail címét, és elküldjük a jelszó
+              visszaállításához szükséges linket.
+            </p>
+            {renderInputWithIcon(
+              Mail, // Icon component
+              "email", // Input ID and name
+              "email", // Input type
+              "Email cím", // Placeholder text
+              email, // Bound state value
+              (e) => setEmail(e.target.value), // State update handler
+            )}
+            <button
+              type="submit"
+              disabled={loading} // Disable button while loading
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 flex items-center justify-center transition-colors duration-200"
+            >
+              <Send className="w-4 h-4 mr-2" aria-hidden="true" />
+              {loading ? "Küldés..." : "Link küldése"}
+            </button>
+            <button
+              type="button"
+              onClick={() => switchTab("login")}
+              className="w-full mt-3 text-sm text-blue-600 hover:underline"
+            >
+              Vissza a bejelentkezéshez
+            </button>
           </form>
         )}
 
@@ -0,0 +1,265 @@
+import React, { useMemo } from "react";
+import { AlertCircle, AlertTriangle, Loader } from "lucide-react";
+import {
+  getDayName,
+  getContrastingTextColor,
+  toDateKey,
+  WEEKDAY_OPTIONS,
+} from "../utils/helpers";
+import { getCalendarDay } from "../utils/holidays";
+import { calculateStaffHours, formatHours } from "../utils/hours";
+
+/**
+ * @typedef {object} MonthScheduleTableProps
+ * @property {Array<Date>} monthDates - The working days of the displayed month.
+ * @property {object.<string, Array<import('../utils/staffRows').StaffRow>>} staffByUnit - The staff rows of the month grouped by unit
+ *                                     (built from the merged weekly schedules of the month, see `mergeWeeklyStaff`).
+ * @property {function(string): string} getShiftColor - Function to retrieve the background color for a given shift code.
+ * @property {boolean} isLoading - Flag indicating if the month's schedules are currently being loaded.
+ * @property {boolean} [loadFailed=false] - Flag indicating if the month's schedules could not be loaded (an error is shown instead of the rows).
+ * @property {object} globalSettings - Object containing global application settings (`units`, `shiftTypes`, `timeSlots`, `calendarOverrides`).
+ */
+
+/**
+ * Renders the read-only monthly overview of the schedule.
+ * Shows one row per staff member with a column for each working day of the month, grouped by unit
+ * and colour coded the same way as the weekly ScheduleTable. Holidays and transferred days are
+ * highlighted in the header, the first day of every week is separated by a thicker border,
+ * and the last column shows the worked hours of the month.
+ *
+ * @param {MonthScheduleTableProps} props - The component props.
+ * @returns {JSX.Element} The rendered month table.
+ */
+const MonthScheduleTable = ({
+  monthDates,
+  staffByUnit,
+  getShiftColor,
+  isLoading,
+  loadFailed = false,
+  globalSettings,
+}) => {
+  /**
+   * Total number of table columns (the name, the days and the hours total).
+   * @type {number}
+   */
+  const columnCount = 1 + monthDates.length + 1;
+
+  /**
+   * Date keys ('YYYY-MM-DD') of the displayed days.
+   * @type {string[]}
+   */
+  const dateKeys = useMemo(() => monthDates.map(toDateKey), [monthDates]);
+
+  /**
+   * The holiday calendar entry of each day of the month (null for ordinary days).
+   * @type {Array<import('../utils/holidays').CalendarDay | null>}
+   */
+  const calendarDays = useMemo(
+    () =>
+      monthDates.map((date) =>
+        getCalendarDay(date, globalSettings?.calendarOverrides),
+      ),
+    [monthDates, globalSettings?.calendarOverrides],
+  );
+
+  /**
+   * Returns whether a day starts a new week in the table (it gets a thicker left border).
+   *
+   * @param {number} index - Index of the day in `monthDates`.
+   * @returns {boolean} True if the previous displayed day belongs to an earlier week.
+   */
+  const startsWeek = (index) =>
+    index > 0 &&
+    (monthDates[index].getDay() + 6) % 7 <=
+      (monthDates[index - 1].getDay() + 6) % 7;
+
+  /**
+   * Renders a single table row for a staff member with the shift codes of the month.
+   *
+   * @param {import('../utils/staffRows').StaffRow} staff - The staff row.
+   * @returns {JSX.Element} The rendered table row.
+   */
+  const renderStaffRow = (staff) => {
+    const { total } = calculateStaffHours(
+      staff.shifts,
+      dateKeys,
+      globalSettings?.timeSlots || {},
+      globalSettings?.shiftTypes,
+    );
+
+    return (
+      <tr
+        key={staff.staffId}
+        className="bg-white hover:bg-gray-50 print:hover:bg-white"
+      >
+        <td
+          className="py-1 px-2 whitespace-nowrap font-medium text-sm align-middle sticky left-0 bg-inherit print:py-0.5 print:px-1"
+          title={staff.displayJobTitle || ""}
+        >
+          {staff.name || "N/A"}
+        </td>
+        {monthDates.map((date, index) => {
+          const dateKey = dateKeys[index];
+          const shiftCode = staff.shifts?.[dateKey] || "";
+          const shiftTypeInfo = globalSettings?.shiftTypes?.find(
+            (st) => st.code === shiftCode,
+          );
+          const bgColor = getShiftColor(shiftCode);
+          return (
+            <td
+              key={`${staff.staffId}-${dateKey}`}
+              className={`py-1 px-0.5 text-center text-xs font-medium whitespace-nowrap align-middle print:py-0.5 ${startsWeek(index) ? "border-l-2 border-gray-300" : "border-l border-gray-100"}`}
+              style={{
+                backgroundColor: bgColor,
+                color: getContrastingTextColor(bgColor),
+              }}
+              title={`${getDayName(date)}, ${dateKey}: ${shiftTypeInfo?.name || shiftCode || "Nincs műszak"}`}
+            >
+              {shiftCode || <span className="text-gray-300">-</span>}
+            </td>
+          );
+        })}
+        <td className="py-1 px-1 text-center whitespace-nowrap text-sm font-medium border-l border-gray-200 align-middle print:py-0.5">
+          {formatHours(total)}
+        </td>
+      </tr>
+    );
+  };
+
+  /**
+   * Renders the header row of a unit followed by the rows of its staff members.
+   *
+   * @param {string} unitKey - The unit name (or empty string for unassigned staff).
+   * @param {Array<import('../utils/staffRows').StaffRow>} staffList - The staff rows of the unit.
+   * @returns {React.Fragment} A fragment containing the unit header and staff rows.
+   */
+  const renderUnitSection = (unitKey, staffList = []) => {
+    const isUnitKeyOrphaned =
+      unitKey !== "" && !globalSettings?.units?.includes(unitKey);
+    const displayUnitName = isUnitKeyOrphaned
+      ? `${unitKey} (törölt)`
+      : unitKey || "Nincs egységhez rendelve";
+
+    return (
+      <React.Fragment key={unitKey || "no-unit"}>
+        <tr
+          className={`print:bg-blue-100 border-b border-gray-200 ${isUnitKeyOrphaned ? "bg-red-50" : "bg-blue-50"}`}
+        >
+          <th
+            scope="col"
+            colSpan={columnCount}
+            className={`py-1 px-4 text-left font-semibold text-sm print:px-2 ${isUnitKeyOrphaned ? "text-red-800" : "text-blue-800"}`}
+          >
+            {displayUnitName}
+          </th>
+        </tr>
+        {staffList.map(renderStaffRow)}
+      </React.Fragment>
+    );
+  };
+
+  let tableBodyContent;
+  if (isLoading) {
+    tableBodyContent = (
+      <tr role="status">
+        <td colSpan={columnCount} className="py-10 text-center align-middle">
+          <div className="flex flex-col items-center justify-center text-gray-500">
+            <Loader
+              className="w-8 h-8 mb-2 animate-spin text-blue-600"
+              aria-hidden="true"
+            />
+            <p>Havi beosztás betöltése...</p>
+          </div>
+        </td>
+      </tr>
+    );
+  } else if (loadFailed) {
+    tableBodyContent = (
+      <tr role="alert">
+        <td
+          colSpan={columnCount}
+          className="py-8 text-center text-red-700 print:py-4 align-middle"
+        >
+          <div className="flex flex-col items-center justify-center">
+            <AlertTriangle
+              className="w-8 h-8 mb-2 print:w-6 print:h-6"
+              aria-hidden="true"
+            />
+            <p>Nem sikerült betölteni a hónap heti beosztásait.</p>
+          </div>
+        </td>
+      </tr>
+    );
+  } else if (Object.keys(staffByUnit).length === 0) {
+    tableBodyContent = (
+      <tr role="status">
+        <td
+          colSpan={columnCount}
+          className="py-8 text-center text-gray-500 print:py-4 align-middle"
+        >
+          <div className="flex flex-col items-center justify-center">
+            <AlertCircle
+              className="w-8 h-8 mb-2 print:w-6 print:h-6"
+              aria-hidden="true"
+            />
+            <p>Nincs aktív dolgozó a rendszerben.</p>
+          </div>
+        </td>
+      </tr>
+    );
+  } else {
+    tableBodyContent = Object.entries(staffByUnit).map(([unitKey, staffList]) =>
+      renderUnitSection(unitKey, staffList),
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto mb-6 print:shadow-none print:mb-2">
+      <table className="min-w-full divide-y divide-gray-200 print:text-xs border-collapse">
+        <thead className="sticky top-0 z-10 bg-gray-100 print:bg-gray-100">
+          <tr>
+            <th
+              scope="col"
+              className="py-2 px-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider sticky left-0 bg-gray-100 print:py-1 print:px-1"
+            >
+              Név
+            </th>
+            {monthDates.map((date, index) => {
+              const calendarDay = calendarDays[index];
+              const isDayOff =
+                calendarDay?.type === "holiday" ||
+                calendarDay?.type === "restDay";
+              const isWorkday = calendarDay?.type === "workday";
+              const shortName = WEEKDAY_OPTIONS.find(
+                (option) => option.value === date.getDay(),
+              )?.shortLabel;
+              return (
+                <th
+                  key={dateKeys[index]}
+                  scope="col"
+                  className={`py-1 px-0.5 text-center text-xs font-semibold min-w-[32px] print:py-0.5 ${startsWeek(index) ? "border-l-2 border-gray-300" : ""} ${isDayOff ? "bg-red-100 text-red-800" : isWorkday ? "bg-amber-100 text-amber-800" : "text-gray-600"}`}
+                  title={calendarDay?.name || getDayName(date)}
+                >
+                  <div>{date.getDate()}</div>
+                  <div className="text-[10px] font-normal">{shortName}</div>
+                </th>
+              );
+            })}
+            <th
+              scope="col"
+              className="py-2 px-1 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider border-l border-gray-200 print:py-1"
+              title="A hónapban ledolgozott órák a műszakok idősávjai alapján"
+            >
+              Óra
+            </th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {tableBodyContent}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MonthScheduleTable;
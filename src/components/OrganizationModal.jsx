@@ -0,0 +1,480 @@
+import React, { useState } from "react";
+import { X, Building2, UserPlus, UserMinus, Mail, Loader } from "lucide-react";
+import { useAuth } from "../contexts/AuthContext";
+import { useOrganization } from "../contexts/OrganizationContext";
+import {
+  getOrganizationMembers,
+  validateInvitationEmail,
+} from "../utils/organization";
+import {
+  ASSIGNABLE_ROLES,
+  ROLES,
+  ROLE_LABELS,
+  getMemberRole,
+} from "../utils/permissions";
+
+/**
+ * @typedef {object} OrganizationModalProps
+ * @property {string[]} [units=[]] - The units a unit leader can be assigned to.
+ * @property {function(): void} [onClose] - Closes the modal. Without it the modal cannot be closed
+ * (used when the user has no active organisation).
+ */
+
+/**
+ * A modal for the shared workspace: the members with their roles and the invitations of the
+ * active organisation (managed by its owner), the pending invitations of the user, switching between organisations
+ * and creating a new one.
+ *
+ * @param {OrganizationModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered organisation modal.
+ */
+const OrganizationModal = ({ units = [], onClose }) => {
+  const { currentUser } = useAuth();
+  const {
+    organization,
+    organizations,
+    invitations,
+    organizationError,
+    switchOrganization,
+    joinOrganization,
+    createOrganization,
+    renameOrganization,
+    inviteMember,
+    cancelInvitation,
+    removeMember,
+    setMemberRole,
+  } = useOrganization();
+
+  /**
+   * @state {boolean} isWorking - True while an operation is being saved.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @state {string} name - The edited name of the active organisation.
+   */
+  const [name, setName] = useState(organization?.name || "");
+
+  /**
+   * @state {string} inviteEmail - The email address to invite.
+   */
+  const [inviteEmail, setInviteEmail] = useState("");
+
+  /**
+   * @state {string} newOrganizationName - The name of the organisation to create.
+   */
+  const [newOrganizationName, setNewOrganizationName] = useState("");
+
+  const isOwner = !!organization && organization.ownerId === currentUser?.uid;
+  const members = getOrganizationMembers(organization);
+
+  /**
+   * @function runAction
+   * Runs an operation of the organisation context while the controls are disabled.
+   * @param {function(): Promise<boolean>} action - The operation.
+   * @returns {Promise<boolean>} The result of the operation.
+   */
+  const runAction = async (action) => {
+    setIsWorking(true);
+    const success = await action();
+    setIsWorking(false);
+    return success;
+  };
+
+  /**
+   * @function handleRename
+   * Saves the name of the active organisation.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleRename = (e) => {
+    e.preventDefault();
+    runAction(() => renameOrganization(name));
+  };
+
+  /**
+   * @function handleInvite
+   * Validates and saves an invitation.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const error = validateInvitationEmail(organization, inviteEmail);
+    if (error) return alert(error);
+    if (await runAction(() => inviteMember(inviteEmail))) setInviteEmail("");
+  };
+
+  /**
+   * @function handleRemoveMember
+   * Removes a member after confirmation.
+   * @param {{uid: string, email: string}} member - The member.
+   */
+  const handleRemoveMember = (member) => {
+    if (
+      window.confirm(
+        `Biztosan eltávolítja a(z) ${member.email || member.uid} felhasználót a szervezetből?`,
+      )
+    ) {
+      runAction(() => removeMember(member.uid));
+    }
+  };
+
+  /**
+   * @function handleRoleChange
+   * Saves the role of a member. A new unit leader gets the first unit until another one is chosen.
+   * @param {string} uid - The user ID of the member.
+   * @param {import('../utils/permissions').MemberRole} role - The new role.
+   * @param {string} [unit] - The unit of a unit leader.
+   */
+  const handleRoleChange = (uid, role, unit) => {
+    runAction(() =>
+      setMemberRole(
+        uid,
+        role,
+        role === ROLES.UNIT_LEADER ? (unit ?? units[0] ?? "") : "",
+      ),
+    );
+  };
+
+  /**
+   * @function handleCreate
+   * Creates a new organisation and switches to it.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newOrganizationName.trim())
+      return alert("Adjon nevet a szervezetnek!");
+    if (await runAction(() => createOrganization(newOrganizationName))) {
+      setNewOrganizationName("");
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="organization-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2
+            id="organization-modal-title"
+            className="text-xl font-semibold flex items-center"
+          >
+            <Building2 className="w-5 h-5 mr-2" aria-hidden="true" />
+            Szervezet
+          </h2>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+              aria-label="Bezárás"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-6 space-y-6 overflow-y-auto">
+          {organizationError && (
+            <p
+              className="text-sm bg-red-100 border border-red-300 text-red-700 p-2 rounded"
+              role="alert"
+            >
+              {organizationError}
+            </p>
+          )}
+
+          {/* Active Organisation */}
+          {organization ? (
+            <section className="space-y-3">
+              {isOwner ? (
+                <form onSubmit={handleRename} className="flex space-x-2">
+                  <label htmlFor="organization-name" className="sr-only">
+                    A szervezet neve
+                  </label>
+                  <input
+                    id="organization-name"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="flex-grow p-2 border rounded"
+                    disabled={isWorking}
+                  />
+                  <button
+                    type="submit"
+                    disabled={isWorking || name === organization.name}
+                    className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Átnevezés
+                  </button>
+                </form>
+              ) : (
+                <p className="font-medium">{organization.name}</p>
+              )}
+              <p className="text-sm text-gray-600">
+                A szervezet tagjai ugyanazokat a beállításokat és heti
+                beosztásokat látják. A szerkesztők a beosztást és a
+                beállításokat módosíthatják (dolgozót és műszaktípust csak a
+                tulajdonos törölhet), az egységvezetők csak a saját egységük
+                sorait, a megtekintők semmit. Az új tagok megtekintőként
+                csatlakoznak.
+              </p>
+
+              {/* Members */}
+              <h3 className="font-semibold">Tagok</h3>
+              <ul className="divide-y border rounded">
+                {members.map((member) => {
+                  const role = getMemberRole(organization, member.uid);
+                  const unit = organization.members?.[member.uid]?.unit || "";
+                  return (
+                    <li
+                      key={member.uid}
+                      className="flex items-center justify-between px-3 py-2 text-sm"
+                    >
+                      <span className="truncate mr-2">
+                        {member.email || member.uid}
+                      </span>
+                      {isOwner && !member.isOwner ? (
+                        <span className="flex items-center space-x-2 flex-shrink-0">
+                          <select
+                            value={role}
+                            onChange={(e) =>
+                              handleRoleChange(member.uid, e.target.value)
+                            }
+                            disabled={isWorking}
+                            className="p-1 border rounded"
+                            aria-label={`${member.email} szerepköre`}
+                          >
+                            {ASSIGNABLE_ROLES.map((option) => (
+                              <option key={option} value={option}>
+                                {ROLE_LABELS[option]}
+                              </option>
+                            ))}
+                          </select>
+                          {role === ROLES.UNIT_LEADER && (
+                            <select
+                              value={unit}
+                              onChange={(e) =>
+                                handleRoleChange(
+                                  member.uid,
+                                  role,
+                                  e.target.value,
+                                )
+                              }
+                              disabled={isWorking}
+                              className="p-1 border rounded"
+                              aria-label={`${member.email} egysége`}
+                            >
+                              {!units.includes(unit) && (
+                                <option value={unit}>{unit || "-"}</option>
+                              )}
+                              {units.map((option) => (
+                                <option key={option} value={option}>
+                                  {option}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <button
+                            onClick={() => handleRemoveMember(member)}
+                            disabled={isWorking}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            title="Eltávolítás"
+                            aria-label={`${member.email} eltávolítása`}
+                          >
+                            <UserMinus className="w-4 h-4" aria-hidden="true" />
+                          </button>
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-500 flex-shrink-0">
+                          {ROLE_LABELS[role]}
+                          {unit && ` (${unit})`}
+                        </span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+
+              {/* Invitations of the Organisation */}
+              {isOwner && (
+                <>
+                  <h3 className="font-semibold">Meghívott e-mail címek</h3>
+                  {organization.invitedEmails?.length > 0 && (
+                    <ul className="divide-y border rounded">
+                      {organization.invitedEmails.map((email) => (
+                        <li
+                          key={email}
+                          className="flex items-center justify-between px-3 py-2 text-sm"
+                        >
+                          <span className="flex items-center">
+                            <Mail
+                              className="w-4 h-4 mr-2 text-gray-400"
+                              aria-hidden="true"
+                            />
+                            {email}
+                          </span>
+                          <button
+                            onClick={() =>
+                              runAction(() => cancelInvitation(email))
+                            }
+                            disabled={isWorking}
+                            className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                            title="Meghívó visszavonása"
+                            aria-label={`${email} meghívójának visszavonása`}
+                          >
+                            <X className="w-4 h-4" aria-hidden="true" />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <form onSubmit={handleInvite} className="flex space-x-2">
+                    <label htmlFor="organization-invite" className="sr-only">
+                      Meghívandó e-mail cím
+                    </label>
+                    <input
+                      id="organization-invite"
+                      type="email"
+                      value={inviteEmail}
+                      onChange={(e) => setInviteEmail(e.target.value)}
+                      placeholder="pl. helyettes@bolcsode.hu"
+                      className="flex-grow p-2 border rounded"
+                      disabled={isWorking}
+                    />
+                    <button
+                      type="submit"
+                      disabled={isWorking || !inviteEmail.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+                    >
+                      <UserPlus className="w-4 h-4 mr-2" aria-hidden="true" />
+                      Meghívás
+                    </button>
+                  </form>
+                  <p className="text-xs text-gray-500">
+                    A meghívott felhasználó ezzel az e-mail címmel bejelentkezve
+                    csatlakozhat a szervezethez. Új felhasználók
+                    regisztrációjához meghívó kódot a Beállítások / Meghívók
+                    lapon hozhat létre.
+                  </p>
+                </>
+              )}
+            </section>
+          ) : (
+            <p className="text-sm text-gray-600">
+              Jelenleg nincs aktív szervezete. Fogadjon el egy meghívást, vagy
+              hozzon létre új szervezetet.
+            </p>
+          )}
+
+          {/* Pending Invitations of the User */}
+          {invitations.length > 0 && (
+            <section className="space-y-2 border-t pt-4">
+              <h3 className="font-semibold">Meghívások</h3>
+              <ul className="divide-y border rounded">
+                {invitations.map((invitation) => (
+                  <li
+                    key={invitation.id}
+                    className="flex items-center justify-between px-3 py-2 text-sm"
+                  >
+                    <span>{invitation.name}</span>
+                    <button
+                      onClick={() =>
+                        runAction(() => joinOrganization(invitation.id))
+                      }
+                      disabled={isWorking}
+                      className="px-3 py-1 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Csatlakozás
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* Memberships */}
+          {organizations.length > 1 && (
+            <section className="space-y-2 border-t pt-4">
+              <h3 className="font-semibold">Szervezeteim</h3>
+              <ul className="divide-y border rounded">
+                {organizations.map((org) => (
+                  <li
+                    key={org.id}
+                    className="flex items-center justify-between px-3 py-2 text-sm"
+                  >
+                    <span>{org.name}</span>
+                    {org.id === organization?.id ? (
+                      <span className="text-xs text-gray-500">aktív</span>
+                    ) : (
+                      <button
+                        onClick={() =>
+                          runAction(() => switchOrganization(org.id))
+                        }
+                        disabled={isWorking}
+                        className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                      >
+                        Váltás
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {/* New Organisation */}
+          <section className="space-y-2 border-t pt-4">
+            <h3 className="font-semibold">Új szervezet</h3>
+            <form onSubmit={handleCreate} className="flex space-x-2">
+              <label htmlFor="organization-new-name" className="sr-only">
+                Az új szervezet neve
+              </label>
+              <input
+                id="organization-new-name"
+                type="text"
+                value={newOrganizationName}
+                onChange={(e) => setNewOrganizationName(e.target.value)}
+                placeholder="pl. Napsugár Bölcsőde"
+                className="flex-grow p-2 border rounded"
+                disabled={isWorking}
+              />
+              <button
+                type="submit"
+                disabled={isWorking}
+                className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+              >
+                Létrehozás
+              </button>
+            </form>
+          </section>
+        </div>
+
+        {/* Modal Footer */}
+        {onClose && (
+          <div className="p-4 border-t flex justify-end">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 flex items-center"
+              disabled={isWorking}
+            >
+              {isWorking && (
+                <Loader
+                  className="w-4 h-4 mr-2 animate-spin"
+                  aria-hidden="true"
+                />
+              )}
+              Bezárás
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationModal;
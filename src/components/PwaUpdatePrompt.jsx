@@ -0,0 +1,96 @@
+import React from "react";
+import { useRegisterSW } from "virtual:pwa-register/react";
+import { RefreshCw, WifiOff, X } from "lucide-react";
+
+/**
+ * @constant {number} UPDATE_CHECK_INTERVAL
+ * How often an open app checks for a new version (milliseconds). The tablet in the staff room
+ * keeps the app open for days.
+ */
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Registers the service worker and shows a notice in the corner: once the app shell is cached
+ * ("works offline"), and when a new version was downloaded. The new version is only activated
+ * (reloading the page) when the user asks for it, so that an edit in progress is not interrupted.
+ *
+ * @returns {JSX.Element | null} The rendered notice, or null if there is nothing to show.
+ */
+const PwaUpdatePrompt = () => {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (registration) {
+        setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL);
+      }
+    },
+    onRegisterError(error) {
+      console.error("Service worker registration failed:", error);
+    },
+  });
+
+  if (!needRefresh && !offlineReady) return null;
+
+  /**
+   * @function handleClose
+   * Hides the notice (a pending update is activated on the next start).
+   */
+  const handleClose = () => {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  };
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 z-50 bg-white border border-gray-300 rounded-lg shadow-lg p-4 max-w-sm print:hidden"
+      role="status"
+    >
+      <div className="flex items-start">
+        {needRefresh ? (
+          <RefreshCw
+            className="w-5 h-5 mr-2 text-blue-600 flex-shrink-0"
+            aria-hidden="true"
+          />
+        ) : (
+          <WifiOff
+            className="w-5 h-5 mr-2 text-green-600 flex-shrink-0"
+            aria-hidden="true"
+          />
+        )}
+        <p className="text-sm flex-grow">
+          {needRefresh
+            ? "Az alkalmazás új verziója érhető el."
+            : "Az alkalmazás mostantól internetkapcsolat nélkül is megnyitható."}
+        </p>
+        <button
+          onClick={handleClose}
+          className="ml-2 text-gray-500 hover:text-gray-700"
+          aria-label="Értesítés bezárása"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {needRefresh && (
+        <div className="mt-3 flex justify-end space-x-2">
+          <button
+            onClick={handleClose}
+            className="px-3 py-1 text-sm bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Később
+          </button>
+          <button
+            onClick={() => updateServiceWorker(true)}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Frissítés
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PwaUpdatePrompt;
@@ -0,0 +1,173 @@
+import React from "react";
+import {
+  getContrastingTextColor,
+  getDayName,
+  formatDate,
+} from "../utils/helpers";
+
+/**
+ * @typedef {object} ScheduleDiffTableProps
+ * @property {import('../utils/scheduleDiff').ScheduleDiff} diff - The comparison of the two schedules.
+ * @property {Array<Date>} weekDates - The compared days.
+ * @property {function(string): string} getShiftColor - Returns the background color for a shift code.
+ * @property {boolean} [changedOnly=false] - If true, only the rows with differences are shown.
+ */
+
+/**
+ * Renders the cell-by-cell comparison of two versions of a week in the layout of the ScheduleTable:
+ * unit sections, the weekly unit/group/job title and a column per day. Changed cells are outlined
+ * and show the old value struck through above the new one.
+ *
+ * @param {ScheduleDiffTableProps} props - Component props.
+ * @returns {JSX.Element} The rendered comparison table.
+ */
+const ScheduleDiffTable = ({
+  diff,
+  weekDates,
+  getShiftColor,
+  changedOnly = false,
+}) => {
+  const columnCount = 5 + weekDates.length;
+
+  /**
+   * Renders a category or name cell, with the old value if it changed.
+   *
+   * @param {string} value - The value in the newer version.
+   * @param {string} oldValue - The value in the older version.
+   * @param {boolean} isChanged - Whether the value changed.
+   * @param {string} [className=""] - Extra classes of the cell.
+   * @returns {JSX.Element} The rendered cell.
+   */
+  const renderTextCell = (value, oldValue, isChanged, className = "") => (
+    <td
+      className={`py-1 px-2 text-sm whitespace-nowrap ${isChanged ? "bg-amber-50 outline outline-2 outline-amber-400 -outline-offset-2" : ""} ${className}`}
+    >
+      {isChanged && (
+        <span className="block text-xs text-gray-400 line-through">
+          {oldValue || "-"}
+        </span>
+      )}
+      {value}
+    </td>
+  );
+
+  /**
+   * Renders a day cell of the comparison.
+   *
+   * @param {import('../utils/scheduleDiff').DiffCell} cell - The compared day.
+   * @returns {JSX.Element} The rendered cell.
+   */
+  const renderDayCell = (cell) => {
+    const backgroundColor = cell.newCode
+      ? getShiftColor(cell.newCode)
+      : "#ffffff";
+    return (
+      <td
+        key={cell.dateKey}
+        className={`py-1 px-1 text-center text-sm font-medium ${cell.isChanged ? "outline outline-2 outline-amber-500 -outline-offset-2" : ""}`}
+        style={{
+          backgroundColor,
+          color: getContrastingTextColor(backgroundColor),
+        }}
+      >
+        {cell.isChanged && (
+          <span className="block text-xs font-normal line-through opacity-70">
+            {cell.oldCode || "-"}
+          </span>
+        )}
+        {cell.newCode || <span className="text-gray-300">-</span>}
+      </td>
+    );
+  };
+
+  const units = diff.units
+    .map((unit) => ({
+      ...unit,
+      rows: changedOnly ? unit.rows.filter((row) => row.isChanged) : unit.rows,
+    }))
+    .filter((unit) => unit.rows.length > 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 border-collapse">
+        <thead className="bg-gray-100">
+          <tr>
+            {["Azon.", "Egység", "Csoport", "Munkakör", "Név"].map((label) => (
+              <th
+                key={label}
+                className="py-2 px-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider"
+              >
+                {label}
+              </th>
+            ))}
+            {weekDates.map((date) => (
+              <th
+                key={date.toISOString()}
+                className="py-2 px-1 text-center text-xs font-semibold text-gray-600 min-w-[56px]"
+              >
+                <div>{getDayName(date)}</div>
+                <div className="font-normal">{formatDate(date)}</div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {units.length === 0 ? (
+            <tr>
+              <td
+                colSpan={columnCount}
+                className="py-6 text-center text-gray-500"
+              >
+                Nincs eltérés a két változat között.
+              </td>
+            </tr>
+          ) : (
+            units.map((unit) => (
+              <React.Fragment key={unit.unit || "__unassigned__"}>
+                <tr className="bg-blue-50 border-b border-gray-200">
+                  <td
+                    colSpan={columnCount}
+                    className="py-1 px-4 text-left font-semibold text-sm text-blue-800"
+                  >
+                    {unit.unit || "Nincs egység"}
+                  </td>
+                </tr>
+                {unit.rows.map((row) => (
+                  <tr key={row.staffId}>
+                    <td className="py-1 px-2 text-sm text-gray-500 whitespace-nowrap">
+                      {row.employeeNumber}
+                    </td>
+                    {renderTextCell(
+                      row.displayUnit,
+                      row.previous.displayUnit,
+                      row.changedFields.includes("unit"),
+                    )}
+                    {renderTextCell(
+                      row.displayGroup,
+                      row.previous.displayGroup,
+                      row.changedFields.includes("group"),
+                    )}
+                    {renderTextCell(
+                      row.displayJobTitle,
+                      row.previous.displayJobTitle,
+                      row.changedFields.includes("jobTitle"),
+                    )}
+                    {renderTextCell(
+                      row.name,
+                      row.previous.name,
+                      row.changedFields.includes("name"),
+                      "font-medium",
+                    )}
+                    {row.cells.map(renderDayCell)}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScheduleDiffTable;
@@ -1,10 +1,18 @@
-import React from "react";
+import React, { useMemo } from "react";
 import { AlertCircle, Edit, Loader, UserX } from "lucide-react";
 import {
   formatDate,
   getDayName,
   getContrastingTextColor,
+  toDateKey,
 } from "../utils/helpers";
+import { evaluateCoverage, describeRule } from "../utils/coverage";
+import { getCalendarDay } from "../utils/holidays";
+import {
+  calculateStaffHours,
+  compareWithContract,
+  formatHours,
+} from "../utils/hours";
 
 /**
  * @typedef {object} ScheduleTableStaffMember - Represents a staff member's data within the ScheduleTable context.
@@ -18,6 +26,7 @@ import {
  * @property {boolean} isOrphanedJobTitle - Flag indicating if the assigned job title is no longer in global settings.
  * @property {string} name - The staff member's name.
  * @property {object.<string, string>} [shifts] - An object mapping date strings ('YYYY-MM-DD') to shift codes for the week.
+ * @property {number | null} [contractedWeeklyHours] - Contracted weekly hours from the global staff list (null if not set).
  */
 
 /**
@@ -33,12 +42,15 @@ import {
  *                                     and values are arrays of staff objects belonging to that unit for the week.
  *                                     Staff objects include details, shifts, and potentially 'orphaned' flags.
  * @property {function(ScheduleTableStaffMember): void} handleEditStaff - Callback function triggered when the edit button for a staff member is clicked. Receives the staff object.
+ * @property {function(ScheduleTableStaffMember): void} [handleShowTimeline] - Callback function triggered when the name of a staff member is clicked. Opens the staff member's timeline over several weeks.
  * @property {function(string): void} handleDeleteStaff - Callback function triggered when the delete button for a staff member is clicked. Receives the staff ID.
+ * @property {function(ScheduleTableStaffMember): boolean} [canEditStaff] - Returns whether the user may edit a staff row (see `canEditStaffRow`); the action buttons of the other rows are hidden. Every row is editable by default.
  * @property {function(string): string} getShiftColor - Function to retrieve the background color for a given shift code. Receives the shift code string.
  * @property {object} [timeSlots={}] - An object mapping shift codes to their corresponding time slot strings (e.g., "07:00-15:00").
  * @property {boolean} isLoading - Flag indicating if the schedule data is currently being loaded.
  * @property {boolean} scheduleExists - Flag indicating if staff data exists for the table (set to false if loading fails or no staff are found).
- * @property {object} globalSettings - Object containing global application settings, including `units`, `groups`, `jobTitles`, and `shiftTypes`. Used for lookups and checking orphaned data.
+ * @property {object} globalSettings - Object containing global application settings, including `units`, `groups`, `jobTitles`, `shiftTypes` and `coverageRules`. Used for lookups, checking orphaned data and the coverage row.
+ * @property {Set<string>} [conflictCells] - The unresolved sync conflicts of the week as 'staffId|key' (a date key, a row field or 'row'), outlined in orange.
  */
 
 /**
@@ -47,6 +59,10 @@ import {
  * Handles loading states, empty states, and displays shifts with appropriate colors.
  * Provides actions to edit or remove staff from the weekly schedule.
  * Highlights data (unit, group, job title) if the corresponding global setting has been deleted ("orphaned").
+ * If coverage rules are defined, a footer row shows the understaffed days and the cells belonging
+ * to a violated rule are outlined in red. Values with an unresolved sync conflict are outlined in orange.
+ * The last printed column shows the weekly worked hours (calculated from the time slots),
+ * highlighted when they exceed or fall short of the staff member's contracted weekly hours.
  *
  * @param {ScheduleTableProps} props - The component props.
  * @returns {JSX.Element} The rendered schedule table component.
@@ -55,15 +71,123 @@ const ScheduleTable = ({
   weekDates,
   staffByUnit,
   handleEditStaff,
+  handleShowTimeline,
   handleDeleteStaff,
+  canEditStaff = () => true,
   getShiftColor,
   timeSlots = {},
   isLoading,
   scheduleExists,
   globalSettings,
+  conflictCells = new Set(),
 }) => {
+  /**
+   * Total number of table columns (5 info columns, the days, the hours total and the actions).
+   * @type {number}
+   */
+  const columnCount = 5 + weekDates.length + 2;
+
+  /**
+   * Date keys ('YYYY-MM-DD') of the displayed days.
+   * @type {string[]}
+   */
+  const dateKeys = useMemo(() => weekDates.map(toDateKey), [weekDates]);
+
+  /**
+   * The holiday calendar entry of each day of the week (null for ordinary days).
+   * @type {Array<import('../utils/holidays').CalendarDay | null>}
+   */
+  const calendarDays = useMemo(
+    () =>
+      weekDates.map((date) =>
+        getCalendarDay(date, globalSettings?.calendarOverrides),
+      ),
+    [weekDates, globalSettings?.calendarOverrides],
+  );
+
+  // --- Coverage Evaluation ---
+
+  /**
+   * Result of checking the week against the coverage rules from the global settings.
+   * @type {import('../utils/coverage').CoverageReport}
+   */
+  const coverage = useMemo(
+    () =>
+      evaluateCoverage({
+        staffRows: Object.values(staffByUnit || {}).flat(),
+        // Nobody has to work on holidays and transferred rest days
+        weekDates: weekDates.filter(
+          (_, index) =>
+            calendarDays[index]?.type !== "holiday" &&
+            calendarDays[index]?.type !== "restDay",
+        ),
+        rules: globalSettings?.coverageRules,
+        shiftTypes: globalSettings?.shiftTypes,
+      }),
+    [
+      staffByUnit,
+      weekDates,
+      calendarDays,
+      globalSettings?.coverageRules,
+      globalSettings?.shiftTypes,
+    ],
+  );
+
+  /**
+   * Whether the coverage footer row should be displayed.
+   * @type {boolean}
+   */
+  const hasCoverageRules =
+    !isLoading && scheduleExists && globalSettings?.coverageRules?.length > 0;
+
   // --- Rendering Functions ---
 
+  /**
+   * Renders the weekly hours total cell of a staff member.
+   * The daily breakdown is shown in the tooltip; the cell is highlighted in red for over-hours
+   * and in amber for under-hours compared to the contracted weekly hours.
+   *
+   * @param {ScheduleTableStaffMember} staff - The staff member.
+   * @returns {JSX.Element} The rendered table cell.
+   */
+  const renderHoursCell = (staff) => {
+    const { daily, total } = calculateStaffHours(
+      staff.shifts,
+      dateKeys,
+      timeSlots,
+      globalSettings?.shiftTypes,
+    );
+    const status = compareWithContract(total, staff.contractedWeeklyHours);
+    const statusStyles = {
+      over: "bg-red-100 text-red-800",
+      under: "bg-amber-100 text-amber-800",
+      ok: "text-green-800",
+    };
+    const breakdown = weekDates
+      .map(
+        (date) => `${getDayName(date)}: ${formatHours(daily[toDateKey(date)])}`,
+      )
+      .join("\n");
+    const contractText =
+      status !== null
+        ? `\nSzerződés szerint: ${formatHours(staff.contractedWeeklyHours)}`
+        : "";
+
+    return (
+      <td
+        className={`py-1 px-1 text-center whitespace-nowrap print:py-0.5 print:px-0.5 border-l border-gray-200 align-middle text-sm font-medium ${status ? statusStyles[status] : ""}`}
+        title={`${breakdown}${contractText}`}
+      >
+        {formatHours(total)}
+        {status !== null && (
+          <div className="text-[10px] font-normal leading-tight">
+            / {formatHours(staff.contractedWeeklyHours)}
+          </div>
+        )}
+      </td>
+    );
+  };
+
   /**
    * Renders a single table row (`<tr>`) for a staff member.
    * Displays staff details, shifts for the week, and action buttons.
@@ -77,6 +201,10 @@ const ScheduleTable = ({
   const renderStaffRow = (staff) => {
     const rowKey = staff.staffId;
     const orphanStyle = "text-red-600 italic"; // Style for orphaned data
+    const conflictStyle = "ring-2 ring-inset ring-orange-500 print:ring-0";
+    const hasRowConflict = ["row", "name", "unit", "group", "jobTitle"].some(
+      (key) => conflictCells.has(`${staff.staffId}|${key}`),
+    );
 
     return (
       <tr
@@ -130,8 +258,25 @@ const ScheduleTable = ({
           {staff.displayJobTitle || "-"}
         </td>
         {/* Name Column */}
-        <td className="py-2 px-2 whitespace-nowrap font-medium print:py-1 print:px-1 text-sm align-middle">
-          {staff.name || "N/A"}
+        <td
+          className={`py-2 px-2 whitespace-nowrap font-medium print:py-1 print:px-1 text-sm align-middle ${hasRowConflict ? conflictStyle : ""}`}
+          title={
+            hasRowConflict
+              ? "Szinkronizálási ütközés: a dolgozó heti adatait más is módosította"
+              : undefined
+          }
+        >
+          {handleShowTimeline ? (
+            <button
+              onClick={() => handleShowTimeline(staff)}
+              className="text-left hover:text-blue-700 hover:underline"
+              title="Egyéni beosztás megtekintése több hétre"
+            >
+              {staff.name || "N/A"}
+            </button>
+          ) : (
+            staff.name || "N/A"
+          )}
         </td>
 
         {/* Daily Shift Columns */}
@@ -144,17 +289,29 @@ const ScheduleTable = ({
           const timeSlot = timeSlots[shiftCode] || "";
           const bgColor = getShiftColor(shiftCode);
           const textColor = getContrastingTextColor(bgColor);
+          const isUnderstaffed = coverage.violatingCells.has(
+            `${staff.staffId}|${dateString}`,
+          );
+          const hasConflict = conflictCells.has(
+            `${staff.staffId}|${dateString}`,
+          );
+          const shiftTitle = shiftTypeInfo?.name
+            ? `${shiftTypeInfo.name}${timeSlot ? ` (${timeSlot})` : ""}`
+            : timeSlot || "Nincs műszak";
+          const titleLines = [
+            shiftTitle,
+            isUnderstaffed &&
+              "Létszámhiány: egy erre a dolgozóra vonatkozó szabály ezen a napon nem teljesül",
+            hasConflict &&
+              "Szinkronizálási ütközés: ezt a műszakot más is módosította",
+          ];
 
           return (
             <td
               key={`${rowKey}-${dateString}`}
-              className="py-1 px-1 text-center whitespace-nowrap print:py-0.5 print:px-0.5 border-l border-gray-100 align-middle"
+              className={`py-1 px-1 text-center whitespace-nowrap print:py-0.5 print:px-0.5 border-l border-gray-100 align-middle ${hasConflict ? conflictStyle : isUnderstaffed ? "ring-2 ring-inset ring-red-500" : ""}`}
               style={{ backgroundColor: bgColor, color: textColor }}
-              title={
-                shiftTypeInfo?.name
-                  ? `${shiftTypeInfo.name}${timeSlot ? ` (${timeSlot})` : ""}`
-                  : timeSlot || "Nincs műszak"
-              }
+              title={titleLines.filter(Boolean).join("\n")}
             >
               <div className="font-medium text-sm">{shiftCode}</div>
               {timeSlot && (
@@ -170,36 +327,41 @@ const ScheduleTable = ({
           );
         })}
 
+        {/* Weekly Hours Total Column */}
+        {renderHoursCell(staff)}
+
         {/* Action Buttons Column (Hidden on Print) */}
         <td className="py-1 px-2 whitespace-nowrap text-center print:hidden align-middle">
-          <div className="flex justify-center space-x-1">
-            <button
-              onClick={() => handleEditStaff(staff)}
-              className="p-1 text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
-              disabled={isLoading}
-              title="Heti beosztás szerkesztése"
-              aria-label={`Szerkesztés: ${staff.name || staff.staffId}`}
-            >
-              <Edit className="w-4 h-4" aria-hidden="true" />
-            </button>
-            <button
-              onClick={() => handleDeleteStaff(staff.staffId)}
-              className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
-              disabled={
-                isLoading ||
-                !staff.shifts ||
-                Object.keys(staff.shifts).length === 0
-              }
-              title={
-                !staff.shifts || Object.keys(staff.shifts).length === 0
-                  ? "Dolgozó nincs hozzárendelve ehhez a héthez"
-                  : "Eltávolítás a hétből"
-              }
-              aria-label={`Eltávolítás a hétből: ${staff.name || staff.staffId}`}
-            >
-              <UserX className="w-4 h-4" aria-hidden="true" />
-            </button>
-          </div>
+          {canEditStaff(staff) && (
+            <div className="flex justify-center space-x-1">
+              <button
+                onClick={() => handleEditStaff(staff)}
+                className="p-1 text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={isLoading}
+                title="Heti beosztás szerkesztése"
+                aria-label={`Szerkesztés: ${staff.name || staff.staffId}`}
+              >
+                <Edit className="w-4 h-4" aria-hidden="true" />
+              </button>
+              <button
+                onClick={() => handleDeleteStaff(staff.staffId)}
+                className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                disabled={
+                  isLoading ||
+                  !staff.shifts ||
+                  Object.keys(staff.shifts).length === 0
+                }
+                title={
+                  !staff.shifts || Object.keys(staff.shifts).length === 0
+                    ? "Dolgozó nincs hozzárendelve ehhez a héthez"
+                    : "Eltávolítás a hétből"
+                }
+                aria-label={`Eltávolítás a hétből: ${staff.name || staff.staffId}`}
+              >
+                <UserX className="w-4 h-4" aria-hidden="true" />
+              </button>
+            </div>
+          )}
         </td>
       </tr>
     );
@@ -233,7 +395,7 @@ const ScheduleTable = ({
         >
           <th
             scope="col"
-            colSpan={5 + weekDates.length + 1}
+            colSpan={columnCount}
             className={`py-2 px-4 font-semibold print:py-1 print:px-2 text-sm align-middle ${isUnitKeyOrphaned ? "text-red-800" : "text-blue-800"}`}
             title={
               isUnitKeyOrphaned
@@ -247,10 +409,7 @@ const ScheduleTable = ({
         {/* Optional Spacer Row (for visual separation, hidden on print) p.s. without this it looked weird */}
         {unitIndex === 0 && (
           <tr className="h-2 bg-transparent print:hidden">
-            <td
-              colSpan={5 + weekDates.length + 1}
-              className="p-0 border-none"
-            ></td>
+            <td colSpan={columnCount} className="p-0 border-none"></td>
           </tr>
         )}
         {/* Staff Rows for this Unit */}
@@ -259,6 +418,59 @@ const ScheduleTable = ({
     );
   };
 
+  /**
+   * Renders the coverage footer row with the result of the coverage rules for each day.
+   * Understaffed days list the violated rules with the current and the required head count.
+   *
+   * @returns {JSX.Element} The rendered coverage row.
+   */
+  const renderCoverageRow = () => (
+    <tr className="bg-gray-50 border-t-2 border-gray-300">
+      <th
+        scope="row"
+        colSpan={5}
+        className="py-2 px-2 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider print:py-1 print:px-1 align-top"
+      >
+        Lefedettség
+      </th>
+      {weekDates.map((date) => {
+        const dateKey = toDateKey(date);
+        if (!coverage.byDate[dateKey]) {
+          // Holiday or rest day: not evaluated
+          return (
+            <td
+              key={`coverage-${dateKey}`}
+              className="py-1 px-1 text-[10px] text-center text-gray-400 border-l border-gray-200 align-top print:py-0.5 print:px-0.5"
+            >
+              –
+            </td>
+          );
+        }
+        const dayViolations = coverage.byDate[dateKey];
+        return (
+          <td
+            key={`coverage-${dateKey}`}
+            className={`py-1 px-1 text-[10px] leading-tight border-l border-gray-200 align-top print:py-0.5 print:px-0.5 ${dayViolations.length > 0 ? "bg-red-50 text-red-700" : "text-green-700 text-center"}`}
+          >
+            {dayViolations.length === 0 ? (
+              <span title="Minden szabály teljesül">✓</span>
+            ) : (
+              <ul className="space-y-0.5">
+                {dayViolations.map((v) => (
+                  <li key={`${v.rule.id}-${v.rule.group}`}>
+                    {describeRule(v.rule)}: {v.actual}/{v.required}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </td>
+        );
+      })}
+      <td className="border-l border-gray-200"></td>
+      <td className="print:hidden border-l border-gray-200"></td>
+    </tr>
+  );
+
   // --- Table Body Content Logic ---
 
   let tableBodyContent;
@@ -266,10 +478,7 @@ const ScheduleTable = ({
     // Display Loader when data is loading
     tableBodyContent = (
       <tr role="status">
-        <td
-          colSpan={5 + weekDates.length + 1}
-          className="py-10 text-center align-middle"
-        >
+        <td colSpan={columnCount} className="py-10 text-center align-middle">
           <div className="flex flex-col items-center justify-center text-gray-500">
             <Loader
               className="w-8 h-8 mb-2 animate-spin text-blue-600"
@@ -285,7 +494,7 @@ const ScheduleTable = ({
     tableBodyContent = (
       <tr role="status">
         <td
-          colSpan={5 + weekDates.length + 1}
+          colSpan={columnCount}
           className="py-8 text-center text-gray-500 print:py-4 align-middle"
         >
           <div className="flex flex-col items-center justify-center">
@@ -354,16 +563,41 @@ const ScheduleTable = ({
             >
               Név
             </th>
-            {weekDates.map((date, index) => (
-              <th
-                key={index}
-                scope="col"
-                className="py-1 px-1 text-center text-[10px] font-semibold text-gray-600 uppercase tracking-wider print:py-0.5 print:px-0.5 border-l border-gray-200 w-[90px]"
-              >
-                <div>{getDayName(date)}</div>
-                <div className="font-normal">{formatDate(date)}</div>
-              </th>
-            ))}
+            {weekDates.map((date, index) => {
+              const calendarDay = calendarDays[index];
+              const isDayOff =
+                calendarDay?.type === "holiday" ||
+                calendarDay?.type === "restDay";
+              const isWorkday = calendarDay?.type === "workday";
+              return (
+                <th
+                  key={index}
+                  scope="col"
+                  className={`py-1 px-1 text-center text-[10px] font-semibold uppercase tracking-wider print:py-0.5 print:px-0.5 border-l border-gray-200 w-[90px] ${isDayOff ? "bg-red-100 text-red-800" : isWorkday ? "bg-amber-100 text-amber-800" : "text-gray-600"}`}
+                  title={calendarDay?.name || undefined}
+                >
+                  <div>{getDayName(date)}</div>
+                  <div className="font-normal">{formatDate(date)}</div>
+                  {isDayOff && (
+                    <div className="font-normal normal-case">
+                      {calendarDay.type === "holiday"
+                        ? "Ünnepnap"
+                        : "Pihenőnap"}
+                    </div>
+                  )}
+                  {isWorkday && (
+                    <div className="font-normal normal-case">Munkanap</div>
+                  )}
+                </th>
+              );
+            })}
+            <th
+              scope="col"
+              className="py-2 px-1 text-center text-[10px] font-semibold text-gray-600 uppercase tracking-wider print:py-0.5 print:px-0.5 border-l border-gray-200 w-[60px]"
+              title="Heti óraszám (a műszakok időtartama alapján)"
+            >
+              Óra
+            </th>
             <th
               scope="col"
               className="py-2 px-2 text-center text-xs font-semibold text-gray-600 uppercase tracking-wider print:hidden border-l border-gray-200 w-[80px]"
@@ -376,6 +610,8 @@ const ScheduleTable = ({
         <tbody className="bg-white divide-y divide-gray-200">
           {tableBodyContent}
         </tbody>
+        {/* Coverage Footer */}
+        {hasCoverageRules && <tfoot>{renderCoverageRow()}</tfoot>}
       </table>
     </div>
   );
@@ -10,8 +10,22 @@ import {
   Loader,
   AlertTriangle,
   HelpCircle,
+  ClipboardCheck,
+  CalendarDays,
+  Upload,
+  Ticket,
+  DatabaseZap,
 } from "lucide-react";
 import StaffEditSubModal from "./StaffEditSubModal";
+import StaffImportModal from "./StaffImportModal";
+import CoverageRulesEditor from "./CoverageRulesEditor";
+import HolidayCalendarEditor from "./HolidayCalendarEditor";
+import InvitationCodesEditor from "./InvitationCodesEditor";
+import {
+  WEEKDAY_OPTIONS,
+  DEFAULT_WORKING_WEEKDAYS,
+  normalizeWorkingWeekdays,
+} from "../utils/helpers";
 
 /**
  * @typedef {object} StaffMemberGlobal - Represents a staff member in the global list.
@@ -23,6 +37,8 @@ import StaffEditSubModal from "./StaffEditSubModal";
  * @property {string} [defaultJobTitle] - Default assigned job title.
  * @property {boolean} isActive - Whether the staff member is active.
  * @property {number} sortOrder - Numerical order for sorting within lists.
+ * @property {number | null} [contractedWeeklyHours] - Contracted working hours per week.
+ * @property {number | null} [annualLeaveDays] - Yearly paid leave entitlement in days.
  */
 
 /**
@@ -39,6 +55,9 @@ import StaffEditSubModal from "./StaffEditSubModal";
  * @property {string[]} [jobTitles] - List of defined job title names.
  * @property {ShiftTypeGlobal[]} [shiftTypes] - List of defined shift types.
  * @property {object.<string, string>} [timeSlots] - Mapping of shift codes to time slot strings.
+ * @property {Array<object>} [coverageRules] - Minimum staffing requirements (see `CoverageRule` in `utils/coverage.js`).
+ * @property {Array<object>} [calendarOverrides] - Changes to the built-in holiday calendar (see `CalendarDay` in `utils/holidays.js`).
+ * @property {number[]} [workingWeekdays] - The displayed and scheduled weekdays (`Date.getDay()` values, Mon-Sat by default).
  * @property {StaffMemberGlobal[]} [staffList] - List of all staff members with their core data.
  */
 
@@ -55,12 +74,17 @@ import StaffEditSubModal from "./StaffEditSubModal";
  * @property {function(string): Promise<boolean>} handleRemoveGroup - Callback to remove a group globally. Returns true on success.
  * @property {function(string): Promise<boolean>} handleAddJobTitle - Callback to add a job title globally. Returns true on success.
  * @property {function(string): Promise<boolean>} handleRemoveJobTitle - Callback to remove a job title globally. Returns true on success.
+ * @property {function(number): Promise<object | null>} [fetchLeaveUsage] - Returns the used paid leave days per staff ID in a year up to today.
+ * @property {boolean} [canDeleteStaff=true] - Whether the user may delete staff members or load the demo data over them (see `Permissions.canDeleteStaff`). Otherwise staff can only be deactivated.
+ * @property {boolean} [canManageInvitations=false] - Whether the Meghívók tab (the registration codes of the organisation) is shown (see `Permissions.canManageMembers`).
+ * @property {function(): Promise<{settings: boolean, weeks: number} | null>} [migrateStoredData] - Upgrades every stored document to the current schema version.
+ * Offered in developer mode only; omitted if the user may not do it.
  * @property {function(): void} onClose - Closes the modal without saving.
  */
 
 /**
  * Modal for managing global application settings, including categories (units, groups, job titles),
- * and the staff list. Allows adding, removing, editing, and reordering items via drag-and-drop.
+ * the coverage rules and the staff list. Allows adding, removing, editing, and reordering items via drag-and-drop.
  * Provides options to save all changes using a unified save function or discard them.
  * Includes functionality to load demo data into the modal's local state for preview/setup.
  * Contains a sub-modal (`StaffEditSubModal`) for adding/editing individual staff members' core data.
@@ -83,10 +107,14 @@ const SettingsModal = ({
   handleAddJobTitle,
   handleRemoveJobTitle,
   // Other needed prop(s)
+  fetchLeaveUsage,
+  canDeleteStaff = true,
+  canManageInvitations = false,
+  migrateStoredData,
   onClose,
 }) => {
   // --- State ---
-  const [activeTab, setActiveTab] = useState("categories"); // Controls the active tab ('categories' or 'staff')
+  const [activeTab, setActiveTab] = useState("categories"); // Controls the active tab ('categories', 'staff', 'coverage', 'calendar' or 'invitations')
   const [isSaving, setIsSaving] = useState(false); // Tracks if a save operation is in progress
   const [saveError, setSaveError] = useState(""); // Stores error messages from save operations
 
@@ -101,6 +129,11 @@ const SettingsModal = ({
   const [jobTitles, setJobTitles] = useState([]);
   const [localShiftTypes, setLocalShiftTypes] = useState([]);
   const [localTimeSlots, setLocalTimeSlots] = useState({});
+  const [localCoverageRules, setLocalCoverageRules] = useState([]);
+  const [localCalendarOverrides, setLocalCalendarOverrides] = useState([]);
+  const [localWorkingWeekdays, setLocalWorkingWeekdays] = useState(
+    DEFAULT_WORKING_WEEKDAYS,
+  );
   const [staffList, setStaffList] = useState([]); // Local copy of the staff list for editing and reordering
 
   // Track if modal was opened during loading to prevent accidental saves
@@ -112,6 +145,10 @@ const SettingsModal = ({
   // State for the staff edit/add sub-modal
   const [showStaffEditModal, setShowStaffEditModal] = useState(false);
   const [editingStaffMember, setEditingStaffMember] = useState(null); // Holds staff data for the sub-modal, null if adding
+  const [showStaffImportModal, setShowStaffImportModal] = useState(false); // Controls visibility of the CSV/XLSX import sub-modal
+
+  // Used paid leave days per staff ID in the current year (null while loading)
+  const [leaveUsage, setLeaveUsage] = useState(null);
 
   // State for drag and drop operations
   const [draggedItem, setDraggedItem] = useState(null); // The item being dragged
@@ -122,7 +159,7 @@ const SettingsModal = ({
 
   /**
    * @effect
-   * Updates the local state (units, groups, jobTitles, staffList, shifts, timeSlots)
+   * Updates the local state (units, groups, jobTitles, staffList, shifts, timeSlots, coverageRules, calendarOverrides, workingWeekdays)
    * whenever the `globalSettings` prop changes. This ensures the modal reflects the
    * latest global state when opened or when the global state updates in the background.
    * Creates deep copies to prevent direct mutation of the prop.
@@ -148,8 +185,33 @@ const SettingsModal = ({
 
     setLocalShiftTypes([...(globalSettings?.shiftTypes || [])]);
     setLocalTimeSlots({ ...(globalSettings?.timeSlots || {}) });
+    setLocalCoverageRules(
+      (globalSettings?.coverageRules || []).map((r) => ({ ...r })),
+    );
+    setLocalCalendarOverrides(
+      (globalSettings?.calendarOverrides || []).map((d) => ({ ...d })),
+    );
+    setLocalWorkingWeekdays(
+      normalizeWorkingWeekdays(globalSettings?.workingWeekdays),
+    );
   }, [globalSettings, settingsLoading]);
 
+  /**
+   * @effect
+   * Loads the paid leave usage of the current year once when the modal opens,
+   * so that the staff sub-modal can show the leave balance.
+   */
+  useEffect(() => {
+    if (!fetchLeaveUsage) return;
+    let isCancelled = false;
+    fetchLeaveUsage(new Date().getFullYear()).then((usage) => {
+      if (!isCancelled) setLeaveUsage(usage);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [fetchLeaveUsage]);
+
   // --- Callbacks ---
 
   /**
@@ -346,6 +408,21 @@ const SettingsModal = ({
     setEditingStaffMember(null);
   };
 
+  /**
+   * @function handleStaffImport
+   * Callback function passed to `StaffImportModal`. Replaces the local staff list and category lists
+   * with the imported data (including the newly created categories) and closes the sub-modal.
+   * Nothing is written to Firestore until the settings are saved.
+   * @param {{staffList: Array<object>, units: string[], groups: string[], jobTitles: string[]}} imported - The imported data.
+   */
+  const handleStaffImport = (imported) => {
+    setStaffList(imported.staffList);
+    setUnits(imported.units);
+    setGroups(imported.groups);
+    setJobTitles(imported.jobTitles);
+    setShowStaffImportModal(false);
+  };
+
   // --- Drag and Drop Handlers (Operate on Local State) ---
 
   /**
@@ -565,6 +642,11 @@ const SettingsModal = ({
       const originalJobTitles = globalSettings.jobTitles || [];
       const originalShiftTypes = globalSettings.shiftTypes || [];
       const originalTimeSlots = globalSettings.timeSlots || {};
+      const originalCoverageRules = globalSettings.coverageRules || [];
+      const originalCalendarOverrides = globalSettings.calendarOverrides || [];
+      const originalWorkingWeekdays = normalizeWorkingWeekdays(
+        globalSettings.workingWeekdays,
+      );
       const originalStaffListSorted = (globalSettings.staffList || [])
         .map((s) => ({ ...s })) // Create copies
         .sort((a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity))
@@ -594,8 +676,23 @@ const SettingsModal = ({
         JSON.stringify(finalLocalTimeSlots) !==
           JSON.stringify(originalTimeSlots);
 
+      const coverageRulesChanged =
+        JSON.stringify(localCoverageRules) !==
+        JSON.stringify(originalCoverageRules);
+
+      const calendarChanged =
+        JSON.stringify(localCalendarOverrides) !==
+          JSON.stringify(originalCalendarOverrides) ||
+        JSON.stringify(localWorkingWeekdays) !==
+          JSON.stringify(originalWorkingWeekdays);
+
       // --- Determine if ANY change occurred ---
-      const anyChanges = categoriesChanged || staffListChanged || shiftsChanged;
+      const anyChanges =
+        categoriesChanged ||
+        staffListChanged ||
+        shiftsChanged ||
+        coverageRulesChanged ||
+        calendarChanged;
 
       if (anyChanges) {
         console.log("Changes detected. Constructing new settings object.");
@@ -606,6 +703,12 @@ const SettingsModal = ({
           jobTitles: jobTitles, // Use local state
           shiftTypes: finalLocalShiftTypes, // Use local state
           timeSlots: finalLocalTimeSlots, // Use local state
+          coverageRules: localCoverageRules.map((rule) => ({
+            ...rule,
+            minCount: Math.max(0, parseInt(rule.minCount, 10) || 0),
+          })), // Use local state
+          calendarOverrides: localCalendarOverrides, // Use local state
+          workingWeekdays: localWorkingWeekdays, // Use local state
           staffList: finalLocalStaffList, // Use local state (already sorted)
         };
 
@@ -639,6 +742,24 @@ const SettingsModal = ({
     }
   };
 
+  /**
+   * @function toggleWorkingWeekday
+   * Adds or removes a weekday from the local working weekdays. The last remaining day cannot be removed.
+   * @param {number} weekday - The weekday (`Date.getDay()` value) to toggle.
+   */
+  const toggleWorkingWeekday = (weekday) => {
+    if (localWorkingWeekdays.includes(weekday)) {
+      if (localWorkingWeekdays.length === 1) return;
+      setLocalWorkingWeekdays(
+        localWorkingWeekdays.filter((day) => day !== weekday),
+      );
+    } else {
+      setLocalWorkingWeekdays(
+        normalizeWorkingWeekdays([...localWorkingWeekdays, weekday]),
+      );
+    }
+  };
+
   /**
    * @function handleLoadDemoData
    * Loads the `demoGlobalSettings` into the modal's local state,
@@ -665,6 +786,15 @@ const SettingsModal = ({
     setJobTitles([...(demoGlobalSettings.jobTitles || [])]);
     setLocalShiftTypes([...(demoGlobalSettings.shiftTypes || [])]);
     setLocalTimeSlots({ ...(demoGlobalSettings.timeSlots || {}) });
+    setLocalCoverageRules(
+      (demoGlobalSettings.coverageRules || []).map((r) => ({ ...r })),
+    );
+    setLocalCalendarOverrides(
+      (demoGlobalSettings.calendarOverrides || []).map((d) => ({ ...d })),
+    );
+    setLocalWorkingWeekdays(
+      normalizeWorkingWeekdays(demoGlobalSettings.workingWeekdays),
+    );
 
     // Ensure demo staff list is sorted correctly before setting local state
     const sortedDemoStaff = [...(demoGlobalSettings.staffList || [])]
@@ -686,6 +816,33 @@ const SettingsModal = ({
     );
   };
 
+  /**
+   * @function handleMigrateStoredData
+   * Upgrades every stored document of the organisation to the current schema version after confirmation,
+   * and reports what was upgraded.
+   */
+  const handleMigrateStoredData = async () => {
+    if (
+      !window.confirm(
+        "Biztosan frissíti az összes tárolt adatot (beállítások, heti beosztások) az aktuális adatszerkezetre?",
+      )
+    ) {
+      return;
+    }
+    setIsSaving(true);
+    const result = await migrateStoredData();
+    setIsSaving(false);
+    if (!result) {
+      setSaveError("Az adatok frissítése sikertelen.");
+      return;
+    }
+    alert(
+      result.settings || result.weeks > 0
+        ? `Adatok frissítve: ${result.settings ? "beállítások, " : ""}${result.weeks} heti beosztás.`
+        : "Minden tárolt adat már az aktuális adatszerkezetet használja.",
+    );
+  };
+
   // --- Rendering Helpers ---
 
   /**
@@ -783,16 +940,18 @@ const SettingsModal = ({
               <Edit2 className="w-4 h-4" aria-hidden="true" />
             </button>
           )}
-          <button
-            // Pass the correct identifier (itemId) to the remove function
-            onClick={() => removeFunc(itemId, listType)}
-            className="p-1 text-red-600 hover:text-red-800 rounded hover:bg-red-100"
-            title="Törlés a listából"
-            disabled={isSaving}
-            aria-label={`Törlés: ${displayValue}`}
-          >
-            <Trash2 className="w-4 h-4" aria-hidden="true" />
-          </button>
+          {(!isStaff || canDeleteStaff) && (
+            <button
+              // Pass the correct identifier (itemId) to the remove function
+              onClick={() => removeFunc(itemId, listType)}
+              className="p-1 text-red-600 hover:text-red-800 rounded hover:bg-red-100"
+              title="Törlés a listából"
+              disabled={isSaving}
+              aria-label={`Törlés: ${displayValue}`}
+            >
+              <Trash2 className="w-4 h-4" aria-hidden="true" />
+            </button>
+          )}
         </div>
       </li>
     );
@@ -922,6 +1081,41 @@ const SettingsModal = ({
               <UserPlus className="w-4 h-4 mr-1.5" aria-hidden="true" />{" "}
               Dolgozók
             </button>
+            <button
+              id="tab-coverage"
+              role="tab"
+              aria-selected={activeTab === "coverage"}
+              aria-controls="panel-coverage"
+              onClick={() => setActiveTab("coverage")}
+              className={`px-3 py-1 rounded text-sm flex items-center transition-colors duration-150 ${activeTab === "coverage" ? "bg-white text-blue-700 shadow" : "text-gray-600 hover:text-blue-700"}`}
+            >
+              <ClipboardCheck className="w-4 h-4 mr-1.5" aria-hidden="true" />{" "}
+              Lefedettség
+            </button>
+            <button
+              id="tab-calendar"
+              role="tab"
+              aria-selected={activeTab === "calendar"}
+              aria-controls="panel-calendar"
+              onClick={() => setActiveTab("calendar")}
+              className={`px-3 py-1 rounded text-sm flex items-center transition-colors duration-150 ${activeTab === "calendar" ? "bg-white text-blue-700 shadow" : "text-gray-600 hover:text-blue-700"}`}
+            >
+              <CalendarDays className="w-4 h-4 mr-1.5" aria-hidden="true" />{" "}
+              Naptár
+            </button>
+            {canManageInvitations && (
+              <button
+                id="tab-invitations"
+                role="tab"
+                aria-selected={activeTab === "invitations"}
+                aria-controls="panel-invitations"
+                onClick={() => setActiveTab("invitations")}
+                className={`px-3 py-1 rounded text-sm flex items-center transition-colors duration-150 ${activeTab === "invitations" ? "bg-white text-blue-700 shadow" : "text-gray-600 hover:text-blue-700"}`}
+              >
+                <Ticket className="w-4 h-4 mr-1.5" aria-hidden="true" />{" "}
+                Meghívók
+              </button>
+            )}
           </div>
           <button
             onClick={onClose}
@@ -1089,14 +1283,25 @@ const SettingsModal = ({
             >
               <div className="flex justify-between items-center mb-4 flex-shrink-0">
                 <h3 className="text-lg font-semibold">Dolgozók Törzsadatok</h3>
-                <button
-                  onClick={handleAddNewStaff}
-                  className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-1 disabled:opacity-50"
-                  disabled={isSaving}
-                >
-                  <UserPlus className="w-4 h-4 mr-1" aria-hidden="true" /> Új
-                  dolgozó
-                </button>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setShowStaffImportModal(true)}
+                    className="px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1 disabled:opacity-50"
+                    disabled={isSaving}
+                    title="Dolgozók importálása CSV vagy XLSX fájlból"
+                  >
+                    <Upload className="w-4 h-4 mr-1" aria-hidden="true" />{" "}
+                    Importálás
+                  </button>
+                  <button
+                    onClick={handleAddNewStaff}
+                    className="px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-1 disabled:opacity-50"
+                    disabled={isSaving}
+                  >
+                    <UserPlus className="w-4 h-4 mr-1" aria-hidden="true" /> Új
+                    dolgozó
+                  </button>
+                </div>
               </div>
               {/* Render Staff List */}
               {renderListSection(
@@ -1115,6 +1320,114 @@ const SettingsModal = ({
               )}
             </div>
           )}
+
+          {/* Coverage Rules Tab Panel */}
+          {activeTab === "coverage" && (
+            <div
+              id="panel-coverage"
+              role="tabpanel"
+              aria-labelledby="tab-coverage"
+              className="space-y-3"
+            >
+              <div>
+                <h3 className="text-lg font-semibold">
+                  Minimális létszám szabályok
+                </h3>
+                <p className="text-sm text-gray-600">
+                  A beosztás táblázat alján lévő lefedettségi sor és a heti
+                  automatikus kitöltés ezeket a szabályokat használja. A „Minden
+                  csoportban külön” beállítás minden csoportra egyenként
+                  vonatkozik.
+                </p>
+              </div>
+              <CoverageRulesEditor
+                rules={localCoverageRules}
+                onChange={setLocalCoverageRules}
+                globalSettings={{
+                  units,
+                  groups,
+                  jobTitles,
+                  shiftTypes: localShiftTypes,
+                  workingWeekdays: localWorkingWeekdays,
+                }}
+                disabled={isSaving}
+              />
+            </div>
+          )}
+
+          {/* Holiday Calendar Tab Panel */}
+          {activeTab === "calendar" && (
+            <div
+              id="panel-calendar"
+              role="tabpanel"
+              aria-labelledby="tab-calendar"
+              className="space-y-3"
+            >
+              <fieldset>
+                <legend className="text-lg font-semibold">Munkanapok</legend>
+                <p className="text-sm text-gray-600 mb-2">
+                  A beosztás táblázat csak a kijelölt napokat jeleníti meg és
+                  csak ezekre oszt be műszakot (legalább egy napot ki kell
+                  jelölni).
+                </p>
+                <div className="flex flex-wrap gap-3">
+                  {WEEKDAY_OPTIONS.map((day) => (
+                    <label
+                      key={day.value}
+                      className="flex items-center text-sm select-none"
+                    >
+                      <input
+                        type="checkbox"
+                        checked={localWorkingWeekdays.includes(day.value)}
+                        onChange={() => toggleWorkingWeekday(day.value)}
+                        disabled={isSaving}
+                        className="h-4 w-4 mr-1.5"
+                      />
+                      {day.label}
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+              <div>
+                <h3 className="text-lg font-semibold">
+                  Munkaszüneti napok és áthelyezett munkanapok
+                </h3>
+                <p className="text-sm text-gray-600">
+                  A beépített naptár tartalmazza a törvényes ünnepeket és az
+                  ismert évek áthelyezett munkanapjait. Az itt felvett napok
+                  felülírják a beépített bejegyzéseket. Ünnepnapokra és
+                  pihenőnapokra a hét másolása és az automatikus kitöltés nem
+                  oszt be műszakot.
+                </p>
+              </div>
+              <HolidayCalendarEditor
+                overrides={localCalendarOverrides}
+                onChange={setLocalCalendarOverrides}
+                disabled={isSaving}
+              />
+            </div>
+          )}
+
+          {/* Invitation Codes Tab Panel */}
+          {activeTab === "invitations" && canManageInvitations && (
+            <div
+              id="panel-invitations"
+              role="tabpanel"
+              aria-labelledby="tab-invitations"
+              className="space-y-3"
+            >
+              <div>
+                <h3 className="text-lg font-semibold">Meghívó kódok</h3>
+                <p className="text-sm text-gray-600">
+                  Új felhasználó csak érvényes meghívó kóddal regisztrálhat. A
+                  kóddal regisztrált felhasználó a kódon megadott szerepkörrel
+                  csatlakozik a szervezethez. A kódok azonnal mentődnek, a
+                  „Változtatások mentése” gomb nem érinti őket.
+                </p>
+              </div>
+              <InvitationCodesEditor units={units} />
+            </div>
+          )}
         </div>
 
         {/* Modal Footer */}
@@ -1124,15 +1437,28 @@ const SettingsModal = ({
             {/* Left side: Demo Button and Error Message */}
             <div className="flex items-center space-x-2">
               {/* Demo Button */}
-              {demoGlobalSettings && ( // Only show if demo data is available
+              {demoGlobalSettings &&
+                canDeleteStaff && ( // Only show if demo data is available and may replace the staff list
+                  <button
+                    onClick={handleLoadDemoData}
+                    className="px-3 py-1.5 bg-yellow-500 text-white rounded hover:bg-yellow-600 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-1 disabled:opacity-50 flex-shrink-0"
+                    title="Demó adatok betöltése a szerkesztőbe (felülírja a nem mentett változtatásokat)"
+                    disabled={isSaving}
+                  >
+                    <HelpCircle className="w-4 h-4 mr-1" aria-hidden="true" />{" "}
+                    Demó adatok
+                  </button>
+                )}
+              {/* Schema Upgrade Button (developer mode) */}
+              {developerMode && migrateStoredData && (
                 <button
-                  onClick={handleLoadDemoData}
-                  className="px-3 py-1.5 bg-yellow-500 text-white rounded hover:bg-yellow-600 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-yellow-400 focus:ring-offset-1 disabled:opacity-50 flex-shrink-0"
-                  title="Demó adatok betöltése a szerkesztőbe (felülírja a nem mentett változtatásokat)"
+                  onClick={handleMigrateStoredData}
+                  className="px-3 py-1.5 bg-orange-500 text-white rounded hover:bg-orange-600 text-sm flex items-center focus:outline-none focus:ring-2 focus:ring-orange-400 focus:ring-offset-1 disabled:opacity-50 flex-shrink-0"
+                  title="Az összes tárolt adat frissítése az aktuális adatszerkezetre"
                   disabled={isSaving}
                 >
-                  <HelpCircle className="w-4 h-4 mr-1" aria-hidden="true" />{" "}
-                  Demó adatok
+                  <DatabaseZap className="w-4 h-4 mr-1" aria-hidden="true" />{" "}
+                  Adatok frissítése
                 </button>
               )}
               {/* Error Message Area */}
@@ -1195,6 +1521,16 @@ const SettingsModal = ({
         </div>
       </div>
 
+      {/* Staff Import Sub-Modal */}
+      {showStaffImportModal && (
+        <StaffImportModal
+          staffList={staffList}
+          categories={{ units, groups, jobTitles }}
+          onImport={handleStaffImport}
+          onClose={() => setShowStaffImportModal(false)}
+        />
+      )}
+
       {/* Staff Edit/Add Sub-Modal */}
       {showStaffEditModal && (
         <StaffEditSubModal
@@ -1202,6 +1538,12 @@ const SettingsModal = ({
           // Pass LOCAL category state to the sub-modal for its dropdowns
           globalSettings={{ units, groups, jobTitles }}
           developerMode={developerMode}
+          leaveYear={new Date().getFullYear()}
+          leaveUsedDays={
+            editingStaffMember && leaveUsage
+              ? leaveUsage[editingStaffMember.id] || 0
+              : null
+          }
           onSave={handleSaveStaffSubModal}
           onClose={() => setShowStaffEditModal(false)}
         />
@@ -1,11 +1,18 @@
 import React, { useState, useEffect } from "react";
 import { Trash2, Plus, Edit2, X } from "lucide-react";
+import {
+  DEFAULT_SHIFT_KIND,
+  SHIFT_KINDS,
+  getShiftKindLabel,
+} from "../utils/shiftKinds";
 
 /**
  * @typedef {object} ShiftType - Defines the structure of a shift type object.
  * @property {string} code - The short code for the shift (e.g., "DE").
  * @property {string} name - The descriptive name of the shift (e.g., "Délelőtt").
  * @property {string} color - The hex color code associated with the shift (e.g., "#ffffff").
+ * @property {import('../utils/shiftKinds').ShiftKind} [kind="work"] - Whether the shift is work or a kind of absence.
+ * @property {number} [countedHours] - Hours the shift counts as (e.g. 8 for a day of paid leave). Defaults to the length of the time slot.
  */
 
 /**
@@ -14,11 +21,25 @@ import { Trash2, Plus, Edit2, X } from "lucide-react";
  * { "DE": "08:00-16:00", "DU": "12:00-20:00" }
  */
 
+/**
+ * @constant {object} EMPTY_SHIFT_FORM
+ * The initial state of the add/edit form.
+ */
+const EMPTY_SHIFT_FORM = {
+  code: "",
+  name: "",
+  color: "#ffffff",
+  timeSlot: "",
+  kind: DEFAULT_SHIFT_KIND,
+  countedHours: "",
+};
+
 /**
  * @typedef {object} ShiftTypesModalProps
  * @property {Array<ShiftType>} [shiftTypes=[]] - The current array of shift type objects.
  * @property {TimeSlotsMap} [timeSlots={}] - The current object mapping shift codes to time slot strings.
  * @property {function(Array<ShiftType>, TimeSlotsMap): void} onSave - Callback function invoked when the user clicks the final save button. It receives the updated shifts array and times object.
+ * @property {boolean} [canDelete=true] - Whether the user may delete shift types (see `Permissions.canDeleteShiftTypes`).
  * @property {function(): void} onClose - Callback function invoked when the user closes the modal.
  */
 
@@ -34,6 +55,7 @@ const ShiftTypesModal = ({
   shiftTypes = [],
   timeSlots = {},
   onSave,
+  canDelete = true,
   onClose,
 }) => {
   // ==========================================================================
@@ -66,13 +88,10 @@ const ShiftTypesModal = ({
    * @property {string} name - The full name of the shift (e.g., "Délelőtt").
    * @property {string} color - The hex color code for the shift (e.g., "#ffffff").
    * @property {string} timeSlot - The associated time slot string (e.g., "08:00-16:00").
+   * @property {string} kind - The shift kind (e.g., "work", "paidLeave").
+   * @property {string} countedHours - The counted hours as typed (empty string if not set).
    */
-  const [editingShift, setEditingShift] = useState({
-    code: "",
-    name: "",
-    color: "#ffffff",
-    timeSlot: "",
-  });
+  const [editingShift, setEditingShift] = useState(EMPTY_SHIFT_FORM);
 
   // ==========================================================================
   // Effects
@@ -107,6 +126,11 @@ const ShiftTypesModal = ({
       name: shift.name,
       color: shift.color,
       timeSlot: localTimes[shift.code] || "",
+      kind: shift.kind || DEFAULT_SHIFT_KIND,
+      countedHours:
+        typeof shift.countedHours === "number"
+          ? String(shift.countedHours)
+          : "",
     });
     setEditingIndex(index);
     setShowForm(true);
@@ -118,7 +142,7 @@ const ShiftTypesModal = ({
    * `editingShift` state and clearing the `editingIndex`.
    */
   const handleAddShift = () => {
-    setEditingShift({ code: "", name: "", color: "#ffffff", timeSlot: "" });
+    setEditingShift(EMPTY_SHIFT_FORM);
     setEditingIndex(null);
     setShowForm(true);
   };
@@ -167,6 +191,24 @@ const ShiftTypesModal = ({
     const name = editingShift.name.trim();
     const color = editingShift.color;
     const timeSlot = editingShift.timeSlot.trim();
+    const kind = editingShift.kind || DEFAULT_SHIFT_KIND;
+    const countedHoursText = editingShift.countedHours.trim().replace(",", ".");
+    const countedHours =
+      countedHoursText === "" ? null : Number(countedHoursText);
+    if (
+      countedHours !== null &&
+      (isNaN(countedHours) || countedHours < 0 || countedHours > 24)
+    ) {
+      return alert("Az elszámolt óraszám 0 és 24 közötti szám lehet!");
+    }
+    // Firestore does not accept undefined values, so the field is only added when set
+    const shiftData = {
+      code,
+      name,
+      color,
+      kind,
+      ...(countedHours !== null && { countedHours }),
+    };
 
     // Check for duplicate code locally, allowing save if editing the same item
     const isDuplicate = localShifts.some(
@@ -186,10 +228,10 @@ const ShiftTypesModal = ({
         delete newTimes[oldCode];
       }
       // Update the shift data in the array
-      newShifts[editingIndex] = { code, name, color };
+      newShifts[editingIndex] = shiftData;
     } else {
       // --- Adding new shift ---
-      newShifts.push({ code, name, color });
+      newShifts.push(shiftData);
     }
 
     // Update the time slot associated with the (potentially new) code
@@ -206,7 +248,7 @@ const ShiftTypesModal = ({
     // Reset form state
     setShowForm(false);
     setEditingIndex(null);
-    setEditingShift({ code: "", name: "", color: "#ffffff", timeSlot: "" });
+    setEditingShift(EMPTY_SHIFT_FORM);
   };
 
   /**
@@ -275,7 +317,9 @@ const ShiftTypesModal = ({
                         code: e.target.value.toUpperCase(),
                       })
                     }
-                    className="w-full p-2 border rounded uppercase"
+                    // Renaming the code removes the old one, so it needs the right to delete shift types
+                    disabled={editingIndex !== null && !canDelete}
+                    className="w-full p-2 border rounded uppercase disabled:bg-gray-100"
                     maxLength={4}
                     placeholder="pl. DE"
                     required
@@ -362,6 +406,66 @@ const ShiftTypesModal = ({
                     placeholder="pl. 6:30-13:50"
                   />
                 </div>
+                {/* Shift Kind Select */}
+                <div>
+                  <label
+                    htmlFor="shift-kind"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    Típus
+                  </label>
+                  <select
+                    id="shift-kind"
+                    value={editingShift.kind}
+                    onChange={(e) =>
+                      setEditingShift({ ...editingShift, kind: e.target.value })
+                    }
+                    className="w-full p-2 border rounded bg-white"
+                    aria-describedby="shift-kind-help"
+                  >
+                    {SHIFT_KINDS.map((kind) => (
+                      <option key={kind.value} value={kind.value}>
+                        {kind.label}
+                      </option>
+                    ))}
+                  </select>
+                  <p
+                    id="shift-kind-help"
+                    className="text-xs text-gray-500 mt-1"
+                  >
+                    Csak a munkavégzés típusú műszakok számítanak jelenlétnek.
+                  </p>
+                </div>
+                {/* Counted Hours Input */}
+                <div>
+                  <label
+                    htmlFor="shift-counted-hours"
+                    className="block text-sm font-medium text-gray-700 mb-1"
+                  >
+                    Elszámolt óraszám (opcionális)
+                  </label>
+                  <input
+                    id="shift-counted-hours"
+                    type="text"
+                    inputMode="decimal"
+                    value={editingShift.countedHours}
+                    onChange={(e) =>
+                      setEditingShift({
+                        ...editingShift,
+                        countedHours: e.target.value,
+                      })
+                    }
+                    className="w-full p-2 border rounded"
+                    placeholder="pl. 8"
+                    aria-describedby="shift-counted-hours-help"
+                  />
+                  <p
+                    id="shift-counted-hours-help"
+                    className="text-xs text-gray-500 mt-1"
+                  >
+                    Üresen hagyva az időpont hossza számít.
+                  </p>
+                </div>
               </div>
               {/* Form Action Buttons */}
               <div className="flex justify-end space-x-2">
@@ -403,6 +507,12 @@ const ShiftTypesModal = ({
                   <th scope="col" className="py-2 px-3 text-left border">
                     Időpont
                   </th>
+                  <th scope="col" className="py-2 px-3 text-left border">
+                    Típus
+                  </th>
+                  <th scope="col" className="py-2 px-3 text-left border">
+                    Elszámolt óra
+                  </th>
                   <th scope="col" className="py-2 px-3 text-center border">
                     Műveletek
                   </th>
@@ -432,6 +542,14 @@ const ShiftTypesModal = ({
                         <td className="py-2 px-3 border">
                           {localTimes[shift.code] || "-"}
                         </td>
+                        <td className="py-2 px-3 border">
+                          {getShiftKindLabel(shift.kind)}
+                        </td>
+                        <td className="py-2 px-3 border">
+                          {typeof shift.countedHours === "number"
+                            ? shift.countedHours
+                            : "-"}
+                        </td>
                         <td className="py-2 px-3 border text-center">
                           <div className="flex justify-center space-x-2">
                             <button
@@ -442,14 +560,19 @@ const ShiftTypesModal = ({
                             >
                               <Edit2 className="w-4 h-4" aria-hidden="true" />
                             </button>
-                            <button
-                              onClick={() => handleDeleteShift(index)}
-                              className="p-1 text-red-600 hover:text-red-800"
-                              title={`Törlés: ${shift.name}`}
-                              aria-label={`Törlés: ${shift.name}`}
-                            >
-                              <Trash2 className="w-4 h-4" aria-hidden="true" />
-                            </button>
+                            {canDelete && (
+                              <button
+                                onClick={() => handleDeleteShift(index)}
+                                className="p-1 text-red-600 hover:text-red-800"
+                                title={`Törlés: ${shift.name}`}
+                                aria-label={`Törlés: ${shift.name}`}
+                              >
+                                <Trash2
+                                  className="w-4 h-4"
+                                  aria-hidden="true"
+                                />
+                              </button>
+                            )}
                           </div>
                         </td>
                       </tr>
@@ -458,7 +581,7 @@ const ShiftTypesModal = ({
                     !showForm && (
                       <tr>
                         <td
-                          colSpan={5}
+                          colSpan={7}
                           className="py-4 text-center text-gray-500 border"
                         >
                           Nincsenek műszaktípusok definiálva.
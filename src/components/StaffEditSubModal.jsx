@@ -1,14 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { X, Save } from "lucide-react";
-
-/**
- * Generates a simple pseudo-unique identifier for new staff members.
- * @returns {string} A string in the format 'staff_timestamp_randomstring'.
- * @example
- * generateId() // returns something like "staff_1678886400000_a1b2c"
- */
-const generateId = () =>
-  `staff_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+import { getLeaveBalance } from "../utils/leave";
+import { generateStaffId } from "../utils/helpers";
 
 /**
  * @typedef {object} StaffMemberData - Represents the core data structure for a staff member.
@@ -18,6 +11,8 @@ const generateId = () =>
  * @property {string} [defaultUnit] - Default unit assignment.
  * @property {string} [defaultGroup] - Default group assignment.
  * @property {string} [defaultJobTitle] - Default job title assignment.
+ * @property {number | null} [contractedWeeklyHours] - Contracted working hours per week (null if not set).
+ * @property {number | null} [annualLeaveDays] - Yearly paid leave entitlement in days (null if not set).
  * @property {boolean} isActive - Indicates if the staff member is currently active.
  * @property {number} sortOrder - Numerical value for sorting purposes (managed by parent).
  */
@@ -33,6 +28,8 @@ const generateId = () =>
  * @typedef {object} StaffEditSubModalProps
  * @property {StaffMemberData | null} staffMember - The staff member data to edit. If `null`, the modal operates in 'add new' mode.
  * @property {StaffEditSubModalGlobalSettings} globalSettings - An object containing global category lists needed for dropdowns.
+ * @property {number} [leaveYear] - The year of the shown leave balance.
+ * @property {number | null} [leaveUsedDays] - Paid leave days already assigned to the staff member in `leaveYear` (null if unknown, e.g. while loading or when adding).
  * @property {function(StaffMemberData): void} onSave - Callback function executed when the user clicks the 'Save' button. Receives the updated local staff data object.
  * @property {function(): void} onClose - Callback function executed when the user clicks the 'Close' or 'Cancel' button.
  */
@@ -49,6 +46,8 @@ const generateId = () =>
 const StaffEditSubModal = ({
   staffMember,
   globalSettings,
+  leaveYear = new Date().getFullYear(),
+  leaveUsedDays = null,
   onSave,
   onClose,
 }) => {
@@ -67,6 +66,8 @@ const StaffEditSubModal = ({
     defaultUnit: "",
     defaultGroup: "",
     defaultJobTitle: "",
+    contractedWeeklyHours: "",
+    annualLeaveDays: "",
     isActive: true,
     sortOrder: 0, // sortOrder is managed by the parent (SettingsModal) upon saving the full list
   });
@@ -91,6 +92,18 @@ const StaffEditSubModal = ({
    */
   const isEditing = staffMember !== null;
 
+  /**
+   * @constant {import('../utils/leave').LeaveBalance | null} leaveBalance - The leave balance for the entered entitlement,
+   * or null if no entitlement is entered or the used days are unknown.
+   */
+  const leaveBalance =
+    leaveUsedDays === null
+      ? null
+      : getLeaveBalance(
+          String(localData.annualLeaveDays ?? "").trim(),
+          leaveUsedDays,
+        );
+
   // ==========================================================================
   // Hooks
   // ==========================================================================
@@ -105,16 +118,20 @@ const StaffEditSubModal = ({
       // Populate state with existing data for editing
       setLocalData({
         ...staffMember, // Spread existing data
+        contractedWeeklyHours: staffMember.contractedWeeklyHours ?? "",
+        annualLeaveDays: staffMember.annualLeaveDays ?? "",
       });
     } else {
       // Set default values for adding a new staff member
       setLocalData({
-        id: generateId(), // Generate a new unique ID
+        id: generateStaffId(), // Generate a new unique ID
         name: "",
         employeeNumber: "",
         defaultUnit: "",
         defaultGroup: "",
         defaultJobTitle: "",
+        contractedWeeklyHours: "",
+        annualLeaveDays: "",
         isActive: true,
         sortOrder: 0, // Actual sortOrder determined by parent modal
       });
@@ -195,7 +212,32 @@ const StaffEditSubModal = ({
       return; // Stop the save process
     }
 
-    onSave(localData); // Pass the validated data to the parent component
+    // Validate contracted weekly hours (optional, non-negative number)
+    const contractedText = String(localData.contractedWeeklyHours ?? "")
+      .trim()
+      .replace(",", ".");
+    const contractedWeeklyHours =
+      contractedText === "" ? null : Number(contractedText);
+    if (
+      contractedWeeklyHours !== null &&
+      (isNaN(contractedWeeklyHours) || contractedWeeklyHours < 0)
+    ) {
+      setError("A heti szerződéses óraszám csak nemnegatív szám lehet!");
+      return; // Stop the save process
+    }
+
+    // Validate the yearly leave entitlement (optional, non-negative whole number of days)
+    const leaveText = String(localData.annualLeaveDays ?? "").trim();
+    const annualLeaveDays = leaveText === "" ? null : Number(leaveText);
+    if (
+      annualLeaveDays !== null &&
+      (!Number.isInteger(annualLeaveDays) || annualLeaveDays < 0)
+    ) {
+      setError("Az éves szabadságkeret csak nemnegatív egész szám lehet!");
+      return; // Stop the save process
+    }
+
+    onSave({ ...localData, contractedWeeklyHours, annualLeaveDays }); // Pass the validated data to the parent component
   };
 
   // ==========================================================================
@@ -432,6 +474,62 @@ const StaffEditSubModal = ({
             </select>
           </div>
 
+          {/* Contracted Weekly Hours Input (Optional) */}
+          <div>
+            <label
+              htmlFor="contractedWeeklyHours"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Heti szerződéses óraszám (opcionális)
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              id="contractedWeeklyHours"
+              name="contractedWeeklyHours"
+              value={localData.contractedWeeklyHours ?? ""}
+              onChange={handleChange}
+              className="w-full p-2 border rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              placeholder="Pl. 40"
+              aria-describedby="contractedWeeklyHoursHelp"
+            />
+            <p
+              id="contractedWeeklyHoursHelp"
+              className="text-xs text-gray-500 mt-1"
+            >
+              A beosztás táblázat heti óraszám oszlopa ehhez viszonyítva jelzi a
+              túlórát és az alulbeosztást.
+            </p>
+          </div>
+
+          {/* Annual Leave Entitlement Input (Optional) */}
+          <div>
+            <label
+              htmlFor="annualLeaveDays"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Éves szabadságkeret, nap (opcionális)
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              id="annualLeaveDays"
+              name="annualLeaveDays"
+              value={localData.annualLeaveDays ?? ""}
+              onChange={handleChange}
+              className="w-full p-2 border rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              placeholder="Pl. 25"
+              aria-describedby="annualLeaveDaysHelp"
+            />
+            <p id="annualLeaveDaysHelp" className="text-xs text-gray-500 mt-1">
+              {leaveBalance
+                ? `${leaveYear}: ${leaveBalance.used} nap felhasználva, hátralévő: ${leaveBalance.remaining} nap.`
+                : leaveUsedDays !== null
+                  ? `${leaveYear}: ${leaveUsedDays} nap felhasználva.`
+                  : "A felhasznált napok a fizetett szabadság típusú műszakokból számolódnak."}
+            </p>
+          </div>
+
           {/* Is Active Checkbox */}
           <div className="flex items-center pt-2">
             <input
@@ -0,0 +1,437 @@
+import React, { useState, useMemo } from "react";
+import { X, Upload, Loader, AlertTriangle } from "lucide-react";
+import {
+  STAFF_IMPORT_FIELDS,
+  readSpreadsheetRows,
+  guessColumnMapping,
+  buildImportPreview,
+  applyStaffImport,
+  getDroppedCategoryFields,
+} from "../utils/staffImport";
+import { generateStaffId } from "../utils/helpers";
+
+/**
+ * @constant {object.<string, string>} CATEGORY_LABELS
+ * Hungarian labels of the category lists offered for creation.
+ */
+const CATEGORY_LABELS = {
+  units: "Egységek",
+  groups: "Csoportok",
+  jobTitles: "Munkakörök",
+};
+
+/**
+ * @typedef {object} StaffImportResult - The data passed back to the settings modal.
+ * @property {Array<object>} staffList - The new staff list.
+ * @property {string[]} units - The units including the created ones.
+ * @property {string[]} groups - The groups including the created ones.
+ * @property {string[]} jobTitles - The job titles including the created ones.
+ */
+
+/**
+ * @typedef {object} StaffImportModalProps
+ * @property {Array<object>} staffList - The current (local) staff list of the settings modal.
+ * @property {{units: string[], groups: string[], jobTitles: string[]}} categories - The current (local) category lists.
+ * @property {function(StaffImportResult): void} onImport - Receives the imported data; nothing is saved until the settings are saved.
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A sub-modal of the settings for importing the staff master list from a CSV or XLSX file.
+ * The columns are mapped to the staff fields (guessed from the header row), existing staff
+ * members are matched by employee number and updated, unknown units/groups/job titles can be
+ * created, and a preview with the errors of every row is shown before the import is applied.
+ *
+ * @param {StaffImportModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered import modal.
+ */
+const StaffImportModal = ({ staffList, categories, onImport, onClose }) => {
+  /**
+   * @state {string} fileName - The name of the selected file.
+   */
+  const [fileName, setFileName] = useState("");
+
+  /**
+   * @state {string[][]} tableRows - The rows of the selected file (the first row is the header).
+   */
+  const [tableRows, setTableRows] = useState([]);
+
+  /**
+   * @state {import('../utils/staffImport').StaffImportMapping | null} mapping - The column of every field.
+   */
+  const [mapping, setMapping] = useState(null);
+
+  /**
+   * @state {{units: string[], groups: string[], jobTitles: string[]}} skippedCategories - Unknown category values the user chose not to create.
+   */
+  const [skippedCategories, setSkippedCategories] = useState({
+    units: [],
+    groups: [],
+    jobTitles: [],
+  });
+
+  /**
+   * @state {boolean} isReading - True while the file is being read.
+   */
+  const [isReading, setIsReading] = useState(false);
+
+  /**
+   * @state {string} error - Error message of the file reading.
+   */
+  const [error, setError] = useState("");
+
+  const headerRow = tableRows[0] || [];
+
+  /**
+   * The preview of the import with the current mapping (null until a file is read).
+   * @type {import('../utils/staffImport').StaffImportPreview | null}
+   */
+  const preview = useMemo(() => {
+    if (!mapping || tableRows.length < 2) return null;
+    return buildImportPreview({
+      rows: tableRows.slice(1),
+      mapping,
+      staffList,
+      ...categories,
+    });
+  }, [tableRows, mapping, staffList, categories]);
+
+  /**
+   * Number of preview rows per action.
+   * @type {{create: number, update: number, skip: number}}
+   */
+  const counts = useMemo(
+    () =>
+      (preview?.rows || []).reduce(
+        (acc, row) => ({ ...acc, [row.action]: acc[row.action] + 1 }),
+        { create: 0, update: 0, skip: 0 },
+      ),
+    [preview],
+  );
+
+  /**
+   * @function handleFileChange
+   * Reads the selected file and guesses the column mapping from its header row.
+   * @param {React.ChangeEvent<HTMLInputElement>} e - The change event of the file input.
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setIsReading(true);
+    setError("");
+    try {
+      const rows = await readSpreadsheetRows(file);
+      if (rows.length < 2) {
+        setError("A fájl nem tartalmaz adatsort a fejléc alatt.");
+      }
+      setFileName(file.name);
+      setTableRows(rows);
+      setMapping(guessColumnMapping(rows[0]));
+      setSkippedCategories({ units: [], groups: [], jobTitles: [] });
+    } catch (err) {
+      console.error("Error reading import file:", err);
+      setError(
+        "A fájl beolvasása nem sikerült. CSV vagy XLSX fájlt adjon meg.",
+      );
+      setTableRows([]);
+      setMapping(null);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  /**
+   * @function toggleCategory
+   * Switches whether an unknown category value is created during the import.
+   * @param {string} listKey - The category list ('units', 'groups' or 'jobTitles').
+   * @param {string} value - The category value.
+   */
+  const toggleCategory = (listKey, value) => {
+    setSkippedCategories((prev) => ({
+      ...prev,
+      [listKey]: prev[listKey].includes(value)
+        ? prev[listKey].filter((v) => v !== value)
+        : [...prev[listKey], value],
+    }));
+  };
+
+  /**
+   * The category lists after the import: the current ones and the new values selected for creation.
+   * @type {{units: string[], groups: string[], jobTitles: string[]} | null}
+   */
+  const newCategories = useMemo(
+    () =>
+      preview &&
+      Object.keys(CATEGORY_LABELS).reduce((acc, listKey) => {
+        acc[listKey] = [
+          ...categories[listKey],
+          ...preview.unknownCategories[listKey].filter(
+            (value) => !skippedCategories[listKey].includes(value),
+          ),
+        ];
+        return acc;
+      }, {}),
+    [preview, categories, skippedCategories],
+  );
+
+  /**
+   * @function handleImport
+   * Applies the valid rows and the created categories and passes the result to the settings modal.
+   */
+  const handleImport = () => {
+    if (!preview) return;
+    onImport({
+      staffList: applyStaffImport({
+        staffList,
+        rows: preview.rows,
+        categories: newCategories,
+        generateId: generateStaffId,
+      }),
+      ...newCategories,
+    });
+  };
+
+  const hasUnknownCategories =
+    preview &&
+    Object.values(preview.unknownCategories).some((list) => list.length > 0);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center p-4 z-[60]"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="staff-import-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center flex-shrink-0">
+          <h2 id="staff-import-modal-title" className="text-xl font-semibold">
+            Dolgozók importálása (CSV / XLSX)
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body (Scrollable) */}
+        <div className="p-6 flex-grow overflow-y-auto space-y-4">
+          {/* File Selection */}
+          <div>
+            <label
+              htmlFor="staff-import-file"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Fájl
+            </label>
+            <input
+              id="staff-import-file"
+              type="file"
+              accept=".csv,.txt,.xlsx"
+              onChange={handleFileChange}
+              disabled={isReading}
+              className="text-sm"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Az első sor a fejléc. A meglévő dolgozókat az azonosító alapján
+              frissítjük, a többiek új dolgozóként kerülnek a listába.
+            </p>
+            {isReading && (
+              <p className="flex items-center text-sm text-gray-500 mt-2">
+                <Loader className="w-4 h-4 mr-2 animate-spin" /> Beolvasás...
+              </p>
+            )}
+            {error && (
+              <p className="flex items-center text-sm text-red-600 mt-2">
+                <AlertTriangle className="w-4 h-4 mr-2" aria-hidden="true" />
+                {error}
+              </p>
+            )}
+          </div>
+
+          {/* Column Mapping */}
+          {mapping && headerRow.length > 0 && (
+            <fieldset className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              <legend className="col-span-full text-sm font-medium text-gray-700 mb-1">
+                Oszlopok hozzárendelése ({fileName})
+              </legend>
+              {STAFF_IMPORT_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label
+                    htmlFor={`import-map-${field.key}`}
+                    className="block text-xs font-medium text-gray-600 mb-1"
+                  >
+                    {field.label}
+                    {field.required && " *"}
+                  </label>
+                  <select
+                    id={`import-map-${field.key}`}
+                    value={mapping[field.key]}
+                    onChange={(e) =>
+                      setMapping({
+                        ...mapping,
+                        [field.key]: Number(e.target.value),
+                      })
+                    }
+                    className="w-full p-1 border rounded text-sm bg-white"
+                  >
+                    <option value={-1}>— Nincs importálva —</option>
+                    {headerRow.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header || `${index + 1}. oszlop`}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </fieldset>
+          )}
+
+          {/* Unknown Categories */}
+          {hasUnknownCategories && (
+            <div className="border rounded p-3 bg-yellow-50 border-yellow-200">
+              <p className="text-sm font-medium text-yellow-800 mb-2">
+                Új kategóriák a fájlban. A kijelölteket létrehozzuk, a többi
+                érték nem kerül importálásra (az előnézetben áthúzva).
+              </p>
+              {Object.entries(preview.unknownCategories)
+                .filter(([, values]) => values.length > 0)
+                .map(([listKey, values]) => (
+                  <div
+                    key={listKey}
+                    className="flex flex-wrap items-center gap-3 text-sm mb-1"
+                  >
+                    <span className="font-medium w-24">
+                      {CATEGORY_LABELS[listKey]}:
+                    </span>
+                    {values.map((value) => (
+                      <label key={value} className="flex items-center">
+                        <input
+                          type="checkbox"
+                          className="mr-1"
+                          checked={!skippedCategories[listKey].includes(value)}
+                          onChange={() => toggleCategory(listKey, value)}
+                        />
+                        {value}
+                      </label>
+                    ))}
+                  </div>
+                ))}
+            </div>
+          )}
+
+          {/* Preview */}
+          {preview && (
+            <div>
+              <p className="text-sm mb-2">
+                Új: <strong>{counts.create}</strong>, frissítés:{" "}
+                <strong>{counts.update}</strong>, hibás (kimarad):{" "}
+                <strong className={counts.skip > 0 ? "text-red-600" : ""}>
+                  {counts.skip}
+                </strong>
+              </p>
+              <div className="overflow-x-auto border rounded">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="p-2 text-left">Sor</th>
+                      <th className="p-2 text-left">Művelet</th>
+                      {STAFF_IMPORT_FIELDS.filter(
+                        (field) => mapping[field.key] >= 0,
+                      ).map((field) => (
+                        <th key={field.key} className="p-2 text-left">
+                          {field.label}
+                        </th>
+                      ))}
+                      <th className="p-2 text-left">Hibák</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map((row) => {
+                      const droppedFields =
+                        row.action === "skip"
+                          ? []
+                          : getDroppedCategoryFields(row.data, newCategories);
+                      return (
+                        <tr
+                          key={row.rowNumber}
+                          className={`border-t ${row.action === "skip" ? "bg-red-50" : ""}`}
+                        >
+                          <td className="p-2 text-gray-500">{row.rowNumber}</td>
+                          <td className="p-2 whitespace-nowrap">
+                            {
+                              {
+                                create: "Új dolgozó",
+                                update: "Frissítés",
+                                skip: "Kimarad",
+                              }[row.action]
+                            }
+                          </td>
+                          {STAFF_IMPORT_FIELDS.filter(
+                            (field) => mapping[field.key] >= 0,
+                          ).map((field) => (
+                            <td key={field.key} className="p-2">
+                              {droppedFields.includes(field.key) ? (
+                                <span
+                                  className="line-through text-yellow-700"
+                                  title="Az új kategória nem jön létre, ezért ez az érték nem kerül importálásra."
+                                >
+                                  {row.data[field.key]}
+                                </span>
+                              ) : field.key === "isActive" ? (
+                                row.data.isActive === undefined ? (
+                                  ""
+                                ) : row.data.isActive ? (
+                                  "Igen"
+                                ) : (
+                                  "Nem"
+                                )
+                              ) : (
+                                row.data[field.key]
+                              )}
+                            </td>
+                          ))}
+                          <td className="p-2 text-red-600">
+                            {row.errors.join("; ")}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-between items-center flex-shrink-0">
+          <p className="text-xs text-gray-500">
+            Az importált adatok a Beállítások mentésével véglegesednek.
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+            >
+              Mégse
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={!preview || counts.create + counts.update === 0}
+              className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center"
+            >
+              <Upload className="w-4 h-4 mr-2" aria-hidden="true" />
+              Importálás
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffImportModal;
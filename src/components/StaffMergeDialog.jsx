@@ -0,0 +1,205 @@
+import React, { useMemo, useState } from "react";
+import { GitMerge, X } from "lucide-react";
+import { formatDate, getDayName } from "../utils/helpers";
+import { AUDIT_FIELD_LABELS } from "../utils/auditLog";
+import { mergeRowEdits } from "../utils/syncQueue";
+
+/**
+ * @constant {RegExp} DATE_KEY_PATTERN
+ * Matches the keys of the shift cells ('YYYY-MM-DD'); the other keys are weekly overrides.
+ */
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the label of a merged value: a weekly override or the shift of a day.
+ *
+ * @param {string} key - A row field or a date key ('YYYY-MM-DD').
+ * @returns {string} The label, e.g. "Egység" or "Műszak, 2024.06.04 (Kedd)".
+ */
+const getKeyLabel = (key) => {
+  if (DATE_KEY_PATTERN.test(key)) {
+    const date = new Date(`${key}T12:00:00`);
+    return `Műszak, ${formatDate(date)} (${getDayName(date)})`;
+  }
+  return AUDIT_FIELD_LABELS[key] || key;
+};
+
+/**
+ * Returns a value of a staff row: a row field or a shift code (empty if missing).
+ *
+ * @param {object} row - The row.
+ * @param {string} key - A row field or a date key.
+ * @returns {string} The value.
+ */
+const getValue = (row, key) =>
+  (DATE_KEY_PATTERN.test(key) ? row.shifts?.[key] : row[key]) || "";
+
+/**
+ * @typedef {object} StaffMergeDialogProps
+ * @property {object | null} baseRow - The saved row the edit started from (null if the staff member was not in the week).
+ * @property {object} localRow - The row edited in the StaffModal.
+ * @property {object} savedRow - The row saved by another user in the meantime.
+ * @property {function(object): void} onApply - Called with the merged row (weekly overrides and shifts) to save.
+ * @property {function(): void} onCancel - Closes the dialog and returns to the edit.
+ */
+
+/**
+ * A dialog shown when another user saved the weekly row of the staff member while it was being edited.
+ * The changes made on one side only are merged; for the values changed on both sides the user
+ * chooses which one to keep.
+ *
+ * @param {StaffMergeDialogProps} props - Component props.
+ * @returns {JSX.Element} The rendered merge dialog.
+ */
+const StaffMergeDialog = ({
+  baseRow,
+  localRow,
+  savedRow,
+  onApply,
+  onCancel,
+}) => {
+  /**
+   * @constant {{row: object, conflictKeys: string[]}} merge
+   * The row merged from the two edits, and the values changed differently on the two sides.
+   */
+  const merge = useMemo(
+    () => mergeRowEdits(savedRow.staffId, baseRow, localRow, savedRow),
+    [baseRow, localRow, savedRow],
+  );
+
+  /**
+   * @state {object.<string, 'mine' | 'theirs'>} choices - The kept value of each conflicting key (the own value by default).
+   */
+  const [choices, setChoices] = useState({});
+
+  /**
+   * @function handleApply
+   * Applies the choices to the merged row and passes it on for saving.
+   */
+  const handleApply = () => {
+    const row = { ...merge.row, shifts: { ...merge.row.shifts } };
+    merge.conflictKeys
+      .filter((key) => (choices[key] || "mine") === "mine")
+      .forEach((key) => {
+        const value = getValue(localRow, key);
+        if (!DATE_KEY_PATTERN.test(key)) row[key] = value;
+        else if (value) row.shifts[key] = value;
+        else delete row.shifts[key];
+      });
+    onApply(row);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="staff-merge-dialog-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        {/* Dialog Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2
+            id="staff-merge-dialog-title"
+            className="text-lg font-semibold flex items-center"
+          >
+            <GitMerge className="w-5 h-5 mr-2" aria-hidden="true" />
+            Módosítások összefésülése
+          </h2>
+          <button
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Dialog Body */}
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <p className="text-sm text-gray-700">
+            {savedRow.name || localRow.name} heti adatait, amíg Ön
+            szerkesztette, más is módosította és elmentette. A csak az egyikük
+            által módosított értékek automatikusan összefésülésre kerülnek.
+          </p>
+          {merge.conflictKeys.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Nincs ütköző érték, a két módosítás összefésülhető.
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-700">
+                Ezeket az értékeket mindketten módosították; válassza ki,
+                melyiket szeretné megtartani.
+              </p>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-gray-100 text-left">
+                    <th className="p-2 border">Mező</th>
+                    <th className="p-2 border">Az Ön értéke</th>
+                    <th className="p-2 border">Másik felhasználó értéke</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merge.conflictKeys.map((key) => (
+                    <tr key={key}>
+                      <td className="p-2 border whitespace-nowrap">
+                        {getKeyLabel(key)}
+                      </td>
+                      {["mine", "theirs"].map((side) => (
+                        <td key={side} className="p-2 border">
+                          <label className="flex items-center space-x-2 cursor-pointer">
+                            <input
+                              type="radio"
+                              name={`merge-${key}`}
+                              checked={(choices[key] || "mine") === side}
+                              onChange={() =>
+                                setChoices((prev) => ({ ...prev, [key]: side }))
+                              }
+                            />
+                            <span
+                              className={
+                                side === "mine"
+                                  ? "text-orange-700"
+                                  : "text-green-700"
+                              }
+                            >
+                              {getValue(
+                                side === "mine" ? localRow : savedRow,
+                                key,
+                              ) || "(üres)"}
+                            </span>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        {/* Dialog Footer */}
+        <div className="p-4 border-t flex justify-end space-x-3 bg-gray-50 rounded-b-lg">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-100"
+          >
+            Vissza a szerkesztéshez
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Összefésülés és mentés
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffMergeDialog;
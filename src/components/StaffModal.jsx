@@ -5,6 +5,28 @@ import {
   getDayName,
   getContrastingTextColor,
 } from "../utils/helpers";
+import {
+  isLeaveShift,
+  countLeaveDays,
+  getLeaveBalance,
+  getLeavePeriod,
+} from "../utils/leave";
+import StaffMergeDialog from "./StaffMergeDialog";
+
+/**
+ * @constant {object.<number, string>} DAY_GRID_CLASSES
+ * Grid column classes of the shift selectors by the number of working days
+ * (listed in full so that Tailwind generates them).
+ */
+const DAY_GRID_CLASSES = {
+  1: "md:grid-cols-1 print:grid-cols-1",
+  2: "md:grid-cols-2 print:grid-cols-2",
+  3: "md:grid-cols-3 print:grid-cols-3",
+  4: "md:grid-cols-4 print:grid-cols-4",
+  5: "md:grid-cols-5 print:grid-cols-5",
+  6: "md:grid-cols-6 print:grid-cols-6",
+  7: "md:grid-cols-7 print:grid-cols-7",
+};
 
 /**
  * @typedef {object} StaffWeeklyData - Represents a staff member's data for a specific week, including potential overrides.
@@ -15,6 +37,7 @@ import {
  * @property {string} [group] - Assigned group for this specific week (overrides default).
  * @property {string} [jobTitle] - Assigned job title for this specific week (overrides default).
  * @property {object.<string, string>} [shifts] - Mapping of date strings ('YYYY-MM-DD') to shift codes for this week.
+ * @property {number | null} [annualLeaveDays] - Yearly paid leave entitlement in days (from global data, null if not set).
  */
 
 /**
@@ -30,16 +53,21 @@ import {
 /**
  * @typedef {object} StaffModalProps
  * @property {StaffWeeklyData} editingStaff - The initial weekly data for the staff member being edited.
+ * @property {object | null} [baseRow=null] - The saved weekly row of the staff member when the modal was opened (null if they were not in the saved week).
  * @property {StaffModalGlobalSettings} globalSettings - Global application settings containing lists for categories and shifts.
  * @property {Date[]} weekDates - An array of Date objects representing the days of the week being edited.
  * @property {function(string): string} getShiftColor - A function to retrieve the background color for a given shift code.
- * @property {function(StaffWeeklyData): void} handleSaveStaff - Callback function to save the updated weekly staff data. Receives the modified local staff data object.
+ * @property {object.<string, number> | null} [leaveUsage] - Used paid leave days per staff ID in the week's year up to today, counted from every other saved week (null while loading or if unavailable).
+ * @property {function(StaffWeeklyData, (object | null)): Promise<import('../hooks/useStaffData').StaffRowSaveResult | null>} handleSaveStaff - Callback function to save the updated weekly staff data.
+ * Receives the modified local staff data object and the saved row the edit is based on; resolves to the result of the save (a conflict if someone else changed the row).
  * @property {function(string): Promise<boolean>} handleAddUnit - Callback function to add a new unit to global settings. Returns true on success.
  * @property {function(string): Promise<boolean>} handleAddGroup - Callback function to add a new group to global settings. Returns true on success.
  * @property {function(string): Promise<boolean>} handleAddJobTitle - Callback function to add a new job title to global settings. Returns true on success.
  * @property {function(string): Promise<boolean>} handleRemoveUnit - Callback function to remove a unit from global settings. Returns true on success.
  * @property {function(string): Promise<boolean>} handleRemoveGroup - Callback function to remove a group from global settings. Returns true on success.
  * @property {function(string): Promise<boolean>} handleRemoveJobTitle - Callback function to remove a job title from global settings. Returns true on success.
+ * @property {boolean} [canEditCategories=true] - Whether the user may add and remove units, groups and job titles (see `Permissions.canEditSettings`).
+ * @property {boolean} [isUnitLocked=false] - If true, the weekly unit cannot be changed (a unit leader cannot move staff out of their unit).
  * @property {function(): void} onClose - Callback function to close the modal without saving.
  */
 
@@ -47,16 +75,19 @@ import {
  * A modal for editing a specific staff member's weekly schedule details,
  * including their assigned unit, group, job title (overriding defaults for the week),
  * and daily shift assignments. Allows adding new global categories (unit, group, job title)
- * and removing existing ones directly from the modal.
+ * and removing existing ones directly from the modal. If someone else saved the same row in the
+ * meantime, the two edits are merged in the `StaffMergeDialog` before saving again.
  *
  * @param {StaffModalProps} props - Component props.
  * @returns {JSX.Element} The rendered staff editing modal.
  */
 const StaffModal = ({
   editingStaff,
+  baseRow = null,
   globalSettings,
   weekDates,
   getShiftColor,
+  leaveUsage = null,
   handleSaveStaff,
   handleAddUnit,
   handleAddGroup,
@@ -64,6 +95,8 @@ const StaffModal = ({
   handleRemoveUnit,
   handleRemoveGroup,
   handleRemoveJobTitle,
+  canEditCategories = true,
+  isUnitLocked = false,
   onClose,
 }) => {
   // ==========================================================================
@@ -102,6 +135,20 @@ const StaffModal = ({
    */
   const [showJobTitleInput, setShowJobTitleInput] = useState(false);
 
+  /**
+   * @state {object | null} editBaseRow - The saved row the edit is based on. Becomes the other user's row once
+   * their changes were merged into the edit.
+   */
+  const [editBaseRow, setEditBaseRow] = useState(baseRow);
+  /**
+   * @state {object | null} mergeRow - The row saved by someone else during the edit, shown in the merge dialog (null if none).
+   */
+  const [mergeRow, setMergeRow] = useState(null);
+  /**
+   * @state {boolean} isSaving - True while the save is in progress.
+   */
+  const [isSaving, setIsSaving] = useState(false);
+
   // ==========================================================================
   // Effects
   // ==========================================================================
@@ -126,6 +173,41 @@ const StaffModal = ({
     setNewJobTitle("");
   }, [editingStaff]);
 
+  /**
+   * @effect Resets the base of the edit when the modal is opened for another row.
+   */
+  useEffect(() => {
+    setEditBaseRow(baseRow);
+    setMergeRow(null);
+  }, [baseRow]);
+
+  // ==========================================================================
+  // Derived State
+  // ==========================================================================
+
+  /**
+   * @constant {number} leaveYear - The year whose leave balance is shown (the year of the week's Monday).
+   */
+  const leaveYear = weekDates[0]?.getFullYear() ?? new Date().getFullYear();
+
+  /**
+   * @constant {import('../utils/leave').LeaveBalance | null} leaveBalance - The staff member's year-to-date leave balance
+   * including the local (unsaved) shifts of this week up to today. Null if no entitlement is set or the usage is not loaded yet.
+   */
+  const leaveBalance =
+    leaveUsage === null
+      ? null
+      : getLeaveBalance(
+          localStaffData.annualLeaveDays,
+          (leaveUsage[localStaffData.staffId] || 0) +
+            countLeaveDays(
+              localStaffData.shifts,
+              leaveYear,
+              globalSettings?.shiftTypes,
+              getLeavePeriod(leaveYear).lastDateKey,
+            ),
+        );
+
   // ==========================================================================
   // Callback Handlers for Local State Updates
   // ==========================================================================
@@ -144,11 +226,25 @@ const StaffModal = ({
   /**
    * @callback handleLocalShiftChange
    * Updates the shift assignment for a specific date in the `localStaffData.shifts` object.
-   * Memoized for performance.
+   * Asks for confirmation if assigning a paid leave day would exceed the yearly leave entitlement.
    * @param {string} dateString - The date string (YYYY-MM-DD) for the shift being changed.
    * @param {string} shiftCode - The new shift code selected for that date.
    */
-  const handleLocalShiftChange = useCallback((dateString, shiftCode) => {
+  const handleLocalShiftChange = (dateString, shiftCode) => {
+    const shiftTypes = globalSettings?.shiftTypes;
+    const previousCode = localStaffData.shifts?.[dateString] || "";
+    if (
+      leaveBalance &&
+      dateString.startsWith(`${leaveYear}-`) &&
+      isLeaveShift(shiftCode, shiftTypes) &&
+      !isLeaveShift(previousCode, shiftTypes) &&
+      leaveBalance.remaining < 1 &&
+      !window.confirm(
+        `Figyelem: ${localStaffData.name} ${leaveYear}. évi szabadságkerete (${leaveBalance.entitlement} nap) már elfogyott (felhasznált: ${leaveBalance.used} nap).\nBiztosan kiadja ezt a szabadságnapot?`,
+      )
+    ) {
+      return; // User cancelled
+    }
     setLocalStaffData((prev) => ({
       ...prev,
       shifts: {
@@ -156,7 +252,7 @@ const StaffModal = ({
         [dateString]: shiftCode,
       },
     }));
-  }, []);
+  };
 
   // ==========================================================================
   // Category Management Functions (Interact with Global Settings via Props)
@@ -298,16 +394,59 @@ const StaffModal = ({
   // Save and Close Handlers
   // ==========================================================================
 
+  /**
+   * @function submitChanges
+   * Calls the `handleSaveStaff` prop function to persist the changes for the week.
+   * The parent component is responsible for closing the modal on success. If someone else changed
+   * the row in the meantime, their row is shown in the merge dialog; if they removed it from the week,
+   * the user is asked whether to add it again with their changes.
+   * @param {StaffWeeklyData} staffData - The weekly data to save.
+   * @param {object | null} base - The saved row the data is based on.
+   */
+  const submitChanges = async (staffData, base) => {
+    setIsSaving(true);
+    const result = await handleSaveStaff(staffData, base);
+    setIsSaving(false);
+    if (!result?.conflict) return;
+    if (result.savedRow) {
+      setMergeRow(result.savedRow);
+      return;
+    }
+    if (
+      window.confirm(
+        `${staffData.name} heti adatait közben más eltávolította ebből a hétből. Szeretné újra felvenni a hétre az Ön módosításaival?`,
+      )
+    ) {
+      setEditBaseRow(null);
+      await submitChanges(staffData, null);
+    }
+  };
+
   /**
    * @function saveChanges
-   * Validates the local staff data (checks for name) and then calls
-   * the `handleSaveStaff` prop function to persist the changes for the week.
-   * The parent component is responsible for closing the modal on success.
+   * Saves the local staff data (containing the weekly overrides) on top of the row the modal was opened with.
+   */
+  const saveChanges = () => submitChanges(localStaffData, editBaseRow);
+
+  /**
+   * @function applyMerge
+   * Takes the row merged in the merge dialog into the edit and saves it on top of the other user's row.
+   * @param {object} mergedRow - The merged weekly overrides and shifts.
    */
-  const saveChanges = () => {
-    // Pass the entire localStaffData (containing weekly overrides) to the save handler
-    handleSaveStaff(localStaffData);
-    // Parent (App.js) should handle closing the modal after state update via hook
+  const applyMerge = (mergedRow) => {
+    const mergedData = {
+      ...localStaffData,
+      name: mergedRow.name,
+      unit: mergedRow.unit,
+      group: mergedRow.group,
+      jobTitle: mergedRow.jobTitle,
+      shifts: mergedRow.shifts,
+    };
+    const savedRow = mergeRow;
+    setLocalStaffData(mergedData);
+    setEditBaseRow(savedRow);
+    setMergeRow(null);
+    submitChanges(mergedData, savedRow);
   };
 
   // ==========================================================================
@@ -393,8 +532,9 @@ const StaffModal = ({
             <select
               value={value || ""} // Ensure controlled component, default to empty string
               onChange={(e) => onChange(localField, e.target.value)}
-              className="w-full p-2 border rounded-l bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none"
+              className="w-full p-2 border rounded-l bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 outline-none disabled:bg-gray-100 disabled:cursor-not-allowed"
               aria-label={label}
+              disabled={localField === "unit" && isUnitLocked}
             >
               <option value="">{placeholder}</option>
               {(options || []).map((option) => (
@@ -403,31 +543,34 @@ const StaffModal = ({
                 </option>
               ))}
             </select>
-            <button
-              onClick={() => setShowInput(true)}
-              className="px-2 py-2 bg-blue-500 text-white hover:bg-blue-600 flex-shrink-0"
-              title={`Új ${categoryNameSingular} hozzáadása`}
-              aria-label={`Új ${categoryNameSingular} hozzáadása`}
-            >
-              <PlusCircle className="w-5 h-5" />
-            </button>
-            {value && ( // Only show remove button if a value is selected
+            {canEditCategories && (
               <button
-                onClick={() =>
-                  removeCategoryAndClearLocal(
-                    value,
-                    removerFunc, // Pass the function that calls the hook
-                    localField,
-                    categoryNameSingular,
-                  )
-                }
-                className="px-2 py-2 bg-red-500 text-white rounded-r hover:bg-red-600 flex-shrink-0"
-                title={`${categoryNameSingular} (${value}) törlése a globális listából`}
-                aria-label={`Törlés: ${value} (${categoryNameSingular})`}
+                onClick={() => setShowInput(true)}
+                className="px-2 py-2 bg-blue-500 text-white hover:bg-blue-600 flex-shrink-0"
+                title={`Új ${categoryNameSingular} hozzáadása`}
+                aria-label={`Új ${categoryNameSingular} hozzáadása`}
               >
-                <Trash2 className="w-5 h-5" />
+                <PlusCircle className="w-5 h-5" />
               </button>
             )}
+            {canEditCategories &&
+              value && ( // Only show remove button if a value is selected
+                <button
+                  onClick={() =>
+                    removeCategoryAndClearLocal(
+                      value,
+                      removerFunc, // Pass the function that calls the hook
+                      localField,
+                      categoryNameSingular,
+                    )
+                  }
+                  className="px-2 py-2 bg-red-500 text-white rounded-r hover:bg-red-600 flex-shrink-0"
+                  title={`${categoryNameSingular} (${value}) törlése a globális listából`}
+                  aria-label={`Törlés: ${value} (${categoryNameSingular})`}
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              )}
           </div>
         )}
       </div>
@@ -546,7 +689,9 @@ const StaffModal = ({
             <legend className="font-medium mb-3 text-base">
               Műszak beosztás (erre a hétre)
             </legend>
-            <div className="grid grid-cols-3 sm:grid-cols-4 md:grid-cols-7 gap-3">
+            <div
+              className={`grid grid-cols-3 sm:grid-cols-4 gap-3 ${DAY_GRID_CLASSES[weekDates.length] || "md:grid-cols-7"}`}
+            >
               {weekDates.map((date) => {
                 const dateString = date.toISOString().split("T")[0];
                 const currentShiftCode =
@@ -613,6 +758,16 @@ const StaffModal = ({
                 );
               })}
             </div>
+            {leaveBalance && (
+              <p
+                className={`mt-3 text-sm ${leaveBalance.remaining < 0 ? "text-red-700 font-medium" : "text-gray-600"}`}
+              >
+                Szabadság ({leaveYear}): {leaveBalance.used} /{" "}
+                {leaveBalance.entitlement} nap felhasználva, hátralévő:{" "}
+                {leaveBalance.remaining} nap
+                {leaveBalance.remaining < 0 && " (keret túllépve!)"}
+              </p>
+            )}
           </fieldset>
         </div>
 
@@ -628,12 +783,23 @@ const StaffModal = ({
           <button
             type="button"
             onClick={saveChanges}
-            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+            disabled={isSaving}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1 disabled:opacity-50"
           >
-            Heti adatok mentése
+            {isSaving ? "Mentés..." : "Heti adatok mentése"}
           </button>
         </div>
       </div>
+
+      {mergeRow && (
+        <StaffMergeDialog
+          baseRow={editBaseRow}
+          localRow={localStaffData}
+          savedRow={mergeRow}
+          onApply={applyMerge}
+          onCancel={() => setMergeRow(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,432 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { X, Printer, Loader, AlertTriangle } from "lucide-react";
+import {
+  formatDate,
+  getContrastingTextColor,
+  normalizeWorkingWeekdays,
+  toDateKey,
+  WEEKDAY_OPTIONS,
+} from "../utils/helpers";
+import { getShiftKindLabel } from "../utils/shiftKinds";
+import { formatHours } from "../utils/hours";
+import { buildStaffTimeline } from "../utils/staffTimeline";
+
+/**
+ * @constant {number} MAX_RANGE_DAYS
+ * The longest selectable range (one year), limiting the number of weekly documents loaded at once.
+ */
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Converts a 'YYYY-MM-DD' key (as used by date inputs) into a Date set to local noon.
+ *
+ * @param {string} dateKey - The date key.
+ * @returns {Date} The date (invalid if the key is malformed).
+ */
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = (dateKey || "").split("-").map(Number);
+  return new Date(year, month - 1, day, 12);
+};
+
+/**
+ * @typedef {object} StaffTimelineModalProps
+ * @property {object} staff - The staff row whose timeline is shown (`staffId`, `name`, `employeeNumber`).
+ * @property {object} globalSettings - Global settings (`staffList`, `shiftTypes`, `timeSlots`, `workingWeekdays`).
+ * @property {Date} initialDate - A date of the month selected by default (usually the current week).
+ * @property {function(Date, Date): Promise<Array<object> | null>} fetchSchedulesInRange - Loads the weekly schedules overlapping a date range.
+ * @property {function(string): string} getShiftColor - Returns the background color for a shift code.
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal showing a single staff member's schedule over a chosen date range, one row per week:
+ * the shifts, the weekly unit/group/job title (overrides highlighted), the weekly hours and,
+ * in the summary, the total hours and the absence days by kind. The modal has a printable layout.
+ *
+ * @param {StaffTimelineModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered timeline modal.
+ */
+const StaffTimelineModal = ({
+  staff,
+  globalSettings,
+  initialDate,
+  fetchSchedulesInRange,
+  getShiftColor,
+  onClose,
+}) => {
+  /**
+   * @state {{from: string, to: string}} range - The selected date range ('YYYY-MM-DD' keys), the month of `initialDate` by default.
+   */
+  const [range, setRange] = useState(() => ({
+    from: toDateKey(
+      new Date(initialDate.getFullYear(), initialDate.getMonth(), 1, 12),
+    ),
+    to: toDateKey(
+      new Date(initialDate.getFullYear(), initialDate.getMonth() + 1, 0, 12),
+    ),
+  }));
+
+  /**
+   * @state {Array<object> | null} schedules - The loaded weekly schedules (null while loading).
+   */
+  const [schedules, setSchedules] = useState(null);
+
+  /**
+   * @state {boolean} loadError - True if the schedules could not be loaded.
+   */
+  const [loadError, setLoadError] = useState(false);
+
+  const startDate = parseDateKey(range.from);
+  const endDate = parseDateKey(range.to);
+  const rangeDays = Math.round((endDate - startDate) / 86400000) + 1;
+
+  /**
+   * Validation message of the selected range (empty if the range is valid).
+   * @type {string}
+   */
+  let rangeError = "";
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    rangeError = "Adjon meg egy érvényes időszakot!";
+  } else if (rangeDays < 1) {
+    rangeError = "A kezdő dátum nem lehet későbbi a záró dátumnál.";
+  } else if (rangeDays > MAX_RANGE_DAYS) {
+    rangeError = "Legfeljebb egy év jeleníthető meg egyszerre.";
+  }
+
+  /**
+   * @effect Loads the weekly schedules of the selected range.
+   */
+  useEffect(() => {
+    if (rangeError) return;
+    let isCancelled = false;
+    setSchedules(null);
+    setLoadError(false);
+    fetchSchedulesInRange(
+      parseDateKey(range.from),
+      parseDateKey(range.to),
+    ).then((result) => {
+      if (isCancelled) return;
+      setLoadError(result === null);
+      setSchedules(result || []);
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [range.from, range.to, rangeError, fetchSchedulesInRange]);
+
+  /**
+   * The working weekdays displayed as columns.
+   * @type {Array<{value: number, label: string, shortLabel: string}>}
+   */
+  const weekdayColumns = useMemo(() => {
+    const weekdays = normalizeWorkingWeekdays(globalSettings?.workingWeekdays);
+    return WEEKDAY_OPTIONS.filter((option) => weekdays.includes(option.value));
+  }, [globalSettings?.workingWeekdays]);
+
+  /**
+   * The staff member's entry in the global staff list (holds the default categories).
+   * @type {object | undefined}
+   */
+  const globalStaff = globalSettings?.staffList?.find(
+    (s) => s.id === staff.staffId,
+  );
+
+  /**
+   * The staff member's timeline over the range (null while loading or if the range is invalid).
+   * @type {import('../utils/staffTimeline').StaffTimeline | null}
+   */
+  const timeline = useMemo(() => {
+    if (rangeError || !schedules) return null;
+    return buildStaffTimeline({
+      schedules,
+      globalStaff: globalStaff || { id: staff.staffId },
+      startDate: parseDateKey(range.from),
+      endDate: parseDateKey(range.to),
+      weekdays: globalSettings?.workingWeekdays,
+      timeSlots: globalSettings?.timeSlots,
+      shiftTypes: globalSettings?.shiftTypes,
+    });
+  }, [
+    schedules,
+    rangeError,
+    range.from,
+    range.to,
+    staff.staffId,
+    globalStaff,
+    globalSettings?.workingWeekdays,
+    globalSettings?.timeSlots,
+    globalSettings?.shiftTypes,
+  ]);
+
+  /**
+   * Renders the shift cell of a weekday in a week row.
+   *
+   * @param {import('../utils/staffTimeline').TimelineWeek} week - The week.
+   * @param {number} weekday - The weekday (`Date.getDay()` value).
+   * @returns {JSX.Element} The rendered table cell.
+   */
+  const renderDayCell = (week, weekday) => {
+    const day = week.days.find((d) => d.date.getDay() === weekday);
+    if (!day) {
+      // Outside the selected range
+      return (
+        <td
+          key={weekday}
+          className="py-1 px-1 border-l border-gray-100 bg-gray-50"
+        ></td>
+      );
+    }
+    const bgColor = getShiftColor(day.shiftCode);
+    const shiftName = globalSettings?.shiftTypes?.find(
+      (st) => st.code === day.shiftCode,
+    )?.name;
+    return (
+      <td
+        key={weekday}
+        className="py-1 px-1 text-center text-sm font-medium border-l border-gray-100 whitespace-nowrap"
+        style={{
+          backgroundColor: bgColor,
+          color: getContrastingTextColor(bgColor),
+        }}
+        title={`${formatDate(day.date)}: ${shiftName || day.shiftCode || "Nincs műszak"}`}
+      >
+        {day.shiftCode || <span className="text-gray-300">-</span>}
+        <div className="text-[10px] font-normal leading-tight opacity-80">
+          {day.date.getDate()}.
+        </div>
+      </td>
+    );
+  };
+
+  /**
+   * Renders a category cell of a week row, highlighting weekly overrides.
+   *
+   * @param {string} value - The category value.
+   * @param {string} defaultValue - The global default of the category.
+   * @returns {JSX.Element} The rendered table cell.
+   */
+  const renderCategoryCell = (value, defaultValue) => {
+    const isOverride = value !== defaultValue;
+    return (
+      <td
+        className={`py-1 px-2 text-sm whitespace-nowrap ${isOverride ? "font-semibold text-blue-700" : ""}`}
+        title={
+          isOverride
+            ? `Heti felülírás (alapértelmezett: ${defaultValue || "-"})`
+            : ""
+        }
+      >
+        {value || "-"}
+      </td>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 print:static print:block print:bg-white print:p-0"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="staff-timeline-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-5xl max-h-[90vh] flex flex-col print:max-h-none print:shadow-none print:max-w-none">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center flex-shrink-0 print:p-2">
+          <h2
+            id="staff-timeline-title"
+            className="text-xl font-semibold truncate print:text-base"
+          >
+            Egyéni beosztás: {staff.name}
+            {staff.employeeNumber ? ` (Azon: ${staff.employeeNumber})` : ""}
+            <span className="hidden print:inline">
+              {" "}
+              – {formatDate(startDate)} - {formatDate(endDate)}
+            </span>
+          </h2>
+          <div className="flex items-center space-x-2 print:hidden">
+            <button
+              onClick={() => window.print()}
+              disabled={!timeline}
+              className="p-2 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+              title="Nyomtatás"
+              aria-label="Nyomtatás"
+            >
+              <Printer className="w-5 h-5" />
+            </button>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+              aria-label="Bezárás"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* Modal Body (Scrollable) */}
+        <div className="p-6 flex-grow overflow-y-auto space-y-4 print:overflow-visible print:p-2">
+          {/* Range Selection */}
+          <div className="flex flex-wrap items-end gap-4 print:hidden">
+            <div>
+              <label
+                htmlFor="timeline-from"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Kezdő dátum
+              </label>
+              <input
+                id="timeline-from"
+                type="date"
+                value={range.from}
+                onChange={(e) => setRange({ ...range, from: e.target.value })}
+                className="p-2 border rounded"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="timeline-to"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Záró dátum
+              </label>
+              <input
+                id="timeline-to"
+                type="date"
+                value={range.to}
+                onChange={(e) => setRange({ ...range, to: e.target.value })}
+                className="p-2 border rounded"
+              />
+            </div>
+          </div>
+
+          {rangeError && (
+            <div
+              className="flex items-center text-red-700 bg-red-50 border border-red-200 rounded p-2 text-sm"
+              role="alert"
+            >
+              <AlertTriangle className="w-4 h-4 mr-2" aria-hidden="true" />
+              {rangeError}
+            </div>
+          )}
+          {loadError && (
+            <div
+              className="flex items-center text-red-700 bg-red-50 border border-red-200 rounded p-2 text-sm"
+              role="alert"
+            >
+              <AlertTriangle className="w-4 h-4 mr-2" aria-hidden="true" />
+              Nem sikerült betölteni a heti beosztásokat.
+            </div>
+          )}
+
+          {!rangeError && !timeline && (
+            <div
+              className="flex flex-col items-center justify-center py-10 text-gray-500"
+              role="status"
+            >
+              <Loader
+                className="w-8 h-8 mb-2 animate-spin text-blue-600"
+                aria-hidden="true"
+              />
+              <p>Beosztás betöltése...</p>
+            </div>
+          )}
+
+          {timeline && (
+            <>
+              {/* Summary */}
+              <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm bg-gray-50 border rounded p-3 print:p-1">
+                <span>
+                  Összes óra:{" "}
+                  <strong>{formatHours(timeline.totalHours)}</strong>
+                </span>
+                {Object.entries(timeline.absenceDays).map(([kind, days]) => (
+                  <span key={kind}>
+                    {getShiftKindLabel(kind)}: <strong>{days} nap</strong>
+                  </span>
+                ))}
+                {Object.keys(timeline.absenceDays).length === 0 && (
+                  <span className="text-gray-500">
+                    Nincs távollét az időszakban.
+                  </span>
+                )}
+              </div>
+
+              {/* Weekly Rows */}
+              <div className="overflow-x-auto">
+                <table className="min-w-full border-collapse border text-left">
+                  <thead className="bg-gray-100 print:bg-gray-100">
+                    <tr className="text-xs font-semibold text-gray-600 uppercase">
+                      <th scope="col" className="py-2 px-2">
+                        Hét
+                      </th>
+                      <th scope="col" className="py-2 px-2">
+                        Egység
+                      </th>
+                      <th scope="col" className="py-2 px-2">
+                        Csoport
+                      </th>
+                      <th scope="col" className="py-2 px-2">
+                        Munkakör
+                      </th>
+                      {weekdayColumns.map((option) => (
+                        <th
+                          key={option.value}
+                          scope="col"
+                          className="py-2 px-1 text-center"
+                          title={option.label}
+                        >
+                          {option.shortLabel}
+                        </th>
+                      ))}
+                      <th scope="col" className="py-2 px-2 text-center">
+                        Óra
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {timeline.weeks.map((week) => (
+                      <tr
+                        key={week.weekStartDate}
+                        className={week.isScheduled ? "" : "text-gray-400"}
+                      >
+                        <td
+                          className="py-1 px-2 text-sm whitespace-nowrap"
+                          title={
+                            week.isScheduled
+                              ? ""
+                              : "A dolgozó nem szerepel ennek a hétnek a beosztásában"
+                          }
+                        >
+                          {formatDate(parseDateKey(week.weekStartDate))}
+                        </td>
+                        {renderCategoryCell(
+                          week.unit,
+                          globalStaff?.defaultUnit ?? "",
+                        )}
+                        {renderCategoryCell(
+                          week.group,
+                          globalStaff?.defaultGroup ?? "",
+                        )}
+                        {renderCategoryCell(
+                          week.jobTitle,
+                          globalStaff?.defaultJobTitle ?? "",
+                        )}
+                        {weekdayColumns.map((option) =>
+                          renderDayCell(week, option.value),
+                        )}
+                        <td className="py-1 px-2 text-center text-sm font-medium border-l border-gray-200">
+                          {formatHours(week.hours)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StaffTimelineModal;
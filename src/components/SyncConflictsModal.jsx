@@ -0,0 +1,202 @@
+import React, { useState } from "react";
+import { X, CloudAlert, WifiOff } from "lucide-react";
+import { formatDate, getDayName } from "../utils/helpers";
+import { AUDIT_FIELD_LABELS } from "../utils/auditLog";
+
+/**
+ * Converts a 'YYYY-MM-DD' key into a date label, e.g. "2024.06.04 (Kedd)".
+ *
+ * @param {string} dateKey - The date key.
+ * @param {boolean} [withDayName=false] - Whether to append the name of the day.
+ * @returns {string} The label.
+ */
+const formatDateKey = (dateKey, withDayName = false) => {
+  const date = new Date(`${dateKey}T12:00:00`);
+  return withDayName
+    ? `${formatDate(date)} (${getDayName(date)})`
+    : formatDate(date);
+};
+
+/**
+ * Returns the label of the conflicting value: the day of a shift, a weekly override or the whole row.
+ *
+ * @param {string} key - The key of the conflict.
+ * @returns {string} The label.
+ */
+const getConflictLabel = (key) => {
+  if (key === "row") return "Dolgozó a héten";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(key)) {
+    return `Műszak, ${formatDateKey(key, true)}`;
+  }
+  return AUDIT_FIELD_LABELS[key] || key;
+};
+
+/**
+ * Returns the displayed form of a conflicting value (a 'row' conflict holds a whole row or null).
+ *
+ * @param {import('../utils/syncQueue').CellConflict} conflict - The conflict.
+ * @param {string | object | null} value - One side of the conflict.
+ * @returns {string} The displayed value.
+ */
+const formatConflictValue = (conflict, value) => {
+  if (conflict.key === "row") return value ? "módosítva" : "eltávolítva";
+  return value || "(üres)";
+};
+
+/**
+ * @typedef {object} SyncConflictsModalProps
+ * @property {import('../hooks/useStaffData').SyncStatus} syncStatus - The connection state, the queued weeks and the conflicts.
+ * @property {function(import('../utils/syncQueue').CellConflict, 'mine' | 'theirs'): Promise<boolean>} onResolve - Resolves a conflict.
+ * @property {boolean} canEdit - Whether the user may write the offline values (otherwise only the saved values can be kept).
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal listing the state of the offline synchronization: the weeks edited offline and waiting
+ * for the connection, and the values someone else changed differently in the meantime. The saved
+ * value of a conflict is kept until the user chooses their own offline value instead.
+ *
+ * @param {SyncConflictsModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered sync conflicts modal.
+ */
+const SyncConflictsModal = ({ syncStatus, onResolve, canEdit, onClose }) => {
+  /**
+   * @state {string | null} resolvingId - The ID of the conflict being resolved.
+   */
+  const [resolvingId, setResolvingId] = useState(null);
+
+  /**
+   * @function handleResolve
+   * Resolves a conflict with the chosen value.
+   * @param {import('../utils/syncQueue').CellConflict} conflict - The conflict.
+   * @param {'mine' | 'theirs'} choice - The value to keep.
+   */
+  const handleResolve = async (conflict, choice) => {
+    setResolvingId(conflict.id);
+    await onResolve(conflict, choice);
+    setResolvingId(null);
+  };
+
+  const { isOnline, isSyncing, queuedWeeks, conflicts } = syncStatus;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="sync-conflicts-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2
+            id="sync-conflicts-modal-title"
+            className="text-xl font-semibold flex items-center"
+          >
+            <CloudAlert className="w-5 h-5 mr-2" aria-hidden="true" />
+            Szinkronizálás
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-4 space-y-4 overflow-y-auto">
+          {!isOnline && (
+            <p className="text-sm bg-amber-100 border border-amber-300 text-amber-800 p-2 rounded flex items-center">
+              <WifiOff className="w-4 h-4 mr-2 flex-shrink-0" />
+              Nincs internetkapcsolat. A módosítások ezen az eszközön
+              várakoznak, és a kapcsolat helyreállása után mentődnek.
+            </p>
+          )}
+
+          {queuedWeeks.length > 0 && (
+            <p className="text-sm">
+              {isSyncing ? "Szinkronizálás folyamatban: " : "Mentésre vár: "}
+              {queuedWeeks.map((week) => formatDateKey(week)).join(", ")} heti
+              beosztás.
+            </p>
+          )}
+
+          {conflicts.length === 0 ? (
+            <p className="text-sm text-gray-600">Nincs feloldandó ütközés.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-700">
+                Ezeket az értékeket, amíg Ön offline dolgozott, más is
+                módosította. A mentett érték maradt meg; válassza ki, melyiket
+                szeretné megtartani.
+              </p>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="bg-gray-100 text-left">
+                    <th className="p-2 border">Hét</th>
+                    <th className="p-2 border">Dolgozó</th>
+                    <th className="p-2 border">Mező</th>
+                    <th className="p-2 border">Az Ön értéke</th>
+                    <th className="p-2 border">Mentett érték</th>
+                    <th className="p-2 border"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conflicts.map((conflict) => (
+                    <tr key={conflict.id} className="align-top">
+                      <td className="p-2 border whitespace-nowrap">
+                        {formatDateKey(conflict.weekStartDate)}
+                      </td>
+                      <td className="p-2 border">{conflict.staffName}</td>
+                      <td className="p-2 border whitespace-nowrap">
+                        {getConflictLabel(conflict.key)}
+                      </td>
+                      <td className="p-2 border break-all text-orange-700">
+                        {formatConflictValue(conflict, conflict.mine)}
+                      </td>
+                      <td className="p-2 border break-all text-green-700">
+                        {formatConflictValue(conflict, conflict.theirs)}
+                      </td>
+                      <td className="p-2 border whitespace-nowrap space-x-1">
+                        {canEdit && (
+                          <button
+                            onClick={() => handleResolve(conflict, "mine")}
+                            disabled={resolvingId !== null}
+                            className="px-2 py-1 bg-orange-500 text-white rounded hover:bg-orange-600 disabled:opacity-50"
+                          >
+                            Az enyém
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleResolve(conflict, "theirs")}
+                          disabled={resolvingId !== null}
+                          className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                        >
+                          Mentett
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Bezárás
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SyncConflictsModal;
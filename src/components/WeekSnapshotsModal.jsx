@@ -0,0 +1,424 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  X,
+  Camera,
+  RotateCcw,
+  Trash2,
+  Loader,
+  AlertTriangle,
+} from "lucide-react";
+import { toDateKey } from "../utils/helpers";
+import { buildScheduleDiff } from "../utils/scheduleDiff";
+import ScheduleDiffTable from "./ScheduleDiffTable";
+
+/**
+ * @constant {string} CURRENT_VERSION
+ * The value of the version selects standing for the current state of the week.
+ */
+const CURRENT_VERSION = "__current__";
+
+/**
+ * Formats the creation time of a snapshot.
+ *
+ * @param {object} snapshot - The snapshot.
+ * @returns {string} The date and time, or a placeholder while the server time is pending.
+ */
+const formatCreatedAt = (snapshot) =>
+  snapshot.createdAt
+    ? snapshot.createdAt.toDate().toLocaleString("hu-HU")
+    : "Mentés alatt...";
+
+/**
+ * @typedef {object} WeekSnapshotsModalProps
+ * @property {object} globalSettings - Global settings (staff list and categories for the comparison).
+ * @property {Date} currentWeek - The Monday of the week.
+ * @property {Array<Date>} weekDates - The working days of the week.
+ * @property {string} weekLabel - The date range of the week shown in the title.
+ * @property {object | null} currentSchedule - The current weekly schedule (`{weekStartDate, staff}`).
+ * @property {function(string): string} getShiftColor - Returns the background color for a shift code.
+ * @property {function(string): Promise<Array<object> | null>} fetchWeekSnapshots - Loads the snapshots of a week.
+ * @property {function(string, string): Promise<boolean>} createWeekSnapshot - Saves a named snapshot of a week.
+ * @property {function(string, string): Promise<boolean>} deleteWeekSnapshot - Deletes a snapshot.
+ * @property {function(string, object): Promise<boolean>} rollbackWeekToSnapshot - Overwrites the week with a snapshot.
+ * @property {boolean} [canEdit=true] - Whether snapshots may be saved, rolled back and deleted (otherwise only compared).
+ * @property {function(): void} onClose - Closes the modal.
+ */
+
+/**
+ * A modal for the named snapshots of a week (e.g. "Pénteken kiküldve", "Hétfői betegek után"):
+ * saving the current state, comparing any two versions cell by cell, rolling the week back
+ * to a snapshot and deleting snapshots.
+ *
+ * @param {WeekSnapshotsModalProps} props - Component props.
+ * @returns {JSX.Element} The rendered snapshots modal.
+ */
+const WeekSnapshotsModal = ({
+  globalSettings,
+  currentWeek,
+  weekDates,
+  weekLabel,
+  currentSchedule,
+  getShiftColor,
+  fetchWeekSnapshots,
+  createWeekSnapshot,
+  deleteWeekSnapshot,
+  rollbackWeekToSnapshot,
+  canEdit = true,
+  onClose,
+}) => {
+  const weekStartDate = toDateKey(currentWeek);
+
+  /**
+   * @state {Array<object> | null} snapshots - The snapshots of the week, newest first (null while loading).
+   */
+  const [snapshots, setSnapshots] = useState(null);
+
+  /**
+   * @state {boolean} loadError - True if the snapshots could not be loaded.
+   */
+  const [loadError, setLoadError] = useState(false);
+
+  /**
+   * @state {string} newName - The name of the snapshot to save.
+   */
+  const [newName, setNewName] = useState("");
+
+  /**
+   * @state {boolean} isWorking - True while a snapshot is saved, deleted or restored.
+   */
+  const [isWorking, setIsWorking] = useState(false);
+
+  /**
+   * @state {{from: string, to: string}} comparison - The compared versions (snapshot IDs or `CURRENT_VERSION`).
+   */
+  const [comparison, setComparison] = useState({
+    from: "",
+    to: CURRENT_VERSION,
+  });
+
+  /**
+   * @state {boolean} changedOnly - Whether the comparison shows only the changed rows.
+   */
+  const [changedOnly, setChangedOnly] = useState(false);
+
+  /**
+   * @function loadSnapshots
+   * Loads the snapshots and selects the newest one as the base of the comparison if none is selected.
+   */
+  const loadSnapshots = useCallback(async () => {
+    const result = await fetchWeekSnapshots(weekStartDate);
+    setLoadError(!result);
+    setSnapshots(result || []);
+    setComparison((prev) =>
+      result?.some((snapshot) => snapshot.id === prev.from)
+        ? prev
+        : { ...prev, from: result?.[0]?.id ?? "" },
+    );
+  }, [fetchWeekSnapshots, weekStartDate]);
+
+  /**
+   * @effect Loads the snapshots when the modal opens.
+   */
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  /**
+   * Returns the schedule of a compared version.
+   *
+   * @param {string} version - A snapshot ID or `CURRENT_VERSION`.
+   * @returns {object | null | undefined} The schedule, or undefined if no version is selected.
+   */
+  const getVersionSchedule = (version) =>
+    version === CURRENT_VERSION
+      ? currentSchedule
+      : snapshots?.find((snapshot) => snapshot.id === version)?.schedule;
+
+  const fromSchedule = getVersionSchedule(comparison.from);
+  const toSchedule = getVersionSchedule(comparison.to);
+
+  /**
+   * The comparison of the selected versions (null until two versions are selected).
+   * @type {import('../utils/scheduleDiff').ScheduleDiff | null}
+   */
+  const diff = useMemo(
+    () =>
+      fromSchedule !== undefined && toSchedule !== undefined
+        ? buildScheduleDiff({
+            globalSettings,
+            before: fromSchedule,
+            after: toSchedule,
+            dateKeys: weekDates.map(toDateKey),
+          })
+        : null,
+    [globalSettings, fromSchedule, toSchedule, weekDates],
+  );
+
+  /**
+   * @function handleCreate
+   * Saves the current state of the week as a named snapshot.
+   * @param {React.FormEvent} e - The submit event of the form.
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return alert("Adjon nevet a pillanatképnek!");
+    setIsWorking(true);
+    const success = await createWeekSnapshot(weekStartDate, newName);
+    if (success) {
+      setNewName("");
+      await loadSnapshots();
+    } else {
+      alert("Hiba történt a pillanatkép mentése közben.");
+    }
+    setIsWorking(false);
+  };
+
+  /**
+   * @function handleRollback
+   * Overwrites the week with a snapshot after confirmation.
+   * @param {object} snapshot - The snapshot.
+   */
+  const handleRollback = async (snapshot) => {
+    if (
+      !window.confirm(
+        `Biztosan visszaállítja a hetet a(z) "${snapshot.name}" pillanatképre? A jelenlegi beosztás felülíródik (a Visszavonás gombbal visszahozható).`,
+      )
+    ) {
+      return;
+    }
+    setIsWorking(true);
+    const success = await rollbackWeekToSnapshot(weekStartDate, snapshot);
+    setIsWorking(false);
+    if (!success) alert("Hiba történt a visszaállítás során.");
+  };
+
+  /**
+   * @function handleDelete
+   * Deletes a snapshot after confirmation.
+   * @param {object} snapshot - The snapshot.
+   */
+  const handleDelete = async (snapshot) => {
+    if (
+      !window.confirm(`Biztosan törli a(z) "${snapshot.name}" pillanatképet?`)
+    ) {
+      return;
+    }
+    setIsWorking(true);
+    const success = await deleteWeekSnapshot(weekStartDate, snapshot.id);
+    if (success) {
+      await loadSnapshots();
+    } else {
+      alert("Hiba történt a pillanatkép törlése közben.");
+    }
+    setIsWorking(false);
+  };
+
+  /**
+   * Renders a version select of the comparison.
+   *
+   * @param {'from' | 'to'} side - The side of the comparison.
+   * @param {string} label - The label of the select.
+   * @returns {JSX.Element} The rendered select.
+   */
+  const renderVersionSelect = (side, label) => (
+    <div>
+      <label
+        htmlFor={`snapshot-compare-${side}`}
+        className="block text-sm font-medium text-gray-700 mb-1"
+      >
+        {label}
+      </label>
+      <select
+        id={`snapshot-compare-${side}`}
+        value={comparison[side]}
+        onChange={(e) =>
+          setComparison((prev) => ({ ...prev, [side]: e.target.value }))
+        }
+        className="p-2 border rounded"
+      >
+        <option value="" disabled>
+          Válasszon...
+        </option>
+        <option value={CURRENT_VERSION}>Jelenlegi beosztás</option>
+        {(snapshots || []).map((snapshot) => (
+          <option key={snapshot.id} value={snapshot.id}>
+            {snapshot.name} ({formatCreatedAt(snapshot)})
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="week-snapshots-modal-title"
+    >
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-6xl max-h-[90vh] flex flex-col">
+        {/* Modal Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h2 id="week-snapshots-modal-title" className="text-xl font-semibold">
+            Pillanatképek: {weekLabel}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Bezárás"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Modal Body */}
+        <div className="p-4 space-y-6 overflow-y-auto">
+          {/* New Snapshot */}
+          {canEdit && (
+            <form onSubmit={handleCreate} className="flex items-end space-x-2">
+              <div className="flex-grow">
+                <label
+                  htmlFor="snapshot-name"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  A jelenlegi állapot mentése új pillanatképként
+                </label>
+                <input
+                  id="snapshot-name"
+                  type="text"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  placeholder="pl. Pénteken kiküldve"
+                  className="w-full p-2 border rounded"
+                  maxLength={80}
+                  disabled={isWorking}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isWorking}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 flex items-center"
+              >
+                <Camera className="w-4 h-4 mr-2" aria-hidden="true" />
+                Mentés
+              </button>
+            </form>
+          )}
+
+          {/* Snapshot List */}
+          <section>
+            <h3 className="font-semibold mb-2">Mentett pillanatképek</h3>
+            {snapshots === null ? (
+              <p className="flex items-center text-gray-500">
+                <Loader
+                  className="w-4 h-4 mr-2 animate-spin"
+                  aria-hidden="true"
+                />
+                Betöltés...
+              </p>
+            ) : loadError ? (
+              <p className="flex items-center text-red-600" role="alert">
+                <AlertTriangle className="w-4 h-4 mr-2" aria-hidden="true" />
+                Hiba történt a pillanatképek betöltése közben.
+              </p>
+            ) : snapshots.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Ehhez a héthez még nincs pillanatkép.
+              </p>
+            ) : (
+              <ul className="border rounded divide-y">
+                {snapshots.map((snapshot) => (
+                  <li
+                    key={snapshot.id}
+                    className="flex items-center justify-between px-3 py-2"
+                  >
+                    <span>
+                      <span className="block font-medium">{snapshot.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {formatCreatedAt(snapshot)}
+                        {snapshot.createdBy?.email
+                          ? ` · ${snapshot.createdBy.email}`
+                          : ""}
+                      </span>
+                    </span>
+                    {canEdit && (
+                      <span className="flex items-center space-x-2">
+                        <button
+                          onClick={() => handleRollback(snapshot)}
+                          disabled={isWorking}
+                          className="px-3 py-1 text-sm bg-yellow-500 text-white rounded hover:bg-yellow-600 disabled:opacity-50 flex items-center"
+                          title="A hét visszaállítása erre a pillanatképre"
+                        >
+                          <RotateCcw
+                            className="w-4 h-4 mr-1"
+                            aria-hidden="true"
+                          />
+                          Visszaállítás
+                        </button>
+                        <button
+                          onClick={() => handleDelete(snapshot)}
+                          disabled={isWorking}
+                          className="p-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+                          title="Pillanatkép törlése"
+                          aria-label={`${snapshot.name} pillanatkép törlése`}
+                        >
+                          <Trash2 className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {/* Comparison */}
+          <section className="space-y-3">
+            <h3 className="font-semibold">Összehasonlítás</h3>
+            <div className="flex flex-wrap items-end gap-4">
+              {renderVersionSelect("from", "Régebbi változat")}
+              {renderVersionSelect("to", "Újabb változat")}
+              <label className="flex items-center space-x-2 pb-2">
+                <input
+                  type="checkbox"
+                  checked={changedOnly}
+                  onChange={(e) => setChangedOnly(e.target.checked)}
+                />
+                <span className="text-sm">Csak a változott sorok</span>
+              </label>
+              {diff && (
+                <span className="text-sm text-gray-600 pb-2">
+                  {diff.changeCount} eltérés
+                </span>
+              )}
+            </div>
+            {diff ? (
+              <ScheduleDiffTable
+                diff={diff}
+                weekDates={weekDates}
+                getShiftColor={getShiftColor}
+                changedOnly={changedOnly}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">
+                Válassza ki az összehasonlítandó változatokat.
+              </p>
+            )}
+          </section>
+        </div>
+
+        {/* Modal Footer */}
+        <div className="p-4 border-t flex justify-end">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+          >
+            Bezárás
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WeekSnapshotsModal;
@@ -1,18 +1,66 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+} from "react";
 import {
   onAuthStateChanged,
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
+  deleteUser,
   signOut,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  reload,
+  getIdToken,
+  reauthenticateWithCredential,
+  EmailAuthProvider,
+  verifyBeforeUpdateEmail,
+  updatePassword,
 } from "firebase/auth";
-import { auth } from "../firebaseConfig";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  increment,
+  serverTimestamp,
+} from "firebase/firestore";
+import { auth, firestore } from "../firebaseConfig";
+import {
+  INVITATION_CODES_COLLECTION,
+  planInvitationRedemption,
+  validateInvitationCode,
+} from "../utils/invitationCodes";
+import {
+  ORGANIZATIONS_COLLECTION,
+  USER_PROFILES_COLLECTION,
+  getOrganizationPath,
+} from "../utils/organization";
+import { getAuthErrorMessage, planAccountDeletion } from "../utils/account";
+import { commitInBatches } from "../utils/firestoreBatch";
 
 /**
  * @typedef {object} AuthContextType
  * @property {User | null} currentUser - The currently authenticated Firebase user object, or null if no user is logged in.
- * @property {(email: string, password: string) => Promise<import("firebase/auth").UserCredential>} signup - Function to register a new user.
+ * @property {boolean} emailVerified - True if the email address of the current user is verified. The schedule is only shown to verified users.
+ * @property {(email: string, password: string, invitationCode: string) => Promise<import("firebase/auth").UserCredential>} signup - Function to register a new user with an invitation code.
  * @property {(email: string, password: string) => Promise<import("firebase/auth").UserCredential>} login - Function to log in an existing user.
  * @property {() => Promise<void>} logout - Function to log out the current user.
+ * @property {(email: string) => Promise<void>} resetPassword - Sends a password reset email.
+ * @property {() => Promise<void>} sendVerificationEmail - Sends the verification email to the current user again.
+ * @property {() => Promise<boolean>} reloadUser - Reloads the current user from Firebase and returns whether their email is verified.
+ * @property {(newEmail: string, currentPassword: string) => Promise<void>} changeEmail - Sends a verification email to the new address; the address changes when it is confirmed.
+ * @property {(currentPassword: string, newPassword: string) => Promise<void>} changePassword - Changes the password of the current user.
+ * @property {(currentPassword: string) => Promise<void>} deleteAccount - Deletes the current user with their memberships and own organisations.
  */
 
 /**
@@ -37,6 +85,156 @@ export function useAuth() {
   return context;
 }
 
+/**
+ * Redeems an invitation code for a new account in one batch: counts the use of the code, adds the
+ * account to the organisation of the code (or creates its own organisation) and creates its profile.
+ * The Firestore rules accept the batch only if the code is valid for the account.
+ *
+ * @param {import("firebase/auth").User} user - The new account.
+ * @param {string} code - The normalized invitation code.
+ * @returns {Promise<void>} Resolves when the code was redeemed.
+ * @throws {Error} With a Hungarian message if the code cannot be used.
+ */
+const redeemInvitationCode = async (user, code) => {
+  const codeRef = doc(firestore, `${INVITATION_CODES_COLLECTION}/${code}`);
+  const codeSnapshot = await getDoc(codeRef);
+  const codeData = codeSnapshot.exists() ? codeSnapshot.data() : null;
+  const validationError = validateInvitationCode(codeData, user.email);
+  if (validationError) throw new Error(validationError);
+
+  const redemption = planInvitationRedemption(code, codeData, user);
+  const organizationRef = doc(
+    firestore,
+    getOrganizationPath(redemption.organizationId),
+  );
+  const batch = writeBatch(firestore);
+  batch.update(codeRef, {
+    useCount: increment(1),
+    usedBy: arrayUnion(user.uid),
+  });
+  if (redemption.organization) {
+    batch.set(organizationRef, {
+      ...redemption.organization,
+      createdAt: serverTimestamp(),
+    });
+  } else {
+    batch.update(organizationRef, {
+      memberIds: arrayUnion(user.uid),
+      [`members.${user.uid}`]: redemption.member,
+    });
+  }
+  batch.set(
+    doc(firestore, `${USER_PROFILES_COLLECTION}/${user.uid}`),
+    redemption.profile,
+  );
+  await batch.commit();
+};
+
+/**
+ * Re-authenticates the current user with their password. Firebase requires a recent login before
+ * changing the email address or the password and before deleting the account.
+ *
+ * @param {import("firebase/auth").User} user - The current user.
+ * @param {string} password - The current password.
+ * @returns {Promise<import("firebase/auth").UserCredential>} The credential of the new login.
+ */
+const reauthenticate = (user, password) =>
+  reauthenticateWithCredential(
+    user,
+    EmailAuthProvider.credential(user.email, password),
+  );
+
+/**
+ * Returns the paths of the documents of an organisation deleted with it: its settings, its weeks
+ * with their snapshots, its audit log and its invitation codes.
+ *
+ * @param {string} organizationId - The organisation ID.
+ * @returns {Promise<string[]>} The document paths.
+ */
+const getOrganizationDataPaths = async (organizationId) => {
+  const root = getOrganizationPath(organizationId);
+  const toPaths = (collectionPath, snapshot) =>
+    snapshot.docs.map((entry) => `${collectionPath}/${entry.id}`);
+  const [settingsSnapshot, weeksSnapshot, auditSnapshot, codesSnapshot] =
+    await Promise.all([
+      getDocs(collection(firestore, `${root}/settings`)),
+      getDocs(collection(firestore, `${root}/weeklySchedules`)),
+      getDocs(collection(firestore, `${root}/auditLog`)),
+      getDocs(
+        query(
+          collection(firestore, INVITATION_CODES_COLLECTION),
+          where("organizationId", "==", organizationId),
+        ),
+      ),
+    ]);
+  const snapshotPaths = await Promise.all(
+    weeksSnapshot.docs.map(async (weekDoc) => {
+      const snapshotsPath = `${root}/weeklySchedules/${weekDoc.id}/snapshots`;
+      return toPaths(
+        snapshotsPath,
+        await getDocs(collection(firestore, snapshotsPath)),
+      );
+    }),
+  );
+  return [
+    ...toPaths(`${root}/settings`, settingsSnapshot),
+    ...snapshotPaths.flat(),
+    ...toPaths(`${root}/weeklySchedules`, weeksSnapshot),
+    ...toPaths(`${root}/auditLog`, auditSnapshot),
+    ...toPaths(INVITATION_CODES_COLLECTION, codesSnapshot),
+  ];
+};
+
+/**
+ * Removes the Firestore data of an account before it is deleted: the data and the invitation codes of the
+ * organisations the user owns alone are deleted first (in batches), then one batch makes the user leave the
+ * organisations of other owners and deletes their own organisations and their profile.
+ * The Firestore rules only allow these writes to the signed-in user, so they precede the deletion of the user.
+ *
+ * @param {import("firebase/auth").User} user - The account to delete.
+ * @returns {Promise<void>} Resolves when the data was removed.
+ * @throws {Error} With a Hungarian message if the user owns an organisation with other members.
+ */
+const removeAccountData = async (user) => {
+  const snapshot = await getDocs(
+    query(
+      collection(firestore, ORGANIZATIONS_COLLECTION),
+      where("memberIds", "array-contains", user.uid),
+    ),
+  );
+  const plan = planAccountDeletion(
+    snapshot.docs.map((orgDoc) => ({ id: orgDoc.id, ...orgDoc.data() })),
+    user.uid,
+  );
+  if (plan.blockingOrganizationNames.length > 0) {
+    throw new Error(
+      `A(z) ${plan.blockingOrganizationNames.join(", ")} szervezetnek más tagjai is vannak. Előbb távolítsa el őket a szervezetből.`,
+    );
+  }
+
+  const dataPaths = await Promise.all(
+    plan.ownedOrganizationIds.map(getOrganizationDataPaths),
+  );
+  await commitInBatches(
+    dataPaths
+      .flat()
+      .map((path) => (batch) => batch.delete(doc(firestore, path))),
+  );
+
+  const batch = writeBatch(firestore);
+  plan.memberOrganizationIds.forEach((organizationId) =>
+    batch.update(doc(firestore, getOrganizationPath(organizationId)), {
+      memberIds: arrayRemove(user.uid),
+      [`members.${user.uid}`]: deleteField(),
+    }),
+  );
+  plan.ownedOrganizationIds.forEach((organizationId) =>
+    batch.delete(doc(firestore, getOrganizationPath(organizationId))),
+  );
+  batch.delete(doc(firestore, `${USER_PROFILES_COLLECTION}/${user.uid}`));
+  await batch.commit();
+};
+
 /**
  * @typedef {object} AuthProviderProps
  * @property {ReactNode} children - The child components that need access to the authentication context.
@@ -59,25 +257,68 @@ export function AuthProvider({ children }) {
    */
   const [currentUser, setCurrentUser] = useState(null);
 
+  /**
+   * @state {boolean} emailVerified - Whether the email address of the current user is verified.
+   * Kept separately because reloading the user updates the Firebase user object in place.
+   */
+  const [emailVerified, setEmailVerified] = useState(false);
+
   /**
    * @state {boolean} loading - Indicates whether the initial authentication state check is complete.
    * Prevents rendering children until the user's status is determined.
    */
   const [loading, setLoading] = useState(true);
 
+  /**
+   * Ref marking a registration in progress. The new account is published only after its invitation
+   * code was redeemed, so that the organisation context does not set up a workspace for it first.
+   * @type {React.MutableRefObject<boolean>}
+   */
+  const registeringRef = useRef(false);
+
   // ==========================================================================
   // Authentication Functions
   // ==========================================================================
 
   /**
    * @function signup
-   * Registers a new user with email and password using Firebase Authentication.
+   * Registers a new user with email and password using Firebase Authentication, then redeems the
+   * invitation code and sends the verification email. If the code cannot be redeemed, the new account
+   * is deleted again.
    * @param {string} email - The user's email address.
    * @param {string} password - The user's chosen password.
+   * @param {string} invitationCode - The normalized invitation code.
    * @returns {Promise<import("firebase/auth").UserCredential>} A promise resolving with the user credential upon successful registration.
    */
-  function signup(email, password) {
-    return createUserWithEmailAndPassword(auth, email, password);
+  async function signup(email, password, invitationCode) {
+    registeringRef.current = true;
+    try {
+      const credential = await createUserWithEmailAndPassword(
+        auth,
+        email,
+        password,
+      );
+      try {
+        await redeemInvitationCode(credential.user, invitationCode);
+      } catch (error) {
+        await deleteUser(credential.user).catch((deleteError) => {
+          console.error(
+            "Error deleting the unregistered account:",
+            deleteError,
+          );
+          return signOut(auth);
+        });
+        throw error;
+      }
+      await sendEmailVerification(credential.user).catch((error) =>
+        console.error("Error sending the verification email:", error),
+      );
+      setEmailVerified(false);
+      setCurrentUser(credential.user);
+      return credential;
+    } finally {
+      registeringRef.current = false;
+    }
   }
 
   /**
@@ -100,6 +341,100 @@ export function AuthProvider({ children }) {
     return signOut(auth);
   }
 
+  /**
+   * @function resetPassword
+   * Sends a password reset email. Firebase does not reveal whether the address is registered.
+   * @param {string} email - The email address of the account.
+   * @returns {Promise<void>} A promise that resolves when the email was sent.
+   */
+  function resetPassword(email) {
+    return sendPasswordResetEmail(auth, email.trim());
+  }
+
+  /**
+   * @function sendVerificationEmail
+   * Sends the verification email to the current user again.
+   * @returns {Promise<void>} A promise that resolves when the email was sent.
+   */
+  function sendVerificationEmail() {
+    return sendEmailVerification(auth.currentUser);
+  }
+
+  /**
+   * @function reloadUser
+   * Reloads the current user (e.g. after they clicked the verification link in another tab).
+   * Once the email address is verified, the ID token is refreshed, as the Firestore rules read the
+   * verification from the token.
+   * @returns {Promise<boolean>} A promise resolving with whether the email address is verified.
+   */
+  async function reloadUser() {
+    await reload(auth.currentUser);
+    if (auth.currentUser.emailVerified) {
+      await getIdToken(auth.currentUser, true);
+    }
+    setEmailVerified(auth.currentUser.emailVerified);
+    return auth.currentUser.emailVerified;
+  }
+
+  /**
+   * @function changeEmail
+   * Sends a verification link to the new email address after re-authenticating the user.
+   * The address of the account changes when the link is opened.
+   * @param {string} newEmail - The new email address.
+   * @param {string} currentPassword - The current password.
+   * @returns {Promise<void>} A promise that resolves when the verification email was sent.
+   */
+  async function changeEmail(newEmail, currentPassword) {
+    await reauthenticate(auth.currentUser, currentPassword);
+    await verifyBeforeUpdateEmail(auth.currentUser, newEmail.trim());
+  }
+
+  /**
+   * @function changePassword
+   * Changes the password of the current user after re-authenticating them.
+   * @param {string} currentPassword - The current password.
+   * @param {string} newPassword - The new password.
+   * @returns {Promise<void>} A promise that resolves when the password was changed.
+   */
+  async function changePassword(currentPassword, newPassword) {
+    await reauthenticate(auth.currentUser, currentPassword);
+    await updatePassword(auth.currentUser, newPassword);
+  }
+
+  /**
+   * @function deleteAccount
+   * Deletes the current user after re-authenticating them, together with their memberships, their
+   * profile and the organisations they own alone (with their data and invitation codes). The user is
+   * unpublished first, so that the organisation context does not set up a new workspace when the profile
+   * disappears. If the user cannot be deleted once their data is removed, they are signed out, and the
+   * deletion can be repeated after signing in again.
+   * @param {string} currentPassword - The current password.
+   * @returns {Promise<void>} A promise that resolves when the account was deleted.
+   */
+  async function deleteAccount(currentPassword) {
+    const user = auth.currentUser;
+    await reauthenticate(user, currentPassword);
+    setCurrentUser(null);
+    try {
+      await removeAccountData(user);
+    } catch (error) {
+      setCurrentUser(user);
+      throw error;
+    }
+    try {
+      await deleteUser(user);
+    } catch (error) {
+      console.error(
+        "Error deleting the user after removing their data:",
+        error,
+      );
+      await signOut(auth);
+      throw new Error(
+        `A fiók adatai törlődtek, de a fiókot nem sikerült törölni (${getAuthErrorMessage(error)}). Jelentkezzen be újra, és ismételje meg a törlést.`,
+      );
+    }
+  }
+
   // ==========================================================================
   // Effects
   // ==========================================================================
@@ -112,7 +447,9 @@ export function AuthProvider({ children }) {
    */
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
+      if (user && registeringRef.current) return; // Published by signup after the code was redeemed
       setCurrentUser(user);
+      setEmailVerified(!!user?.emailVerified);
       setLoading(false);
     });
 
@@ -131,9 +468,16 @@ export function AuthProvider({ children }) {
    */
   const value = {
     currentUser,
+    emailVerified,
     login,
     signup,
     logout,
+    resetPassword,
+    sendVerificationEmail,
+    reloadUser,
+    changeEmail,
+    changePassword,
+    deleteAccount,
   };
 
   /**
@@ -5,8 +5,15 @@ import {
   onAuthStateChanged,
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
+  deleteUser,
   signOut,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  reload,
+  getIdToken,
+  reauthenticateWithCredential,
 } from "firebase/auth";
+import { getDoc, getDocs } from "firebase/firestore";
 import { AuthProvider, useAuth } from "../contexts/AuthContext";
 
 vi.mock("firebase/auth", () => ({
@@ -14,13 +21,59 @@ vi.mock("firebase/auth", () => ({
   onAuthStateChanged: vi.fn(),
   signInWithEmailAndPassword: vi.fn(),
   createUserWithEmailAndPassword: vi.fn(),
+  deleteUser: vi.fn(),
   signOut: vi.fn(),
+  sendPasswordResetEmail: vi.fn(),
+  sendEmailVerification: vi.fn(),
+  reload: vi.fn(),
+  getIdToken: vi.fn(),
+  reauthenticateWithCredential: vi.fn(),
+  EmailAuthProvider: {
+    credential: vi.fn((email, password) => ({ email, password })),
+  },
+  verifyBeforeUpdateEmail: vi.fn(),
+  updatePassword: vi.fn(),
 }));
 
+const mockBatch = {
+  update: vi.fn(),
+  set: vi.fn(),
+  delete: vi.fn(),
+  commit: vi.fn(),
+};
+
+vi.mock("firebase/firestore", () => ({
+  collection: vi.fn((db, path) => ({ path })),
+  doc: vi.fn((db, path) => ({ path })),
+  getDoc: vi.fn(),
+  getDocs: vi.fn(),
+  query: vi.fn((ref) => ref),
+  where: vi.fn(),
+  writeBatch: vi.fn(() => mockBatch),
+  arrayUnion: vi.fn((...values) => ({ arrayUnion: values })),
+  arrayRemove: vi.fn((...values) => ({ arrayRemove: values })),
+  deleteField: vi.fn(() => "deleteField"),
+  increment: vi.fn((value) => ({ increment: value })),
+  serverTimestamp: vi.fn(() => "timestamp"),
+}));
+
+const mockAuth = vi.hoisted(() => ({ currentUser: null }));
+
 vi.mock("../firebaseConfig", () => ({
-  auth: {},
+  auth: mockAuth,
+  firestore: {},
 }));
 
+const validCode = {
+  organizationId: "org1",
+  role: "editor",
+  email: null,
+  maxUses: 2,
+  useCount: 0,
+  usedBy: [],
+  expiresAt: new Date(Date.now() + 86400000),
+};
+
 const AuthConsumerComponent = ({ onRender }) => {
   const auth = useAuth();
   useEffect(() => {
@@ -34,7 +87,9 @@ const AuthConsumerComponent = ({ onRender }) => {
       <button onClick={() => auth.login("test@example.com", "password")}>
         Login
       </button>
-      <button onClick={() => auth.signup("test@example.com", "password")}>
+      <button
+        onClick={() => auth.signup("test@example.com", "password", "CODE")}
+      >
         Signup
       </button>
       <button onClick={auth.logout}>Logout</button>
@@ -65,11 +120,34 @@ describe("AuthContext", () => {
       user: { uid: "login-uid" },
     });
     createUserWithEmailAndPassword.mockResolvedValue({
-      user: { uid: "signup-uid" },
+      user: { uid: "signup-uid", email: "new@test.com" },
     });
+    deleteUser.mockResolvedValue(undefined);
     signOut.mockResolvedValue(undefined);
+    getDoc.mockResolvedValue({ exists: () => true, data: () => validCode });
+    mockBatch.commit.mockResolvedValue(undefined);
+    sendPasswordResetEmail.mockResolvedValue(undefined);
+    sendEmailVerification.mockResolvedValue(undefined);
+    reauthenticateWithCredential.mockResolvedValue(undefined);
+    mockAuth.currentUser = null;
   });
 
+  /**
+   * Renders the provider and returns a getter of the latest context value.
+   *
+   * @returns {Promise<function(): object>} The getter.
+   */
+  const setupAuthProvider = async () => {
+    let capturedAuth = null;
+    render(
+      <AuthProvider>
+        <AuthConsumerComponent onRender={(auth) => (capturedAuth = auth)} />
+      </AuthProvider>,
+    );
+    await waitFor(() => expect(capturedAuth).not.toBeNull());
+    return () => capturedAuth;
+  };
+
   it("should update currentUser when onAuthStateChanged fires with a user", async () => {
     let capturedAuth = null;
     render(
@@ -158,7 +236,7 @@ describe("AuthContext", () => {
     await waitFor(() => expect(capturedAuth).not.toBeNull());
 
     await act(async () => {
-      await capturedAuth?.signup("new@test.com", "newpass");
+      await capturedAuth?.signup("new@test.com", "newpass", "CODE");
     });
 
     expect(createUserWithEmailAndPassword).toHaveBeenCalledTimes(1);
@@ -167,6 +245,198 @@ describe("AuthContext", () => {
       "new@test.com",
       "newpass",
     );
+    expect(mockBatch.update).toHaveBeenCalledWith(
+      { path: "invitationCodes/CODE" },
+      { useCount: { increment: 1 }, usedBy: { arrayUnion: ["signup-uid"] } },
+    );
+    expect(mockBatch.update).toHaveBeenCalledWith(
+      { path: "organizations/org1" },
+      expect.objectContaining({
+        "members.signup-uid": expect.objectContaining({ role: "editor" }),
+      }),
+    );
+    expect(mockBatch.set).toHaveBeenCalledWith(
+      { path: "userProfiles/signup-uid" },
+      expect.objectContaining({ activeOrganizationId: "org1" }),
+    );
+    expect(sendEmailVerification).toHaveBeenCalledWith({
+      uid: "signup-uid",
+      email: "new@test.com",
+    });
+    expect(capturedAuth?.currentUser?.uid).toBe("signup-uid");
+    expect(capturedAuth?.emailVerified).toBe(false);
+  });
+
+  it("should delete the new account if the invitation code is invalid", async () => {
+    let capturedAuth = null;
+    getDoc.mockResolvedValue({ exists: () => false, data: () => undefined });
+    render(
+      <AuthProvider>
+        <AuthConsumerComponent onRender={(auth) => (capturedAuth = auth)} />
+      </AuthProvider>,
+    );
+    await waitFor(() => expect(capturedAuth).not.toBeNull());
+
+    await act(async () => {
+      await expect(
+        capturedAuth?.signup("new@test.com", "newpass", "WRONG"),
+      ).rejects.toThrow("Érvénytelen meghívó kód!");
+    });
+
+    expect(deleteUser).toHaveBeenCalledWith({
+      uid: "signup-uid",
+      email: "new@test.com",
+    });
+    expect(mockBatch.commit).not.toHaveBeenCalled();
+    expect(capturedAuth?.currentUser).toBeNull();
+  });
+
+  it("should send a password reset email", async () => {
+    const latestAuth = await setupAuthProvider();
+
+    await act(async () => {
+      await latestAuth().resetPassword(" user@test.com ");
+    });
+
+    expect(sendPasswordResetEmail).toHaveBeenCalledWith(
+      mockAuth,
+      "user@test.com",
+    );
+  });
+
+  it("should expose whether the email address is verified", async () => {
+    const latestAuth = await setupAuthProvider();
+
+    act(() => {
+      onAuthStateChangedCallback({ uid: "test-uid", emailVerified: true });
+    });
+
+    await waitFor(() => expect(latestAuth().emailVerified).toBe(true));
+  });
+
+  it("should refresh the ID token once the email address is verified", async () => {
+    const latestAuth = await setupAuthProvider();
+    const user = { uid: "u1", emailVerified: false };
+    mockAuth.currentUser = user;
+
+    await act(async () => {
+      expect(await latestAuth().reloadUser()).toBe(false);
+    });
+    expect(getIdToken).not.toHaveBeenCalled();
+
+    reload.mockImplementationOnce(async () => {
+      user.emailVerified = true;
+    });
+    await act(async () => {
+      expect(await latestAuth().reloadUser()).toBe(true);
+    });
+    expect(getIdToken).toHaveBeenCalledWith(user, true);
+    expect(latestAuth().emailVerified).toBe(true);
+  });
+
+  /**
+   * Mocks the collections read when deleting the account of u1: an own organisation with
+   * its data and invitation code, and an organisation of another owner.
+   */
+  const mockAccountCollections = () => {
+    const entries = (...ids) => ids.map((id) => ({ id }));
+    const collections = {
+      organizations: [
+        { id: "own", data: () => ({ ownerId: "u1", memberIds: ["u1"] }) },
+        {
+          id: "other",
+          data: () => ({ ownerId: "u2", memberIds: ["u1", "u2"] }),
+        },
+      ],
+      "organizations/own/settings": entries("global"),
+      "organizations/own/weeklySchedules": entries("2024-06-03"),
+      "organizations/own/weeklySchedules/2024-06-03/snapshots":
+        entries("snap1"),
+      "organizations/own/auditLog": entries("entry1"),
+      invitationCodes: entries("CODE1"),
+    };
+    getDocs.mockImplementation(async (ref) => ({
+      docs: collections[ref.path] || [],
+    }));
+  };
+
+  it("should leave the memberships and delete the own organisations with the account", async () => {
+    const user = { uid: "u1", email: "u1@test.com" };
+    mockAuth.currentUser = user;
+    mockAccountCollections();
+    const latestAuth = await setupAuthProvider();
+
+    await act(async () => {
+      await latestAuth().deleteAccount("pass123");
+    });
+
+    expect(reauthenticateWithCredential).toHaveBeenCalledWith(user, {
+      email: "u1@test.com",
+      password: "pass123",
+    });
+    expect(mockBatch.update).toHaveBeenCalledWith(
+      { path: "organizations/other" },
+      { memberIds: { arrayRemove: ["u1"] }, "members.u1": "deleteField" },
+    );
+    expect(mockBatch.delete).toHaveBeenCalledWith({
+      path: "organizations/own",
+    });
+    expect(mockBatch.delete).toHaveBeenCalledWith({
+      path: "userProfiles/u1",
+    });
+    // The data and the invitation codes of the own organisation are deleted too
+    [
+      "organizations/own/settings/global",
+      "organizations/own/weeklySchedules/2024-06-03/snapshots/snap1",
+      "organizations/own/weeklySchedules/2024-06-03",
+      "organizations/own/auditLog/entry1",
+      "invitationCodes/CODE1",
+    ].forEach((path) =>
+      expect(mockBatch.delete).toHaveBeenCalledWith({ path }),
+    );
+    expect(deleteUser).toHaveBeenCalledWith(user);
+  });
+
+  it("should sign out if the user cannot be deleted after their data", async () => {
+    mockAuth.currentUser = { uid: "u1", email: "u1@test.com" };
+    mockAccountCollections();
+    deleteUser.mockRejectedValue({ code: "auth/network-request-failed" });
+    const latestAuth = await setupAuthProvider();
+
+    await act(async () => {
+      await expect(latestAuth().deleteAccount("pass123")).rejects.toThrow(
+        "A fiók adatai törlődtek",
+      );
+    });
+
+    expect(mockBatch.commit).toHaveBeenCalled();
+    expect(signOut).toHaveBeenCalled();
+  });
+
+  it("should not delete an account owning an organisation with other members", async () => {
+    mockAuth.currentUser = { uid: "u1", email: "u1@test.com" };
+    getDocs.mockResolvedValue({
+      docs: [
+        {
+          id: "shared",
+          data: () => ({
+            name: "Napsugár",
+            ownerId: "u1",
+            memberIds: ["u1", "u2"],
+          }),
+        },
+      ],
+    });
+    const latestAuth = await setupAuthProvider();
+
+    await act(async () => {
+      await expect(latestAuth().deleteAccount("pass123")).rejects.toThrow(
+        "Napsugár",
+      );
+    });
+
+    expect(mockBatch.commit).not.toHaveBeenCalled();
+    expect(deleteUser).not.toHaveBeenCalled();
   });
 
   it("should call signOut on logout", async () => {
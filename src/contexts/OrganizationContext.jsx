@@ -0,0 +1,690 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import {
+  doc,
+  collection,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  serverTimestamp,
+} from "firebase/firestore";
+import { firestore } from "../firebaseConfig";
+import { useAuth } from "./AuthContext";
+import { commitInBatches } from "../utils/firestoreBatch";
+import {
+  DEFAULT_ORGANIZATION_NAME,
+  LEGACY_DATA_COLLECTION,
+  ORGANIZATIONS_COLLECTION,
+  USER_PROFILES_COLLECTION,
+  buildOrganizationData,
+  getOrganizationPath,
+  normalizeEmail,
+  planLegacyMigration,
+} from "../utils/organization";
+import { ROLES, getPermissions } from "../utils/permissions";
+import {
+  INVITATION_CODES_COLLECTION,
+  buildInvitationCodeData,
+  generateInvitationCode,
+} from "../utils/invitationCodes";
+
+/**
+ * @typedef {object} OrganizationContextType
+ * @property {string | null} organizationId - The ID of the active organisation, whose data the app reads and writes (null if none).
+ * @property {import('../utils/organization').Organization | null} organization - The active organisation.
+ * @property {Array<import('../utils/organization').Organization>} organizations - Every organisation the user is a member of.
+ * @property {Array<import('../utils/organization').Organization>} invitations - The organisations that invited the user's email address.
+ * @property {boolean} organizationLoading - True until the profile and the memberships of the user are loaded.
+ * @property {string | null} organizationError - The message of the last failed organisation operation.
+ * @property {import('../utils/permissions').Permissions} permissions - What the user may do in the active organisation.
+ * @property {(organizationId: string) => Promise<boolean>} switchOrganization - Makes another membership the active organisation.
+ * @property {(organizationId: string) => Promise<boolean>} joinOrganization - Accepts an invitation and switches to the organisation.
+ * @property {(name: string) => Promise<boolean>} createOrganization - Creates a new organisation and switches to it.
+ * @property {(name: string) => Promise<boolean>} renameOrganization - Renames the active organisation.
+ * @property {(email: string) => Promise<boolean>} inviteMember - Allows an email address to join the active organisation.
+ * @property {(email: string) => Promise<boolean>} cancelInvitation - Withdraws an invitation of the active organisation.
+ * @property {(uid: string) => Promise<boolean>} removeMember - Removes a member from the active organisation.
+ * @property {(uid: string, role: import('../utils/permissions').MemberRole, unit?: string) => Promise<boolean>} setMemberRole - Changes the role (and the unit of a unit leader) of a member.
+ * @property {() => Promise<Array<import('../utils/invitationCodes').InvitationCode & {id: string}> | null>} fetchInvitationCodes - Loads the registration codes of the active organisation.
+ * @property {(options: import('../utils/invitationCodes').InvitationCodeOptions) => Promise<string | null>} createInvitationCode - Creates a registration code for the active organisation.
+ * @property {(code: string) => Promise<boolean>} deleteInvitationCode - Revokes a registration code.
+ */
+
+/**
+ * @const {React.Context<OrganizationContextType | undefined>} OrganizationContext
+ * Context object for the organisation (shared workspace) of the logged-in user.
+ * Initial value is undefined to ensure it's used within an OrganizationProvider.
+ */
+const OrganizationContext = createContext(undefined);
+
+/**
+ * @function useOrganization
+ * Custom hook to access the organisation context.
+ * Throws an error if used outside of an `OrganizationProvider`.
+ * @returns {OrganizationContextType} The organisation context value.
+ * @throws {Error} If the hook is not used within an OrganizationProvider.
+ */
+export function useOrganization() {
+  const context = useContext(OrganizationContext);
+  if (context === undefined) {
+    throw new Error(
+      "useOrganization must be used within an OrganizationProvider",
+    );
+  }
+  return context;
+}
+
+/**
+ * Returns the reference of a user's profile document.
+ *
+ * @param {string} uid - The user ID.
+ * @returns {import("firebase/firestore").DocumentReference} The document reference.
+ */
+const getProfileRef = (uid) =>
+  doc(firestore, `${USER_PROFILES_COLLECTION}/${uid}`);
+
+/**
+ * Returns the reference of an organisation document.
+ *
+ * @param {string} organizationId - The organisation ID.
+ * @returns {import("firebase/firestore").DocumentReference} The document reference.
+ */
+const getOrganizationRef = (organizationId) =>
+  doc(firestore, getOrganizationPath(organizationId));
+
+/**
+ * Returns the query of the organisations that invited an email address.
+ *
+ * @param {string} email - The email address.
+ * @returns {import("firebase/firestore").Query} The query.
+ */
+const getInvitationsQuery = (email) =>
+  query(
+    collection(firestore, ORGANIZATIONS_COLLECTION),
+    where("invitedEmails", "array-contains", normalizeEmail(email)),
+  );
+
+/**
+ * Returns the Firestore update adding a user to the members of an organisation and removing their invitation.
+ * New members can only view the data until the owner gives them another role.
+ *
+ * @param {{uid: string, email?: string | null}} user - The joining user.
+ * @returns {object} The update data.
+ */
+const getMembershipUpdate = (user) => ({
+  memberIds: arrayUnion(user.uid),
+  [`members.${user.uid}`]: { email: user.email || "", role: ROLES.VIEWER },
+  invitedEmails: arrayRemove(normalizeEmail(user.email)),
+});
+
+/**
+ * Loads the data a user saved before organisations existed (`userSchedules/{uid}`).
+ *
+ * @param {string} uid - The user ID.
+ * @returns {Promise<object>} The legacy data (the `settings` are null if the user has none).
+ */
+const fetchLegacyData = async (uid) => {
+  const root = `${LEGACY_DATA_COLLECTION}/${uid}`;
+  const settingsSnapshot = await getDoc(
+    doc(firestore, `${root}/settings/global`),
+  );
+  if (!settingsSnapshot.exists()) {
+    return { settings: null, weeklySchedules: {} };
+  }
+  const [weeksSnapshot, auditSnapshot] = await Promise.all([
+    getDocs(collection(firestore, `${root}/weeklySchedules`)),
+    getDocs(collection(firestore, `${root}/auditLog`)),
+  ]);
+  const snapshotEntries = await Promise.all(
+    weeksSnapshot.docs.map(async (weekDoc) => {
+      const weekSnapshots = await getDocs(
+        collection(
+          firestore,
+          `${root}/weeklySchedules/${weekDoc.id}/snapshots`,
+        ),
+      );
+      return [
+        weekDoc.id,
+        Object.fromEntries(
+          weekSnapshots.docs.map((snapshotDoc) => [
+            snapshotDoc.id,
+            snapshotDoc.data(),
+          ]),
+        ),
+      ];
+    }),
+  );
+  const toEntries = (snapshot) =>
+    Object.fromEntries(snapshot.docs.map((entry) => [entry.id, entry.data()]));
+  return {
+    settings: settingsSnapshot.data(),
+    weeklySchedules: toEntries(weeksSnapshot),
+    snapshots: Object.fromEntries(snapshotEntries),
+    auditLog: toEntries(auditSnapshot),
+  };
+};
+
+/**
+ * Sets up the workspace of a user without a profile and returns the organisation to activate:
+ * an existing single-user account is migrated into an organisation, and a user with an email
+ * invitation joins the inviting organisation. New accounts get their profile when they redeem
+ * their invitation code, so any other account has no workspace.
+ * The legacy documents are copied and left in place.
+ *
+ * @param {import("firebase/auth").User} user - The logged-in user.
+ * @returns {Promise<string>} The ID of the organisation to activate.
+ * @throws {Error} If the account has neither legacy data nor an invitation.
+ */
+const initializeWorkspace = async (user) => {
+  const legacyData = await fetchLegacyData(user.uid);
+  if (!legacyData.settings) {
+    const invited = await getDocs(getInvitationsQuery(user.email));
+    if (invited.empty) {
+      throw new Error(
+        "Ehhez a fiókhoz nem tartozik szervezet. Regisztráljon érvényes meghívó kóddal, vagy kérjen meghívót egy szervezet tulajdonosától.",
+      );
+    }
+    const organizationId = invited.docs[0].id;
+    await updateDoc(
+      getOrganizationRef(organizationId),
+      getMembershipUpdate(user),
+    );
+    return organizationId;
+  }
+  // The organisation of the user's own data uses their UID, so an interrupted migration is simply repeated
+  await setDoc(getOrganizationRef(user.uid), {
+    ...buildOrganizationData(user, DEFAULT_ORGANIZATION_NAME),
+    createdAt: serverTimestamp(),
+    ...(legacyData.settings && {
+      migratedFrom: `${LEGACY_DATA_COLLECTION}/${user.uid}`,
+    }),
+  });
+  await commitInBatches(
+    planLegacyMigration(legacyData, user.uid).map(
+      ({ path, data }) =>
+        (batch) =>
+          batch.set(doc(firestore, path), data),
+    ),
+  );
+  return user.uid;
+};
+
+/**
+ * @typedef {object} OrganizationProviderProps
+ * @property {ReactNode} children - The child components that need access to the organisation context.
+ */
+
+/**
+ * Provides the organisation of the logged-in user to its children via context.
+ * Listens to the user's profile (`userProfiles/{uid}`, which stores the active organisation),
+ * to the organisations the user is a member of and to the pending invitations of their email address.
+ * Nothing is loaded for users whose email address is not verified yet.
+ * Must be rendered inside the `AuthProvider`.
+ *
+ * @param {OrganizationProviderProps} props - The properties for the OrganizationProvider component.
+ * @returns {JSX.Element} The provider component wrapping the children.
+ */
+export function OrganizationProvider({ children }) {
+  const { currentUser: authUser, emailVerified } = useAuth();
+  const currentUser = emailVerified ? authUser : null;
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  /**
+   * @state {object | null | undefined} profile - The user's profile document (undefined while loading, null if it does not exist yet).
+   */
+  const [profile, setProfile] = useState(undefined);
+
+  /**
+   * @state {Array<import('../utils/organization').Organization> | null} organizations - The user's organisations (null while loading).
+   */
+  const [organizations, setOrganizations] = useState(null);
+
+  /**
+   * @state {Array<import('../utils/organization').Organization>} invitations - The organisations that invited the user.
+   */
+  const [invitations, setInvitations] = useState([]);
+
+  /**
+   * @state {string | null} organizationError - The message of the last failed operation.
+   */
+  const [organizationError, setOrganizationError] = useState(null);
+
+  /**
+   * Ref marking the user whose workspace is being initialized, so that it is set up only once.
+   * @type {React.MutableRefObject<string | null>}
+   */
+  const initializingUidRef = useRef(null);
+
+  // ==========================================================================
+  // Effects
+  // ==========================================================================
+
+  /**
+   * @effect Listens to the profile of the logged-in user and initializes the workspace
+   * (migration, invitation or new organisation) if the profile does not exist yet.
+   */
+  useEffect(() => {
+    setProfile(undefined);
+    setOrganizationError(null);
+    if (!currentUser) return undefined;
+
+    const unsubscribe = onSnapshot(
+      getProfileRef(currentUser.uid),
+      async (profileSnapshot) => {
+        if (profileSnapshot.exists()) {
+          setProfile(profileSnapshot.data());
+          return;
+        }
+        // Missing from the offline cache only: wait for the server instead of setting up a new workspace
+        if (profileSnapshot.metadata.fromCache) return;
+        setProfile(null);
+        if (initializingUidRef.current === currentUser.uid) return;
+        initializingUidRef.current = currentUser.uid;
+        try {
+          const organizationId = await initializeWorkspace(currentUser);
+          await setDoc(getProfileRef(currentUser.uid), {
+            email: currentUser.email || "",
+            activeOrganizationId: organizationId,
+          });
+        } catch (error) {
+          console.error("Error initializing the workspace:", error);
+          setOrganizationError(
+            `Hiba a szervezet létrehozásakor: ${error.message}`,
+          );
+          initializingUidRef.current = null;
+        }
+      },
+      (error) => {
+        console.error("Error listening to the user profile:", error);
+        setOrganizationError(`Hiba a profil betöltésekor: ${error.message}`);
+      },
+    );
+    return unsubscribe;
+  }, [currentUser]);
+
+  /**
+   * @effect Listens to the organisations the logged-in user is a member of.
+   */
+  useEffect(() => {
+    setOrganizations(null);
+    if (!currentUser) return undefined;
+
+    return onSnapshot(
+      query(
+        collection(firestore, ORGANIZATIONS_COLLECTION),
+        where("memberIds", "array-contains", currentUser.uid),
+      ),
+      (snapshot) =>
+        setOrganizations(
+          snapshot.docs.map((orgDoc) => ({ id: orgDoc.id, ...orgDoc.data() })),
+        ),
+      (error) => {
+        console.error("Error listening to the organisations:", error);
+        setOrganizationError(
+          `Hiba a szervezetek betöltésekor: ${error.message}`,
+        );
+      },
+    );
+  }, [currentUser]);
+
+  /**
+   * @effect Listens to the organisations that invited the email address of the logged-in user.
+   */
+  useEffect(() => {
+    setInvitations([]);
+    if (!currentUser?.email) return undefined;
+
+    return onSnapshot(
+      getInvitationsQuery(currentUser.email),
+      (snapshot) =>
+        setInvitations(
+          snapshot.docs.map((orgDoc) => ({ id: orgDoc.id, ...orgDoc.data() })),
+        ),
+      (error) => console.error("Error listening to the invitations:", error),
+    );
+  }, [currentUser]);
+
+  // ==========================================================================
+  // Derived Values
+  // ==========================================================================
+
+  const organization =
+    organizations?.find((org) => org.id === profile?.activeOrganizationId) ??
+    null;
+  const permissions = useMemo(
+    () => getPermissions(organization, currentUser?.uid),
+    [organization, currentUser],
+  );
+  const organizationLoading =
+    !!currentUser && !organizationError && (!profile || organizations === null);
+
+  // ==========================================================================
+  // Organisation Functions
+  // ==========================================================================
+
+  /**
+   * @function runOperation
+   * Runs a Firestore operation of the context and stores its error message.
+   * @param {function(): Promise<void>} operation - The operation.
+   * @param {string} errorPrefix - The Hungarian prefix of the error message.
+   * @returns {Promise<boolean>} True if the operation succeeded, false otherwise.
+   */
+  const runOperation = useCallback(async (operation, errorPrefix) => {
+    setOrganizationError(null);
+    try {
+      await operation();
+      return true;
+    } catch (error) {
+      console.error(`${errorPrefix}:`, error);
+      setOrganizationError(`${errorPrefix}: ${error.message}`);
+      return false;
+    }
+  }, []);
+
+  /**
+   * @function switchOrganization
+   * Stores another organisation as the active one in the user's profile.
+   * @param {string} organizationId - The organisation ID.
+   * @returns {Promise<boolean>} True if the switch was saved, false otherwise.
+   */
+  const switchOrganization = useCallback(
+    (organizationId) =>
+      runOperation(
+        () =>
+          setDoc(
+            getProfileRef(currentUser.uid),
+            { activeOrganizationId: organizationId },
+            { merge: true },
+          ),
+        "Szervezetváltás sikertelen",
+      ),
+    [currentUser, runOperation],
+  );
+
+  /**
+   * @function joinOrganization
+   * Accepts the invitation of an organisation: adds the user to its members and activates it.
+   * @param {string} organizationId - The organisation ID.
+   * @returns {Promise<boolean>} True if the user joined, false otherwise.
+   */
+  const joinOrganization = useCallback(
+    (organizationId) =>
+      runOperation(async () => {
+        await updateDoc(
+          getOrganizationRef(organizationId),
+          getMembershipUpdate(currentUser),
+        );
+        await setDoc(
+          getProfileRef(currentUser.uid),
+          { activeOrganizationId: organizationId },
+          { merge: true },
+        );
+      }, "Csatlakozás sikertelen"),
+    [currentUser, runOperation],
+  );
+
+  /**
+   * @function createOrganization
+   * Creates a new organisation owned by the user and activates it.
+   * @param {string} name - The name of the organisation.
+   * @returns {Promise<boolean>} True if the organisation was created, false otherwise.
+   */
+  const createOrganization = useCallback(
+    (name) =>
+      runOperation(async () => {
+        const organizationRef = doc(
+          collection(firestore, ORGANIZATIONS_COLLECTION),
+        );
+        await setDoc(organizationRef, {
+          ...buildOrganizationData(currentUser, name),
+          createdAt: serverTimestamp(),
+        });
+        await setDoc(
+          getProfileRef(currentUser.uid),
+          { activeOrganizationId: organizationRef.id },
+          { merge: true },
+        );
+      }, "Szervezet létrehozása sikertelen"),
+    [currentUser, runOperation],
+  );
+
+  /**
+   * @function updateActiveOrganization
+   * Updates fields of the active organisation document.
+   * @param {object} data - The update data.
+   * @param {string} errorPrefix - The Hungarian prefix of the error message.
+   * @returns {Promise<boolean>} True if the update was saved, false otherwise.
+   */
+  const updateActiveOrganization = useCallback(
+    async (data, errorPrefix) => {
+      if (!organization) return false;
+      return runOperation(
+        () => updateDoc(getOrganizationRef(organization.id), data),
+        errorPrefix,
+      );
+    },
+    [organization, runOperation],
+  );
+
+  /**
+   * @function renameOrganization
+   * Renames the active organisation.
+   * @param {string} name - The new name.
+   * @returns {Promise<boolean>} True if the name was saved, false otherwise.
+   */
+  const renameOrganization = useCallback(
+    (name) =>
+      updateActiveOrganization(
+        { name: name.trim() || DEFAULT_ORGANIZATION_NAME },
+        "Átnevezés sikertelen",
+      ),
+    [updateActiveOrganization],
+  );
+
+  /**
+   * @function inviteMember
+   * Allows an email address to join the active organisation. The invited user sees the invitation
+   * after logging in.
+   * @param {string} email - The email address.
+   * @returns {Promise<boolean>} True if the invitation was saved, false otherwise.
+   */
+  const inviteMember = useCallback(
+    (email) =>
+      updateActiveOrganization(
+        { invitedEmails: arrayUnion(normalizeEmail(email)) },
+        "Meghívás sikertelen",
+      ),
+    [updateActiveOrganization],
+  );
+
+  /**
+   * @function cancelInvitation
+   * Withdraws an invitation of the active organisation.
+   * @param {string} email - The invited email address.
+   * @returns {Promise<boolean>} True if the invitation was removed, false otherwise.
+   */
+  const cancelInvitation = useCallback(
+    (email) =>
+      updateActiveOrganization(
+        { invitedEmails: arrayRemove(email) },
+        "Meghívó visszavonása sikertelen",
+      ),
+    [updateActiveOrganization],
+  );
+
+  /**
+   * @function removeMember
+   * Removes a member from the active organisation. The owner cannot be removed.
+   * @param {string} uid - The user ID of the member.
+   * @returns {Promise<boolean>} True if the member was removed, false otherwise.
+   */
+  const removeMember = useCallback(
+    (uid) =>
+      uid === organization?.ownerId
+        ? Promise.resolve(false)
+        : updateActiveOrganization(
+            { memberIds: arrayRemove(uid), [`members.${uid}`]: deleteField() },
+            "Tag eltávolítása sikertelen",
+          ),
+    [organization, updateActiveOrganization],
+  );
+
+  /**
+   * @function setMemberRole
+   * Changes the role of a member of the active organisation. The owner's role cannot be changed.
+   * @param {string} uid - The user ID of the member.
+   * @param {import('../utils/permissions').MemberRole} role - The new role.
+   * @param {string} [unit=""] - The unit of a unit leader.
+   * @returns {Promise<boolean>} True if the role was saved, false otherwise.
+   */
+  const setMemberRole = useCallback(
+    (uid, role, unit = "") =>
+      uid === organization?.ownerId
+        ? Promise.resolve(false)
+        : updateActiveOrganization(
+            {
+              [`members.${uid}.role`]: role,
+              [`members.${uid}.unit`]:
+                role === ROLES.UNIT_LEADER ? unit : deleteField(),
+            },
+            "Szerepkör mentése sikertelen",
+          ),
+    [organization, updateActiveOrganization],
+  );
+
+  /**
+   * @function fetchInvitationCodes
+   * Loads the registration codes of the active organisation, newest first.
+   * @returns {Promise<Array<object> | null>} The codes (with their `id`), or null on error.
+   */
+  const fetchInvitationCodes = useCallback(async () => {
+    if (!organization) return null;
+    try {
+      const snapshot = await getDocs(
+        query(
+          collection(firestore, INVITATION_CODES_COLLECTION),
+          where("organizationId", "==", organization.id),
+        ),
+      );
+      return snapshot.docs
+        .map((codeDoc) => ({ id: codeDoc.id, ...codeDoc.data() }))
+        .sort(
+          (a, b) =>
+            (b.createdAt?.toMillis?.() ?? 0) - (a.createdAt?.toMillis?.() ?? 0),
+        );
+    } catch (error) {
+      console.error("Error loading the invitation codes:", error);
+      setOrganizationError(
+        `Hiba a meghívó kódok betöltésekor: ${error.message}`,
+      );
+      return null;
+    }
+  }, [organization]);
+
+  /**
+   * @function createInvitationCode
+   * Creates a registration code for the active organisation.
+   * @param {import('../utils/invitationCodes').InvitationCodeOptions} options - The role, the bound email, the number of uses and the validity.
+   * @returns {Promise<string | null>} The new code, or null on error.
+   */
+  const createInvitationCode = useCallback(
+    async (options) => {
+      if (!organization) return null;
+      const code = generateInvitationCode();
+      const success = await runOperation(
+        () =>
+          setDoc(doc(firestore, `${INVITATION_CODES_COLLECTION}/${code}`), {
+            ...buildInvitationCodeData(organization, options, currentUser),
+            createdAt: serverTimestamp(),
+          }),
+        "Meghívó kód létrehozása sikertelen",
+      );
+      return success ? code : null;
+    },
+    [organization, currentUser, runOperation],
+  );
+
+  /**
+   * @function deleteInvitationCode
+   * Revokes a registration code. The accounts that already registered with it keep their membership.
+   * @param {string} code - The code.
+   * @returns {Promise<boolean>} True if the code was deleted, false otherwise.
+   */
+  const deleteInvitationCode = useCallback(
+    (code) =>
+      runOperation(
+        () =>
+          deleteDoc(doc(firestore, `${INVITATION_CODES_COLLECTION}/${code}`)),
+        "Meghívó kód visszavonása sikertelen",
+      ),
+    [runOperation],
+  );
+
+  /**
+   * @effect Switches to another membership if the user was removed from the active organisation.
+   */
+  useEffect(() => {
+    if (
+      profile &&
+      organizations?.length > 0 &&
+      !organizations.some((org) => org.id === profile.activeOrganizationId)
+    ) {
+      switchOrganization(organizations[0].id);
+    }
+  }, [profile, organizations, switchOrganization]);
+
+  // ==========================================================================
+  // Context Value & Provider Render
+  // ==========================================================================
+
+  /**
+   * @const {OrganizationContextType} value
+   * The value object provided to the OrganizationContext.
+   */
+  const value = {
+    organizationId: organization?.id ?? null,
+    organization,
+    organizations: organizations || [],
+    invitations: invitations.filter(
+      (invitation) => !organizations?.some((org) => org.id === invitation.id),
+    ),
+    organizationLoading,
+    organizationError,
+    permissions,
+    switchOrganization,
+    joinOrganization,
+    createOrganization,
+    renameOrganization,
+    inviteMember,
+    cancelInvitation,
+    removeMember,
+    setMemberRole,
+    fetchInvitationCodes,
+    createInvitationCode,
+    deleteInvitationCode,
+  };
+
+  return (
+    <OrganizationContext.Provider value={value}>
+      {children}
+    </OrganizationContext.Provider>
+  );
+}
@@ -1,6 +1,11 @@
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+} from "firebase/firestore";
 
 /**
  * Firebase configuration object.
@@ -48,10 +53,26 @@ const auth = getAuth(app);
  * The Cloud Firestore database service instance.
  * This object provides methods for interacting with the NoSQL Firestore database,
  * enabling data reading, writing, updating, and deleting operations.
+ * The persistent local cache (shared by every open tab) keeps the loaded data available
+ * offline and queues the writes made while the connection is down.
  *
  * {import("firebase/firestore").Firestore} firestore
  */
-const firestore = getFirestore(app);
+const firestore = initializeFirestore(app, {
+  localCache: persistentLocalCache({
+    tabManager: persistentMultipleTabManager(),
+  }),
+});
+
+/**
+ * Connects the app to the local Firebase emulators (`npm run emulators`) when
+ * `VITE_USE_FIREBASE_EMULATORS` is 'true'. The Auth emulator prints the verification
+ * and password reset links to its log instead of sending emails.
+ */
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(firestore, "127.0.0.1", 8080);
+}
 
 // Export the initialized services for use in other parts of the application.
 export { auth, firestore, app };
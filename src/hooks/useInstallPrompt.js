@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from "react";
+
+/**
+ * @typedef {object} UseInstallPromptReturn
+ * @property {boolean} canInstall True if the browser offers installing the app (and it is not installed yet).
+ * @property {function(): Promise<boolean>} promptInstall Shows the install dialog of the browser; resolves to true if the user installed the app.
+ */
+
+/**
+ * Custom hook keeping the install prompt of the browser (`beforeinstallprompt`), so that the app
+ * can be installed from its own button instead of the browser menu. Browsers without the event
+ * (e.g. Safari, where the app is added from the share menu) never offer it.
+ *
+ * @returns {UseInstallPromptReturn} Whether the app can be installed, and the function installing it.
+ */
+const useInstallPrompt = () => {
+  /**
+   * @state {Event | null} installEvent - The deferred `beforeinstallprompt` event (null if not offered).
+   */
+  const [installEvent, setInstallEvent] = useState(null);
+
+  /**
+   * @effect Keeps the install prompt instead of the browser's own banner, and forgets it once the app is installed.
+   */
+  useEffect(() => {
+    const handleBeforeInstallPrompt = (event) => {
+      event.preventDefault();
+      setInstallEvent(event);
+    };
+    const handleAppInstalled = () => setInstallEvent(null);
+    window.addEventListener("beforeinstallprompt", handleBeforeInstallPrompt);
+    window.addEventListener("appinstalled", handleAppInstalled);
+    return () => {
+      window.removeEventListener(
+        "beforeinstallprompt",
+        handleBeforeInstallPrompt,
+      );
+      window.removeEventListener("appinstalled", handleAppInstalled);
+    };
+  }, []);
+
+  /**
+   * @function promptInstall
+   * Shows the install dialog. A prompt can only be shown once, so it is forgotten afterwards.
+   * @returns {Promise<boolean>} True if the user accepted the installation.
+   */
+  const promptInstall = useCallback(async () => {
+    if (!installEvent) return false;
+    setInstallEvent(null);
+    installEvent.prompt();
+    const { outcome } = await installEvent.userChoice;
+    return outcome === "accepted";
+  }, [installEvent]);
+
+  return { canInstall: installEvent !== null, promptInstall };
+};
+
+export default useInstallPrompt;
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import useInstallPrompt from "./useInstallPrompt";
+
+/**
+ * Dispatches a `beforeinstallprompt` event with a mocked prompt.
+ *
+ * @param {'accepted' | 'dismissed'} outcome - The choice of the user.
+ * @returns {Event} The dispatched event.
+ */
+const offerInstall = (outcome) => {
+  const event = new Event("beforeinstallprompt", { cancelable: true });
+  event.prompt = vi.fn();
+  event.userChoice = Promise.resolve({ outcome });
+  act(() => {
+    window.dispatchEvent(event);
+  });
+  return event;
+};
+
+describe("useInstallPrompt", () => {
+  it("should keep the install prompt and show it once", async () => {
+    const { result } = renderHook(() => useInstallPrompt());
+    expect(result.current.canInstall).toBe(false);
+
+    const event = offerInstall("accepted");
+    expect(event.defaultPrevented).toBe(true);
+    expect(result.current.canInstall).toBe(true);
+
+    let accepted;
+    await act(async () => {
+      accepted = await result.current.promptInstall();
+    });
+    expect(accepted).toBe(true);
+    expect(event.prompt).toHaveBeenCalledTimes(1);
+    expect(result.current.canInstall).toBe(false);
+  });
+
+  it("should forget the prompt once the app is installed", () => {
+    const { result } = renderHook(() => useInstallPrompt());
+    offerInstall("dismissed");
+
+    act(() => {
+      window.dispatchEvent(new Event("appinstalled"));
+    });
+    expect(result.current.canInstall).toBe(false);
+  });
+});
@@ -1,13 +1,101 @@
-import { useState, useEffect, useCallback, useMemo } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { useOrganization } from "../contexts/OrganizationContext";
 import { firestore } from "../firebaseConfig";
-import { doc, setDoc, onSnapshot, getDoc } from "firebase/firestore";
-import { getWeekDates } from "../utils/helpers";
+import {
+  doc,
+  collection,
+  addDoc,
+  deleteDoc,
+  deleteField,
+  FieldPath,
+  onSnapshot,
+  getDoc,
+  getDocFromCache,
+  getDocs,
+  runTransaction,
+  serverTimestamp,
+  query,
+  where,
+  documentId,
+  orderBy,
+  limit,
+} from "firebase/firestore";
+import {
+  formatDate,
+  getWeekDates,
+  getWeekStartsBetween,
+  toDateKey,
+  DEFAULT_WORKING_WEEKDAYS,
+} from "../utils/helpers";
+import { calculateLeaveUsage, getLeavePeriod } from "../utils/leave";
+import { isNonWorkingDay } from "../utils/holidays";
+import { buildStaffByUnit } from "../utils/staffRows";
+import {
+  buildAuditEntries,
+  diffGlobalSettings,
+  diffWeeklySchedules,
+} from "../utils/auditLog";
+import {
+  EMPTY_HISTORY,
+  discardEntry,
+  rebaseSettingsChange,
+  rebaseWeekChange,
+  recordEdit,
+  takeRedo,
+  takeUndo,
+} from "../utils/editHistory";
+import {
+  ONE_OFF_ABSENCE_KINDS,
+  getShiftKind as resolveShiftKind,
+} from "../utils/shiftKinds";
+import { commitInBatches } from "../utils/firestoreBatch";
+import { getOrganizationPath } from "../utils/organization";
+import { withSettingsIds } from "../utils/settingsDocument";
+import {
+  EMPTY_SYNC_STATE,
+  applyConflictChoice,
+  createRejectedWeekConflicts,
+  dequeueWeek,
+  enqueueWeek,
+  isBrowserOffline,
+  isOfflineError,
+  loadSyncState,
+  mergeWeekEdits,
+  saveSyncState,
+} from "../utils/syncQueue";
+import {
+  createStaleRevisionError,
+  findStaffRow,
+  getRevision,
+  isRowChangedSince,
+  isStaleRevisionError,
+  replaceStaffRow,
+  withNextRevision,
+} from "../utils/weekRevision";
+import {
+  WEEKLY_ROWS_FIELD,
+  getChangedWeeklyRows,
+  weeklyScheduleConverter,
+} from "../utils/weeklyDocument";
+import {
+  SCHEMA_VERSION_FIELD,
+  SETTINGS_SCHEMA_VERSION,
+  WEEKLY_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateSettings,
+} from "../utils/schemaMigrations";
 
 // ==========================================================================
 // Constants & Default Structures
 // ==========================================================================
 
+/**
+ * @constant {number} DEFAULT_AUDIT_LOG_LIMIT
+ * The largest number of audit entries loaded for the audit viewer.
+ */
+const DEFAULT_AUDIT_LOG_LIMIT = 500;
+
 /**
  * @constant {object} demoGlobalSettings
  * Pre-defined sample global settings data for demonstration purposes.
@@ -49,15 +137,33 @@ const demoGlobalSettings = {
     "int.vez.",
   ],
   shiftTypes: [
-    { code: "DE", name: "Délelőtt", color: "#cce6ff" },
-    { code: "DU", name: "Délután", color: "#ffcc99" },
-    { code: "K", name: "Köztes", color: "#ccffcc" },
-    { code: "H", name: "Helyettesítés", color: "#e6ccff" },
-    { code: "FSZ", name: "Fizetett szabadság", color: "#99ff99" },
-    { code: "TP", name: "Táppénz", color: "#ff9999" },
-    { code: "TK", name: "Továbbképzés", color: "#ffff99" },
-    { code: "K1", name: "Konyha 1", color: "#d2b48c" },
-    { code: "K2", name: "Konyha 2", color: "#d2b48c" },
+    { code: "DE", name: "Délelőtt", color: "#cce6ff", kind: "work" },
+    { code: "DU", name: "Délután", color: "#ffcc99", kind: "work" },
+    { code: "K", name: "Köztes", color: "#ccffcc", kind: "work" },
+    { code: "H", name: "Helyettesítés", color: "#e6ccff", kind: "work" },
+    {
+      code: "FSZ",
+      name: "Fizetett szabadság",
+      color: "#99ff99",
+      kind: "paidLeave",
+      countedHours: 8,
+    },
+    {
+      code: "TP",
+      name: "Táppénz",
+      color: "#ff9999",
+      kind: "sickLeave",
+      countedHours: 8,
+    },
+    {
+      code: "TK",
+      name: "Továbbképzés",
+      color: "#ffff99",
+      kind: "training",
+      countedHours: 8,
+    },
+    { code: "K1", name: "Konyha 1", color: "#d2b48c", kind: "work" },
+    { code: "K2", name: "Konyha 2", color: "#d2b48c", kind: "work" },
   ],
   timeSlots: {
     DE: "6:30-13:50",
@@ -67,6 +173,34 @@ const demoGlobalSettings = {
     K1: "6:30-14:50",
     K2: "7:40-16:00",
   },
+  coverageRules: [
+    {
+      id: "rule_demo_1",
+      unit: "",
+      group: "*",
+      jobTitle: "k.gy.n.",
+      shiftCode: "DE",
+      minCount: 1,
+    },
+    {
+      id: "rule_demo_2",
+      unit: "",
+      group: "*",
+      jobTitle: "k.gy.n.",
+      shiftCode: "DU",
+      minCount: 1,
+    },
+    {
+      id: "rule_demo_3",
+      unit: "Konyha",
+      group: "",
+      jobTitle: "",
+      shiftCode: "",
+      minCount: 2,
+    },
+  ],
+  calendarOverrides: [],
+  workingWeekdays: [...DEFAULT_WORKING_WEEKDAYS],
   staffList: [
     {
       id: "staff_demo_1",
@@ -241,6 +375,9 @@ const blankGlobalSettings = {
   jobTitles: [],
   shiftTypes: [],
   timeSlots: {},
+  coverageRules: [],
+  calendarOverrides: [],
+  workingWeekdays: [...DEFAULT_WORKING_WEEKDAYS],
   staffList: [],
 };
 
@@ -269,7 +406,9 @@ const defaultWeeklySchedule = (startDate) => ({
  * @property {boolean} scheduleLoading True if the weekly schedule is currently being loaded.
  * @property {string | null} saveError An error message if a save operation failed, null otherwise.
  * @property {object} demoGlobalSettings The pre-defined demo settings data.
- * @property {function(object): Promise<boolean>} saveGlobalSettings Saves the entire global settings object to Firestore.
+ * @property {import('../utils/editHistory').EditHistory} editHistory The undo and redo stacks of the session.
+ * @property {boolean} isApplyingHistory True while an undo or redo is being written to Firestore.
+ * @property {function(object, boolean=, string=): Promise<boolean>} saveGlobalSettings Saves the entire global settings object to Firestore.
  * @property {function(string, object): Promise<boolean>} saveWeeklySchedule Saves a specific weekly schedule object to Firestore.
  * @property {function(string): Promise<boolean>} handleAddUnit Adds a new unit to global settings.
  * @property {function(string): Promise<boolean>} handleRemoveUnit Removes a unit from global settings.
@@ -278,15 +417,48 @@ const defaultWeeklySchedule = (startDate) => ({
  * @property {function(string): Promise<boolean>} handleAddJobTitle Adds a new job title to global settings.
  * @property {function(string): Promise<boolean>} handleRemoveJobTitle Removes a job title from global settings.
  * @property {function(Array<object>, object): Promise<boolean>} handleUpdateShiftTypes Updates shift types and time slots in global settings.
+ * @property {function(Array<object>): Promise<boolean>} handleUpdateCoverageRules Updates the coverage rules used by the weekly auto-fill.
  * @property {function(object): Promise<boolean>} addStaffToList Adds a new staff member to the global staff list.
  * @property {function(object): Promise<boolean>} updateStaffInList Updates an existing staff member's core data in the global list.
  * @property {function(string): Promise<boolean>} deleteStaffFromList Deletes a staff member from the global list.
  * @property {function(Array<object>): Promise<boolean>} updateStaffListOrder Updates the sort order of the global staff list.
- * @property {function(object): void} updateStaffInWeeklySchedule Adds or updates a staff member's data within the current weekly schedule.
- * @property {function(string): void} removeStaffFromWeeklySchedule Removes a staff member's data from the current weekly schedule.
+ * @property {function(object, (object | null)=): Promise<StaffRowSaveResult>} updateStaffInWeeklySchedule Adds or updates a staff member's data within the current weekly schedule, unless someone else changed the row since it was opened.
+ * @property {function(string): Promise<StaffRowSaveResult>} removeStaffFromWeeklySchedule Removes a staff member's data from the current weekly schedule.
+ * @property {function(Array<object>): Promise<boolean>} applyWeeklyStaffChanges Adds or updates several staff members' data within the current weekly schedule in a single save.
  * @property {function(string): string} getShiftColor Returns the color code for a given shift code.
+ * @property {function(string): string} getShiftKind Returns the kind ('work', 'paidLeave', ...) of a given shift code.
  * @property {function(): object} getStaffByUnit Returns staff data grouped and sorted by unit.
  * @property {function(Date, Date): Promise<boolean>} copyScheduleFromWeek Copies the schedule from a source week to a target week.
+ * @property {function(Date, Date): Promise<Array<object> | null>} fetchSchedulesInRange Loads every saved weekly schedule overlapping a date range.
+ * @property {function(Date): Promise<Array<object> | null>} fetchMonthSchedules Loads every saved weekly schedule overlapping a month.
+ * @property {function(number, string=): Promise<object | null>} fetchLeaveUsage Returns the paid leave days used by each staff member in a year up to today.
+ * @property {function(): Promise<import('../utils/backup').AccountData | null>} fetchAllData Loads the global settings and every saved weekly schedule (for backups).
+ * @property {function(import('../utils/backup').RestorePlan): Promise<boolean>} restoreBackup Writes the data of a restore plan to Firestore.
+ * @property {function({weekStartDate?: string, staffId?: string}=): Promise<Array<object> | null>} fetchAuditLog Loads the newest audit log entries, optionally only of a week and/or a staff member.
+ * @property {function(string): Promise<Array<object> | null>} fetchWeekSnapshots Loads the named snapshots of a week, newest first.
+ * @property {function(string, string): Promise<boolean>} createWeekSnapshot Saves the current state of a week as a named snapshot.
+ * @property {function(string, string): Promise<boolean>} deleteWeekSnapshot Deletes a snapshot of a week.
+ * @property {function(string, object): Promise<boolean>} rollbackWeekToSnapshot Overwrites a week with the schedule of a snapshot.
+ * @property {function(): Promise<boolean>} undoEdit Writes back the document states from before the last edit.
+ * @property {function(): Promise<boolean>} redoEdit Writes again the document states of the last undone edit.
+ * @property {SyncStatus} syncStatus The connection state and the edits waiting for synchronization.
+ * @property {function(import('../utils/syncQueue').CellConflict, 'mine' | 'theirs'): Promise<boolean>} resolveSyncConflict Keeps the saved value of a conflict or writes the offline value over it.
+ */
+
+/**
+ * @typedef {object} StaffRowSaveResult The result of saving the weekly row of a staff member.
+ * @property {boolean} saved True if the row was saved (or queued while offline).
+ * @property {boolean} conflict True if the save was rejected because someone else changed the row since the edit started.
+ * @property {object | null} savedRow The row saved by the other user (null if they removed it from the week); null without a conflict.
+ */
+
+/**
+ * @typedef {object} SyncStatus The synchronization state shown in the header.
+ * @property {boolean} isOnline False while the browser has no network connection.
+ * @property {boolean} isSyncing True while the queued weeks are being synchronized.
+ * @property {boolean} hasPendingWrites True while the loaded settings or week have local writes not yet acknowledged by the server.
+ * @property {string[]} queuedWeeks The weeks edited offline and waiting for synchronization ('YYYY-MM-DD').
+ * @property {Array<import('../utils/syncQueue').CellConflict>} conflicts The unresolved conflicts of the synchronized weeks.
  */
 
 /**
@@ -300,6 +472,7 @@ const defaultWeeklySchedule = (startDate) => ({
  */
 const useStaffData = (currentWeek) => {
   const { currentUser } = useAuth();
+  const { organizationId } = useOrganization();
 
   // --- State ---
   const [globalSettings, setGlobalSettings] = useState(null);
@@ -307,12 +480,30 @@ const useStaffData = (currentWeek) => {
   const [settingsLoading, setSettingsLoading] = useState(true);
   const [scheduleLoading, setScheduleLoading] = useState(true);
   const [saveError, setSaveError] = useState(null);
+  const [editHistory, setEditHistory] = useState(EMPTY_HISTORY);
+  const [isApplyingHistory, setIsApplyingHistory] = useState(false);
+  const historyIdRef = useRef(0);
+  const [isOnline, setIsOnline] = useState(!isBrowserOffline());
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingWrites, setPendingWrites] = useState({
+    settings: false,
+    week: false,
+  });
+  // The queue is read by the listeners and the saves, so it is mirrored in a ref
+  const [syncState, setSyncState] = useState(EMPTY_SYNC_STATE);
+  const syncStateRef = useRef(EMPTY_SYNC_STATE);
+  const isSyncingRef = useRef(false);
 
   // --- Memoized Values ---
   const currentWeekStartDate = useMemo(
     () => currentWeek.toISOString().split("T")[0],
     [currentWeek],
   );
+  // Every document of the app is stored under the active organisation, shared by its members
+  const dataPath = useMemo(
+    () => (organizationId ? getOrganizationPath(organizationId) : null),
+    [organizationId],
+  );
 
   // ==========================================================================
   // Firestore Document References
@@ -320,23 +511,35 @@ const useStaffData = (currentWeek) => {
 
   /**
    * @function getGlobalSettingsRef
-   * Returns a Firestore document reference for the user's global settings.
-   * @returns {import("firebase/firestore").DocumentReference | null} The document reference or null if no user is logged in.
+   * Returns a Firestore document reference for the organisation's global settings.
+   * @returns {import("firebase/firestore").DocumentReference | null} The document reference or null if no organisation is active.
    */
   const getGlobalSettingsRef = useCallback(() => {
-    if (!currentUser) return null;
-    return doc(firestore, `userSchedules/${currentUser.uid}/settings/global`);
-  }, [currentUser]);
+    if (!dataPath) return null;
+    return doc(firestore, `${dataPath}/settings/global`);
+  }, [dataPath]);
+
+  /**
+   * @function getWeeklySchedulesRef
+   * Returns the collection of the organisation's weekly schedules (read with `weeklyScheduleConverter`).
+   * @returns {import("firebase/firestore").CollectionReference | null} The collection reference or null if no organisation is active.
+   */
+  const getWeeklySchedulesRef = useCallback(() => {
+    if (!dataPath) return null;
+    return collection(firestore, `${dataPath}/weeklySchedules`).withConverter(
+      weeklyScheduleConverter,
+    );
+  }, [dataPath]);
 
   /**
    * @function getWeeklyScheduleRef
    * Returns a Firestore document reference for a specific weekly schedule.
    * @param {string | Date} weekStartDateStr - The start date of the week (Monday) as a 'YYYY-MM-DD' string or a Date object.
-   * @returns {import("firebase/firestore").DocumentReference | null} The document reference or null if no user is logged in.
+   * @returns {import("firebase/firestore").DocumentReference | null} The document reference (with `weeklyScheduleConverter`) or null if no organisation is active.
    */
   const getWeeklyScheduleRef = useCallback(
     (weekStartDateStr) => {
-      if (!currentUser) return null;
+      if (!dataPath) return null;
       // Ensure the date string is correctly formatted
       const formattedDate =
         weekStartDateStr instanceof Date
@@ -344,12 +547,168 @@ const useStaffData = (currentWeek) => {
           : weekStartDateStr.match(/^\d{4}-\d{2}-\d{2}$/)
             ? weekStartDateStr
             : new Date(weekStartDateStr).toISOString().split("T")[0]; // Fallback formatting
+      // Stored with the rows keyed by staff ID, read and written with a `staff` array
       return doc(
         firestore,
-        `userSchedules/${currentUser.uid}/weeklySchedules/${formattedDate}`,
+        `${dataPath}/weeklySchedules/${formattedDate}`,
+      ).withConverter(weeklyScheduleConverter);
+    },
+    [dataPath],
+  );
+
+  /**
+   * @function recordHistory
+   * Records an edit in the undo history of the session.
+   * @param {string} label - The Hungarian description of the edit.
+   * @param {Array<import('../utils/editHistory').DocumentChange>} changes - The changed documents.
+   */
+  const recordHistory = useCallback((label, changes) => {
+    historyIdRef.current += 1;
+    const entry = {
+      id: historyIdRef.current,
+      label,
+      timestamp: Date.now(),
+      changes,
+    };
+    setEditHistory((prev) => recordEdit(prev, entry));
+  }, []);
+
+  /**
+   * @function recordWeekEdit
+   * Records an edit of a weekly schedule in the undo history.
+   * @param {string} label - The Hungarian description of the edit.
+   * @param {string} weekStartDateStr - The start date of the edited week ('YYYY-MM-DD').
+   * @param {object | null} before - The schedule before the edit (null if it was not saved yet).
+   * @param {object} after - The schedule after the edit.
+   */
+  const recordWeekEdit = useCallback(
+    (label, weekStartDateStr, before, after) =>
+      recordHistory(label, [
+        { target: "week", weekStartDate: weekStartDateStr, before, after },
+      ]),
+    [recordHistory],
+  );
+
+  /**
+   * @function reportOfflineRejection
+   * Shows the error of a batch written offline that the server rejected once the connection was back
+   * (see `commitInBatches`): the change was shown as saved, but is not stored.
+   * @param {Error} error - The error of the rejected batch.
+   */
+  const reportOfflineRejection = useCallback((error) => {
+    setSaveError(
+      `Egy offline végzett módosítást a szerver elutasított, ezért nem került mentésre: ${error.message}`,
+    );
+  }, []);
+
+  /**
+   * @function getAuditOperations
+   * Prepares the batch writes adding audit log entries for changes made by the current user.
+   * @param {Array<import('../utils/auditLog').AuditChange>} changes - The changes to log.
+   * @returns {Array<function(import("firebase/firestore").WriteBatch): void>} One batch operation per change.
+   */
+  const getAuditOperations = useCallback(
+    (changes) => {
+      if (!currentUser || !dataPath) return [];
+      const auditLogRef = collection(firestore, `${dataPath}/auditLog`);
+      return buildAuditEntries(changes, currentUser, serverTimestamp()).map(
+        (entry) => (batch) => batch.set(doc(auditLogRef), entry),
       );
     },
-    [currentUser],
+    [currentUser, dataPath],
+  );
+
+  /**
+   * @function commitAuditEntries
+   * Writes the audit log entries of changes already saved by a transaction (which cannot hold the many
+   * entries of a larger change). A failure is reported, but does not fail the save: the changes are stored.
+   * @param {Array<import('../utils/auditLog').AuditChange>} changes - The saved changes.
+   * @returns {Promise<void>} Resolves when the entries were written, or their failure was reported.
+   */
+  const commitAuditEntries = useCallback(
+    async (changes) => {
+      const auditOperations = getAuditOperations(changes);
+      if (auditOperations.length === 0) return;
+      try {
+        await commitInBatches(auditOperations, reportOfflineRejection);
+      } catch (error) {
+        console.error("Error writing the audit log:", error);
+        setSaveError(
+          `A módosítás mentésre került, de a naplóba nem sikerült bejegyezni: ${error.message}`,
+        );
+      }
+    },
+    [getAuditOperations, reportOfflineRejection],
+  );
+
+  // ==========================================================================
+  // Offline Sync Queue
+  // ==========================================================================
+
+  /**
+   * @function updateSyncState
+   * Updates the queue and the conflicts, and saves them for the active organisation
+   * (so that offline edits survive a reload).
+   * @param {function({queue: import('../utils/syncQueue').SyncQueue, conflicts: Array<import('../utils/syncQueue').CellConflict>}): object} updater - Returns the new state from the current one.
+   */
+  const updateSyncState = useCallback(
+    (updater) => {
+      const next = updater(syncStateRef.current);
+      syncStateRef.current = next;
+      setSyncState(next);
+      if (organizationId) saveSyncState(organizationId, next);
+    },
+    [organizationId],
+  );
+
+  /**
+   * @function getLocalWeeklySchedule
+   * Returns the version of a week known on this device without the server: its queued offline edit,
+   * or else its cached version.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @returns {Promise<object | null>} The weekly schedule, or null if it is neither queued nor cached.
+   */
+  const getLocalWeeklySchedule = useCallback(
+    async (weekStartDateStr) => {
+      const queued = syncStateRef.current.queue[weekStartDateStr];
+      if (queued) return queued.mine;
+      try {
+        const cachedSnapshot = await getDocFromCache(
+          getWeeklyScheduleRef(weekStartDateStr),
+        );
+        return cachedSnapshot.exists() ? cachedSnapshot.data() : null;
+      } catch {
+        // The week was never loaded on this device
+        return null;
+      }
+    },
+    [getWeeklyScheduleRef],
+  );
+
+  /**
+   * @function queueWeekEdit
+   * Queues an edit of a week instead of writing it. The first offline edit of a week keeps the
+   * cached version of the week as the base of the synchronization.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @param {object} schedule - The edited schedule.
+   * @returns {Promise<void>} Resolves when the edit was queued.
+   */
+  const queueWeekEdit = useCallback(
+    async (weekStartDateStr, schedule) => {
+      // A week queued already keeps the base of its first offline edit
+      const base = syncStateRef.current.queue[weekStartDateStr]
+        ? null
+        : await getLocalWeeklySchedule(weekStartDateStr);
+      updateSyncState((prev) => ({
+        ...prev,
+        queue: enqueueWeek(prev.queue, weekStartDateStr, base, schedule),
+      }));
+      // The listener does not see queued edits
+      if (weekStartDateStr === currentWeekStartDate) {
+        setCurrentWeeklySchedule(schedule);
+      }
+    },
+    [getLocalWeeklySchedule, updateSyncState, currentWeekStartDate],
   );
 
   // ==========================================================================
@@ -358,13 +717,18 @@ const useStaffData = (currentWeek) => {
 
   /**
    * @function saveGlobalSettings
-   * Saves the entire global settings object to Firestore. Ensures staffList is sorted.
+   * Saves the entire global settings object to Firestore together with the audit entries of the changes. Ensures staffList is sorted.
    * @param {object} newSettings - The complete global settings object to save.
    * @param {boolean} [bypassSafetyChecks=false] - If true, skips safety checks for accidental data deletion (use for demo data loading).
+   * @param {string} [historyLabel="Beállítások mentése"] - The description of the change in the undo history.
    * @returns {Promise<boolean>} True if the save was successful, false otherwise.
    */
   const saveGlobalSettings = useCallback(
-    async (newSettings, bypassSafetyChecks = false) => {
+    async (
+      newSettings,
+      bypassSafetyChecks = false,
+      historyLabel = "Beállítások mentése",
+    ) => {
       const docRef = getGlobalSettingsRef();
       if (!docRef || !newSettings) {
         console.error("Save failed: Missing docRef or newSettings");
@@ -439,16 +803,42 @@ const useStaffData = (currentWeek) => {
 
       try {
         // Ensure staffList exists and is sorted before saving
-        const settingsToSave = {
+        const settingsToSave = withSettingsIds({
           ...newSettings,
+          [SCHEMA_VERSION_FIELD]: SETTINGS_SCHEMA_VERSION,
           staffList: (newSettings.staffList || [])
             .sort(
               (a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity),
             )
             .map((staff) => ({ ...staff })), // Create shallow copies
-        };
-        await setDoc(docRef, settingsToSave, { merge: true }); // Use merge: true to avoid overwriting unrelated fields if structure changes
+        });
+        // The first save of a new account (no loaded settings yet) is not audited
+        const auditOperations = globalSettings
+          ? getAuditOperations(
+              diffGlobalSettings(globalSettings, {
+                ...globalSettings,
+                ...settingsToSave,
+              }),
+            )
+          : [];
+        await commitInBatches(
+          [
+            (batch) => batch.set(docRef, settingsToSave, { merge: true }), // Use merge: true to avoid overwriting unrelated fields if structure changes
+            ...auditOperations,
+          ],
+          reportOfflineRejection,
+        );
         console.log("Global settings saved successfully.");
+        // The first save of a new account (no loaded settings yet) is not undoable
+        if (globalSettings) {
+          recordHistory(historyLabel, [
+            {
+              target: "settings",
+              before: globalSettings,
+              after: { ...globalSettings, ...settingsToSave },
+            },
+          ]);
+        }
         return true;
       } catch (error) {
         console.error("Error saving global settings:", error);
@@ -458,14 +848,90 @@ const useStaffData = (currentWeek) => {
         return false;
       }
     },
-    [getGlobalSettingsRef, globalSettings],
+    [
+      getGlobalSettingsRef,
+      globalSettings,
+      recordHistory,
+      getAuditOperations,
+      reportOfflineRejection,
+    ],
+  );
+
+  /**
+   * @function commitWeekTransaction
+   * Writes a week in a transaction on top of its latest saved version, with the next revision, then
+   * logs the changes in the audit log. Only the changed rows of a saved week are written (field-level
+   * updates of `rows.{staffId}`); new weeks and weeks of an older schema version are written whole,
+   * in the current schema.
+   * The transaction is retried if the week changes before it commits, so `buildSchedule` may be
+   * called more than once. The audit entries are written after the transaction, since a transaction
+   * cannot hold the many entries of a larger change (see `commitAuditEntries`).
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @param {function(object | null): (object | null | undefined)} buildSchedule - Returns the schedule to write from the saved one
+   * (null if the week does not exist): a schedule, null to delete the week, or undefined to leave it unchanged.
+   * May throw (e.g. `createStaleRevisionError`) to cancel the write.
+   * @returns {Promise<{previous: object | null, written: object | null}>} The saved version the write was based on and the written schedule
+   * (`written` is `previous` if the week was left unchanged).
+   */
+  const commitWeekTransaction = useCallback(
+    async (weekStartDateStr, buildSchedule) => {
+      const docRef = getWeeklyScheduleRef(weekStartDateStr);
+      const result = await runTransaction(firestore, async (transaction) => {
+        const savedSnapshot = await transaction.get(docRef);
+        const previous = savedSnapshot.exists() ? savedSnapshot.data() : null;
+        const next = buildSchedule(previous);
+        if (next === undefined) return { previous, written: previous };
+        if (next === null) {
+          if (previous) transaction.delete(docRef);
+          return { previous, written: null };
+        }
+        const written = withNextRevision(next, previous);
+        // The raw schema version: `previous` is already upgraded by the converter
+        if (
+          previous &&
+          (savedSnapshot.get(SCHEMA_VERSION_FIELD) ?? 0) >=
+            WEEKLY_SCHEMA_VERSION
+        ) {
+          const rowUpdates = getChangedWeeklyRows(previous, written).flatMap(
+            ([staffId, row]) => [
+              new FieldPath(WEEKLY_ROWS_FIELD, staffId),
+              row ?? deleteField(),
+            ],
+          );
+          transaction.update(
+            docRef,
+            "revision",
+            written.revision,
+            ...rowUpdates,
+          );
+        } else {
+          transaction.set(docRef, written);
+        }
+        return { previous, written };
+      });
+      if (result.written !== result.previous) {
+        await commitAuditEntries(
+          diffWeeklySchedules(
+            weekStartDateStr,
+            result.previous,
+            result.written,
+          ),
+        );
+      }
+      return result;
+    },
+    [getWeeklyScheduleRef, commitAuditEntries],
   );
 
   /**
    * @function saveWeeklySchedule
    * Saves a specific weekly schedule object to Firestore. Cleans the data before saving.
+   * The save is rejected if the week was saved by someone else since `newScheduleData` was loaded
+   * (its `revision` is not the saved one); the latest saved version is shown again in that case.
+   * While offline (or while earlier offline edits of the week are not synchronized) the week is
+   * queued instead, and merged cell by cell with the saved version once the connection is back.
    * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
-   * @param {object} newScheduleData - The weekly schedule data object to save.
+   * @param {object} newScheduleData - The weekly schedule data object to save (with the `revision` it was loaded with).
    * @returns {Promise<boolean>} True if the save was successful, false otherwise.
    */
   const saveWeeklySchedule = useCallback(
@@ -485,13 +951,48 @@ const useStaffData = (currentWeek) => {
         })),
       };
       setSaveError(null);
+      if (isBrowserOffline() || syncStateRef.current.queue[weekStartDateStr]) {
+        await queueWeekEdit(weekStartDateStr, scheduleToSave);
+        return true;
+      }
       try {
-        await setDoc(docRef, scheduleToSave);
+        const { written } = await commitWeekTransaction(
+          weekStartDateStr,
+          (previous) => {
+            if (getRevision(previous) !== getRevision(newScheduleData)) {
+              throw createStaleRevisionError(previous);
+            }
+            return scheduleToSave;
+          },
+        );
+        // Later saves are based on the written revision
+        if (weekStartDateStr === currentWeekStartDate) {
+          setCurrentWeeklySchedule(written);
+        }
         console.log(
           `Weekly schedule for ${weekStartDateStr} saved successfully.`,
         );
         return true;
       } catch (error) {
+        // The connection dropped during the save
+        if (isOfflineError(error)) {
+          await queueWeekEdit(weekStartDateStr, scheduleToSave);
+          return true;
+        }
+        if (isStaleRevisionError(error)) {
+          console.warn(
+            `Weekly schedule for ${weekStartDateStr} was changed by someone else, save rejected.`,
+          );
+          if (weekStartDateStr === currentWeekStartDate) {
+            setCurrentWeeklySchedule(
+              error.saved || defaultWeeklySchedule(currentWeek),
+            );
+          }
+          setSaveError(
+            "A hetet közben más is módosította, ezért a módosítás nem lett mentve. A táblázat a legutóbb mentett beosztást mutatja; kérjük, végezze el újra a módosítást.",
+          );
+          return false;
+        }
         console.error(
           `Error saving weekly schedule for ${weekStartDateStr}:`,
           error,
@@ -500,7 +1001,13 @@ const useStaffData = (currentWeek) => {
         return false;
       }
     },
-    [getWeeklyScheduleRef],
+    [
+      getWeeklyScheduleRef,
+      queueWeekEdit,
+      commitWeekTransaction,
+      currentWeekStartDate,
+      currentWeek,
+    ],
   );
 
   // ==========================================================================
@@ -508,9 +1015,45 @@ const useStaffData = (currentWeek) => {
   // ==========================================================================
 
   /**
-   * @effect Loads global settings from Firestore on mount and when the user changes.
+   * @effect Loads the offline queue and the unresolved conflicts of the active organisation.
+   */
+  useEffect(() => {
+    const loaded = organizationId
+      ? loadSyncState(organizationId)
+      : EMPTY_SYNC_STATE;
+    syncStateRef.current = loaded;
+    setSyncState(loaded);
+  }, [organizationId]);
+
+  /**
+   * @effect Tracks the network connection of the browser.
+   */
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  /**
+   * Ref to the latest `saveGlobalSettings`, used by the settings listener to save the blank settings
+   * of a new organisation. The listener is not attached again whenever the settings (and so the
+   * function) change, which would load the settings over and over.
+   * @type {React.MutableRefObject<Function | null>}
+   */
+  const saveGlobalSettingsRef = useRef(null);
+  useEffect(() => {
+    saveGlobalSettingsRef.current = saveGlobalSettings;
+  }, [saveGlobalSettings]);
+
+  /**
+   * @effect Loads global settings from Firestore on mount and when the active organisation changes.
    * Sets up a real-time listener (onSnapshot) to keep settings updated.
-   * Initializes with blank settings if none exist for the user.
+   * Initializes with blank settings if none exist for the organisation.
    */
   useEffect(() => {
     console.log("Effect: Attempting to load Global Settings");
@@ -521,35 +1064,42 @@ const useStaffData = (currentWeek) => {
     const docRef = getGlobalSettingsRef();
 
     if (!docRef) {
-      console.log("Effect: No user logged in, skipping global settings load.");
+      console.log(
+        "Effect: No active organisation, skipping global settings load.",
+      );
       setSettingsLoading(false);
       return;
     }
 
     const unsubscribe = onSnapshot(
       docRef,
+      { includeMetadataChanges: true },
       (docSnap) => {
+        setPendingWrites((prev) => ({
+          ...prev,
+          settings: docSnap.metadata.hasPendingWrites,
+        }));
         if (docSnap.exists()) {
-          const data = docSnap.data();
-          // Ensure staffList exists, has defaults, and is sorted
-          data.staffList = (data.staffList || [])
-            .map((staff) => ({
-              isActive: true, // Default new staff to active
-              sortOrder: Infinity, // Default sortOrder
-              ...staff,
-            }))
-            .sort(
+          // Settings of an older schema version are upgraded here and stored on their next save
+          const { data } = migrateSettings(docSnap.data());
+          // Ensure staffList exists and is sorted
+          setGlobalSettings({
+            ...data,
+            staffList: [...(data.staffList || [])].sort(
               (a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity),
-            );
-          setGlobalSettings(data);
+            ),
+          });
           console.log("Global settings loaded/updated from Firestore.");
+        } else if (docSnap.metadata.fromCache) {
+          // Missing from the offline cache only: wait for the server instead of overwriting the settings
+          return;
         } else {
           console.log(
             "No global settings found in Firestore, initializing with BLANK state.",
           );
           setGlobalSettings(blankGlobalSettings);
           // Automatically save the blank settings for a new user or if document was deleted
-          saveGlobalSettings(blankGlobalSettings, true); // Bypass safety checks for legitimate initialization
+          saveGlobalSettingsRef.current?.(blankGlobalSettings, true); // Bypass safety checks for legitimate initialization
         }
         setSettingsLoading(false);
       },
@@ -566,22 +1116,22 @@ const useStaffData = (currentWeek) => {
       console.log("Effect Cleanup: Unsubscribing from Global Settings");
       unsubscribe();
     };
-  }, [currentUser, getGlobalSettingsRef, saveGlobalSettings]); // Dependencies ensure rerun on user change
+  }, [getGlobalSettingsRef]); // The settings reference changes with the active organisation
 
   /**
    * @effect Loads the weekly schedule from Firestore for the `currentWeek`.
    * Sets up a real-time listener (onSnapshot). Creates a default empty schedule if none exists.
-   * Depends on `currentUser`, `currentWeekStartDate`, `settingsLoading`, and `currentWeek`.
+   * Depends on `organizationId`, `currentWeekStartDate`, `settingsLoading`, and `currentWeek`.
    */
   useEffect(() => {
-    if (!currentUser || settingsLoading) {
+    if (!organizationId || settingsLoading) {
       console.log(
-        "Effect: Skipping weekly schedule load (no user or settings still loading).",
+        "Effect: Skipping weekly schedule load (no organisation or settings still loading).",
       );
       // If settings are loading, schedule is also implicitly loading
       setScheduleLoading(settingsLoading);
-      // If no user, set schedule loading to false explicitly
-      if (!currentUser) setScheduleLoading(false);
+      // If no organisation, set schedule loading to false explicitly
+      if (!organizationId) setScheduleLoading(false);
       setCurrentWeeklySchedule(null); // Ensure schedule is cleared if prerequisites aren't met
       return;
     }
@@ -595,15 +1145,24 @@ const useStaffData = (currentWeek) => {
 
     const docRef = getWeeklyScheduleRef(currentWeekStartDate);
     if (!docRef) {
-      // Should not happen if currentUser is checked, but as a safeguard
+      // Should not happen if organizationId is checked, but as a safeguard
       setScheduleLoading(false);
       return;
     }
 
     const unsubscribe = onSnapshot(
       docRef,
+      { includeMetadataChanges: true },
       (docSnap) => {
-        if (docSnap.exists()) {
+        setPendingWrites((prev) => ({
+          ...prev,
+          week: docSnap.metadata.hasPendingWrites,
+        }));
+        // Edits made offline are shown until they are synchronized
+        const queuedWeek = syncStateRef.current.queue[currentWeekStartDate];
+        if (queuedWeek) {
+          setCurrentWeeklySchedule(queuedWeek.mine);
+        } else if (docSnap.exists()) {
           const weeklyData = docSnap.data();
           setCurrentWeeklySchedule(weeklyData);
           console.log(
@@ -639,7 +1198,7 @@ const useStaffData = (currentWeek) => {
       unsubscribe();
     };
   }, [
-    currentUser,
+    organizationId,
     currentWeekStartDate,
     getWeeklyScheduleRef,
     settingsLoading,
@@ -680,7 +1239,11 @@ const useStaffData = (currentWeek) => {
       ...globalSettings,
       [categoryKey]: [...(globalSettings[categoryKey] || []), trimmedItem],
     };
-    const success = await saveGlobalSettings(newSettings);
+    const success = await saveGlobalSettings(
+      newSettings,
+      false,
+      `"${trimmedItem}" hozzáadása`,
+    );
     return success;
   };
 
@@ -719,7 +1282,11 @@ const useStaffData = (currentWeek) => {
       // using this hook should ideally call saveGlobalSettings with the
       // fully updated state (including cleared staff defaults if necessary).
     };
-    const success = await saveGlobalSettings(newSettings);
+    const success = await saveGlobalSettings(
+      newSettings,
+      false,
+      `"${item}" törlése`,
+    );
     if (!success) {
       console.error(`Failed to save removal of ${item} from ${categoryKey}.`);
     }
@@ -750,10 +1317,37 @@ const useStaffData = (currentWeek) => {
       shiftTypes: newShiftTypes || [],
       timeSlots: newTimeSlots || {},
     };
-    const success = await saveGlobalSettings(newSettings);
+    const success = await saveGlobalSettings(
+      newSettings,
+      false,
+      "Műszaktípusok módosítása",
+    );
     return success;
   };
 
+  /**
+   * @function handleUpdateCoverageRules
+   * Updates the coverage rules (minimum staffing requirements) in the global settings.
+   * @param {Array<object>} newRules - The new array of coverage rule objects.
+   * @returns {Promise<boolean>} True if the update was saved successfully, false otherwise.
+   */
+  const handleUpdateCoverageRules = async (newRules) => {
+    if (!globalSettings) return false;
+    const newSettings = {
+      ...globalSettings,
+      coverageRules: (newRules || []).map((rule) => ({
+        ...rule,
+        minCount: Math.max(0, parseInt(rule.minCount, 10) || 0),
+        weekdays: Array.isArray(rule.weekdays) ? rule.weekdays : [],
+      })),
+    };
+    return await saveGlobalSettings(
+      newSettings,
+      false,
+      "Létszámszabályok módosítása",
+    );
+  };
+
   // ==========================================================================
   // Global Settings Management - Staff List
   // ==========================================================================
@@ -790,7 +1384,11 @@ const useStaffData = (currentWeek) => {
     ].sort((a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity));
 
     const newSettings = { ...globalSettings, staffList: newStaffList };
-    return await saveGlobalSettings(newSettings);
+    return await saveGlobalSettings(
+      newSettings,
+      false,
+      `Új dolgozó: ${staffMemberCoreData.name || staffMemberCoreData.id}`,
+    );
   };
 
   /**
@@ -814,7 +1412,11 @@ const useStaffData = (currentWeek) => {
       .sort((a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity));
 
     const newSettings = { ...globalSettings, staffList: newStaffList };
-    return await saveGlobalSettings(newSettings);
+    return await saveGlobalSettings(
+      newSettings,
+      false,
+      `Dolgozó módosítása: ${staffMemberCoreData.name || staffMemberCoreData.id}`,
+    );
   };
 
   /**
@@ -829,13 +1431,20 @@ const useStaffData = (currentWeek) => {
       setSaveError("Érvénytelen dolgozói ID a törléshez.");
       return false;
     }
+    const staffName =
+      globalSettings.staffList?.find((staff) => staff.id === staffId)?.name ||
+      staffId;
     // Filter out the member and re-assign sortOrder based on new index
     const newStaffList = (globalSettings.staffList || [])
       .filter((staff) => staff.id !== staffId)
       .map((staff, index) => ({ ...staff, sortOrder: index })); // Re-index
 
     const newSettings = { ...globalSettings, staffList: newStaffList };
-    const success = await saveGlobalSettings(newSettings);
+    const success = await saveGlobalSettings(
+      newSettings,
+      false,
+      `Dolgozó törlése: ${staffName}`,
+    );
 
     // If global delete succeeds, also remove from current weekly schedule state (if loaded and present)
     if (
@@ -864,34 +1473,111 @@ const useStaffData = (currentWeek) => {
         sortOrder: index,
       })),
     };
-    return await saveGlobalSettings(newSettings);
+    return await saveGlobalSettings(
+      newSettings,
+      false,
+      "Dolgozók sorrendjének módosítása",
+    );
   };
 
   // ==========================================================================
   // Weekly Schedule Management - Staff Specific Data
   // ==========================================================================
 
+  /**
+   * @function saveStaffRow
+   * Replaces, adds or removes the row of one staff member in the current week. The row is written
+   * on top of the latest saved version of the week, so edits of other rows made by someone else in
+   * the meantime are kept; the save is rejected only if the same row was changed since `baseRow`.
+   * Performs an optimistic update of local state before saving (reverted if the save is rejected).
+   * @param {string} staffId - The staff member.
+   * @param {object | null} row - The new row (null removes the staff member from the week).
+   * @param {object | null} baseRow - The saved row the edit started from (null if the staff member was not in the week).
+   * @param {string} historyLabel - The description of the change in the undo history.
+   * @returns {Promise<StaffRowSaveResult>} Whether the row was saved, or the row saved by someone else.
+   */
+  const saveStaffRow = async (staffId, row, baseRow, historyLabel) => {
+    const weekStartDateStr = currentWeekStartDate;
+    const baseSchedule =
+      currentWeeklySchedule || defaultWeeklySchedule(currentWeek);
+    const newSchedule = replaceStaffRow(baseSchedule, staffId, row);
+    const savedResult = { saved: true, conflict: false, savedRow: null };
+    setSaveError(null);
+
+    // Optimistic UI update
+    setCurrentWeeklySchedule(newSchedule);
+    const queueEdit = async () => {
+      await queueWeekEdit(weekStartDateStr, newSchedule);
+      recordWeekEdit(historyLabel, weekStartDateStr, baseSchedule, newSchedule);
+      return savedResult;
+    };
+    if (isBrowserOffline() || syncStateRef.current.queue[weekStartDateStr]) {
+      return queueEdit();
+    }
+    try {
+      const { previous, written } = await commitWeekTransaction(
+        weekStartDateStr,
+        (saved) => {
+          if (isRowChangedSince(findStaffRow(saved, staffId), baseRow)) {
+            throw createStaleRevisionError(saved);
+          }
+          return replaceStaffRow(
+            saved || defaultWeeklySchedule(currentWeek),
+            staffId,
+            row,
+          );
+        },
+      );
+      setCurrentWeeklySchedule(written);
+      recordWeekEdit(historyLabel, weekStartDateStr, previous, written);
+      return savedResult;
+    } catch (error) {
+      // The connection dropped during the save
+      if (isOfflineError(error)) return queueEdit();
+      if (isStaleRevisionError(error)) {
+        console.warn(
+          `Row of ${staffId} in week ${weekStartDateStr} was changed by someone else, save rejected.`,
+        );
+        setCurrentWeeklySchedule(
+          error.saved || defaultWeeklySchedule(currentWeek),
+        );
+        return {
+          saved: false,
+          conflict: true,
+          savedRow: findStaffRow(error.saved, staffId),
+        };
+      }
+      console.error(
+        `Error saving the row of ${staffId} in week ${weekStartDateStr}:`,
+        error,
+      );
+      setCurrentWeeklySchedule(baseSchedule);
+      setSaveError(`Heti beosztás mentése sikertelen: ${error.message}`);
+      return { saved: false, conflict: false, savedRow: null };
+    }
+  };
+
   /**
    * @function updateStaffInWeeklySchedule
    * Adds or updates a staff member's data (name, unit, group, jobTitle, shifts)
-   * specifically for the currently loaded week. Performs an optimistic update of local state
-   * and then saves asynchronously to Firestore.
+   * specifically for the currently loaded week (see `saveStaffRow`).
    * @param {object} staffMemberWeeklyData - The weekly data for the staff member (must include 'staffId').
+   * @param {object | null} [baseRow] - The saved row the edit started from (null if the staff member was not in the week);
+   * defaults to the row of the loaded week.
+   * @returns {Promise<StaffRowSaveResult>} Whether the row was saved, or the row saved by someone else.
    */
-  const updateStaffInWeeklySchedule = (staffMemberWeeklyData) => {
+  const updateStaffInWeeklySchedule = async (
+    staffMemberWeeklyData,
+    baseRow = findStaffRow(
+      currentWeeklySchedule,
+      staffMemberWeeklyData?.staffId,
+    ),
+  ) => {
     if (!staffMemberWeeklyData?.staffId) {
       setSaveError("Hiba: Érvénytelen heti dolgozói adat a frissítéshez.");
-      return;
+      return { saved: false, conflict: false, savedRow: null };
     }
 
-    // Use the current state or the default structure if state is null/initial
-    const baseSchedule =
-      currentWeeklySchedule || defaultWeeklySchedule(currentWeek);
-
-    const existingIndex = baseSchedule.staff.findIndex(
-      (s) => s.staffId === staffMemberWeeklyData.staffId,
-    );
-
     // Prepare the data subset to store for the week
     const dataToStore = {
       staffId: staffMemberWeeklyData.staffId,
@@ -902,49 +1588,97 @@ const useStaffData = (currentWeek) => {
       shifts: staffMemberWeeklyData.shifts || {},
     };
 
-    let newStaffArray;
-    if (existingIndex >= 0) {
-      // Update existing entry
-      newStaffArray = baseSchedule.staff.map((staff, index) =>
-        index === existingIndex ? dataToStore : staff,
-      );
-    } else {
-      // Add new entry
-      newStaffArray = [...baseSchedule.staff, dataToStore];
-    }
-
-    const newSchedule = { ...baseSchedule, staff: newStaffArray };
-
-    // Optimistic UI update
-    setCurrentWeeklySchedule(newSchedule);
-    // Asynchronous save to Firestore
-    saveWeeklySchedule(currentWeekStartDate, newSchedule);
+    return saveStaffRow(
+      dataToStore.staffId,
+      dataToStore,
+      baseRow,
+      `${dataToStore.name || dataToStore.staffId}: heti adatok módosítása`,
+    );
   };
 
   /**
    * @function removeStaffFromWeeklySchedule
-   * Removes a staff member's data entirely from the currently loaded weekly schedule.
-   * Performs an optimistic update of local state and then saves asynchronously to Firestore.
+   * Removes a staff member's data entirely from the currently loaded weekly schedule
+   * (see `saveStaffRow`). The removal is rejected if someone else changed the row in the meantime.
    * @param {string} staffId - The ID of the staff member to remove from the week.
+   * @returns {Promise<StaffRowSaveResult>} Whether the row was removed, or the row saved by someone else.
    */
-  const removeStaffFromWeeklySchedule = (staffId) => {
+  const removeStaffFromWeeklySchedule = async (staffId) => {
+    const baseRow = findStaffRow(currentWeeklySchedule, staffId);
     // Don't proceed if the schedule isn't loaded or the staff isn't in this week
-    if (
-      !currentWeeklySchedule ||
-      !currentWeeklySchedule.staff.some((s) => s.staffId === staffId)
-    ) {
-      return;
+    if (!baseRow) return { saved: false, conflict: false, savedRow: null };
+
+    const result = await saveStaffRow(
+      staffId,
+      null,
+      baseRow,
+      `${baseRow.name || staffId}: eltávolítás a hétről`,
+    );
+    if (result.conflict) {
+      setSaveError(
+        `${baseRow.name || staffId} heti adatait közben más is módosította, ezért nem lett eltávolítva a hétről. Ellenőrizze a sort, és szükség esetén próbálja újra.`,
+      );
     }
+    return result;
+  };
 
-    const newSchedule = {
-      ...currentWeeklySchedule,
-      staff: currentWeeklySchedule.staff.filter((s) => s.staffId !== staffId),
-    };
+  /**
+   * @function applyWeeklyStaffChanges
+   * Adds or updates the weekly data of several staff members at once (e.g. the result of the
+   * weekly auto-fill) and saves the whole week in a single Firestore write.
+   * Performs an optimistic update of local state before saving.
+   * @param {Array<object>} staffEntries - The weekly data objects to store (each must include 'staffId').
+   * @param {string} [historyLabel="Heti beosztás módosítása"] - The description of the change in the undo history.
+   * @returns {Promise<boolean>} True if the save was successful, false otherwise.
+   */
+  const applyWeeklyStaffChanges = async (
+    staffEntries,
+    historyLabel = "Heti beosztás módosítása",
+  ) => {
+    if (!Array.isArray(staffEntries) || staffEntries.some((s) => !s?.staffId)) {
+      setSaveError("Hiba: Érvénytelen heti dolgozói adatok a frissítéshez.");
+      return false;
+    }
+
+    const baseSchedule =
+      currentWeeklySchedule || defaultWeeklySchedule(currentWeek);
+    const entriesById = new Map(
+      staffEntries.map((entry) => [
+        entry.staffId,
+        {
+          staffId: entry.staffId,
+          name: entry.name || "",
+          unit: entry.unit || "",
+          group: entry.group || "",
+          jobTitle: entry.jobTitle || "",
+          shifts: entry.shifts || {},
+        },
+      ]),
+    );
+
+    // Replace existing entries, then append the ones not yet present in the week
+    const newStaffArray = baseSchedule.staff.map(
+      (staff) => entriesById.get(staff.staffId) ?? staff,
+    );
+    const existingIds = new Set(baseSchedule.staff.map((s) => s.staffId));
+    entriesById.forEach((entry, staffId) => {
+      if (!existingIds.has(staffId)) newStaffArray.push(entry);
+    });
+
+    const newSchedule = { ...baseSchedule, staff: newStaffArray };
 
     // Optimistic UI update
     setCurrentWeeklySchedule(newSchedule);
-    // Asynchronous save to Firestore
-    saveWeeklySchedule(currentWeekStartDate, newSchedule);
+    const success = await saveWeeklySchedule(currentWeekStartDate, newSchedule);
+    if (success) {
+      recordWeekEdit(
+        historyLabel,
+        currentWeekStartDate,
+        baseSchedule,
+        newSchedule,
+      );
+    }
+    return success;
   };
 
   // ==========================================================================
@@ -971,6 +1705,17 @@ const useStaffData = (currentWeek) => {
     [globalSettings?.shiftTypes], // Depend only on shiftTypes array
   );
 
+  /**
+   * @function getShiftKind
+   * Retrieves the kind of a shift code from global settings. Codes without a stored kind count as work shifts.
+   * @param {string} shiftCode - The shift code (e.g., 'FSZ').
+   * @returns {string} The shift kind (e.g., 'paidLeave'), or an empty string for an empty cell.
+   */
+  const getShiftKind = useCallback(
+    (shiftCode) => resolveShiftKind(shiftCode, globalSettings?.shiftTypes),
+    [globalSettings?.shiftTypes],
+  );
+
   /**
    * @function getStaffByUnit
    * Combines global staff list data with weekly schedule overrides.
@@ -984,186 +1729,7 @@ const useStaffData = (currentWeek) => {
     if (settingsLoading || scheduleLoading || !globalSettings) {
       return {};
     }
-
-    const activeGlobalStaff = (globalSettings.staffList || []).filter(
-      (s) => s.isActive,
-    );
-    if (activeGlobalStaff.length === 0) {
-      return {}; // Return empty if no active staff defined globally
-    }
-
-    // Create a map for quick lookup of weekly data by staffId
-    const weeklyStaffDataMap = (currentWeeklySchedule?.staff || []).reduce(
-      (map, weeklyStaff) => {
-        map[weeklyStaff.staffId] = weeklyStaff;
-        return map;
-      },
-      {},
-    );
-
-    // Create Sets for efficient validity checks of categories
-    const validUnits = new Set(globalSettings.units || []);
-    const validGroups = new Set(globalSettings.groups || []);
-    const validJobTitles = new Set(globalSettings.jobTitles || []);
-
-    // Combine global and weekly data for each active staff member
-    const combinedStaffList = activeGlobalStaff.map((globalStaff) => {
-      const weeklyData = weeklyStaffDataMap[globalStaff.id];
-
-      // Determine effective category, preferring weekly override, falling back to global default
-      const weeklyUnit = weeklyData?.unit;
-      const globalUnit = globalStaff.defaultUnit ?? "";
-      const effectiveUnit = weeklyUnit ?? globalUnit;
-      const isOrphanedUnit = !!weeklyUnit && !validUnits.has(weeklyUnit); // True if weeklyUnit exists but is not in global units
-
-      const weeklyGroup = weeklyData?.group;
-      const globalGroup = globalStaff.defaultGroup ?? "";
-      const effectiveGroup = weeklyGroup ?? globalGroup;
-      const isOrphanedGroup = !!weeklyGroup && !validGroups.has(weeklyGroup);
-
-      const weeklyJobTitle = weeklyData?.jobTitle;
-      const globalJobTitle = globalStaff.defaultJobTitle ?? "";
-      const effectiveJobTitle = weeklyJobTitle ?? globalJobTitle;
-      const isOrphanedJobTitle =
-        !!weeklyJobTitle && !validJobTitles.has(weeklyJobTitle);
-
-      return {
-        staffId: globalStaff.id,
-        name: weeklyData?.name ?? globalStaff.name, // Prefer weekly name override
-        unit: effectiveUnit,
-        displayUnit: isOrphanedUnit
-          ? `${effectiveUnit} (törölt)`
-          : effectiveUnit,
-        isOrphanedUnit,
-        group: effectiveGroup,
-        displayGroup: isOrphanedGroup
-          ? `${effectiveGroup} (törölt)`
-          : effectiveGroup,
-        isOrphanedGroup,
-        jobTitle: effectiveJobTitle,
-        displayJobTitle: isOrphanedJobTitle
-          ? `${effectiveJobTitle} (törölt)`
-          : effectiveJobTitle,
-        isOrphanedJobTitle,
-        shifts: weeklyData?.shifts ?? {}, // Use weekly shifts, or empty object if none for the week
-        sortOrder: globalStaff.sortOrder ?? Infinity, // From global list
-        employeeNumber: globalStaff.employeeNumber ?? "", // From global list
-      };
-    });
-
-    // Group staff by their effective unit
-    const groupedByUnit = combinedStaffList.reduce((acc, staff) => {
-      const unitKey = staff.unit || ""; // Use empty string for "unassigned" unit
-      if (!acc[unitKey]) acc[unitKey] = [];
-      acc[unitKey].push(staff);
-      return acc;
-    }, {});
-
-    // --- Sorting Logic ---
-    // Create maps for category sort order lookup
-    const createOrderMap = (items = []) =>
-      items.reduce((map, item, index) => {
-        map[item] = index;
-        return map;
-      }, {});
-    const unitOrderMap = createOrderMap(globalSettings.units);
-    const groupOrderMap = createOrderMap(globalSettings.groups);
-    const jobTitleOrderMap = createOrderMap(globalSettings.jobTitles);
-
-    // 1. Sort the unit keys based on global settings order
-    const sortedUnitKeys = Object.keys(groupedByUnit).sort((a, b) => {
-      // Check if units are valid according to current global settings
-      const isUnitAValid = validUnits.has(a);
-      const isUnitBValid = validUnits.has(b);
-
-      // Get sort index, Infinity if orphaned/invalid or ""
-      const indexA =
-        a === ""
-          ? Infinity
-          : isUnitAValid
-            ? (unitOrderMap[a] ?? Infinity)
-            : Infinity;
-      const indexB =
-        b === ""
-          ? Infinity
-          : isUnitBValid
-            ? (unitOrderMap[b] ?? Infinity)
-            : Infinity;
-
-      // Sort "" (unassigned) to the end
-      if (a === "") return 1;
-      if (b === "") return -1;
-
-      // Sort orphaned units after valid units
-      if (indexA === Infinity && indexB !== Infinity) return 1;
-      if (indexA !== Infinity && indexB === Infinity) return -1;
-
-      // If both are orphaned, sort alphabetically
-      if (indexA === Infinity && indexB === Infinity) return a.localeCompare(b);
-
-      // Otherwise, sort by defined order
-      return indexA - indexB;
-    });
-
-    // 2. Sort staff within each unit
-    const finalSortedResult = {};
-    sortedUnitKeys.forEach((unitKey) => {
-      groupedByUnit[unitKey].sort((a, b) => {
-        // --- Primary Sort: Group ---
-        const isGroupAOrphaned = a.isOrphanedGroup;
-        const isGroupBOrphaned = b.isOrphanedGroup;
-        const groupIndexA = !isGroupAOrphaned
-          ? (groupOrderMap[a.group || ""] ?? Infinity)
-          : Infinity;
-        const groupIndexB = !isGroupBOrphaned
-          ? (groupOrderMap[b.group || ""] ?? Infinity)
-          : Infinity;
-
-        // Sort orphaned groups after valid ones
-        if (groupIndexA !== groupIndexB) {
-          if (groupIndexA === Infinity && groupIndexB !== Infinity) return 1;
-          if (groupIndexA !== Infinity && groupIndexB === Infinity) return -1;
-          // If neither is orphaned, sort by defined order
-          return groupIndexA - groupIndexB;
-        } else if (isGroupAOrphaned && isGroupBOrphaned) {
-          // If both are orphaned, sort alphabetically by group name
-          const groupCompare = (a.group || "").localeCompare(b.group || "");
-          if (groupCompare !== 0) return groupCompare;
-        } // If both valid and same index, proceed to next sort key
-
-        // --- Secondary Sort: Job Title ---
-        const isJobAOrphaned = a.isOrphanedJobTitle;
-        const isJobBOrphaned = b.isOrphanedJobTitle;
-        const jobIndexA = !isJobAOrphaned
-          ? (jobTitleOrderMap[a.jobTitle || ""] ?? Infinity)
-          : Infinity;
-        const jobIndexB = !isJobBOrphaned
-          ? (jobTitleOrderMap[b.jobTitle || ""] ?? Infinity)
-          : Infinity;
-
-        // Sort orphaned job titles after valid ones
-        if (jobIndexA !== jobIndexB) {
-          if (jobIndexA === Infinity && jobIndexB !== Infinity) return 1;
-          if (jobIndexA !== Infinity && jobIndexB === Infinity) return -1;
-          // If neither is orphaned, sort by defined order
-          return jobIndexA - jobIndexB;
-        } else if (isJobAOrphaned && isJobBOrphaned) {
-          // If both are orphaned, sort alphabetically by job title
-          const jobCompare = (a.jobTitle || "").localeCompare(b.jobTitle || "");
-          if (jobCompare !== 0) return jobCompare;
-        } // If both valid and same index, proceed to next sort key
-
-        // --- Tertiary Sort: Global Staff Sort Order ---
-        if (a.sortOrder !== b.sortOrder) return a.sortOrder - b.sortOrder;
-
-        // --- Fallback Sort: Name ---
-        return (a.name || "").localeCompare(b.name || "");
-      });
-      // Assign the sorted staff list to the unit key in the result
-      finalSortedResult[unitKey] = groupedByUnit[unitKey];
-    });
-
-    return finalSortedResult;
+    return buildStaffByUnit(globalSettings, currentWeeklySchedule?.staff);
   }, [globalSettings, currentWeeklySchedule, settingsLoading, scheduleLoading]);
 
   /**
@@ -1176,7 +1742,7 @@ const useStaffData = (currentWeek) => {
    */
   const copyScheduleFromWeek = useCallback(
     async (sourceWeekDate, targetWeekDate) => {
-      if (!currentUser || !globalSettings) {
+      if (!dataPath || !globalSettings) {
         alert(
           "Nem lehet másolni: Hiba a felhasználó vagy a beállítások betöltésekor.",
         );
@@ -1186,20 +1752,34 @@ const useStaffData = (currentWeek) => {
       setSaveError(null);
       const sourceWeekStr = sourceWeekDate.toISOString().split("T")[0];
       const targetWeekStr = targetWeekDate.toISOString().split("T")[0];
-      const targetWeekDates = getWeekDates(targetWeekDate); // Get dates for the target week
-      const sourceDocRef = getWeeklyScheduleRef(sourceWeekStr);
-      const targetDocRef = getWeeklyScheduleRef(targetWeekStr);
+      const targetWeekDates = getWeekDates(
+        targetWeekDate,
+        globalSettings.workingWeekdays,
+      ); // Get the working days of the target week
+      const isLocalWeek = (weekStr) =>
+        isBrowserOffline() || !!syncStateRef.current.queue[weekStr];
 
       try {
-        const sourceDocSnap = await getDoc(sourceDocRef);
-        if (!sourceDocSnap.exists()) {
+        // Offline (or with queued edits) the source is read from this device, since `getDoc`
+        // fails for weeks that are not cached
+        let sourceData = null;
+        if (isLocalWeek(sourceWeekStr)) {
+          sourceData = await getLocalWeeklySchedule(sourceWeekStr);
+        } else {
+          const sourceDocSnap = await getDoc(
+            getWeeklyScheduleRef(sourceWeekStr),
+          );
+          sourceData = sourceDocSnap.exists() ? sourceDocSnap.data() : null;
+        }
+        if (!sourceData) {
           alert(
-            `A(z) ${sourceWeekStr} hétre nincs mentett beosztás, nem lehet másolni.`,
+            isBrowserOffline()
+              ? `A(z) ${sourceWeekStr} hét beosztása offline nem érhető el ezen az eszközön, nem lehet másolni.`
+              : `A(z) ${sourceWeekStr} hétre nincs mentett beosztás, nem lehet másolni.`,
           );
           setScheduleLoading(false);
           return false;
         }
-        const sourceData = sourceDocSnap.data();
 
         // Map source staff data to the target week structure
         const newTargetStaff = (sourceData.staff || [])
@@ -1213,17 +1793,25 @@ const useStaffData = (currentWeek) => {
 
             // Create the new shifts object for the target week
             const newShifts = {};
-            targetWeekDates.forEach((targetDate, dayIndex) => {
+            targetWeekDates.forEach((targetDate) => {
               const targetDateStr = targetDate.toISOString().split("T")[0];
-              // Find the corresponding day in the source week
+              // Find the same weekday in the source week (the working days may not be consecutive)
               const sourceDayDate = new Date(sourceWeekDate);
-              sourceDayDate.setDate(sourceDayDate.getDate() + dayIndex);
+              sourceDayDate.setDate(
+                sourceDayDate.getDate() + ((targetDate.getDay() + 6) % 7),
+              );
               const sourceDayDateStr = sourceDayDate
                 .toISOString()
                 .split("T")[0];
-              // Copy the shift code from the source day to the target day
+              // Copy the shift code from the source day to the target day.
+              // Leave and sick days belong to their original date, so they are not carried over,
+              // and nobody is scheduled on holidays of the target week.
+              const sourceCode = sourceStaff.shifts?.[sourceDayDateStr] || "";
               newShifts[targetDateStr] =
-                sourceStaff.shifts?.[sourceDayDateStr] || "";
+                ONE_OFF_ABSENCE_KINDS.includes(getShiftKind(sourceCode)) ||
+                isNonWorkingDay(targetDate, globalSettings.calendarOverrides)
+                  ? ""
+                  : sourceCode;
             });
 
             // Return the structure for the target week's staff entry
@@ -1246,15 +1834,34 @@ const useStaffData = (currentWeek) => {
           staff: newTargetStaff,
         };
 
-        // Save the new schedule to the target week's document
-        await setDoc(targetDocRef, newTargetSchedule);
+        // Save the new schedule over the target week (or queue it while offline),
+        // keeping the overwritten target week for undo
+        let previousTargetSchedule;
+        let savedTargetSchedule = newTargetSchedule;
+        if (isLocalWeek(targetWeekStr)) {
+          previousTargetSchedule = await getLocalWeeklySchedule(targetWeekStr);
+          await queueWeekEdit(targetWeekStr, newTargetSchedule);
+        } else {
+          const { previous, written } = await commitWeekTransaction(
+            targetWeekStr,
+            () => newTargetSchedule,
+          );
+          previousTargetSchedule = previous;
+          savedTargetSchedule = written;
+        }
         console.log(
           `Schedule successfully copied from ${sourceWeekStr} to ${targetWeekStr}`,
         );
+        recordWeekEdit(
+          `Beosztás másolása a ${formatDate(sourceWeekDate)} hétről`,
+          targetWeekStr,
+          previousTargetSchedule,
+          savedTargetSchedule,
+        );
 
         // If the copied schedule is for the currently viewed week, update the local state
         if (targetWeekStr === currentWeekStartDate) {
-          setCurrentWeeklySchedule(newTargetSchedule);
+          setCurrentWeeklySchedule(savedTargetSchedule);
         }
 
         setScheduleLoading(false);
@@ -1269,13 +1876,812 @@ const useStaffData = (currentWeek) => {
         return false;
       }
     },
-    [currentUser, globalSettings, getWeeklyScheduleRef, currentWeekStartDate],
+    [
+      dataPath,
+      globalSettings,
+      getWeeklyScheduleRef,
+      currentWeekStartDate,
+      getShiftKind,
+      recordWeekEdit,
+      commitWeekTransaction,
+      queueWeekEdit,
+      getLocalWeeklySchedule,
+    ],
   );
 
   // ==========================================================================
   // Hook Return Value
   // ==========================================================================
 
+  /**
+   * @function fetchSchedulesInRange
+   * Loads the weekly schedules of every week overlapping a date range (weeks without a saved schedule are skipped).
+   * @param {Date} startDate - The first day of the range.
+   * @param {Date} endDate - The last day of the range (inclusive).
+   * @returns {Promise<Array<object> | null>} The weekly schedule documents in chronological order, or null if they could not be loaded.
+   */
+  const fetchSchedulesInRange = useCallback(
+    async (startDate, endDate) => {
+      if (!dataPath) return null;
+      try {
+        const snapshots = await Promise.all(
+          getWeekStartsBetween(startDate, endDate).map((monday) =>
+            getDoc(getWeeklyScheduleRef(toDateKey(monday))),
+          ),
+        );
+        return snapshots
+          .filter((snapshot) => snapshot.exists())
+          .map((snapshot) => snapshot.data());
+      } catch (error) {
+        console.error("Error fetching weekly schedules:", error);
+        return null;
+      }
+    },
+    [dataPath, getWeeklyScheduleRef],
+  );
+
+  /**
+   * @function fetchMonthSchedules
+   * Loads the weekly schedules of every week overlapping a month (weeks without a saved schedule are skipped).
+   * @param {Date} monthDate - Any date within the month.
+   * @returns {Promise<Array<object> | null>} The weekly schedule documents, or null if they could not be loaded.
+   */
+  const fetchMonthSchedules = useCallback(
+    (monthDate) =>
+      fetchSchedulesInRange(
+        new Date(monthDate.getFullYear(), monthDate.getMonth(), 1),
+        new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 0),
+      ),
+    [fetchSchedulesInRange],
+  );
+
+  /**
+   * @function fetchLeaveUsage
+   * Loads the weekly schedules of a year up to today (by the range of their document IDs) and counts
+   * the paid leave days of each staff member in the year up to today.
+   * @param {number} year - The calendar year (e.g., 2024).
+   * @param {string} [excludedWeekStartDate] - A week ('YYYY-MM-DD') to leave out, e.g. the week being edited locally.
+   * @returns {Promise<object.<string, number> | null>} Mapping of staff IDs to used leave days, or null if the schedules could not be loaded.
+   */
+  const fetchLeaveUsage = useCallback(
+    async (year, excludedWeekStartDate) => {
+      if (!dataPath) return null;
+      try {
+        const { firstWeekStartDate, lastWeekStartDate, lastDateKey } =
+          getLeavePeriod(year);
+        const snapshot = await getDocs(
+          query(
+            getWeeklySchedulesRef(),
+            where(documentId(), ">=", firstWeekStartDate),
+            where(documentId(), "<=", lastWeekStartDate),
+          ),
+        );
+        const schedules = snapshot.docs
+          .filter((weekDoc) => weekDoc.id !== excludedWeekStartDate)
+          .map((weekDoc) => weekDoc.data());
+        return calculateLeaveUsage(
+          schedules,
+          year,
+          globalSettings?.shiftTypes,
+          lastDateKey,
+        );
+      } catch (error) {
+        console.error("Error fetching leave usage:", error);
+        return null;
+      }
+    },
+    [dataPath, getWeeklySchedulesRef, globalSettings?.shiftTypes],
+  );
+
+  // ==========================================================================
+  // Backup & Restore
+  // ==========================================================================
+
+  /**
+   * @function fetchAllData
+   * Loads the global settings and every saved weekly schedule of the organisation, e.g. for a backup.
+   * @returns {Promise<import('../utils/backup').AccountData | null>} The data, or null if it could not be loaded.
+   */
+  const fetchAllData = useCallback(async () => {
+    if (!dataPath) return null;
+    try {
+      const [settingsSnapshot, weeksSnapshot] = await Promise.all([
+        getDoc(getGlobalSettingsRef()),
+        getDocs(getWeeklySchedulesRef()),
+      ]);
+      return {
+        settings: settingsSnapshot.exists()
+          ? migrateSettings(settingsSnapshot.data()).data
+          : null,
+        weeklySchedules: Object.fromEntries(
+          weeksSnapshot.docs.map((weekDoc) => [weekDoc.id, weekDoc.data()]),
+        ),
+      };
+    } catch (error) {
+      console.error("Error fetching account data:", error);
+      return null;
+    }
+  }, [dataPath, getGlobalSettingsRef, getWeeklySchedulesRef]);
+
+  /**
+   * @function restoreBackup
+   * Writes the data of a restore plan: overwrites the global settings and the weekly schedules of the backup
+   * and deletes the weeks listed for removal. The settings are written first, then each week in its own
+   * transaction on top of its latest saved version, with the next revision, so that edits opened before the
+   * restore are rejected. A week that fails does not stop the others: the restore continues, and the weeks
+   * that were not written are listed in the save error (a partial restore).
+   * @param {import('../utils/backup').RestorePlan} plan - The restore plan (from `planRestore`).
+   * @returns {Promise<boolean>} True if every write was successful, false otherwise.
+   */
+  const restoreBackup = useCallback(
+    async (plan) => {
+      const settingsRef = getGlobalSettingsRef();
+      if (!settingsRef || !plan) return false;
+      setSaveError(null);
+      try {
+        await runTransaction(firestore, async (transaction) => {
+          transaction.set(settingsRef, withSettingsIds(plan.settings));
+        });
+      } catch (error) {
+        console.error("Error restoring the settings:", error);
+        setSaveError(`Visszaállítás sikertelen: ${error.message}`);
+        return false;
+      }
+      // The recorded edits refer to the data before the restore
+      setEditHistory(EMPTY_HISTORY);
+
+      const writes = [
+        ...Object.entries(plan.weeklySchedules),
+        ...plan.deletedWeeks.map((key) => [key, null]),
+      ];
+      const failedWeeks = [];
+      for (const [key, schedule] of writes) {
+        const docRef = getWeeklyScheduleRef(key);
+        try {
+          await runTransaction(firestore, async (transaction) => {
+            const savedSnapshot = await transaction.get(docRef);
+            if (schedule === null) {
+              if (savedSnapshot.exists()) transaction.delete(docRef);
+              return;
+            }
+            transaction.set(
+              docRef,
+              withNextRevision(
+                schedule,
+                savedSnapshot.exists() ? savedSnapshot.data() : null,
+              ),
+            );
+          });
+        } catch (error) {
+          console.error(`Error restoring the week ${key}:`, error);
+          failedWeeks.push(key);
+        }
+      }
+
+      const restoredCount =
+        Object.keys(plan.weeklySchedules).length -
+        failedWeeks.filter((key) => key in plan.weeklySchedules).length;
+      const deletedCount =
+        plan.deletedWeeks.length -
+        failedWeeks.filter((key) => !(key in plan.weeklySchedules)).length;
+      // A restore is logged as one entry instead of every changed value
+      await commitAuditEntries([
+        {
+          scope: "settings",
+          weekStartDate: null,
+          staffId: null,
+          staffName: "",
+          day: null,
+          field: "restore",
+          oldValue: "",
+          newValue: `${restoredCount} hét visszaállítva, ${deletedCount} hét törölve${
+            failedWeeks.length > 0
+              ? `, ${failedWeeks.length} hét sikertelen`
+              : ""
+          }`,
+        },
+      ]);
+
+      if (failedWeeks.length > 0) {
+        setSaveError(
+          `Részleges visszaállítás: ${failedWeeks.length} hét nem került visszaállításra (${failedWeeks.sort().join(", ")}). A mentés újbóli visszaállítása pótolja őket.`,
+        );
+        return false;
+      }
+      return true;
+    },
+    [getGlobalSettingsRef, getWeeklyScheduleRef, commitAuditEntries],
+  );
+
+  /**
+   * @function migrateStoredData
+   * Upgrades every stored document of the organisation to the current schema version at once, instead of
+   * on the next save of each document (see `utils/schemaMigrations`). The settings and each outdated week
+   * are rewritten in their own transactions, so edits saved in the meantime are kept; the rewritten weeks
+   * get the next revision.
+   * @returns {Promise<{settings: boolean, weeks: number} | null>} Whether the settings were upgraded and the number of upgraded weeks,
+   * or null if the upgrade failed.
+   */
+  const migrateStoredData = useCallback(async () => {
+    const settingsRef = getGlobalSettingsRef();
+    if (!settingsRef) return null;
+    setSaveError(null);
+    try {
+      const settingsMigrated = await runTransaction(
+        firestore,
+        async (transaction) => {
+          const snapshot = await transaction.get(settingsRef);
+          if (!snapshot.exists()) return false;
+          const { data, migrated } = migrateSettings(snapshot.data());
+          if (migrated) transaction.set(settingsRef, data);
+          return migrated;
+        },
+      );
+      // Read without the converter, which would hide the stored schema version
+      const weeksSnapshot = await getDocs(
+        getWeeklySchedulesRef().withConverter(null),
+      );
+      const outdatedWeeks = weeksSnapshot.docs
+        .filter(
+          (weekDoc) => getSchemaVersion(weekDoc.data()) < WEEKLY_SCHEMA_VERSION,
+        )
+        .map((weekDoc) => weekDoc.id);
+      for (const weekStartDateStr of outdatedWeeks) {
+        // The same rows are written whole, in the current schema
+        await commitWeekTransaction(
+          weekStartDateStr,
+          (previous) => previous ?? undefined,
+        );
+      }
+      return { settings: settingsMigrated, weeks: outdatedWeeks.length };
+    } catch (error) {
+      console.error("Error upgrading the stored data:", error);
+      setSaveError(`Az adatok frissítése sikertelen: ${error.message}`);
+      return null;
+    }
+  }, [getGlobalSettingsRef, getWeeklySchedulesRef, commitWeekTransaction]);
+
+  // ==========================================================================
+  // Audit Log
+  // ==========================================================================
+
+  /**
+   * @function fetchAuditLog
+   * Loads the newest audit log entries. Filters by week and staff member are applied in the query
+   * (and the result is sorted locally, so that no composite index is needed).
+   * @param {object} [filters={}] - The filters.
+   * @param {string} [filters.weekStartDate] - Only the entries of this week ('YYYY-MM-DD').
+   * @param {string} [filters.staffId] - Only the entries of this staff member.
+   * @returns {Promise<Array<object> | null>} The entries (with their document `id`), newest first, or null if they could not be loaded.
+   */
+  const fetchAuditLog = useCallback(
+    async ({ weekStartDate, staffId } = {}) => {
+      if (!dataPath) return null;
+      const auditLogRef = collection(firestore, `${dataPath}/auditLog`);
+      const filters = [
+        weekStartDate && where("weekStartDate", "==", weekStartDate),
+        staffId && where("staffId", "==", staffId),
+      ].filter(Boolean);
+      try {
+        const snapshot = await getDocs(
+          filters.length > 0
+            ? query(auditLogRef, ...filters)
+            : query(
+                auditLogRef,
+                orderBy("timestamp", "desc"),
+                limit(DEFAULT_AUDIT_LOG_LIMIT),
+              ),
+        );
+        return snapshot.docs
+          .map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }))
+          .sort(
+            (a, b) =>
+              (b.timestamp?.toMillis() ?? 0) - (a.timestamp?.toMillis() ?? 0),
+          )
+          .slice(0, DEFAULT_AUDIT_LOG_LIMIT);
+      } catch (error) {
+        console.error("Error fetching audit log:", error);
+        return null;
+      }
+    },
+    [dataPath],
+  );
+
+  // ==========================================================================
+  // Week Snapshots
+  // ==========================================================================
+
+  /**
+   * @function getWeekSnapshotsRef
+   * Returns the collection of the named snapshots of a week, stored under the weekly schedule document.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @returns {import("firebase/firestore").CollectionReference | null} The collection reference or null if no organisation is active.
+   */
+  const getWeekSnapshotsRef = useCallback(
+    (weekStartDateStr) => {
+      if (!dataPath) return null;
+      return collection(
+        firestore,
+        `${dataPath}/weeklySchedules/${weekStartDateStr}/snapshots`,
+      );
+    },
+    [dataPath],
+  );
+
+  /**
+   * @function fetchWeekSnapshots
+   * Loads the named snapshots of a week.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @returns {Promise<Array<object> | null>} The snapshots (`id`, `name`, `createdAt`, `createdBy`, `schedule`), newest first, or null if they could not be loaded.
+   */
+  const fetchWeekSnapshots = useCallback(
+    async (weekStartDateStr) => {
+      const snapshotsRef = getWeekSnapshotsRef(weekStartDateStr);
+      if (!snapshotsRef) return null;
+      try {
+        const snapshot = await getDocs(snapshotsRef);
+        return snapshot.docs
+          .map((snapshotDoc) => ({ id: snapshotDoc.id, ...snapshotDoc.data() }))
+          .sort(
+            (a, b) =>
+              (b.createdAt?.toMillis() ?? Infinity) -
+              (a.createdAt?.toMillis() ?? Infinity),
+          );
+      } catch (error) {
+        console.error(
+          `Error fetching snapshots of week ${weekStartDateStr}:`,
+          error,
+        );
+        return null;
+      }
+    },
+    [getWeekSnapshotsRef],
+  );
+
+  /**
+   * @function createWeekSnapshot
+   * Saves the stored state of a week as a named snapshot (an empty week if it was not saved yet).
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @param {string} name - The name of the snapshot (e.g. "Pénteken kiküldve").
+   * @returns {Promise<boolean>} True if the snapshot was saved, false otherwise.
+   */
+  const createWeekSnapshot = useCallback(
+    async (weekStartDateStr, name) => {
+      const snapshotsRef = getWeekSnapshotsRef(weekStartDateStr);
+      if (!snapshotsRef || !name?.trim()) return false;
+      setSaveError(null);
+      try {
+        const weekSnapshot = await getDoc(
+          getWeeklyScheduleRef(weekStartDateStr),
+        );
+        await addDoc(snapshotsRef, {
+          name: name.trim(),
+          createdAt: serverTimestamp(),
+          createdBy: { uid: currentUser.uid, email: currentUser.email || "" },
+          schedule: weekSnapshot.exists()
+            ? weekSnapshot.data()
+            : { weekStartDate: weekStartDateStr, staff: [] },
+        });
+        return true;
+      } catch (error) {
+        console.error(
+          `Error saving snapshot of week ${weekStartDateStr}:`,
+          error,
+        );
+        setSaveError(`Pillanatkép mentése sikertelen: ${error.message}`);
+        return false;
+      }
+    },
+    [currentUser, getWeekSnapshotsRef, getWeeklyScheduleRef],
+  );
+
+  /**
+   * @function deleteWeekSnapshot
+   * Deletes a named snapshot of a week.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @param {string} snapshotId - The ID of the snapshot.
+   * @returns {Promise<boolean>} True if the snapshot was deleted, false otherwise.
+   */
+  const deleteWeekSnapshot = useCallback(
+    async (weekStartDateStr, snapshotId) => {
+      const snapshotsRef = getWeekSnapshotsRef(weekStartDateStr);
+      if (!snapshotsRef || !snapshotId) return false;
+      setSaveError(null);
+      try {
+        await deleteDoc(doc(snapshotsRef, snapshotId));
+        return true;
+      } catch (error) {
+        console.error(`Error deleting snapshot ${snapshotId}:`, error);
+        setSaveError(`Pillanatkép törlése sikertelen: ${error.message}`);
+        return false;
+      }
+    },
+    [getWeekSnapshotsRef],
+  );
+
+  /**
+   * @function rollbackWeekToSnapshot
+   * Overwrites a week with the schedule stored in one of its snapshots. The rollback is written
+   * like any other save (with audit entries) and can be undone.
+   * @param {string} weekStartDateStr - The start date of the week ('YYYY-MM-DD').
+   * @param {object} snapshot - The snapshot (`name` and `schedule`).
+   * @returns {Promise<boolean>} True if the week was rolled back, false otherwise.
+   */
+  const rollbackWeekToSnapshot = useCallback(
+    async (weekStartDateStr, snapshot) => {
+      const docRef = getWeeklyScheduleRef(weekStartDateStr);
+      if (!docRef || !snapshot?.schedule) return false;
+      let previousSchedule;
+      try {
+        const previousSnapshot = await getDoc(docRef);
+        previousSchedule = previousSnapshot.exists()
+          ? previousSnapshot.data()
+          : null;
+      } catch (error) {
+        console.error(`Error loading week ${weekStartDateStr}:`, error);
+        setSaveError(`Visszaállítás sikertelen: ${error.message}`);
+        return false;
+      }
+      // A rollback overwrites the week as it was loaded here
+      const restoredSchedule = {
+        weekStartDate: weekStartDateStr,
+        staff: snapshot.schedule.staff || [],
+        revision: getRevision(previousSchedule),
+      };
+      const success = await saveWeeklySchedule(
+        weekStartDateStr,
+        restoredSchedule,
+      );
+      if (success) {
+        recordWeekEdit(
+          `Visszaállítás pillanatképre: ${snapshot.name}`,
+          weekStartDateStr,
+          previousSchedule,
+          restoredSchedule,
+        );
+      }
+      return success;
+    },
+    [getWeeklyScheduleRef, saveWeeklySchedule, recordWeekEdit],
+  );
+
+  // ==========================================================================
+  // Undo & Redo
+  // ==========================================================================
+
+  /**
+   * @effect Clears the undo history when the user or the active organisation changes.
+   */
+  useEffect(() => {
+    setEditHistory(EMPTY_HISTORY);
+  }, [currentUser, organizationId]);
+
+  /**
+   * @function applyHistoryStep
+   * Applies one side of a recorded edit with the audit entries of the reverted changes. Only what the edit
+   * changed is written over the latest saved data: the changed rows of a week (field-level updates) and
+   * the changed settings fields (the staff list per staff member), so that the edits of others are kept.
+   * The step is refused, and removed from the history, if someone else changed the same rows or settings
+   * since. The real-time listeners then update the local state.
+   * Weeks are queued like other edits while offline, applied over their queued or cached version.
+   * @param {function(import('../utils/editHistory').EditHistory): ({history: import('../utils/editHistory').EditHistory, entry: import('../utils/editHistory').HistoryEntry} | null)} takeStep - Takes the edit off one stack (`takeUndo` or `takeRedo`).
+   * @param {'before' | 'after'} side - The document states to apply.
+   * @param {string} errorPrefix - The Hungarian prefix of the error message.
+   * @returns {Promise<boolean>} True if the documents were written, false otherwise.
+   */
+  const applyHistoryStep = useCallback(
+    async (takeStep, side, errorPrefix) => {
+      const step = takeStep(editHistory);
+      if (!step || isApplyingHistory || !dataPath) return false;
+      setIsApplyingHistory(true);
+      setSaveError(null);
+      // Move the entry first, so that edits recorded during the write are kept
+      setEditHistory(step.history);
+      const otherSide = side === "before" ? "after" : "before";
+      const isQueued = (change) =>
+        change.target === "week" &&
+        (isBrowserOffline() ||
+          !!syncStateRef.current.queue[change.weekStartDate]);
+      try {
+        for (const change of step.entry.changes.filter(isQueued)) {
+          const local = await getLocalWeeklySchedule(change.weekStartDate);
+          const { schedule, staleStaffIds } = rebaseWeekChange(
+            local,
+            change[otherSide],
+            change[side],
+          );
+          if (staleStaffIds.length > 0) throw createStaleRevisionError(local);
+          if (schedule === undefined) continue;
+          await queueWeekEdit(
+            change.weekStartDate,
+            schedule || { weekStartDate: change.weekStartDate, staff: [] },
+          );
+        }
+        // Only the changed rows are written over the latest saved version, with the next revision
+        for (const change of step.entry.changes.filter(
+          (change) => change.target === "week" && !isQueued(change),
+        )) {
+          await commitWeekTransaction(change.weekStartDate, (saved) => {
+            const { schedule, staleStaffIds } = rebaseWeekChange(
+              saved,
+              change[otherSide],
+              change[side],
+            );
+            if (staleStaffIds.length > 0) throw createStaleRevisionError(saved);
+            return schedule;
+          });
+        }
+        for (const change of step.entry.changes.filter(
+          (change) => change.target === "settings",
+        )) {
+          const docRef = getGlobalSettingsRef();
+          const { previous, written } = await runTransaction(
+            firestore,
+            async (transaction) => {
+              const snapshot = await transaction.get(docRef);
+              const saved = snapshot.exists()
+                ? migrateSettings(snapshot.data()).data
+                : null;
+              const { fields, staleFields } = rebaseSettingsChange(
+                saved,
+                change[otherSide],
+                change[side],
+              );
+              if (staleFields.length > 0) throw createStaleRevisionError(saved);
+              if (Object.keys(fields).length === 0) {
+                return { previous: saved, written: saved };
+              }
+              const next = Object.fromEntries(
+                Object.entries({ ...saved, ...fields }).filter(
+                  ([, value]) => value !== undefined,
+                ),
+              );
+              // Settings of an older schema version are written whole, in the current schema
+              if (
+                saved &&
+                getSchemaVersion(snapshot.data()) >= SETTINGS_SCHEMA_VERSION
+              ) {
+                transaction.update(
+                  docRef,
+                  Object.fromEntries(
+                    Object.entries(fields).map(([key, value]) => [
+                      key,
+                      value === undefined ? deleteField() : value,
+                    ]),
+                  ),
+                );
+              } else {
+                transaction.set(docRef, next);
+              }
+              return { previous: saved, written: next };
+            },
+          );
+          await commitAuditEntries(diffGlobalSettings(previous, written));
+        }
+        return true;
+      } catch (error) {
+        if (isStaleRevisionError(error)) {
+          console.warn(
+            `History step "${step.entry.label}" refused: changed by someone else in the meantime.`,
+          );
+          setSaveError(
+            `${errorPrefix}: „${step.entry.label}” érintett adatait közben más is módosította, ezért a lépés nem hajtható végre, és kikerült az előzményekből.`,
+          );
+          setEditHistory(discardEntry(step.history, step.entry));
+          return false;
+        }
+        console.error("Error applying history step:", error);
+        setSaveError(`${errorPrefix}: ${error.message}`);
+        setEditHistory(editHistory);
+        return false;
+      } finally {
+        setIsApplyingHistory(false);
+      }
+    },
+    [
+      editHistory,
+      isApplyingHistory,
+      dataPath,
+      getGlobalSettingsRef,
+      commitAuditEntries,
+      getLocalWeeklySchedule,
+      commitWeekTransaction,
+      queueWeekEdit,
+    ],
+  );
+
+  /**
+   * @function undoEdit
+   * Undoes the last edit by writing back the documents as they were before it.
+   * @returns {Promise<boolean>} True if the edit was undone, false otherwise.
+   */
+  const undoEdit = useCallback(
+    () => applyHistoryStep(takeUndo, "before", "Visszavonás sikertelen"),
+    [applyHistoryStep],
+  );
+
+  /**
+   * @function redoEdit
+   * Redoes the last undone edit by writing its documents again.
+   * @returns {Promise<boolean>} True if the edit was redone, false otherwise.
+   */
+  const redoEdit = useCallback(
+    () => applyHistoryStep(takeRedo, "after", "Újra végrehajtás sikertelen"),
+    [applyHistoryStep],
+  );
+
+  // ==========================================================================
+  // Offline Synchronization
+  // ==========================================================================
+
+  /**
+   * @function syncQueuedWeeks
+   * Synchronizes the weeks edited offline: each week is merged cell by cell with its saved version,
+   * the merged week is written with the audit entries of the changes, and the values changed
+   * differently by someone else are kept as conflicts for the user to resolve.
+   * A week edited again during its synchronization stays queued and is synchronized again.
+   * A week the server rejects (e.g. after a role change) leaves the queue with its offline changes kept
+   * as conflicts, and the other weeks are still synchronized; only a lost connection stops the sync.
+   * @returns {Promise<void>} Resolves when every queued week was processed or the connection was lost.
+   */
+  const syncQueuedWeeks = useCallback(async () => {
+    if (isSyncingRef.current || isBrowserOffline() || !dataPath) return;
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+    const processed = new Set();
+    const rejectedWeeks = [];
+    let lastError = null;
+    try {
+      let queuedWeek;
+      while (
+        (queuedWeek = Object.values(syncStateRef.current.queue).find(
+          (week) => !processed.has(week),
+        ))
+      ) {
+        processed.add(queuedWeek);
+        const { weekStartDate, base, mine } = queuedWeek;
+        // Merged again if the saved week changes before the transaction commits
+        let conflicts = [];
+        let written = null;
+        let isRejected = false;
+        try {
+          ({ written } = await commitWeekTransaction(
+            weekStartDate,
+            (savedSchedule) => {
+              const merge = mergeWeekEdits(base, mine, savedSchedule);
+              conflicts = merge.conflicts;
+              return merge.changed ? merge.schedule : undefined;
+            },
+          ));
+        } catch (error) {
+          // The connection dropped again: the rest stays queued for the next reconnect
+          if (isOfflineError(error)) throw error;
+          console.error(`Error synchronizing week ${weekStartDate}:`, error);
+          // Including the edits queued during the failed attempt
+          const latest =
+            syncStateRef.current.queue[weekStartDate] || queuedWeek;
+          conflicts = createRejectedWeekConflicts(latest);
+          written = latest.base || defaultWeeklySchedule(currentWeek);
+          isRejected = true;
+          rejectedWeeks.push(weekStartDate);
+          lastError = error;
+        }
+        const isUnchanged =
+          syncStateRef.current.queue[weekStartDate] === queuedWeek;
+        const conflictIds = new Set(conflicts.map((c) => c.id));
+        updateSyncState((prev) => ({
+          queue:
+            isUnchanged || isRejected
+              ? dequeueWeek(prev.queue, weekStartDate)
+              : prev.queue,
+          conflicts: [
+            ...prev.conflicts.filter((c) => !conflictIds.has(c.id)),
+            ...conflicts,
+          ],
+        }));
+        if (
+          (isUnchanged || isRejected) &&
+          weekStartDate === currentWeekStartDate
+        ) {
+          setCurrentWeeklySchedule(written);
+        }
+      }
+    } catch (error) {
+      if (!isOfflineError(error)) {
+        console.error("Error synchronizing the offline edits:", error);
+        lastError = error;
+      }
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+    }
+    if (rejectedWeeks.length > 0) {
+      setSaveError(
+        `A(z) ${rejectedWeeks.join(", ")} heti offline módosításai nem menthetők (${lastError.message}). A módosítások ütközésként a szinkronizálás ablakában láthatók; a saját érték újra elküldhető vagy elvethető.`,
+      );
+    } else if (lastError) {
+      setSaveError(`Szinkronizálás sikertelen: ${lastError.message}`);
+    }
+  }, [
+    dataPath,
+    commitWeekTransaction,
+    updateSyncState,
+    currentWeekStartDate,
+    currentWeek,
+  ]);
+
+  /**
+   * @effect Synchronizes the queued weeks when the connection is back and after edits of queued weeks.
+   */
+  useEffect(() => {
+    if (isOnline && Object.keys(syncState.queue).length > 0) {
+      syncQueuedWeeks();
+    }
+  }, [isOnline, syncState.queue, syncQueuedWeeks]);
+
+  /**
+   * @function resolveSyncConflict
+   * Resolves a conflict: 'theirs' keeps the saved value, 'mine' writes the offline value over it
+   * (as an undoable edit of the week).
+   * @param {import('../utils/syncQueue').CellConflict} conflict - The conflict.
+   * @param {'mine' | 'theirs'} choice - The value to keep.
+   * @returns {Promise<boolean>} True if the conflict was resolved, false otherwise.
+   */
+  const resolveSyncConflict = useCallback(
+    async (conflict, choice) => {
+      if (choice === "mine") {
+        const docRef = getWeeklyScheduleRef(conflict.weekStartDate);
+        if (!docRef) return false;
+        let currentSchedule;
+        try {
+          const savedSnapshot = await getDoc(docRef);
+          currentSchedule =
+            syncStateRef.current.queue[conflict.weekStartDate]?.mine ??
+            (savedSnapshot.exists()
+              ? savedSnapshot.data()
+              : { weekStartDate: conflict.weekStartDate, staff: [] });
+        } catch (error) {
+          console.error(`Error loading week ${conflict.weekStartDate}:`, error);
+          setSaveError(`Ütközés feloldása sikertelen: ${error.message}`);
+          return false;
+        }
+        const resolvedSchedule = applyConflictChoice(currentSchedule, conflict);
+        const success = await saveWeeklySchedule(
+          conflict.weekStartDate,
+          resolvedSchedule,
+        );
+        if (!success) return false;
+        recordWeekEdit(
+          `${conflict.staffName}: saját érték megtartása`,
+          conflict.weekStartDate,
+          currentSchedule,
+          resolvedSchedule,
+        );
+      }
+      updateSyncState((prev) => ({
+        ...prev,
+        conflicts: prev.conflicts.filter((c) => c.id !== conflict.id),
+      }));
+      return true;
+    },
+    [getWeeklyScheduleRef, saveWeeklySchedule, recordWeekEdit, updateSyncState],
+  );
+
+  /**
+   * @constant {SyncStatus} syncStatus
+   * The synchronization state shown in the header.
+   */
+  const syncStatus = useMemo(
+    () => ({
+      isOnline,
+      isSyncing,
+      hasPendingWrites: pendingWrites.settings || pendingWrites.week,
+      queuedWeeks: Object.keys(syncState.queue).sort(),
+      conflicts: syncState.conflicts,
+    }),
+    [isOnline, isSyncing, pendingWrites, syncState],
+  );
+
   return {
     // State
     globalSettings,
@@ -1296,6 +2702,7 @@ const useStaffData = (currentWeek) => {
     handleAddJobTitle,
     handleRemoveJobTitle,
     handleUpdateShiftTypes,
+    handleUpdateCoverageRules,
     addStaffToList,
     updateStaffInList,
     deleteStaffFromList,
@@ -1303,10 +2710,34 @@ const useStaffData = (currentWeek) => {
     // Weekly Schedule Modifiers
     updateStaffInWeeklySchedule,
     removeStaffFromWeeklySchedule,
+    applyWeeklyStaffChanges,
     // Utilities
     getShiftColor,
+    getShiftKind,
     getStaffByUnit,
     copyScheduleFromWeek,
+    fetchSchedulesInRange,
+    fetchMonthSchedules,
+    fetchLeaveUsage,
+    // Backup & Restore
+    fetchAllData,
+    restoreBackup,
+    migrateStoredData,
+    // Audit Log
+    fetchAuditLog,
+    // Week Snapshots
+    fetchWeekSnapshots,
+    createWeekSnapshot,
+    deleteWeekSnapshot,
+    rollbackWeekToSnapshot,
+    // Undo & Redo
+    editHistory,
+    isApplyingHistory,
+    undoEdit,
+    redoEdit,
+    // Offline Synchronization
+    syncStatus,
+    resolveSyncConflict,
   };
 };
 
@@ -1,6 +1,88 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, act, waitFor } from "@testing-library/react";
+import { FieldPath, runTransaction } from "firebase/firestore";
 
 import { getCurrentMonday, getWeekDates, formatDate } from "../utils/helpers";
+import { SETTINGS_SCHEMA_VERSION } from "../utils/schemaMigrations";
+import useStaffData from "./useStaffData";
+
+/**
+ * The stored documents read by the mocked Firestore (keyed by path) and the transactions
+ * of the saves (their `set`, `update` and `delete` calls are checked).
+ */
+const mockStore = vi.hoisted(() => ({ docs: {}, transactions: [] }));
+
+vi.mock("firebase/firestore", () => {
+  const makeRef = (path, converter = null) => ({
+    path,
+    converter,
+    withConverter: (next) => makeRef(path, next),
+  });
+  const makeSnapshot = (ref) => {
+    const stored = mockStore.docs[ref.path];
+    return {
+      id: ref.path?.split("/").pop(),
+      exists: () => stored !== undefined,
+      data: () =>
+        stored !== undefined && ref.converter
+          ? ref.converter.fromFirestore({ data: () => stored })
+          : stored,
+      get: (field) => stored?.[field],
+      metadata: { hasPendingWrites: false, fromCache: false },
+    };
+  };
+  return {
+    doc: vi.fn((db, path) => makeRef(path)),
+    collection: vi.fn((db, path) => makeRef(path)),
+    onSnapshot: vi.fn((ref, options, onNext) => {
+      onNext(makeSnapshot(ref));
+      return () => {};
+    }),
+    runTransaction: vi.fn(async (db, updateFunction) => {
+      const transaction = {
+        get: vi.fn(async (ref) => makeSnapshot(ref)),
+        set: vi.fn(),
+        update: vi.fn(),
+        delete: vi.fn(),
+      };
+      mockStore.transactions.push(transaction);
+      return updateFunction(transaction);
+    }),
+    writeBatch: vi.fn(() => ({
+      set: vi.fn(),
+      update: vi.fn(),
+      delete: vi.fn(),
+      commit: vi.fn().mockResolvedValue(undefined),
+    })),
+    deleteField: vi.fn(() => "deleteField"),
+    FieldPath: class {
+      constructor(...segments) {
+        this.segments = segments;
+      }
+    },
+    serverTimestamp: vi.fn(() => "timestamp"),
+    addDoc: vi.fn(),
+    deleteDoc: vi.fn(),
+    getDoc: vi.fn(),
+    getDocFromCache: vi.fn(),
+    getDocs: vi.fn(),
+    query: vi.fn(),
+    where: vi.fn(),
+    documentId: vi.fn(),
+    orderBy: vi.fn(),
+    limit: vi.fn(),
+  };
+});
+
+vi.mock("../firebaseConfig", () => ({ firestore: {} }));
+
+vi.mock("../contexts/AuthContext", () => ({
+  useAuth: () => ({ currentUser: { uid: "u1", email: "u1@test.com" } }),
+}));
+
+vi.mock("../contexts/OrganizationContext", () => ({
+  useOrganization: () => ({ organizationId: "org1" }),
+}));
 
 const initialCurrentWeek = getCurrentMonday(new Date(2024, 5, 10)); // June 10, 2024
 
@@ -823,3 +905,139 @@ describe("useStaffData - Discrete Logic Tests", () => {
     });
   });
 });
+
+// --- Hook Tests (mocked Firestore) ---
+
+describe("useStaffData - weekly saves", () => {
+  const WEEK_PATH = "organizations/org1/weeklySchedules/2024-06-03";
+  const currentWeek = new Date("2024-06-03T00:00:00.000Z");
+
+  /** A weekly row as the app saves it. */
+  const row = (staffId, shifts) => ({
+    staffId,
+    name: "",
+    unit: "I.",
+    group: "",
+    jobTitle: "",
+    shifts,
+  });
+
+  const savedRows = {
+    s1: row("s1", { "2024-06-03": "DE" }),
+    s2: row("s2", { "2024-06-04": "DU" }),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    mockStore.transactions = [];
+    mockStore.docs = {
+      "organizations/org1/settings/global": {
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        units: ["I."],
+        staffList: [
+          { id: "s1", name: "Anna", isActive: true, sortOrder: 0 },
+          { id: "s2", name: "Béla", isActive: true, sortOrder: 1 },
+        ],
+      },
+      [WEEK_PATH]: {
+        weekStartDate: "2024-06-03",
+        schemaVersion: 1,
+        revision: 1,
+        rows: savedRows,
+      },
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Renders the hook and waits for the week to load.
+   *
+   * @returns {Promise<{current: object}>} The result of the hook.
+   */
+  const loadHook = async () => {
+    const { result } = renderHook(() => useStaffData(currentWeek));
+    await waitFor(() =>
+      expect(result.current.currentWeeklySchedule).not.toBeNull(),
+    );
+    return result;
+  };
+
+  /**
+   * Saves the loaded week with other rows.
+   *
+   * @param {{current: object}} result - The result of the hook.
+   * @param {Array<object>} staff - The rows to save.
+   * @returns {Promise<{saved: boolean, transaction: object}>} The result of the save and its transaction.
+   */
+  const saveStaff = async (result, staff) => {
+    let saved;
+    await act(async () => {
+      saved = await result.current.saveWeeklySchedule("2024-06-03", {
+        ...result.current.currentWeeklySchedule,
+        staff,
+      });
+    });
+    expect(runTransaction).toHaveBeenCalledTimes(1);
+    return { saved, transaction: mockStore.transactions[0] };
+  };
+
+  it("should write only the changed rows of a current week", async () => {
+    const result = await loadHook();
+    const changed = row("s1", { "2024-06-05": "DU" });
+
+    const { saved, transaction } = await saveStaff(result, [
+      changed,
+      savedRows.s2,
+    ]);
+
+    expect(saved).toBe(true);
+    expect(transaction.set).not.toHaveBeenCalled();
+    expect(transaction.update).toHaveBeenCalledWith(
+      expect.objectContaining({ path: WEEK_PATH }),
+      "revision",
+      2,
+      new FieldPath("rows", "s1"),
+      changed,
+    );
+    expect(result.current.currentWeeklySchedule.revision).toBe(2);
+  });
+
+  it("should rewrite a week saved with the legacy staff array whole", async () => {
+    mockStore.docs[WEEK_PATH] = {
+      weekStartDate: "2024-06-03",
+      staff: Object.values(savedRows),
+    };
+    const result = await loadHook();
+    const changed = row("s2", {});
+
+    const { transaction } = await saveStaff(result, [savedRows.s1, changed]);
+
+    expect(transaction.update).not.toHaveBeenCalled();
+    expect(transaction.set).toHaveBeenCalledWith(
+      expect.objectContaining({ path: WEEK_PATH }),
+      {
+        weekStartDate: "2024-06-03",
+        staff: [savedRows.s1, changed],
+        revision: 1,
+      },
+    );
+  });
+
+  it("should delete the field of a removed row", async () => {
+    const result = await loadHook();
+
+    const { transaction } = await saveStaff(result, [savedRows.s1]);
+
+    expect(transaction.update).toHaveBeenCalledWith(
+      expect.objectContaining({ path: WEEK_PATH }),
+      "revision",
+      2,
+      new FieldPath("rows", "s2"),
+      "deleteField",
+    );
+  });
+});
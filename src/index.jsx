@@ -2,13 +2,18 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import PwaUpdatePrompt from "./components/PwaUpdatePrompt";
 import { AuthProvider } from "./contexts/AuthContext";
+import { OrganizationProvider } from "./contexts/OrganizationContext";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(
   <React.StrictMode>
     <AuthProvider>
-      <App />
+      <OrganizationProvider>
+        <App />
+      </OrganizationProvider>
     </AuthProvider>
+    <PwaUpdatePrompt />
   </React.StrictMode>,
 );
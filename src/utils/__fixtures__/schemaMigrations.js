@@ -0,0 +1,133 @@
+/**
+ * Stored documents of each schema version, as saved by the releases of their time.
+ * Used by the tests of `utils/schemaMigrations`; add the documents of a new version with its migration.
+ */
+
+/**
+ * @constant {object} settingsV0
+ * Global settings saved before schema versions: staff members without `isActive` or `sortOrder`.
+ */
+export const settingsV0 = {
+  units: ["I.", "II."],
+  groups: [],
+  jobTitles: ["Kisgyermeknevelő"],
+  shiftTypes: [{ code: "DE", label: "Délelőtt" }],
+  staffList: [
+    { id: "s1", name: "Kiss Anna", defaultUnit: "I.", sortOrder: 1 },
+    { id: "s2", name: "Nagy Béla", defaultUnit: "II." },
+    { id: "s3", name: "Tóth Cecília", defaultUnit: "I.", isActive: false },
+    { id: "s4", name: "Szabó Dóra", defaultUnit: "II.", sortOrder: 0 },
+  ],
+};
+
+/**
+ * @constant {object} settingsV1
+ * `settingsV0` upgraded to version 1.
+ */
+export const settingsV1 = {
+  ...settingsV0,
+  schemaVersion: 1,
+  staffList: [
+    {
+      id: "s1",
+      name: "Kiss Anna",
+      defaultUnit: "I.",
+      sortOrder: 1,
+      isActive: true,
+    },
+    {
+      id: "s2",
+      name: "Nagy Béla",
+      defaultUnit: "II.",
+      sortOrder: 2,
+      isActive: true,
+    },
+    {
+      id: "s3",
+      name: "Tóth Cecília",
+      defaultUnit: "I.",
+      sortOrder: 3,
+      isActive: false,
+    },
+    {
+      id: "s4",
+      name: "Szabó Dóra",
+      defaultUnit: "II.",
+      sortOrder: 0,
+      isActive: true,
+    },
+  ],
+};
+
+/**
+ * @constant {object} settingsV2
+ * `settingsV1` upgraded to version 2.
+ */
+export const settingsV2 = {
+  ...settingsV1,
+  schemaVersion: 2,
+  staffIds: ["s1", "s2", "s3", "s4"],
+  shiftTypeCodes: ["DE"],
+};
+
+/**
+ * @constant {object} settingsV3
+ * `settingsV2` upgraded to version 3.
+ */
+export const settingsV3 = {
+  ...settingsV2,
+  schemaVersion: 3,
+  staffUnits: { s1: "I.", s2: "II.", s3: "I.", s4: "II." },
+};
+
+/**
+ * @constant {object} weekV0Array
+ * A week saved before schema versions and revisions, with its rows in the `staff` array.
+ */
+export const weekV0Array = {
+  weekStartDate: "2024-06-03",
+  staff: [
+    {
+      staffId: "s2",
+      name: "Nagy Béla",
+      unit: "II.",
+      group: "",
+      jobTitle: "",
+      shifts: { "2024-06-03": "DE" },
+    },
+    {
+      staffId: "s1",
+      name: "Kiss Anna",
+      unit: "I.",
+      group: "",
+      jobTitle: "",
+      shifts: {},
+    },
+  ],
+};
+
+/**
+ * @constant {object} weekV0Rows
+ * A week saved with keyed rows and a revision, but before schema versions.
+ */
+export const weekV0Rows = {
+  weekStartDate: "2024-06-03",
+  revision: 3,
+  rows: {
+    s1: weekV0Array.staff[1],
+    s2: weekV0Array.staff[0],
+  },
+};
+
+/**
+ * @constant {object} weekV1
+ * `weekV0Array` upgraded to version 1.
+ */
+export const weekV1 = {
+  weekStartDate: "2024-06-03",
+  schemaVersion: 1,
+  rows: {
+    s1: weekV0Array.staff[1],
+    s2: weekV0Array.staff[0],
+  },
+};
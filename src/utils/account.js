@@ -0,0 +1,59 @@
+/**
+ * @typedef {object} AccountDeletionPlan - What happens to the organisations of a user whose account is deleted.
+ * @property {string[]} blockingOrganizationNames - The organisations the user owns together with other members; the account cannot be deleted while there are any.
+ * @property {string[]} ownedOrganizationIds - The organisations the user owns alone, deleted with the account.
+ * @property {string[]} memberOrganizationIds - The organisations of other owners the user leaves.
+ */
+
+/**
+ * @constant {object.<string, string>} AUTH_ERROR_MESSAGES
+ * The Hungarian messages of the Firebase Authentication error codes the account functions can raise.
+ */
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-credential": "Hibás jelszó.",
+  "auth/wrong-password": "Hibás jelszó.",
+  "auth/invalid-email": "Érvénytelen e-mail cím.",
+  "auth/missing-email": "Adja meg az e-mail címét!",
+  "auth/email-already-in-use": "Ez az e-mail cím már foglalt.",
+  "auth/weak-password":
+    "A jelszónak legalább 6 karakter hosszúnak kell lennie.",
+  "auth/too-many-requests":
+    "Túl sok sikertelen próbálkozás. Próbálja újra később.",
+  "auth/requires-recent-login":
+    "A művelethez jelentkezzen be újra, majd próbálja meg ismét.",
+  "auth/network-request-failed": "Nincs hálózati kapcsolat.",
+};
+
+/**
+ * Returns the Hungarian message of a failed Firebase Authentication call.
+ *
+ * @param {{code?: string, message?: string} | null | undefined} error - The error.
+ * @returns {string} The message (the original message for unknown codes).
+ */
+export const getAuthErrorMessage = (error) =>
+  AUTH_ERROR_MESSAGES[error?.code] ||
+  error?.message ||
+  "Ismeretlen hiba történt.";
+
+/**
+ * Plans what happens to the organisations of a user who deletes their account. Organisations shared
+ * with other members would be left without an owner, so they block the deletion.
+ *
+ * @param {Array<import('./organization').Organization>} organizations - The organisations the user is a member of.
+ * @param {string} uid - The user ID.
+ * @returns {AccountDeletionPlan} The plan.
+ */
+export const planAccountDeletion = (organizations, uid) => {
+  const owned = organizations.filter((org) => org.ownerId === uid);
+  return {
+    blockingOrganizationNames: owned
+      .filter((org) => (org.memberIds || []).some((id) => id !== uid))
+      .map((org) => org.name),
+    ownedOrganizationIds: owned
+      .filter((org) => (org.memberIds || []).every((id) => id === uid))
+      .map((org) => org.id),
+    memberOrganizationIds: organizations
+      .filter((org) => org.ownerId !== uid)
+      .map((org) => org.id),
+  };
+};
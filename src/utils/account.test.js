@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import { getAuthErrorMessage, planAccountDeletion } from "./account";
+
+const organizations = [
+  { id: "own", name: "Saját bölcsőde", ownerId: "u1", memberIds: ["u1"] },
+  {
+    id: "shared",
+    name: "Napsugár Bölcsőde",
+    ownerId: "u1",
+    memberIds: ["u1", "u2"],
+  },
+  {
+    id: "other",
+    name: "Szivárvány Bölcsőde",
+    ownerId: "u2",
+    memberIds: ["u1", "u2"],
+  },
+];
+
+describe("utils/account", () => {
+  describe("getAuthErrorMessage", () => {
+    it("should translate the known error codes", () => {
+      expect(getAuthErrorMessage({ code: "auth/invalid-credential" })).toBe(
+        "Hibás jelszó.",
+      );
+      expect(
+        getAuthErrorMessage({ code: "auth/unknown", message: "Oops" }),
+      ).toBe("Oops");
+      expect(getAuthErrorMessage(null)).toBe("Ismeretlen hiba történt.");
+    });
+  });
+
+  describe("planAccountDeletion", () => {
+    it("should delete the own organisations, leave the others and block the shared ones", () => {
+      expect(planAccountDeletion(organizations, "u1")).toEqual({
+        blockingOrganizationNames: ["Napsugár Bölcsőde"],
+        ownedOrganizationIds: ["own"],
+        memberOrganizationIds: ["other"],
+      });
+      expect(planAccountDeletion([organizations[2]], "u1")).toEqual({
+        blockingOrganizationNames: [],
+        ownedOrganizationIds: [],
+        memberOrganizationIds: ["other"],
+      });
+    });
+  });
+});
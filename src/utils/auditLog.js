@@ -0,0 +1,227 @@
+import { SETTINGS_ID_FIELDS } from "./settingsDocument";
+
+/**
+ * @typedef {object} AuditChange - A single changed value of a weekly schedule or the global settings.
+ * @property {'week' | 'settings'} scope - The changed document.
+ * @property {string | null} weekStartDate - The week of a weekly schedule change ('YYYY-MM-DD').
+ * @property {string | null} staffId - The affected staff member (null for settings not related to staff).
+ * @property {string} staffName - The name of the affected staff member (empty if none).
+ * @property {string | null} day - The day of a shift change ('YYYY-MM-DD').
+ * @property {string} field - The changed field (e.g. 'shift', 'unit', 'defaultGroup', 'units').
+ * @property {string} oldValue - The value before the change (empty if there was none).
+ * @property {string} newValue - The value after the change (empty if it was removed).
+ */
+
+/**
+ * @typedef {AuditChange & {userId: string, userEmail: string, timestamp: *}} AuditEntry
+ * An audit log document: a change with the user who made it and the time of the change.
+ */
+
+/**
+ * @constant {number} MAX_AUDIT_VALUE_LENGTH
+ * The longest stored old/new value. Longer values (e.g. whole shift type lists) are shortened.
+ */
+const MAX_AUDIT_VALUE_LENGTH = 500;
+
+/**
+ * @constant {object.<string, string>} AUDIT_FIELD_LABELS
+ * The Hungarian labels of the audited fields shown in the audit viewer.
+ */
+export const AUDIT_FIELD_LABELS = {
+  shift: "Műszak",
+  name: "Név (heti)",
+  unit: "Egység (heti)",
+  group: "Csoport (heti)",
+  jobTitle: "Munkakör (heti)",
+  staff: "Dolgozó",
+  employeeNumber: "Azonosító",
+  defaultUnit: "Egység",
+  defaultGroup: "Csoport",
+  defaultJobTitle: "Munkakör",
+  isActive: "Aktív",
+  sortOrder: "Sorrend",
+  contractedWeeklyHours: "Heti óraszám",
+  annualLeaveDays: "Éves szabadság",
+  units: "Egységek",
+  groups: "Csoportok",
+  jobTitles: "Munkakörök",
+  shiftTypes: "Műszaktípusok",
+  timeSlots: "Műszakidők",
+  coverageRules: "Létszámszabályok",
+  calendarOverrides: "Naptári kivételek",
+  workingWeekdays: "Munkanapok",
+  restore: "Visszaállítás mentésből",
+};
+
+/**
+ * @constant {string[]} WEEKLY_STAFF_FIELDS
+ * The weekly override fields of a staff entry that are audited besides the shifts.
+ */
+const WEEKLY_STAFF_FIELDS = ["name", "unit", "group", "jobTitle"];
+
+/**
+ * Converts a field value to the text stored in the audit log.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The text (lists of simple values are joined with commas, other objects are stored as JSON).
+ */
+export const formatAuditValue = (value) => {
+  let text;
+  if (value === undefined || value === null) {
+    text = "";
+  } else if (typeof value !== "object") {
+    text = String(value);
+  } else if (
+    Array.isArray(value) &&
+    value.every((item) => typeof item !== "object")
+  ) {
+    text = value.join(", ");
+  } else {
+    text = JSON.stringify(value);
+  }
+  return text.length > MAX_AUDIT_VALUE_LENGTH
+    ? `${text.slice(0, MAX_AUDIT_VALUE_LENGTH - 1)}…`
+    : text;
+};
+
+/**
+ * Lists the changed shifts and weekly overrides between two versions of a weekly schedule.
+ * Staff entries added to or removed from the week are compared with an empty entry.
+ *
+ * @param {string} weekStartDate - The week of the schedule ('YYYY-MM-DD').
+ * @param {object | null} before - The schedule before the write (null if it did not exist).
+ * @param {object | null} after - The schedule after the write (null if it was deleted).
+ * @returns {AuditChange[]} The changes, ordered by staff member, then the overrides before the days.
+ */
+export const diffWeeklySchedules = (weekStartDate, before, after) => {
+  const beforeById = new Map(
+    (before?.staff || []).map((entry) => [entry.staffId, entry]),
+  );
+  const afterById = new Map(
+    (after?.staff || []).map((entry) => [entry.staffId, entry]),
+  );
+  const staffIds = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+
+  return staffIds.flatMap((staffId) => {
+    const oldEntry = beforeById.get(staffId) || {};
+    const newEntry = afterById.get(staffId) || {};
+    const base = {
+      scope: "week",
+      weekStartDate,
+      staffId,
+      staffName: newEntry.name || oldEntry.name || "",
+    };
+
+    const fieldChanges = WEEKLY_STAFF_FIELDS.filter(
+      (field) => (oldEntry[field] || "") !== (newEntry[field] || ""),
+    ).map((field) => ({
+      ...base,
+      day: null,
+      field,
+      oldValue: oldEntry[field] || "",
+      newValue: newEntry[field] || "",
+    }));
+
+    const oldShifts = oldEntry.shifts || {};
+    const newShifts = newEntry.shifts || {};
+    const shiftChanges = [
+      ...new Set([...Object.keys(oldShifts), ...Object.keys(newShifts)]),
+    ]
+      .sort()
+      .filter((day) => (oldShifts[day] || "") !== (newShifts[day] || ""))
+      .map((day) => ({
+        ...base,
+        day,
+        field: "shift",
+        oldValue: oldShifts[day] || "",
+        newValue: newShifts[day] || "",
+      }));
+
+    return [...fieldChanges, ...shiftChanges];
+  });
+};
+
+/**
+ * Lists the changes between two versions of the global settings. The staff list is compared
+ * per staff member and field; the other settings are compared as a whole.
+ *
+ * @param {object | null} before - The settings before the write.
+ * @param {object | null} after - The settings after the write.
+ * @returns {AuditChange[]} The changes.
+ */
+export const diffGlobalSettings = (before, after) => {
+  const oldSettings = before || {};
+  const newSettings = after || {};
+  const base = { scope: "settings", weekStartDate: null, day: null };
+
+  const settingChanges = [
+    ...new Set([...Object.keys(oldSettings), ...Object.keys(newSettings)]),
+  ]
+    // The ID lists only repeat the staff list and the shift types
+    .filter((key) => key !== "staffList" && !SETTINGS_ID_FIELDS.includes(key))
+    .map((key) => ({
+      ...base,
+      staffId: null,
+      staffName: "",
+      field: key,
+      oldValue: formatAuditValue(oldSettings[key]),
+      newValue: formatAuditValue(newSettings[key]),
+    }))
+    .filter((change) => change.oldValue !== change.newValue);
+
+  const oldStaff = new Map(
+    (oldSettings.staffList || []).map((staff) => [staff.id, staff]),
+  );
+  const newStaff = new Map(
+    (newSettings.staffList || []).map((staff) => [staff.id, staff]),
+  );
+  const staffChanges = [
+    ...new Set([...oldStaff.keys(), ...newStaff.keys()]),
+  ].flatMap((staffId) => {
+    const oldEntry = oldStaff.get(staffId);
+    const newEntry = newStaff.get(staffId);
+    const staffBase = {
+      ...base,
+      staffId,
+      staffName: newEntry?.name || oldEntry?.name || "",
+    };
+    // Added and deleted staff members are recorded as one change
+    if (!oldEntry || !newEntry) {
+      return [
+        {
+          ...staffBase,
+          field: "staff",
+          oldValue: oldEntry?.name || "",
+          newValue: newEntry?.name || "",
+        },
+      ];
+    }
+    return [...new Set([...Object.keys(oldEntry), ...Object.keys(newEntry)])]
+      .filter((field) => field !== "id")
+      .map((field) => ({
+        ...staffBase,
+        field,
+        oldValue: formatAuditValue(oldEntry[field]),
+        newValue: formatAuditValue(newEntry[field]),
+      }))
+      .filter((change) => change.oldValue !== change.newValue);
+  });
+
+  return [...settingChanges, ...staffChanges];
+};
+
+/**
+ * Turns changes into audit log documents of a user.
+ *
+ * @param {AuditChange[]} changes - The changes.
+ * @param {{uid: string, email?: string | null}} user - The user who made the changes.
+ * @param {*} timestamp - The time of the changes (e.g. a Firestore server timestamp).
+ * @returns {AuditEntry[]} The audit entries.
+ */
+export const buildAuditEntries = (changes, user, timestamp) =>
+  changes.map((change) => ({
+    ...change,
+    userId: user.uid,
+    userEmail: user.email || "",
+    timestamp,
+  }));
@@ -0,0 +1,158 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatAuditValue,
+  diffWeeklySchedules,
+  diffGlobalSettings,
+  buildAuditEntries,
+} from "./auditLog";
+
+describe("utils/auditLog", () => {
+  describe("formatAuditValue", () => {
+    it("should format simple values, lists and objects", () => {
+      expect(formatAuditValue(undefined)).toBe("");
+      expect(formatAuditValue(false)).toBe("false");
+      expect(formatAuditValue(["I.", "II."])).toBe("I., II.");
+      expect(formatAuditValue({ DE: "6:00-14:00" })).toBe(
+        '{"DE":"6:00-14:00"}',
+      );
+      expect(formatAuditValue("x".repeat(600))).toHaveLength(500);
+    });
+  });
+
+  describe("diffWeeklySchedules", () => {
+    it("should list the changed overrides and shifts per staff member", () => {
+      const before = {
+        weekStartDate: "2024-06-03",
+        staff: [
+          {
+            staffId: "s1",
+            name: "Anna",
+            unit: "I.",
+            shifts: { "2024-06-03": "DE", "2024-06-04": "DU" },
+          },
+          { staffId: "s2", name: "Béla", shifts: { "2024-06-03": "K" } },
+        ],
+      };
+      const after = {
+        weekStartDate: "2024-06-03",
+        staff: [
+          {
+            staffId: "s1",
+            name: "Anna",
+            unit: "II.",
+            shifts: {
+              "2024-06-03": "DE",
+              "2024-06-04": "FSZ",
+              "2024-06-05": "",
+            },
+          },
+        ],
+      };
+      expect(diffWeeklySchedules("2024-06-03", before, after)).toEqual([
+        {
+          scope: "week",
+          weekStartDate: "2024-06-03",
+          staffId: "s1",
+          staffName: "Anna",
+          day: null,
+          field: "unit",
+          oldValue: "I.",
+          newValue: "II.",
+        },
+        {
+          scope: "week",
+          weekStartDate: "2024-06-03",
+          staffId: "s1",
+          staffName: "Anna",
+          day: "2024-06-04",
+          field: "shift",
+          oldValue: "DU",
+          newValue: "FSZ",
+        },
+        {
+          scope: "week",
+          weekStartDate: "2024-06-03",
+          staffId: "s2",
+          staffName: "Béla",
+          day: null,
+          field: "name",
+          oldValue: "Béla",
+          newValue: "",
+        },
+        {
+          scope: "week",
+          weekStartDate: "2024-06-03",
+          staffId: "s2",
+          staffName: "Béla",
+          day: "2024-06-03",
+          field: "shift",
+          oldValue: "K",
+          newValue: "",
+        },
+      ]);
+    });
+
+    it("should compare a new week with an empty schedule", () => {
+      const changes = diffWeeklySchedules("2024-06-03", null, {
+        staff: [{ staffId: "s1", shifts: { "2024-06-03": "DE" } }],
+      });
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ oldValue: "", newValue: "DE" });
+    });
+  });
+
+  describe("diffGlobalSettings", () => {
+    it("should list changed settings and staff fields, and added/deleted staff", () => {
+      const changes = diffGlobalSettings(
+        {
+          units: ["I."],
+          timeSlots: { DE: "6:00-14:00" },
+          staffList: [
+            { id: "s1", name: "Anna", defaultUnit: "I.", sortOrder: 0 },
+            { id: "s2", name: "Béla", sortOrder: 1 },
+          ],
+        },
+        {
+          units: ["I.", "II."],
+          timeSlots: { DE: "6:00-14:00" },
+          staffList: [
+            { id: "s1", name: "Anna", defaultUnit: "II.", sortOrder: 0 },
+            { id: "s3", name: "Cili", sortOrder: 1 },
+          ],
+        },
+      );
+      expect(
+        changes.map(({ staffId, field, oldValue, newValue }) => [
+          staffId,
+          field,
+          oldValue,
+          newValue,
+        ]),
+      ).toEqual([
+        [null, "units", "I.", "I., II."],
+        ["s1", "defaultUnit", "I.", "II."],
+        ["s2", "staff", "Béla", ""],
+        ["s3", "staff", "", "Cili"],
+      ]);
+      expect(changes[0]).toMatchObject({ scope: "settings", day: null });
+    });
+  });
+
+  describe("buildAuditEntries", () => {
+    it("should add the user and the timestamp", () => {
+      const [entry] = buildAuditEntries(
+        [{ field: "shift", oldValue: "", newValue: "DE" }],
+        { uid: "u1", email: "admin@example.com" },
+        "now",
+      );
+      expect(entry).toEqual({
+        field: "shift",
+        oldValue: "",
+        newValue: "DE",
+        userId: "u1",
+        userEmail: "admin@example.com",
+        timestamp: "now",
+      });
+    });
+  });
+});
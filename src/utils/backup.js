@@ -0,0 +1,236 @@
+import { migrateSettings } from "./schemaMigrations";
+import { isPlainObject, isSameContent } from "./helpers";
+import { SETTINGS_ID_FIELDS } from "./settingsDocument";
+
+/**
+ * @typedef {object} AccountBackup - A full backup of the data of an account.
+ * @property {string} format - Always `BACKUP_FORMAT`.
+ * @property {number} version - The version of the backup format.
+ * @property {string} exportedAt - The time of the backup (ISO 8601).
+ * @property {object} settings - The global settings document (of any schema version; upgraded when restored).
+ * @property {object.<string, object>} weeklySchedules - The weekly schedules keyed by their week start date ('YYYY-MM-DD'),
+ * with their rows in a `staff` array (as read through `weeklyScheduleConverter`, whatever the stored layout).
+ */
+
+/**
+ * @typedef {object} AccountData - The current data of an account.
+ * @property {object | null} settings - The global settings document in the current schema version (null if it does not exist).
+ * @property {object.<string, object>} weeklySchedules - The weekly schedule documents keyed by their week start date.
+ */
+
+/**
+ * @typedef {object} RestorePlan - The data written by a restore and a summary of the changes.
+ * @property {object} settings - The global settings document after the restore.
+ * @property {object.<string, object>} weeklySchedules - The weekly schedules to write (all weeks of the backup).
+ * @property {string[]} deletedWeeks - The saved weeks removed by the restore (only when replacing).
+ * @property {string[]} changedSettings - The labels of the settings that change.
+ * @property {{before: number, after: number}} staffCount - The number of staff members before and after the restore.
+ * @property {string[]} addedWeeks - The weeks that do not exist yet.
+ * @property {string[]} changedWeeks - The existing weeks whose content changes.
+ * @property {string[]} unchangedWeeks - The existing weeks whose content stays the same.
+ */
+
+/**
+ * @constant {string} BACKUP_FORMAT
+ * Identifies the backup files of the application.
+ */
+export const BACKUP_FORMAT = "bolcsiplan-backup";
+
+/**
+ * @constant {number} BACKUP_VERSION
+ * The current version of the backup format. Increase it when the structure changes.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * @constant {object.<string, string>} SETTINGS_LABELS
+ * The Hungarian labels of the global settings fields shown in the restore summary.
+ */
+const SETTINGS_LABELS = {
+  units: "Egységek",
+  groups: "Csoportok",
+  jobTitles: "Munkakörök",
+  shiftTypes: "Műszaktípusok",
+  timeSlots: "Műszakidők",
+  coverageRules: "Létszámszabályok",
+  calendarOverrides: "Naptári kivételek",
+  workingWeekdays: "Munkanapok",
+  staffList: "Dolgozók",
+};
+
+/**
+ * @constant {RegExp} WEEK_KEY_PATTERN
+ * The format of the weekly schedule document IDs.
+ */
+const WEEK_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Creates a backup archive from the data of an account. The weeks are ordered chronologically.
+ *
+ * @param {object} params - The parameters.
+ * @param {object | null} params.settings - The global settings document.
+ * @param {object.<string, object>} params.weeklySchedules - The weekly schedule documents keyed by week start date.
+ * @param {Date} [params.exportedAt=new Date()] - The time of the backup.
+ * @returns {AccountBackup} The backup object (serialize it with `JSON.stringify`).
+ */
+export const createBackup = ({
+  settings,
+  weeklySchedules,
+  exportedAt = new Date(),
+}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  settings: settings || {},
+  weeklySchedules: Object.fromEntries(
+    Object.keys(weeklySchedules || {})
+      .sort()
+      .map((key) => [key, weeklySchedules[key]]),
+  ),
+});
+
+/**
+ * Parses and validates the content of a backup file.
+ *
+ * @param {string} text - The content of the file.
+ * @returns {{backup: AccountBackup | null, error: string | null}} The backup, or a Hungarian error message if the file is invalid.
+ */
+export const parseBackup = (text) => {
+  const fail = (error) => ({ backup: null, error });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return fail("A fájl nem érvényes JSON fájl.");
+  }
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    return fail("A fájl nem BölcsiPlan biztonsági mentés.");
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return fail(
+      `A mentés verziója (${data.version}) nem támogatott. Frissítse az alkalmazást!`,
+    );
+  }
+  if (!isPlainObject(data.settings)) {
+    return fail("A mentésből hiányoznak a beállítások.");
+  }
+  const invalidList = Object.keys(SETTINGS_LABELS).find(
+    (key) =>
+      key !== "timeSlots" &&
+      data.settings[key] !== undefined &&
+      !Array.isArray(data.settings[key]),
+  );
+  if (invalidList) {
+    return fail(
+      `Hibás beállítás a mentésben: ${SETTINGS_LABELS[invalidList]}.`,
+    );
+  }
+  if (!isPlainObject(data.weeklySchedules)) {
+    return fail("A mentésből hiányoznak a heti beosztások.");
+  }
+  const invalidWeek = Object.entries(data.weeklySchedules).find(
+    ([key, schedule]) =>
+      !WEEK_KEY_PATTERN.test(key) ||
+      !isPlainObject(schedule) ||
+      schedule.weekStartDate !== key ||
+      !Array.isArray(schedule.staff),
+  );
+  if (invalidWeek) {
+    return fail(`Hibás heti beosztás a mentésben: ${invalidWeek[0]}.`);
+  }
+
+  return { backup: data, error: null };
+};
+
+/**
+ * Works out what a restore writes and summarizes the changes compared to the current data.
+ * Replacing overwrites the settings and removes the saved weeks missing from the backup;
+ * merging keeps the settings fields and the weeks that are not in the backup.
+ * The settings of older backups are upgraded to the current schema version first.
+ *
+ * @param {object} params - The parameters.
+ * @param {AccountBackup} params.backup - The validated backup.
+ * @param {AccountData} params.current - The current data of the account.
+ * @param {'replace' | 'merge'} params.mode - The restore mode.
+ * @returns {RestorePlan} The restore plan.
+ */
+export const planRestore = ({ backup, current, mode }) => {
+  const currentSettings = current.settings || {};
+  const currentWeeks = current.weeklySchedules || {};
+  const { data: backupSettings } = migrateSettings(backup.settings);
+  const settings =
+    mode === "merge"
+      ? { ...currentSettings, ...backupSettings }
+      : { ...backupSettings };
+
+  const changedSettings = [
+    ...new Set([...Object.keys(currentSettings), ...Object.keys(settings)]),
+  ]
+    // The ID lists change with the staff list and the shift types
+    .filter(
+      (key) =>
+        !SETTINGS_ID_FIELDS.includes(key) &&
+        !isSameContent(currentSettings[key], settings[key]),
+    )
+    .map((key) => SETTINGS_LABELS[key] || key);
+
+  const weekKeys = Object.keys(backup.weeklySchedules).sort();
+  const addedWeeks = weekKeys.filter((key) => !currentWeeks[key]);
+  // Weeks are compared by their rows in staff ID order: the revision changes with every save,
+  // even a restore, and the stored rows are keyed by staff ID
+  const byStaffId = (schedule) =>
+    [...schedule.staff].sort((a, b) =>
+      String(a.staffId).localeCompare(String(b.staffId)),
+    );
+  const isSameWeek = (key) =>
+    isSameContent(
+      byStaffId(currentWeeks[key]),
+      byStaffId(backup.weeklySchedules[key]),
+    );
+  const changedWeeks = weekKeys.filter(
+    (key) => currentWeeks[key] && !isSameWeek(key),
+  );
+  const unchangedWeeks = weekKeys.filter(
+    (key) => currentWeeks[key] && isSameWeek(key),
+  );
+  const deletedWeeks =
+    mode === "replace"
+      ? Object.keys(currentWeeks)
+          .filter((key) => !backup.weeklySchedules[key])
+          .sort()
+      : [];
+
+  return {
+    settings,
+    weeklySchedules: backup.weeklySchedules,
+    deletedWeeks,
+    changedSettings,
+    staffCount: {
+      before: (currentSettings.staffList || []).length,
+      after: (settings.staffList || []).length,
+    },
+    addedWeeks,
+    changedWeeks,
+    unchangedWeeks,
+  };
+};
+
+/**
+ * Offers a backup for download in the browser as a JSON file.
+ *
+ * @param {AccountBackup} backup - The backup (see `createBackup`).
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export const downloadBackup = (backup, fileName) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
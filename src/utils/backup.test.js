@@ -0,0 +1,162 @@
+import { describe, it, expect } from "vitest";
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  createBackup,
+  parseBackup,
+  planRestore,
+} from "./backup";
+
+const week = (key, shift) => ({
+  weekStartDate: key,
+  staff: [{ staffId: "s1", shifts: { [key]: shift } }],
+});
+
+const current = {
+  settings: {
+    schemaVersion: 3,
+    units: ["Katica"],
+    staffList: [
+      { id: "s1", isActive: true, sortOrder: 0 },
+      { id: "s2", isActive: true, sortOrder: 1 },
+    ],
+    staffIds: ["s1", "s2"],
+    staffUnits: { s1: "", s2: "" },
+    timeSlots: { DE: "6:00-14:00" },
+  },
+  weeklySchedules: {
+    "2024-06-03": week("2024-06-03", "DE"),
+    "2024-06-10": week("2024-06-10", "DU"),
+    "2024-06-17": week("2024-06-17", "DE"),
+  },
+};
+
+const backup = createBackup({
+  settings: {
+    units: ["Katica"],
+    staffList: [{ id: "s1" }],
+    timeSlots: { DE: "6:00-14:00" },
+    workingWeekdays: [1, 2, 3, 4, 5],
+  },
+  weeklySchedules: {
+    "2024-06-24": week("2024-06-24", "DE"),
+    "2024-06-10": week("2024-06-10", "DE"),
+    "2024-06-03": {
+      staff: week("2024-06-03", "DE").staff,
+      weekStartDate: "2024-06-03",
+    },
+  },
+  exportedAt: new Date("2024-06-28T10:00:00Z"),
+});
+
+describe("utils/backup", () => {
+  describe("createBackup / parseBackup", () => {
+    it("should round-trip a versioned archive with the weeks in order", () => {
+      expect(backup.format).toBe(BACKUP_FORMAT);
+      expect(backup.version).toBe(BACKUP_VERSION);
+      expect(backup.exportedAt).toBe("2024-06-28T10:00:00.000Z");
+      expect(Object.keys(backup.weeklySchedules)).toEqual([
+        "2024-06-03",
+        "2024-06-10",
+        "2024-06-24",
+      ]);
+      expect(parseBackup(JSON.stringify(backup))).toEqual({
+        backup,
+        error: null,
+      });
+    });
+
+    it("should reject invalid files", () => {
+      const withChanges = (changes) =>
+        parseBackup(JSON.stringify({ ...backup, ...changes })).error;
+      expect(parseBackup("{").error).toBe("A fájl nem érvényes JSON fájl.");
+      expect(withChanges({ format: "other" })).toContain("nem BölcsiPlan");
+      expect(withChanges({ version: BACKUP_VERSION + 1 })).toContain(
+        "nem támogatott",
+      );
+      expect(withChanges({ settings: { units: "Katica" } })).toContain(
+        "Egységek",
+      );
+      expect(
+        withChanges({
+          weeklySchedules: { "2024-06-03": week("2024-06-10", "DE") },
+        }),
+      ).toContain("2024-06-03");
+    });
+  });
+
+  describe("planRestore", () => {
+    it("should replace the settings and remove the weeks missing from the backup", () => {
+      const plan = planRestore({ backup, current, mode: "replace" });
+      // The settings of the backup are upgraded to the current schema version
+      expect(plan.settings).toEqual({
+        ...backup.settings,
+        schemaVersion: 3,
+        staffList: [{ id: "s1", isActive: true, sortOrder: 0 }],
+        staffIds: ["s1"],
+        staffUnits: { s1: "" },
+      });
+      expect(plan.changedSettings).toEqual(["Dolgozók", "Munkanapok"]);
+      expect(plan.staffCount).toEqual({ before: 2, after: 1 });
+      expect(plan.addedWeeks).toEqual(["2024-06-24"]);
+      expect(plan.changedWeeks).toEqual(["2024-06-10"]);
+      expect(plan.unchangedWeeks).toEqual(["2024-06-03"]);
+      expect(plan.deletedWeeks).toEqual(["2024-06-17"]);
+    });
+
+    it("should keep the settings fields and weeks that are not in the backup when merging", () => {
+      const plan = planRestore({
+        backup: { ...backup, settings: { workingWeekdays: [1, 2, 3] } },
+        current,
+        mode: "merge",
+      });
+      expect(plan.settings).toEqual({
+        ...current.settings,
+        workingWeekdays: [1, 2, 3],
+      });
+      expect(plan.changedSettings).toEqual(["Munkanapok"]);
+      expect(plan.staffCount).toEqual({ before: 2, after: 2 });
+      expect(plan.deletedWeeks).toEqual([]);
+    });
+
+    it("should compare the weeks without their revisions", () => {
+      const plan = planRestore({
+        backup,
+        current: {
+          ...current,
+          weeklySchedules: {
+            "2024-06-03": { ...week("2024-06-03", "DE"), revision: 7 },
+          },
+        },
+        mode: "merge",
+      });
+      expect(plan.unchangedWeeks).toEqual(["2024-06-03"]);
+    });
+
+    it("should compare the rows of the weeks in staff ID order", () => {
+      const rows = [
+        { staffId: "s1", shifts: {} },
+        { staffId: "s2", shifts: { "2024-06-24": "DE" } },
+      ];
+      const plan = planRestore({
+        backup: {
+          ...backup,
+          weeklySchedules: {
+            "2024-06-24": { weekStartDate: "2024-06-24", staff: rows },
+          },
+        },
+        current: {
+          ...current,
+          weeklySchedules: {
+            "2024-06-24": {
+              weekStartDate: "2024-06-24",
+              staff: [...rows].reverse(),
+            },
+          },
+        },
+        mode: "merge",
+      });
+      expect(plan.unchangedWeeks).toEqual(["2024-06-24"]);
+    });
+  });
+});
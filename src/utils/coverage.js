@@ -0,0 +1,196 @@
+import { toDateKey, WEEKDAY_OPTIONS } from "./helpers";
+import { isPresenceShift } from "./shiftKinds";
+
+/**
+ * @typedef {object} CoverageRule - A minimum staffing requirement for a single day.
+ * @property {string} id - Unique identifier of the rule.
+ * @property {string} [unit] - Unit the rule applies to. Empty string matches every unit.
+ * @property {string} [group] - Group the rule applies to. Empty string matches every group,
+ *                              `EACH_GROUP` ("*") means the rule applies separately to each group.
+ * @property {string} [jobTitle] - Job title the rule applies to. Empty string matches every job title.
+ * @property {string} [shiftCode] - Required shift code. Empty string means any work shift (absences do not count).
+ * @property {number} minCount - Minimum number of matching staff members required per day.
+ * @property {number[]} [weekdays] - Days of the week the rule applies to (`Date.getDay()` values, 1 = Monday).
+ *                                   Empty or missing means every day.
+ */
+
+/**
+ * @typedef {object} CoverageStaffRow - A staff member's effective data for the week (as produced by `getStaffByUnit`).
+ * @property {string} staffId - Unique identifier of the staff member.
+ * @property {string} name - Staff member's name.
+ * @property {string} unit - Effective unit for the week.
+ * @property {string} group - Effective group for the week.
+ * @property {string} jobTitle - Effective job title for the week.
+ * @property {object.<string, string>} shifts - Mapping of date keys ('YYYY-MM-DD') to shift codes.
+ */
+
+/**
+ * @typedef {object} CoverageViolation - A rule that is not satisfied on a given day.
+ * @property {CoverageRule} rule - The (expanded) rule that is not satisfied.
+ * @property {string} dateKey - The date ('YYYY-MM-DD') on which the rule is not satisfied.
+ * @property {number} required - The required number of staff members.
+ * @property {number} actual - The number of staff members currently satisfying the rule.
+ * @property {number} missing - Number of staff members still missing.
+ */
+
+/**
+ * @typedef {object} CoverageReport - The result of evaluating the coverage rules on a week.
+ * @property {CoverageViolation[]} violations - Every violation of the week.
+ * @property {object.<string, CoverageViolation[]>} byDate - The violations grouped by date key.
+ * @property {Set<string>} violatingCells - "staffId|dateKey" keys of the cells belonging to a violated rule
+ *                                          (staff in the rule's scope who do not have the required shift that day).
+ */
+
+/**
+ * @constant {string} EACH_GROUP
+ * Special `group` value of a coverage rule meaning "every group separately".
+ */
+export const EACH_GROUP = "*";
+
+/**
+ * @constant {Array<{value: number, label: string}>} RULE_WEEKDAYS
+ * The weekdays selectable for a coverage rule (Monday to Sunday) with their short Hungarian labels.
+ */
+export const RULE_WEEKDAYS = WEEKDAY_OPTIONS.map((day) => ({
+  value: day.value,
+  label: day.shortLabel,
+}));
+
+/**
+ * Generates a simple pseudo-unique identifier for new coverage rules.
+ * @returns {string} A string in the format 'rule_timestamp_randomstring'.
+ */
+export const generateRuleId = () =>
+  `rule_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+/**
+ * Checks whether a staff row falls under the scope (unit, group, job title) of a rule.
+ *
+ * @param {CoverageRule} rule - The rule to check.
+ * @param {CoverageStaffRow} staff - The staff row to check.
+ * @returns {boolean} True if every non-empty scope field of the rule equals the staff member's value.
+ */
+export const ruleMatchesStaff = (rule, staff) =>
+  (!rule.unit || rule.unit === staff.unit) &&
+  (!rule.group || rule.group === staff.group) &&
+  (!rule.jobTitle || rule.jobTitle === staff.jobTitle);
+
+/**
+ * Checks whether a rule applies on the given day of the week.
+ *
+ * @param {CoverageRule} rule - The rule to check.
+ * @param {Date} date - The day to check.
+ * @returns {boolean} True if the rule has no weekday restriction or the day is one of its weekdays.
+ */
+export const ruleAppliesOnDate = (rule, date) =>
+  !Array.isArray(rule.weekdays) ||
+  rule.weekdays.length === 0 ||
+  rule.weekdays.includes(date.getDay());
+
+/**
+ * Checks whether a shift code counts towards a rule.
+ *
+ * @param {CoverageRule} rule - The rule to check.
+ * @param {string} [shiftCode] - The assigned shift code.
+ * @param {Array<{code: string, kind?: string}>} [shiftTypes=[]] - The defined shift types (used to recognise absences).
+ * @returns {boolean} True if the code equals the rule's shift code, or is a work shift for "any shift" rules.
+ */
+export const shiftSatisfiesRule = (rule, shiftCode, shiftTypes = []) =>
+  rule.shiftCode
+    ? shiftCode === rule.shiftCode
+    : isPresenceShift(shiftCode, shiftTypes);
+
+/**
+ * Expands "each group" rules into one concrete rule per group that occurs among the staff rows
+ * (restricted to the rule's unit, if any). Other rules are returned unchanged.
+ *
+ * @param {CoverageRule[]} rules - The configured rules.
+ * @param {CoverageStaffRow[]} staffRows - The staff rows of the week.
+ * @returns {CoverageRule[]} The list of concrete rules.
+ */
+export const expandRules = (rules = [], staffRows = []) =>
+  rules.flatMap((rule) => {
+    if (rule.group !== EACH_GROUP) return [rule];
+    const groups = [
+      ...new Set(
+        staffRows
+          .filter((s) => s.group && (!rule.unit || rule.unit === s.unit))
+          .map((s) => s.group),
+      ),
+    ];
+    return groups.map((group) => ({ ...rule, group }));
+  });
+
+/**
+ * Evaluates the coverage rules on a week and collects the understaffed days.
+ *
+ * @param {object} params - The evaluation parameters.
+ * @param {CoverageStaffRow[]} params.staffRows - The staff rows of the week.
+ * @param {Date[]} params.weekDates - The days of the week.
+ * @param {CoverageRule[]} [params.rules=[]] - The configured rules.
+ * @param {Array<{code: string, kind?: string}>} [params.shiftTypes=[]] - The defined shift types.
+ * @returns {CoverageReport} The violations of the week.
+ */
+export const evaluateCoverage = ({
+  staffRows = [],
+  weekDates = [],
+  rules,
+  shiftTypes = [],
+}) => {
+  const concreteRules = expandRules(rules || [], staffRows).filter(
+    (rule) => Number(rule.minCount) > 0,
+  );
+  const violations = [];
+  const byDate = {};
+  const violatingCells = new Set();
+
+  weekDates.forEach((date) => {
+    const dateKey = toDateKey(date);
+    byDate[dateKey] = [];
+
+    concreteRules
+      .filter((rule) => ruleAppliesOnDate(rule, date))
+      .forEach((rule) => {
+        const inScope = staffRows.filter((row) => ruleMatchesStaff(rule, row));
+        const actual = inScope.filter((row) =>
+          shiftSatisfiesRule(rule, row.shifts?.[dateKey], shiftTypes),
+        ).length;
+        const required = Number(rule.minCount);
+        if (actual >= required) return;
+
+        const violation = {
+          rule,
+          dateKey,
+          required,
+          actual,
+          missing: required - actual,
+        };
+        violations.push(violation);
+        byDate[dateKey].push(violation);
+        inScope
+          .filter(
+            (row) =>
+              !shiftSatisfiesRule(rule, row.shifts?.[dateKey], shiftTypes),
+          )
+          .forEach((row) => violatingCells.add(`${row.staffId}|${dateKey}`));
+      });
+  });
+
+  return { violations, byDate, violatingCells };
+};
+
+/**
+ * Builds a short Hungarian description of a (possibly expanded) rule, e.g. for tooltips and warning lists.
+ *
+ * @param {CoverageRule} rule - The rule to describe.
+ * @returns {string} The description (e.g., "Süni (A) / k.gy.n. / DE").
+ */
+export const describeRule = (rule) => {
+  const scope = [
+    rule.unit,
+    rule.group === EACH_GROUP ? "minden csoportban" : rule.group,
+    rule.jobTitle,
+  ].filter(Boolean);
+  const scopeText = scope.length > 0 ? scope.join(" / ") : "mindenki";
+  return `${scopeText} / ${rule.shiftCode || "bármely műszak"}`;
+};
@@ -0,0 +1,182 @@
+import { describe, it, expect } from "vitest";
+import {
+  EACH_GROUP,
+  ruleMatchesStaff,
+  ruleAppliesOnDate,
+  shiftSatisfiesRule,
+  expandRules,
+  evaluateCoverage,
+  describeRule,
+} from "./coverage";
+import { getWeekDates, toDateKey } from "./helpers";
+
+const weekDates = getWeekDates(new Date("2024-06-10T10:00:00Z"));
+const dateKeys = weekDates.map(toDateKey);
+
+const staffRows = [
+  {
+    staffId: "s1",
+    name: "Nagy Mária",
+    unit: "I.",
+    group: "Süni (A)",
+    jobTitle: "k.gy.n.",
+    shifts: { [dateKeys[0]]: "DE", [dateKeys[1]]: "DE" },
+  },
+  {
+    staffId: "s2",
+    name: "Kiss Józsefné",
+    unit: "I.",
+    group: "Süni (A)",
+    jobTitle: "k.gy.n.",
+    shifts: { [dateKeys[0]]: "DU", [dateKeys[1]]: "TP" },
+  },
+  {
+    staffId: "s3",
+    name: "Varga Pál",
+    unit: "I.",
+    group: "Maci (B)",
+    jobTitle: "k.gy.n.",
+    shifts: {},
+  },
+  {
+    staffId: "s4",
+    name: "Kovács István",
+    unit: "Konyha",
+    group: "",
+    jobTitle: "szakács",
+    shifts: { [dateKeys[0]]: "K1" },
+  },
+];
+
+describe("utils/coverage", () => {
+  describe("ruleMatchesStaff", () => {
+    it("should treat empty scope fields as wildcards", () => {
+      expect(ruleMatchesStaff({ minCount: 1 }, staffRows[0])).toBe(true);
+      expect(ruleMatchesStaff({ unit: "I." }, staffRows[0])).toBe(true);
+      expect(ruleMatchesStaff({ unit: "Konyha" }, staffRows[0])).toBe(false);
+      expect(
+        ruleMatchesStaff(
+          { group: "Süni (A)", jobTitle: "dajka" },
+          staffRows[0],
+        ),
+      ).toBe(false);
+    });
+  });
+
+  describe("ruleAppliesOnDate", () => {
+    it("should apply rules without weekdays on every day", () => {
+      expect(ruleAppliesOnDate({}, weekDates[5])).toBe(true);
+      expect(ruleAppliesOnDate({ weekdays: [] }, weekDates[5])).toBe(true);
+    });
+    it("should respect the weekday restriction", () => {
+      expect(ruleAppliesOnDate({ weekdays: [1, 2] }, weekDates[0])).toBe(true);
+      expect(ruleAppliesOnDate({ weekdays: [1, 2] }, weekDates[2])).toBe(false);
+    });
+  });
+
+  describe("shiftSatisfiesRule", () => {
+    it("should require the exact code or any code", () => {
+      expect(shiftSatisfiesRule({ shiftCode: "DE" }, "DE")).toBe(true);
+      expect(shiftSatisfiesRule({ shiftCode: "DE" }, "DU")).toBe(false);
+      expect(shiftSatisfiesRule({ shiftCode: "" }, "K1")).toBe(true);
+      expect(shiftSatisfiesRule({ shiftCode: "" }, "")).toBe(false);
+    });
+    it("should not count absences towards any-shift rules", () => {
+      const shiftTypes = [{ code: "TP", kind: "sickLeave" }];
+      expect(shiftSatisfiesRule({ shiftCode: "" }, "TP", shiftTypes)).toBe(
+        false,
+      );
+      expect(shiftSatisfiesRule({ shiftCode: "TP" }, "TP", shiftTypes)).toBe(
+        true,
+      );
+    });
+  });
+
+  describe("expandRules", () => {
+    it("should expand each-group rules into one rule per occurring group", () => {
+      const expanded = expandRules(
+        [{ id: "r", group: EACH_GROUP, minCount: 1 }],
+        staffRows,
+      );
+      expect(expanded.map((r) => r.group)).toEqual(["Süni (A)", "Maci (B)"]);
+    });
+    it("should leave concrete rules unchanged", () => {
+      const rule = { id: "x", unit: "Konyha", minCount: 2 };
+      expect(expandRules([rule], staffRows)).toEqual([rule]);
+    });
+  });
+
+  describe("evaluateCoverage", () => {
+    const rules = [
+      {
+        id: "de",
+        group: EACH_GROUP,
+        jobTitle: "k.gy.n.",
+        shiftCode: "DE",
+        minCount: 1,
+      },
+      { id: "kitchen", unit: "Konyha", shiftCode: "", minCount: 2 },
+    ];
+
+    it("should report the understaffed groups per day", () => {
+      const { byDate } = evaluateCoverage({ staffRows, weekDates, rules });
+      const monday = byDate[dateKeys[0]].map((v) => [v.rule.id, v.rule.group]);
+      expect(monday).toEqual([
+        ["de", "Maci (B)"],
+        ["kitchen", undefined],
+      ]);
+      expect(byDate[dateKeys[0]][1]).toMatchObject({
+        required: 2,
+        actual: 1,
+        missing: 1,
+      });
+    });
+
+    it("should mark the in-scope cells without the required shift", () => {
+      const { violatingCells } = evaluateCoverage({
+        staffRows,
+        weekDates,
+        rules,
+      });
+      expect(violatingCells.has(`s3|${dateKeys[0]}`)).toBe(true);
+      expect(violatingCells.has(`s4|${dateKeys[1]}`)).toBe(true);
+      // Süni (A) has a DE shift on Monday and Tuesday
+      expect(violatingCells.has(`s2|${dateKeys[0]}`)).toBe(false);
+      expect(violatingCells.has(`s2|${dateKeys[1]}`)).toBe(false);
+      expect(violatingCells.has(`s2|${dateKeys[2]}`)).toBe(true);
+    });
+
+    it("should skip rules that do not apply on the day", () => {
+      const { violations } = evaluateCoverage({
+        staffRows,
+        weekDates,
+        rules: [{ ...rules[1], weekdays: [6] }],
+      });
+      expect(violations.map((v) => v.dateKey)).toEqual([dateKeys[5]]);
+    });
+
+    it("should return no violations without rules", () => {
+      const report = evaluateCoverage({
+        staffRows,
+        weekDates,
+        rules: undefined,
+      });
+      expect(report.violations).toEqual([]);
+      expect(report.violatingCells.size).toBe(0);
+    });
+  });
+
+  describe("describeRule", () => {
+    it("should describe the scope and the shift", () => {
+      expect(
+        describeRule({
+          group: "Süni (A)",
+          jobTitle: "k.gy.n.",
+          shiftCode: "DE",
+        }),
+      ).toBe("Süni (A) / k.gy.n. / DE");
+      expect(describeRule({ unit: "Konyha" })).toBe("Konyha / bármely műszak");
+      expect(describeRule({})).toBe("mindenki / bármely műszak");
+    });
+  });
+});
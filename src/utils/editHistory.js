@@ -0,0 +1,249 @@
+import { isSameContent } from "./helpers";
+import { SETTINGS_ID_FIELDS, withSettingsIds } from "./settingsDocument";
+import {
+  findStaffRow,
+  isRowChangedSince,
+  replaceStaffRow,
+} from "./weekRevision";
+
+/**
+ * @typedef {object} DocumentChange - The state of a Firestore document before and after an edit.
+ * @property {'settings' | 'week'} target - The edited document: the global settings or a weekly schedule.
+ * @property {string} [weekStartDate] - The week of a weekly schedule ('YYYY-MM-DD').
+ * @property {object | null} before - The document before the edit (null if it did not exist).
+ * @property {object | null} after - The document after the edit (null if it was deleted).
+ */
+
+/**
+ * @typedef {object} HistoryEntry - An edit that can be undone.
+ * @property {number} id - Identifies the entry.
+ * @property {string} label - The Hungarian description of the edit.
+ * @property {number} timestamp - The time of the edit (milliseconds since the epoch).
+ * @property {DocumentChange[]} changes - The changed documents.
+ */
+
+/**
+ * @typedef {object} EditHistory - The undo and redo stacks of a session.
+ * @property {HistoryEntry[]} past - The edits that can be undone (oldest first).
+ * @property {HistoryEntry[]} future - The undone edits that can be redone (next redo first).
+ */
+
+/**
+ * @constant {number} HISTORY_LIMIT
+ * The largest number of edits kept for undo. Older edits are dropped.
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * @constant {EditHistory} EMPTY_HISTORY
+ * The history at the start of a session.
+ */
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Records an edit in the history. A new edit clears the redo stack.
+ * Edits that do not change any document are ignored.
+ *
+ * @param {EditHistory} history - The current history.
+ * @param {HistoryEntry} entry - The edit to record.
+ * @param {number} [limit=HISTORY_LIMIT] - The largest number of edits kept.
+ * @returns {EditHistory} The new history.
+ */
+export const recordEdit = (history, entry, limit = HISTORY_LIMIT) => {
+  const changes = entry.changes.filter(
+    (change) => JSON.stringify(change.before) !== JSON.stringify(change.after),
+  );
+  if (changes.length === 0) return history;
+  return {
+    past: [...history.past, { ...entry, changes }].slice(-limit),
+    future: [],
+  };
+};
+
+/**
+ * Takes the last edit off the undo stack and moves it to the redo stack.
+ *
+ * @param {EditHistory} history - The current history.
+ * @returns {{history: EditHistory, entry: HistoryEntry} | null} The new history and the edit to undo, or null if there is nothing to undo.
+ */
+export const takeUndo = (history) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [entry, ...history.future],
+    },
+    entry,
+  };
+};
+
+/**
+ * Takes the next edit off the redo stack and moves it back to the undo stack.
+ *
+ * @param {EditHistory} history - The current history.
+ * @returns {{history: EditHistory, entry: HistoryEntry} | null} The new history and the edit to redo, or null if there is nothing to redo.
+ */
+export const takeRedo = (history) => {
+  const entry = history.future[0];
+  if (!entry) return null;
+  return {
+    history: {
+      past: [...history.past, entry],
+      future: history.future.slice(1),
+    },
+    entry,
+  };
+};
+
+/**
+ * Removes an edit from both stacks of the history, e.g. when it can no longer be applied.
+ *
+ * @param {EditHistory} history - The current history.
+ * @param {HistoryEntry} entry - The edit to remove.
+ * @returns {EditHistory} The new history.
+ */
+export const discardEntry = (history, entry) => ({
+  past: history.past.filter((e) => e.id !== entry.id),
+  future: history.future.filter((e) => e.id !== entry.id),
+});
+
+/**
+ * Lists the staff members whose rows differ between two versions of a week (including added and removed rows).
+ *
+ * @param {object | null} from - A version of the week (null if it did not exist).
+ * @param {object | null} to - Another version of the week (null if it did not exist).
+ * @returns {string[]} The staff IDs of the changed rows.
+ */
+export const getChangedStaffIds = (from, to) =>
+  [
+    ...new Set(
+      [...(from?.staff || []), ...(to?.staff || [])].map((row) => row.staffId),
+    ),
+  ].filter((staffId) =>
+    isRowChangedSince(findStaffRow(to, staffId), findStaffRow(from, staffId)),
+  );
+
+/**
+ * Applies the rows changed by an edit of a week (from one version to another) onto the latest saved version,
+ * so that undo and redo keep the rows edited by others in the meantime. A changed row is stale if it was
+ * changed by someone else since: its saved version is neither the one the edit started from nor its result.
+ *
+ * @param {object | null} saved - The latest saved version of the week (null if it does not exist).
+ * @param {object | null} from - The week the edit starts from (null if it did not exist).
+ * @param {object | null} to - The week the edit produces (null if it deletes the week).
+ * @returns {{schedule: object | null | undefined, staleStaffIds: string[]}} The schedule to write (null to delete the week,
+ * undefined if nothing changes) and the staff IDs of the stale rows.
+ */
+export const rebaseWeekChange = (saved, from, to) => {
+  const staffIds = getChangedStaffIds(from, to);
+  const staleStaffIds = staffIds.filter(
+    (staffId) =>
+      isRowChangedSince(
+        findStaffRow(saved, staffId),
+        findStaffRow(from, staffId),
+      ) &&
+      isRowChangedSince(
+        findStaffRow(saved, staffId),
+        findStaffRow(to, staffId),
+      ),
+  );
+  const weekStartDate = (to || from).weekStartDate;
+  const schedule = staffIds.reduce(
+    (week, staffId) =>
+      replaceStaffRow(week, staffId, findStaffRow(to, staffId)),
+    saved || { weekStartDate, staff: [] },
+  );
+  if (!to && schedule.staff.length === 0) {
+    return { schedule: saved ? null : undefined, staleStaffIds };
+  }
+  return {
+    schedule: isSameContent(schedule, saved) ? undefined : schedule,
+    staleStaffIds,
+  };
+};
+
+/**
+ * Applies the staff members changed by an edit of the settings onto the latest saved staff list.
+ *
+ * @param {object[] | undefined} saved - The saved staff list.
+ * @param {object[] | undefined} from - The staff list the edit starts from.
+ * @param {object[] | undefined} to - The staff list the edit produces.
+ * @returns {{staffList: object[], stale: boolean}} The staff list to write (ordered by `sortOrder`), and whether
+ * a changed staff member was changed by someone else since.
+ */
+const rebaseStaffList = (saved, from, to) => {
+  const byId = (list) =>
+    new Map((list || []).map((staff) => [staff.id, staff]));
+  const savedStaff = byId(saved);
+  const fromStaff = byId(from);
+  const toStaff = byId(to);
+  const changedIds = [
+    ...new Set([...fromStaff.keys(), ...toStaff.keys()]),
+  ].filter((id) => !isSameContent(fromStaff.get(id), toStaff.get(id)));
+  const stale = changedIds.some(
+    (id) =>
+      !isSameContent(savedStaff.get(id), fromStaff.get(id)) &&
+      !isSameContent(savedStaff.get(id), toStaff.get(id)),
+  );
+  changedIds.forEach((id) => {
+    if (toStaff.has(id)) savedStaff.set(id, toStaff.get(id));
+    else savedStaff.delete(id);
+  });
+  return {
+    staffList: [...savedStaff.values()].sort(
+      (a, b) => (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity),
+    ),
+    stale,
+  };
+};
+
+/**
+ * Applies the fields changed by an edit of the global settings onto the latest saved settings, so that undo
+ * and redo keep the settings changed by others in the meantime. The staff list is applied per staff member,
+ * and the ID lists are derived again from the result. A changed field is stale if it was changed by someone
+ * else since.
+ *
+ * @param {object | null} saved - The latest saved settings (null if they do not exist).
+ * @param {object | null} from - The settings the edit starts from.
+ * @param {object | null} to - The settings the edit produces.
+ * @returns {{fields: object, staleFields: string[]}} The changed fields and their values to write
+ * (undefined to remove a field), and the stale fields.
+ */
+export const rebaseSettingsChange = (saved, from, to) => {
+  const keys = [
+    ...new Set([...Object.keys(from || {}), ...Object.keys(to || {})]),
+  ].filter(
+    (key) =>
+      !SETTINGS_ID_FIELDS.includes(key) &&
+      !isSameContent(from?.[key], to?.[key]),
+  );
+  const fields = {};
+  const staleFields = [];
+  keys.forEach((key) => {
+    if (key === "staffList") {
+      const { staffList, stale } = rebaseStaffList(
+        saved?.staffList,
+        from?.staffList,
+        to?.staffList,
+      );
+      if (stale) staleFields.push(key);
+      fields[key] = staffList;
+      return;
+    }
+    if (
+      !isSameContent(saved?.[key], from?.[key]) &&
+      !isSameContent(saved?.[key], to?.[key])
+    ) {
+      staleFields.push(key);
+    }
+    fields[key] = to?.[key];
+  });
+  if ("staffList" in fields || "shiftTypes" in fields) {
+    const ids = withSettingsIds({ ...saved, ...fields });
+    SETTINGS_ID_FIELDS.forEach((key) => {
+      fields[key] = ids[key];
+    });
+  }
+  return { fields, staleFields };
+};
@@ -0,0 +1,194 @@
+import { describe, it, expect } from "vitest";
+import {
+  EMPTY_HISTORY,
+  discardEntry,
+  rebaseSettingsChange,
+  rebaseWeekChange,
+  recordEdit,
+  takeUndo,
+  takeRedo,
+} from "./editHistory";
+
+const edit = (id, before, after) => ({
+  id,
+  label: `Módosítás ${id}`,
+  timestamp: id,
+  changes: [{ target: "week", weekStartDate: "2024-06-03", before, after }],
+});
+
+const row = (staffId, shift) => ({
+  staffId,
+  shifts: shift ? { "2024-06-03": shift } : {},
+});
+
+const weekOf = (...rows) => ({ weekStartDate: "2024-06-03", staff: rows });
+
+describe("utils/editHistory", () => {
+  describe("recordEdit", () => {
+    it("should keep the newest edits and clear the redo stack", () => {
+      let history = EMPTY_HISTORY;
+      [1, 2, 3].forEach((id) => {
+        history = recordEdit(history, edit(id, { n: id - 1 }, { n: id }), 2);
+      });
+      expect(history.past.map((entry) => entry.id)).toEqual([2, 3]);
+
+      history = takeUndo(history).history;
+      expect(history.future).toHaveLength(1);
+      history = recordEdit(history, edit(4, { n: 2 }, { n: 4 }));
+      expect(history.past.map((entry) => entry.id)).toEqual([2, 4]);
+      expect(history.future).toEqual([]);
+    });
+
+    it("should ignore edits without changes", () => {
+      const history = recordEdit(EMPTY_HISTORY, {
+        ...edit(1, { n: 1 }, { n: 1 }),
+        changes: [
+          { target: "settings", before: { units: [] }, after: { units: [] } },
+        ],
+      });
+      expect(history).toBe(EMPTY_HISTORY);
+    });
+  });
+
+  describe("takeUndo / takeRedo", () => {
+    it("should move edits between the undo and redo stacks", () => {
+      let history = recordEdit(EMPTY_HISTORY, edit(1, null, { n: 1 }));
+      history = recordEdit(history, edit(2, { n: 1 }, { n: 2 }));
+
+      const undo = takeUndo(history);
+      expect(undo.entry.id).toBe(2);
+      const secondUndo = takeUndo(undo.history);
+      expect(secondUndo.entry.changes[0].before).toBeNull();
+      expect(takeUndo(secondUndo.history)).toBeNull();
+
+      const redo = takeRedo(secondUndo.history);
+      expect(redo.entry.id).toBe(1);
+      expect(redo.history.past.map((entry) => entry.id)).toEqual([1]);
+      expect(redo.history.future.map((entry) => entry.id)).toEqual([2]);
+      expect(takeRedo(history)).toBeNull();
+    });
+  });
+
+  it("should discard an edit from both stacks", () => {
+    const history = recordEdit(EMPTY_HISTORY, edit(1, null, { n: 1 }));
+    const undo = takeUndo(history);
+    expect(discardEntry(undo.history, undo.entry)).toEqual(EMPTY_HISTORY);
+  });
+
+  describe("rebaseWeekChange", () => {
+    const before = weekOf(row("a", "DE"), row("b"));
+    const after = weekOf(row("a", "DU"), row("b"));
+
+    it("should revert only the changed rows and keep the rows edited by others", () => {
+      const saved = weekOf(row("a", "DU"), row("b", "E"), row("c", "DE"));
+      expect(rebaseWeekChange(saved, after, before)).toEqual({
+        schedule: weekOf(row("a", "DE"), row("b", "E"), row("c", "DE")),
+        staleStaffIds: [],
+      });
+    });
+
+    it("should report the rows changed by someone else since", () => {
+      const saved = weekOf(row("a", "E"), row("b"));
+      expect(rebaseWeekChange(saved, after, before).staleStaffIds).toEqual([
+        "a",
+      ]);
+      // A row already holding the value to apply is not stale
+      expect(rebaseWeekChange(before, after, before)).toEqual({
+        schedule: undefined,
+        staleStaffIds: [],
+      });
+    });
+
+    it("should delete a created week only when no other rows were added", () => {
+      const created = weekOf(row("a", "DE"));
+      expect(rebaseWeekChange(created, null, created).schedule).toBeUndefined();
+      expect(rebaseWeekChange(created, created, null).schedule).toBeNull();
+      expect(
+        rebaseWeekChange(weekOf(row("a", "DE"), row("b")), created, null)
+          .schedule,
+      ).toEqual(weekOf(row("b")));
+      expect(rebaseWeekChange(null, null, created).schedule).toEqual(created);
+    });
+  });
+
+  describe("rebaseSettingsChange", () => {
+    const before = {
+      units: ["I."],
+      groups: [],
+      staffList: [
+        { id: "s1", name: "Anna", sortOrder: 0 },
+        { id: "s2", name: "Béla", sortOrder: 1 },
+      ],
+    };
+    const after = {
+      ...before,
+      units: ["I.", "II."],
+      staffList: [
+        { ...before.staffList[0], name: "Anna K." },
+        before.staffList[1],
+      ],
+    };
+
+    it("should revert only the changed fields and staff members", () => {
+      const saved = {
+        ...after,
+        groups: ["Katica"],
+        staffList: [after.staffList[0], { ...before.staffList[1], name: "B." }],
+      };
+      expect(rebaseSettingsChange(saved, after, before)).toEqual({
+        fields: {
+          units: ["I."],
+          staffList: [before.staffList[0], saved.staffList[1]],
+          staffIds: ["s1", "s2"],
+          shiftTypeCodes: [],
+          staffUnits: { s1: "", s2: "" },
+        },
+        staleFields: [],
+      });
+    });
+
+    it("should derive the ID lists from the rebased staff list", () => {
+      const added = {
+        ...before,
+        staffIds: ["s1", "s2"],
+        staffList: [...before.staffList, { id: "s3", name: "Cili" }],
+      };
+      const saved = {
+        ...added,
+        staffList: [...added.staffList, { id: "s4", name: "Dóra" }],
+        staffIds: ["s1", "s2", "s3", "s4"],
+      };
+      // Only the staff list changed: the ID lists are neither reverted nor stale
+      expect(
+        rebaseSettingsChange(
+          saved,
+          { ...added, staffIds: ["s1", "s2", "s3"] },
+          before,
+        ),
+      ).toEqual({
+        fields: {
+          staffList: [...before.staffList, saved.staffList[3]],
+          staffIds: ["s1", "s2", "s4"],
+          shiftTypeCodes: [],
+          staffUnits: { s1: "", s2: "", s4: "" },
+        },
+        staleFields: [],
+      });
+    });
+
+    it("should report the fields changed by someone else since", () => {
+      const saved = {
+        ...after,
+        units: ["III."],
+        staffList: [
+          { ...before.staffList[0], name: "A." },
+          before.staffList[1],
+        ],
+      };
+      expect(rebaseSettingsChange(saved, after, before).staleFields).toEqual([
+        "units",
+        "staffList",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { writeBatch } from "firebase/firestore";
+import { firestore } from "../firebaseConfig";
+import { isBrowserOffline } from "./syncQueue";
+
+/**
+ * @constant {number} MAX_BATCH_WRITES
+ * The largest number of writes committed in one Firestore batch (the service limit is 500).
+ */
+export const MAX_BATCH_WRITES = 400;
+
+/**
+ * Commits write operations in as few Firestore batches as possible. The operations are applied in order,
+ * so the ones in the first batch (e.g. the document write with its first audit entries) are atomic.
+ * While offline the batches are only written to the local cache: a commit resolves when the server
+ * acknowledges it, so they are not awaited, and Firestore sends them once the connection is back.
+ * If the server rejects them then (e.g. the rules deny a write), `onOfflineError` reports it.
+ *
+ * @param {Array<function(import("firebase/firestore").WriteBatch): void>} operations - Functions adding one write each to a batch.
+ * @param {function(Error): void} [onOfflineError] - Called with the error of a batch written offline and rejected later
+ * (the error is only logged by default).
+ * @returns {Promise<void>} Resolves when every batch was committed (or cached while offline).
+ */
+export const commitInBatches = async (operations, onOfflineError) => {
+  for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(firestore);
+    operations
+      .slice(i, i + MAX_BATCH_WRITES)
+      .forEach((operation) => operation(batch));
+    if (isBrowserOffline()) {
+      batch.commit().catch((error) => {
+        console.error("Error committing a write made offline:", error);
+        onOfflineError?.(error);
+      });
+    } else {
+      await batch.commit();
+    }
+  }
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { writeBatch } from "firebase/firestore";
+import { MAX_BATCH_WRITES, commitInBatches } from "./firestoreBatch";
+
+vi.mock("firebase/firestore", () => ({ writeBatch: vi.fn() }));
+vi.mock("../firebaseConfig", () => ({ firestore: {} }));
+
+describe("utils/firestoreBatch", () => {
+  let batches;
+
+  beforeEach(() => {
+    batches = [];
+    writeBatch.mockImplementation(() => {
+      const batch = { writes: [], commit: vi.fn().mockResolvedValue() };
+      batches.push(batch);
+      return batch;
+    });
+    vi.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should split the operations into batches of the maximum size", async () => {
+    const operations = Array.from(
+      { length: MAX_BATCH_WRITES + 1 },
+      (_, index) => (batch) => batch.writes.push(index),
+    );
+    await commitInBatches(operations);
+    expect(batches.map((batch) => batch.writes.length)).toEqual([
+      MAX_BATCH_WRITES,
+      1,
+    ]);
+    expect(batches.every((batch) => batch.commit.mock.calls.length === 1)).toBe(
+      true,
+    );
+  });
+
+  it("should report a batch written offline and rejected later", async () => {
+    vi.spyOn(navigator, "onLine", "get").mockReturnValue(false);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const error = new Error("permission-denied");
+    writeBatch.mockImplementation(() => ({
+      commit: vi.fn().mockRejectedValue(error),
+    }));
+    const onOfflineError = vi.fn();
+    // Resolves without waiting for the server
+    await commitInBatches([() => {}], onOfflineError);
+    await vi.waitFor(() => expect(onOfflineError).toHaveBeenCalledWith(error));
+  });
+});
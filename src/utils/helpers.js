@@ -145,38 +145,222 @@ export const getCurrentMonday = (dateInput = new Date()) => {
 };
 
 /**
- * Generates an array of six Date objects representing Monday to Saturday,
+ * @constant {Array<{value: number, label: string, shortLabel: string}>} WEEKDAY_OPTIONS
+ * The days of the week in display order (Monday first) with their `Date.getDay()` values and Hungarian labels.
+ */
+export const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Hétfő", shortLabel: "H" },
+  { value: 2, label: "Kedd", shortLabel: "K" },
+  { value: 3, label: "Szerda", shortLabel: "Sze" },
+  { value: 4, label: "Csütörtök", shortLabel: "Cs" },
+  { value: 5, label: "Péntek", shortLabel: "P" },
+  { value: 6, label: "Szombat", shortLabel: "Szo" },
+  { value: 0, label: "Vasárnap", shortLabel: "V" },
+];
+
+/**
+ * @constant {number[]} DEFAULT_WORKING_WEEKDAYS
+ * The weekdays displayed and scheduled when no `workingWeekdays` setting is saved (Monday to Saturday).
+ */
+export const DEFAULT_WORKING_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+/**
+ * Normalizes a list of weekdays (`Date.getDay()` values): removes invalid and duplicate values
+ * and sorts them in display order (Monday first, Sunday last).
+ * Falls back to `DEFAULT_WORKING_WEEKDAYS` if no valid weekday remains.
+ *
+ * @param {number[]} [weekdays] - The weekdays to normalize.
+ * @returns {number[]} The normalized weekdays.
+ * @example
+ * normalizeWorkingWeekdays([0, 5, 1, 1]); // returns [1, 5, 0]
+ * normalizeWorkingWeekdays([]); // returns [1, 2, 3, 4, 5, 6]
+ */
+export const normalizeWorkingWeekdays = (weekdays) => {
+  const valid = WEEKDAY_OPTIONS.map((day) => day.value).filter(
+    (value) => Array.isArray(weekdays) && weekdays.includes(value),
+  );
+  return valid.length > 0 ? valid : [...DEFAULT_WORKING_WEEKDAYS];
+};
+
+/**
+ * Generates an array of Date objects for the working days of a week,
  * starting from the provided start date (assumed to be a Monday).
+ * Sunday is treated as the last day of the week.
  * Includes error handling for invalid input.
  *
  * @param {Date} startDate - The Date object representing the Monday of the desired week.
- * @returns {Date[]} An array containing six Date objects (Monday to Saturday), or an empty array if the input is invalid or an error occurs.
+ * @param {number[]} [weekdays=DEFAULT_WORKING_WEEKDAYS] - The weekdays to include (`Date.getDay()` values).
+ * @returns {Date[]} An array containing one Date object per working day (Monday to Saturday by default), or an empty array if the input is invalid or an error occurs.
  * @example
  * const monday = new Date(2024, 0, 8);
  * getWeekDates(monday); // returns array of Date objects for Jan 8, 9, 10, 11, 12, 13
+ * getWeekDates(monday, [1, 2, 3, 4, 5]); // returns array of Date objects for Jan 8, 9, 10, 11, 12
  * getWeekDates(new Date('invalid date')); // returns []
  */
-export const getWeekDates = (startDate) => {
+export const getWeekDates = (
+  startDate,
+  weekdays = DEFAULT_WORKING_WEEKDAYS,
+) => {
   if (!(startDate instanceof Date)) {
     console.warn("getWeekDates received invalid input:", startDate);
     return [];
   }
   try {
-    // Create an array of 6 elements
-    return Array(6)
-      .fill(null) // Use null or any placeholder
-      .map((_, index) => {
-        // For each element, calculate the date
-        const date = new Date(startDate); // Start with a copy of the Monday
-        date.setDate(date.getDate() + index); // Add the index (0 to 5) to get Mon, Tue, ..., Sat
-        return date;
-      });
+    return normalizeWorkingWeekdays(weekdays).map((weekday) => {
+      const date = new Date(startDate); // Start with a copy of the Monday
+      // Offset from Monday: Monday = 0, ..., Saturday = 5, Sunday = 6
+      date.setDate(date.getDate() + ((weekday + 6) % 7));
+      return date;
+    });
   } catch (e) {
     console.error("Error getting week dates:", startDate, e);
     return [];
   }
 };
 
+/**
+ * Generates the Date objects of the working days of a month.
+ * The dates are set to noon so that their date keys (see `toDateKey`) do not shift with the time zone.
+ *
+ * @param {Date} monthDate - Any date within the month.
+ * @param {number[]} [weekdays=DEFAULT_WORKING_WEEKDAYS] - The weekdays to include (`Date.getDay()` values).
+ * @returns {Date[]} The working days of the month in order, or an empty array if the input is invalid.
+ * @example
+ * getMonthDates(new Date(2024, 5, 1), [1, 2, 3, 4, 5]).length; // returns 20 (June 2024)
+ */
+export const getMonthDates = (
+  monthDate,
+  weekdays = DEFAULT_WORKING_WEEKDAYS,
+) => {
+  if (!(monthDate instanceof Date) || isNaN(monthDate.getTime())) {
+    console.warn("getMonthDates received invalid input:", monthDate);
+    return [];
+  }
+  const year = monthDate.getFullYear();
+  const month = monthDate.getMonth();
+  const dayCount = new Date(year, month + 1, 0).getDate();
+  const workingWeekdays = normalizeWorkingWeekdays(weekdays);
+  return Array.from(
+    { length: dayCount },
+    (_, index) => new Date(year, month, index + 1, 12),
+  ).filter((date) => workingWeekdays.includes(date.getDay()));
+};
+
+/**
+ * Returns the Mondays of every week that overlaps the given date range (the weekly schedule documents to load for the range).
+ * The dates are set to noon so that their date keys do not shift with the time zone.
+ *
+ * @param {Date} startDate - The first day of the range.
+ * @param {Date} endDate - The last day of the range (inclusive).
+ * @returns {Date[]} The Mondays in order, or an empty array if the input is invalid or the range is empty.
+ * @example
+ * getWeekStartsBetween(new Date(2024, 5, 5), new Date(2024, 5, 12)); // returns Mondays Jun 3, 10
+ */
+export const getWeekStartsBetween = (startDate, endDate) => {
+  if (
+    !(startDate instanceof Date) ||
+    isNaN(startDate.getTime()) ||
+    !(endDate instanceof Date) ||
+    isNaN(endDate.getTime())
+  ) {
+    console.warn("getWeekStartsBetween received invalid input:", {
+      startDate,
+      endDate,
+    });
+    return [];
+  }
+  const monday = getCurrentMonday(
+    new Date(
+      startDate.getFullYear(),
+      startDate.getMonth(),
+      startDate.getDate(),
+      12,
+    ),
+  );
+  const lastDay = new Date(
+    endDate.getFullYear(),
+    endDate.getMonth(),
+    endDate.getDate(),
+    12,
+  );
+  const mondays = [];
+  while (monday <= lastDay) {
+    mondays.push(new Date(monday));
+    monday.setDate(monday.getDate() + 7);
+  }
+  return mondays;
+};
+
+/**
+ * Returns the Mondays of every week that overlaps the given month (the weekly schedule documents to load for the month).
+ * The dates are set to noon so that their date keys do not shift with the time zone.
+ *
+ * @param {Date} monthDate - Any date within the month.
+ * @returns {Date[]} The Mondays in order, or an empty array if the input is invalid.
+ * @example
+ * getWeekStartsOfMonth(new Date(2024, 5, 1)); // returns Mondays May 27, Jun 3, 10, 17, 24
+ */
+export const getWeekStartsOfMonth = (monthDate) => {
+  if (!(monthDate instanceof Date) || isNaN(monthDate.getTime())) {
+    console.warn("getWeekStartsOfMonth received invalid input:", monthDate);
+    return [];
+  }
+  const year = monthDate.getFullYear();
+  const month = monthDate.getMonth();
+  return getWeekStartsBetween(
+    new Date(year, month, 1),
+    new Date(year, month + 1, 0),
+  );
+};
+
+/**
+ * Formats a month as a Hungarian label (e.g., "2024. június").
+ *
+ * @param {Date} monthDate - Any date within the month.
+ * @returns {string} The formatted month, or an empty string if the input is invalid.
+ * @example
+ * formatMonth(new Date(2024, 5, 10)); // returns "2024. június"
+ */
+export const formatMonth = (monthDate) => {
+  if (!(monthDate instanceof Date) || isNaN(monthDate.getTime())) {
+    console.warn("formatMonth received invalid input:", monthDate);
+    return "";
+  }
+  const months = [
+    "január",
+    "február",
+    "március",
+    "április",
+    "május",
+    "június",
+    "július",
+    "augusztus",
+    "szeptember",
+    "október",
+    "november",
+    "december",
+  ];
+  return `${monthDate.getFullYear()}. ${months[monthDate.getMonth()]}`;
+};
+
+/**
+ * Converts a Date object into the 'YYYY-MM-DD' key used for the `shifts` maps
+ * and the weekly schedule document IDs in Firestore.
+ *
+ * @param {Date} date - The Date object to convert.
+ * @returns {string} The date key (e.g., "2024-01-08"), or an empty string if the input is invalid.
+ * @example
+ * toDateKey(new Date("2024-01-08T10:00:00Z")); // returns "2024-01-08"
+ * toDateKey(null); // returns ""
+ */
+export const toDateKey = (date) => {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    console.warn("toDateKey received invalid input:", date);
+    return "";
+  }
+  return date.toISOString().split("T")[0];
+};
+
 /**
  * Calculates the ISO 8601 week number for a given date.
  * In ISO 8601, weeks start on Monday, and week 1 is the first week with a Thursday.
@@ -266,3 +450,47 @@ export const getContrastingTextColor = (bgColor) => {
     return "#000000"; // Default to black on error
   }
 };
+
+/**
+ * Generates a simple pseudo-unique identifier for new staff members.
+ * @returns {string} A string in the format 'staff_timestamp_randomstring'.
+ * @example
+ * generateStaffId() // returns something like "staff_1678886400000_a1b2c"
+ */
+export const generateStaffId = () =>
+  `staff_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+/**
+ * Checks whether a value is a plain object (not null and not an array).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+export const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Compares two JSON-compatible values by content (object key order does not matter).
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if the values are equal.
+ */
+export const isSameContent = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, index) => isSameContent(item, b[index]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && isSameContent(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
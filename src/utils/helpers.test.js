@@ -8,6 +8,12 @@ import {
   getContrastingTextColor,
   getWeekRangeString,
   getWeekDates,
+  normalizeWorkingWeekdays,
+  getMonthDates,
+  getWeekStartsOfMonth,
+  getWeekStartsBetween,
+  formatMonth,
+  toDateKey,
 } from "./helpers";
 
 describe("utils/helpers", () => {
@@ -115,11 +121,78 @@ describe("utils/helpers", () => {
       expect(week[5].getDate()).toBe(6); // Sat
       expect(week[0].getMonth()).toBe(6); // July
     });
+    it("should only return the given weekdays, Sunday last", () => {
+      const monday = new Date(2024, 6, 1);
+      expect(
+        getWeekDates(monday, [1, 2, 3, 4, 5]).map((d) => d.getDate()),
+      ).toEqual([1, 2, 3, 4, 5]);
+      expect(getWeekDates(monday, [0, 6, 3]).map((d) => d.getDate())).toEqual([
+        3, 6, 7,
+      ]);
+    });
     it("should return empty array for invalid input", () => {
       expect(getWeekDates(null)).toEqual([]);
     });
   });
 
+  describe("getMonthDates", () => {
+    it("should return the working days of the month", () => {
+      const june = getMonthDates(new Date(2024, 5, 15));
+      expect(june).toHaveLength(25); // 30 days minus 5 Sundays
+      expect(toDateKey(june[0])).toBe("2024-06-01");
+      expect(toDateKey(june[june.length - 1])).toBe("2024-06-29");
+      expect(getMonthDates(new Date(2024, 5, 1), [1, 2, 3, 4, 5])).toHaveLength(
+        20,
+      );
+    });
+  });
+
+  describe("getWeekStartsOfMonth", () => {
+    it("should return the Mondays of the overlapping weeks", () => {
+      expect(
+        getWeekStartsOfMonth(new Date(2024, 5, 10)).map(toDateKey),
+      ).toEqual([
+        "2024-05-27",
+        "2024-06-03",
+        "2024-06-10",
+        "2024-06-17",
+        "2024-06-24",
+      ]);
+    });
+  });
+
+  describe("getWeekStartsBetween", () => {
+    it("should return the Mondays of the weeks overlapping the range", () => {
+      expect(
+        getWeekStartsBetween(new Date(2024, 5, 5), new Date(2024, 5, 17)).map(
+          toDateKey,
+        ),
+      ).toEqual(["2024-06-03", "2024-06-10", "2024-06-17"]);
+    });
+    it("should return an empty array for an empty range", () => {
+      expect(
+        getWeekStartsBetween(new Date(2024, 5, 17), new Date(2024, 5, 5)),
+      ).toEqual([]);
+    });
+  });
+
+  describe("formatMonth", () => {
+    it("should format the month in Hungarian", () => {
+      expect(formatMonth(new Date(2024, 5, 10))).toBe("2024. június");
+      expect(formatMonth(null)).toBe("");
+    });
+  });
+
+  describe("normalizeWorkingWeekdays", () => {
+    it("should sort and deduplicate the weekdays", () => {
+      expect(normalizeWorkingWeekdays([0, 5, 1, 1, 9])).toEqual([1, 5, 0]);
+    });
+    it("should fall back to Monday-Saturday", () => {
+      expect(normalizeWorkingWeekdays([])).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(normalizeWorkingWeekdays(undefined)).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+  });
+
   describe("getWeekRangeString", () => {
     it("should return correct range string", () => {
       const monday = new Date(2024, 6, 1);
@@ -133,4 +206,14 @@ describe("utils/helpers", () => {
       expect(getWeekRangeString(null)).toBe("");
     });
   });
+
+  describe("toDateKey", () => {
+    it("should return the ISO date part of the date", () => {
+      expect(toDateKey(new Date("2024-07-01T10:00:00Z"))).toBe("2024-07-01");
+    });
+    it("should return empty string for invalid input", () => {
+      expect(toDateKey(null)).toBe("");
+      expect(toDateKey(new Date("invalid date"))).toBe("");
+    });
+  });
 });
@@ -0,0 +1,203 @@
+import { toDateKey } from "./helpers";
+
+/**
+ * @typedef {'holiday' | 'restDay' | 'workday' | 'normal'} CalendarDayType
+ * The type of a calendar day:
+ * - `holiday`: public holiday (munkaszüneti nap),
+ * - `restDay`: transferred rest day (áthelyezett pihenőnap, e.g. a bridge day),
+ * - `workday`: transferred working day (áthelyezett munkanap, usually a Saturday),
+ * - `normal`: an ordinary day. Only used in overrides to remove a built-in entry.
+ */
+
+/**
+ * @typedef {object} CalendarDay - A special day of the calendar.
+ * @property {string} date - The date ('YYYY-MM-DD').
+ * @property {CalendarDayType} type - The type of the day.
+ * @property {string} name - The Hungarian name or description of the day (e.g., "Nemzeti ünnep").
+ */
+
+/**
+ * @constant {Array<{value: CalendarDayType, label: string}>} CALENDAR_DAY_TYPES
+ * The selectable calendar day types with their Hungarian labels.
+ */
+export const CALENDAR_DAY_TYPES = [
+  { value: "holiday", label: "Munkaszüneti nap" },
+  { value: "restDay", label: "Áthelyezett pihenőnap" },
+  { value: "workday", label: "Áthelyezett munkanap" },
+  { value: "normal", label: "Normál nap" },
+];
+
+/**
+ * @constant {object.<number, CalendarDay[]>} TRANSFERRED_DAYS
+ * The official transferred rest days and working days, published yearly in a ministerial decree.
+ * Years that are not listed here can be completed by the administrator in the settings.
+ */
+const TRANSFERRED_DAYS = {
+  2024: [
+    {
+      date: "2024-08-03",
+      type: "workday",
+      name: "Munkanap (aug. 19. helyett)",
+    },
+    { date: "2024-08-19", type: "restDay", name: "Pihenőnap" },
+    {
+      date: "2024-12-07",
+      type: "workday",
+      name: "Munkanap (dec. 24. helyett)",
+    },
+    {
+      date: "2024-12-14",
+      type: "workday",
+      name: "Munkanap (dec. 27. helyett)",
+    },
+    { date: "2024-12-24", type: "restDay", name: "Pihenőnap" },
+    { date: "2024-12-27", type: "restDay", name: "Pihenőnap" },
+  ],
+  2025: [
+    { date: "2025-05-02", type: "restDay", name: "Pihenőnap" },
+    { date: "2025-05-17", type: "workday", name: "Munkanap (máj. 2. helyett)" },
+    {
+      date: "2025-10-18",
+      type: "workday",
+      name: "Munkanap (okt. 24. helyett)",
+    },
+    { date: "2025-10-24", type: "restDay", name: "Pihenőnap" },
+  ],
+  2026: [
+    { date: "2026-01-02", type: "restDay", name: "Pihenőnap" },
+    { date: "2026-01-10", type: "workday", name: "Munkanap (jan. 2. helyett)" },
+    {
+      date: "2026-08-08",
+      type: "workday",
+      name: "Munkanap (aug. 21. helyett)",
+    },
+    { date: "2026-08-21", type: "restDay", name: "Pihenőnap" },
+  ],
+};
+
+/**
+ * Calculates the date of Easter Sunday in the Gregorian calendar (anonymous Gregorian algorithm).
+ *
+ * @param {number} year - The year.
+ * @returns {Date} Easter Sunday of the year, at noon so that its date key (see `toDateKey`) does not shift with the time zone.
+ * @example
+ * getEasterSunday(2024); // returns Date object for March 31, 2024
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day, 12);
+};
+
+/**
+ * Returns the built-in Hungarian calendar of a year: the public holidays defined in the
+ * Labour Code (including the Easter-based ones) and the known transferred days.
+ *
+ * @param {number} year - The year.
+ * @returns {CalendarDay[]} The special days of the year, sorted by date.
+ */
+export const getDefaultHungarianCalendar = (year) => {
+  const easter = getEasterSunday(year);
+  const fromEaster = (offset) => {
+    const date = new Date(easter);
+    date.setDate(date.getDate() + offset);
+    return toDateKey(date);
+  };
+  const fixed = (month, day) =>
+    `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+  const holidays = [
+    { date: fixed(1, 1), name: "Újév" },
+    { date: fixed(3, 15), name: "Nemzeti ünnep" },
+    { date: fromEaster(-2), name: "Nagypéntek" },
+    { date: fromEaster(0), name: "Húsvétvasárnap" },
+    { date: fromEaster(1), name: "Húsvéthétfő" },
+    { date: fixed(5, 1), name: "A munka ünnepe" },
+    { date: fromEaster(49), name: "Pünkösdvasárnap" },
+    { date: fromEaster(50), name: "Pünkösdhétfő" },
+    { date: fixed(8, 20), name: "Államalapítás ünnepe" },
+    { date: fixed(10, 23), name: "Nemzeti ünnep" },
+    { date: fixed(11, 1), name: "Mindenszentek" },
+    // Christmas Eve is a public holiday since 2025
+    ...(year >= 2025 ? [{ date: fixed(12, 24), name: "Szenteste" }] : []),
+    { date: fixed(12, 25), name: "Karácsony" },
+    { date: fixed(12, 26), name: "Karácsony" },
+  ].map((day) => ({ ...day, type: "holiday" }));
+
+  return [...holidays, ...(TRANSFERRED_DAYS[year] || [])].sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+};
+
+/**
+ * Returns the effective calendar of a year: the built-in calendar modified by the
+ * administrator's overrides. An override replaces the built-in entry of the same date;
+ * an override of type `normal` removes it.
+ *
+ * @param {number} year - The year.
+ * @param {CalendarDay[]} [overrides=[]] - The overrides stored in the global settings (`calendarOverrides`).
+ * @returns {CalendarDay[]} The special days of the year, sorted by date.
+ */
+export const getHolidayCalendar = (year, overrides = []) => {
+  const byDate = new Map(
+    getDefaultHungarianCalendar(year).map((day) => [day.date, day]),
+  );
+  (overrides || [])
+    .filter((day) => day.date?.startsWith(`${year}-`))
+    .forEach((day) => byDate.set(day.date, day));
+  return [...byDate.values()]
+    .filter((day) => day.type !== "normal")
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Looks up a date in the effective calendar.
+ *
+ * @param {Date} date - The date to look up.
+ * @param {CalendarDay[]} [overrides=[]] - The overrides stored in the global settings.
+ * @returns {CalendarDay | null} The special day, or null for an ordinary day.
+ */
+export const getCalendarDay = (date, overrides = []) => {
+  // The key of the local calendar date, whatever the time of the date
+  const dateKey = toDateKey(
+    new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12),
+  );
+  return (
+    getHolidayCalendar(date.getFullYear(), overrides).find(
+      (day) => day.date === dateKey,
+    ) || null
+  );
+};
+
+/**
+ * Checks whether a date is a day off for everyone (a public holiday or a transferred rest day).
+ *
+ * @param {Date} date - The date to check.
+ * @param {CalendarDay[]} [overrides=[]] - The overrides stored in the global settings.
+ * @returns {boolean} True if no shifts should be scheduled on the date.
+ */
+export const isNonWorkingDay = (date, overrides = []) => {
+  const type = getCalendarDay(date, overrides)?.type;
+  return type === "holiday" || type === "restDay";
+};
+
+/**
+ * Returns the label of a calendar day type.
+ *
+ * @param {CalendarDayType} type - The day type.
+ * @returns {string} The Hungarian label, or the type itself if it is unknown.
+ */
+export const getCalendarDayTypeLabel = (type) =>
+  CALENDAR_DAY_TYPES.find((t) => t.value === type)?.label || type;
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import {
+  getEasterSunday,
+  getDefaultHungarianCalendar,
+  getHolidayCalendar,
+  getCalendarDay,
+  isNonWorkingDay,
+} from "./holidays";
+
+describe("utils/holidays", () => {
+  describe("getEasterSunday", () => {
+    it("should calculate Easter Sunday", () => {
+      expect(getEasterSunday(2024)).toEqual(new Date(2024, 2, 31, 12));
+      expect(getEasterSunday(2025)).toEqual(new Date(2025, 3, 20, 12));
+      expect(getEasterSunday(2026)).toEqual(new Date(2026, 3, 5, 12));
+    });
+  });
+
+  describe("getDefaultHungarianCalendar", () => {
+    it("should contain the Easter-based holidays", () => {
+      const dates = getDefaultHungarianCalendar(2024).map((d) => d.date);
+      expect(dates).toContain("2024-03-29"); // Good Friday
+      expect(dates).toContain("2024-04-01"); // Easter Monday
+      expect(dates).toContain("2024-05-20"); // Whit Monday
+    });
+
+    it("should contain the transferred days of known years", () => {
+      const calendar = getDefaultHungarianCalendar(2024);
+      expect(calendar.find((d) => d.date === "2024-08-03")?.type).toBe(
+        "workday",
+      );
+      expect(calendar.find((d) => d.date === "2024-08-19")?.type).toBe(
+        "restDay",
+      );
+    });
+
+    it("should only treat Christmas Eve as a holiday from 2025", () => {
+      const isHoliday = (year) =>
+        getDefaultHungarianCalendar(year).some(
+          (d) => d.date === `${year}-12-24` && d.type === "holiday",
+        );
+      expect(isHoliday(2024)).toBe(false);
+      expect(isHoliday(2025)).toBe(true);
+    });
+  });
+
+  describe("getHolidayCalendar", () => {
+    it("should apply the overrides of the year", () => {
+      const overrides = [
+        { date: "2024-08-03", type: "normal", name: "" },
+        { date: "2024-06-14", type: "restDay", name: "Nevelés nélküli nap" },
+        { date: "2025-06-14", type: "restDay", name: "Másik év" },
+      ];
+      const calendar = getHolidayCalendar(2024, overrides);
+      expect(calendar.some((d) => d.date === "2024-08-03")).toBe(false);
+      expect(calendar.find((d) => d.date === "2024-06-14")?.name).toBe(
+        "Nevelés nélküli nap",
+      );
+      expect(calendar.some((d) => d.date === "2025-06-14")).toBe(false);
+    });
+  });
+
+  describe("getCalendarDay / isNonWorkingDay", () => {
+    it("should classify the days of a week", () => {
+      expect(getCalendarDay(new Date(2024, 7, 20))?.name).toBe(
+        "Államalapítás ünnepe",
+      );
+      expect(getCalendarDay(new Date(2024, 7, 21))).toBeNull();
+      // The time of the date does not matter
+      expect(getCalendarDay(new Date(2024, 7, 20, 0, 30))?.type).toBe(
+        "holiday",
+      );
+      expect(isNonWorkingDay(new Date(2024, 7, 19))).toBe(true);
+      expect(isNonWorkingDay(new Date(2024, 7, 3))).toBe(false);
+      expect(isNonWorkingDay(new Date(2024, 7, 22))).toBe(false);
+    });
+  });
+});
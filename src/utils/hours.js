@@ -0,0 +1,150 @@
+import { findShiftType } from "./shiftKinds";
+
+/**
+ * @typedef {object} ParsedTimeSlot - A time slot converted to minutes since midnight.
+ * @property {number} start - Start of the slot in minutes (e.g., 390 for "6:30").
+ * @property {number} end - End of the slot in minutes. Greater than `start`; slots ending after midnight are extended past 1440.
+ * @property {number} minutes - Length of the slot in minutes.
+ */
+
+/**
+ * @typedef {object} StaffHours - The worked hours of a staff member for a set of days.
+ * @property {object.<string, number>} daily - Mapping of date keys ('YYYY-MM-DD') to worked hours on that day.
+ * @property {number} total - Sum of the daily hours.
+ */
+
+/**
+ * @typedef {'over' | 'under' | 'ok' | null} HoursStatus
+ * Result of comparing worked hours with contracted hours. `null` if no contract value is set.
+ */
+
+/**
+ * Parses a single "H:MM" or "HH:MM" time (a dot is accepted as separator as well) into minutes since midnight.
+ *
+ * @param {string} time - The time string.
+ * @returns {number | null} Minutes since midnight, or null if the input is not a valid time.
+ */
+const parseTime = (time) => {
+  const match = /^(\d{1,2})(?:[:.](\d{2}))?$/.exec(time.trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parses a time slot string as stored in `globalSettings.timeSlots` (e.g., "6:30-13:50").
+ * Accepts hyphens and en dashes as the separator and optional surrounding whitespace.
+ * A slot whose end is earlier than its start is treated as ending on the next day.
+ *
+ * @param {string} slot - The time slot string.
+ * @returns {ParsedTimeSlot | null} The parsed slot, or null if the string cannot be parsed.
+ * @example
+ * parseTimeSlot("6:30-13:50"); // returns { start: 390, end: 830, minutes: 440 }
+ * parseTimeSlot("22:00-6:00"); // returns { start: 1320, end: 1800, minutes: 480 }
+ * parseTimeSlot("egész nap"); // returns null
+ */
+export const parseTimeSlot = (slot) => {
+  if (typeof slot !== "string") return null;
+  const parts = slot.split(/[-–]/);
+  if (parts.length !== 2) return null;
+  const start = parseTime(parts[0]);
+  let end = parseTime(parts[1]);
+  if (start === null || end === null || start === end) return null;
+  if (end < start) end += 24 * 60;
+  return { start, end, minutes: end - start };
+};
+
+/**
+ * Returns the number of hours a shift code counts as.
+ * A `countedHours` value set on the shift type (e.g. 8 hours for a day of paid leave) takes precedence;
+ * otherwise the length of the shift's time slot is used.
+ *
+ * @param {string} shiftCode - The shift code.
+ * @param {object.<string, string>} [timeSlots={}] - Mapping of shift codes to time slot strings.
+ * @param {Array<{code: string, countedHours?: number}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {number} The counted hours, or 0 if the shift has neither counted hours nor a (parsable) time slot.
+ */
+export const getShiftHours = (shiftCode, timeSlots = {}, shiftTypes = []) => {
+  if (!shiftCode) return 0;
+  const countedHours = findShiftType(shiftCode, shiftTypes)?.countedHours;
+  if (typeof countedHours === "number" && !isNaN(countedHours)) {
+    return countedHours;
+  }
+  const parsed = parseTimeSlot(timeSlots[shiftCode]);
+  return parsed ? parsed.minutes / 60 : 0;
+};
+
+/**
+ * Calculates the daily and total worked hours of a staff member.
+ *
+ * @param {object.<string, string>} [shifts={}] - Mapping of date keys to shift codes.
+ * @param {string[]} dateKeys - The date keys ('YYYY-MM-DD') to include.
+ * @param {object.<string, string>} [timeSlots={}] - Mapping of shift codes to time slot strings.
+ * @param {Array<{code: string, countedHours?: number}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {StaffHours} The daily hours and their sum.
+ */
+export const calculateStaffHours = (
+  shifts = {},
+  dateKeys = [],
+  timeSlots = {},
+  shiftTypes = [],
+) => {
+  const daily = {};
+  let total = 0;
+  dateKeys.forEach((dateKey) => {
+    const hours = getShiftHours(shifts?.[dateKey], timeSlots, shiftTypes);
+    daily[dateKey] = hours;
+    total += hours;
+  });
+  return { daily, total };
+};
+
+/**
+ * Compares worked hours with the contracted weekly hours of a staff member.
+ *
+ * @param {number} workedHours - The worked hours.
+ * @param {number | string | null | undefined} contractedHours - The contracted hours (empty means not set).
+ * @param {number} [tolerance=0] - Allowed difference in hours before a deviation is reported.
+ * @returns {HoursStatus} 'over', 'under', 'ok', or null if no contract value is set.
+ */
+export const compareWithContract = (
+  workedHours,
+  contractedHours,
+  tolerance = 0,
+) => {
+  if (
+    contractedHours === null ||
+    contractedHours === undefined ||
+    contractedHours === ""
+  ) {
+    return null;
+  }
+  const contracted = Number(contractedHours);
+  if (isNaN(contracted)) return null;
+  const diff = workedHours - contracted;
+  if (diff > tolerance + 1e-9) return "over";
+  if (diff < -tolerance - 1e-9) return "under";
+  return "ok";
+};
+
+/**
+ * Formats a number of hours as "H:MM" (e.g., 7.5 → "7:30").
+ *
+ * @param {number} hours - The hours to format.
+ * @returns {string} The formatted value.
+ * @example
+ * formatHours(36.5); // returns "36:30"
+ * formatHours(0); // returns "0:00"
+ */
+export const formatHours = (hours) => {
+  const totalMinutes = Math.round((Number(hours) || 0) * 60);
+  const sign = totalMinutes < 0 ? "-" : "";
+  const absolute = Math.abs(totalMinutes);
+  const h = Math.floor(absolute / 60);
+  const m = String(absolute % 60).padStart(2, "0");
+  return `${sign}${h}:${m}`;
+};
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseTimeSlot,
+  getShiftHours,
+  calculateStaffHours,
+  compareWithContract,
+  formatHours,
+} from "./hours";
+
+const timeSlots = {
+  DE: "6:30-13:50",
+  DU: "9:50-17:10",
+  K1: "6:00 - 14:20",
+  EJ: "22:00-6:00",
+  X: "egész nap",
+};
+
+describe("utils/hours", () => {
+  describe("parseTimeSlot", () => {
+    it("should parse slots in the stored format", () => {
+      expect(parseTimeSlot("6:30-13:50")).toEqual({
+        start: 390,
+        end: 830,
+        minutes: 440,
+      });
+      expect(parseTimeSlot("08:00–16:00")?.minutes).toBe(480);
+      expect(parseTimeSlot("6:00 - 14:20")?.minutes).toBe(500);
+    });
+
+    it("should handle slots ending after midnight", () => {
+      expect(parseTimeSlot("22:00-6:00")).toEqual({
+        start: 1320,
+        end: 1800,
+        minutes: 480,
+      });
+    });
+
+    it("should return null for invalid input", () => {
+      expect(parseTimeSlot("egész nap")).toBeNull();
+      expect(parseTimeSlot("25:00-13:00")).toBeNull();
+      expect(parseTimeSlot("8:00-8:00")).toBeNull();
+      expect(parseTimeSlot(undefined)).toBeNull();
+    });
+  });
+
+  describe("getShiftHours", () => {
+    it("should return the slot length in hours", () => {
+      expect(getShiftHours("EJ", timeSlots)).toBe(8);
+      expect(getShiftHours("DE", timeSlots)).toBeCloseTo(7.333, 2);
+    });
+    it("should prefer the counted hours of the shift type", () => {
+      const shiftTypes = [
+        { code: "FSZ", kind: "paidLeave", countedHours: 8 },
+        { code: "DE", kind: "work" },
+        { code: "EJ", kind: "work", countedHours: 7 },
+      ];
+      expect(getShiftHours("FSZ", timeSlots, shiftTypes)).toBe(8);
+      expect(getShiftHours("EJ", timeSlots, shiftTypes)).toBe(7);
+      expect(getShiftHours("DE", timeSlots, shiftTypes)).toBeCloseTo(7.333, 2);
+    });
+    it("should return 0 for shifts without a parsable slot", () => {
+      expect(getShiftHours("X", timeSlots)).toBe(0);
+      expect(getShiftHours("FSZ", timeSlots)).toBe(0);
+      expect(getShiftHours("", timeSlots)).toBe(0);
+    });
+  });
+
+  describe("calculateStaffHours", () => {
+    it("should sum the daily hours of the given days only", () => {
+      const shifts = {
+        "2024-06-10": "EJ",
+        "2024-06-11": "K1",
+        "2024-06-12": "X",
+        "2024-06-17": "EJ",
+      };
+      const result = calculateStaffHours(
+        shifts,
+        ["2024-06-10", "2024-06-11", "2024-06-12", "2024-06-13"],
+        timeSlots,
+      );
+      expect(result.daily).toEqual({
+        "2024-06-10": 8,
+        "2024-06-11": 500 / 60,
+        "2024-06-12": 0,
+        "2024-06-13": 0,
+      });
+      expect(result.total).toBeCloseTo(16.333, 2);
+    });
+  });
+
+  describe("compareWithContract", () => {
+    it("should classify the worked hours", () => {
+      expect(compareWithContract(42, 40)).toBe("over");
+      expect(compareWithContract(38, 40)).toBe("under");
+      expect(compareWithContract(40, "40")).toBe("ok");
+      expect(compareWithContract(41, 40, 1)).toBe("ok");
+    });
+    it("should return null without a contract value", () => {
+      expect(compareWithContract(40, "")).toBeNull();
+      expect(compareWithContract(40, undefined)).toBeNull();
+      expect(compareWithContract(40, "abc")).toBeNull();
+    });
+  });
+
+  describe("formatHours", () => {
+    it("should format hours as H:MM", () => {
+      expect(formatHours(36.5)).toBe("36:30");
+      expect(formatHours(440 / 60)).toBe("7:20");
+      expect(formatHours(0)).toBe("0:00");
+      expect(formatHours(-1.25)).toBe("-1:15");
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import {
+  DEFAULT_ORGANIZATION_NAME,
+  buildOrganizationData,
+  normalizeEmail,
+} from "./organization";
+import { ROLES } from "./permissions";
+
+/**
+ * @typedef {object} InvitationCode - A registration code stored in `invitationCodes/{code}` (the document ID is the code).
+ * @property {string | null} organizationId - The organisation the new user joins (null: the user gets a new organisation of their own).
+ * @property {string} [organizationName] - The name of the organisation, shown in the code list.
+ * @property {import('./permissions').MemberRole | null} role - The role of the new member (null for a new organisation).
+ * @property {string} [unit] - The unit of a unit leader.
+ * @property {string | null} email - The only email address that may use the code (null: anyone).
+ * @property {number} maxUses - How many accounts may register with the code.
+ * @property {number} useCount - How many accounts have registered with it.
+ * @property {string[]} usedBy - The UIDs of these accounts.
+ * @property {Date | import('firebase/firestore').Timestamp} expiresAt - The code cannot be used after this time.
+ * @property {{uid: string, email: string}} [createdBy] - The member who created the code.
+ */
+
+/**
+ * @typedef {object} InvitationCodeOptions - The settings of a new invitation code chosen by the owner.
+ * @property {import('./permissions').MemberRole} role - The role of the new member.
+ * @property {string} [unit] - The unit of a unit leader.
+ * @property {string} [email] - Binds the code to an email address (empty: anyone may use it).
+ * @property {number} maxUses - How many accounts may register with the code.
+ * @property {number} validityDays - How many days the code is valid.
+ */
+
+/**
+ * @typedef {object} InvitationRedemption - The documents written when a new account redeems a code.
+ * @property {string} organizationId - The organisation the user joins (or their new organisation).
+ * @property {object | null} organization - The document of the new organisation (null when joining an existing one).
+ * @property {object | null} member - The member entry added to the existing organisation (`members.{uid}`).
+ * @property {object} profile - The profile of the user (`userProfiles/{uid}`).
+ */
+
+/**
+ * @constant {string} INVITATION_CODES_COLLECTION
+ * The top-level collection of the invitation codes. The codes are validated and redeemed
+ * under the Firestore security rules (`firestore.rules`).
+ */
+export const INVITATION_CODES_COLLECTION = "invitationCodes";
+
+/**
+ * @constant {string} INVITATION_CODE_ALPHABET
+ * The characters of a generated code (without the easily confused 0/O, 1/I/L).
+ */
+const INVITATION_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * @constant {number} INVITATION_CODE_LENGTH
+ * The length of a generated code. The code is the secret, so it must not be guessable.
+ */
+const INVITATION_CODE_LENGTH = 12;
+
+/**
+ * @constant {number} DEFAULT_CODE_VALIDITY_DAYS
+ * The default number of days a new code is valid.
+ */
+export const DEFAULT_CODE_VALIDITY_DAYS = 7;
+
+/**
+ * Generates a random invitation code.
+ *
+ * @returns {string} The code (e.g. 'K7QH2MXR9TWD').
+ */
+export const generateInvitationCode = () => {
+  const values = crypto.getRandomValues(
+    new Uint32Array(INVITATION_CODE_LENGTH),
+  );
+  return Array.from(
+    values,
+    (value) =>
+      INVITATION_CODE_ALPHABET[value % INVITATION_CODE_ALPHABET.length],
+  ).join("");
+};
+
+/**
+ * Normalizes a typed invitation code (upper case, without spaces and dashes).
+ *
+ * @param {string | null | undefined} code - The typed code.
+ * @returns {string} The normalized code (empty if none).
+ */
+export const normalizeInvitationCode = (code) =>
+  (code || "").replace(/[\s-]/g, "").toUpperCase();
+
+/**
+ * Converts a Firestore timestamp, a date or milliseconds to a date.
+ *
+ * @param {Date | import('firebase/firestore').Timestamp | number | null | undefined} value - The value.
+ * @returns {Date | null} The date, or null if the value is missing.
+ */
+export const toDateValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  return new Date(value);
+};
+
+/**
+ * Builds the document of a new invitation code of an organisation.
+ *
+ * @param {import('./organization').Organization} organization - The organisation the new users join.
+ * @param {InvitationCodeOptions} options - The settings chosen by the owner.
+ * @param {{uid: string, email?: string | null}} creator - The member who creates the code.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {InvitationCode} The code document.
+ */
+export const buildInvitationCodeData = (
+  organization,
+  options,
+  creator,
+  now = new Date(),
+) => {
+  const expiresAt = new Date(now);
+  expiresAt.setDate(expiresAt.getDate() + options.validityDays);
+  return {
+    organizationId: organization.id,
+    organizationName: organization.name,
+    role: options.role,
+    ...(options.role === ROLES.UNIT_LEADER && { unit: options.unit || "" }),
+    email: normalizeEmail(options.email) || null,
+    maxUses: Math.max(1, Math.floor(options.maxUses) || 1),
+    useCount: 0,
+    usedBy: [],
+    expiresAt,
+    createdBy: { uid: creator.uid, email: creator.email || "" },
+  };
+};
+
+/**
+ * Returns the state of an invitation code.
+ *
+ * @param {InvitationCode} codeData - The code document.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {'active' | 'expired' | 'usedUp'} The state.
+ */
+export const getInvitationCodeStatus = (codeData, now = new Date()) => {
+  if ((codeData.useCount || 0) >= codeData.maxUses) return "usedUp";
+  const expiresAt = toDateValue(codeData.expiresAt);
+  if (!expiresAt || expiresAt <= now) return "expired";
+  return "active";
+};
+
+/**
+ * Checks whether an account with an email address may register with a code. The Firestore rules
+ * enforce the same conditions; this check only provides the Hungarian error messages.
+ *
+ * @param {InvitationCode | null} codeData - The code document (null if the code does not exist).
+ * @param {string | null | undefined} email - The email address of the new account.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {string | null} The Hungarian error message, or null if the code can be used.
+ */
+export const validateInvitationCode = (codeData, email, now = new Date()) => {
+  if (!codeData) return "Érvénytelen meghívó kód!";
+  const status = getInvitationCodeStatus(codeData, now);
+  if (status === "usedUp") return "Ezt a meghívó kódot már felhasználták.";
+  if (status === "expired") return "A meghívó kód lejárt.";
+  if (codeData.email && codeData.email !== normalizeEmail(email)) {
+    return "A meghívó kód másik e-mail címhez tartozik.";
+  }
+  return null;
+};
+
+/**
+ * Plans the documents written when a new account redeems a code: the account joins the organisation
+ * of the code with its role, or gets a new organisation if the code belongs to none (e.g. the first
+ * code of a new installation). The code is stored with the membership, so that the rules can check it.
+ *
+ * @param {string} code - The normalized code.
+ * @param {InvitationCode} codeData - The code document.
+ * @param {{uid: string, email?: string | null}} user - The new account.
+ * @returns {InvitationRedemption} The planned documents.
+ */
+export const planInvitationRedemption = (code, codeData, user) => {
+  const organizationId = codeData.organizationId || user.uid;
+  const profile = {
+    email: user.email || "",
+    activeOrganizationId: organizationId,
+    invitationCode: code,
+  };
+  if (!codeData.organizationId) {
+    return {
+      organizationId,
+      organization: {
+        ...buildOrganizationData(user, DEFAULT_ORGANIZATION_NAME),
+        invitationCode: code,
+      },
+      member: null,
+      profile,
+    };
+  }
+  return {
+    organizationId,
+    organization: null,
+    member: {
+      email: user.email || "",
+      role: codeData.role || ROLES.VIEWER,
+      ...(codeData.role === ROLES.UNIT_LEADER && { unit: codeData.unit || "" }),
+      invitationCode: code,
+    },
+    profile,
+  };
+};
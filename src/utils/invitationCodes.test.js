@@ -0,0 +1,111 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildInvitationCodeData,
+  generateInvitationCode,
+  getInvitationCodeStatus,
+  normalizeInvitationCode,
+  planInvitationRedemption,
+  validateInvitationCode,
+} from "./invitationCodes";
+
+const now = new Date(2024, 5, 3, 12, 0);
+const organization = { id: "org1", name: "Napsugár Bölcsőde" };
+const codeData = buildInvitationCodeData(
+  organization,
+  {
+    role: "unitLeader",
+    unit: "I.",
+    email: " Uj@Example.com ",
+    maxUses: 1,
+    validityDays: 7,
+  },
+  { uid: "owner", email: "vezeto@example.com" },
+  now,
+);
+
+describe("utils/invitationCodes", () => {
+  describe("generateInvitationCode", () => {
+    it("should generate unambiguous upper-case codes", () => {
+      const code = generateInvitationCode();
+      expect(code).toMatch(/^[A-HJKMNP-Z2-9]{12}$/);
+      expect(generateInvitationCode()).not.toBe(code);
+      expect(normalizeInvitationCode(" k7qh-2mxr 9twd ")).toBe("K7QH2MXR9TWD");
+    });
+  });
+
+  describe("buildInvitationCodeData", () => {
+    it("should store the organisation, the role, the bound email and the expiry", () => {
+      expect(codeData).toMatchObject({
+        organizationId: "org1",
+        role: "unitLeader",
+        unit: "I.",
+        email: "uj@example.com",
+        maxUses: 1,
+        useCount: 0,
+        usedBy: [],
+      });
+      expect(codeData.expiresAt).toEqual(new Date(2024, 5, 10, 12, 0));
+    });
+  });
+
+  describe("validateInvitationCode", () => {
+    it("should reject missing, expired, used up and foreign codes", () => {
+      expect(validateInvitationCode(null, "uj@example.com", now)).toBe(
+        "Érvénytelen meghívó kód!",
+      );
+      expect(
+        validateInvitationCode(codeData, "UJ@example.com", now),
+      ).toBeNull();
+      expect(validateInvitationCode(codeData, "mas@example.com", now)).toBe(
+        "A meghívó kód másik e-mail címhez tartozik.",
+      );
+      expect(
+        validateInvitationCode(
+          codeData,
+          "uj@example.com",
+          new Date(2024, 5, 11),
+        ),
+      ).toBe("A meghívó kód lejárt.");
+      expect(getInvitationCodeStatus({ ...codeData, useCount: 1 }, now)).toBe(
+        "usedUp",
+      );
+    });
+  });
+
+  describe("planInvitationRedemption", () => {
+    const user = { uid: "u1", email: "uj@example.com" };
+
+    it("should add the member with the role of the code", () => {
+      expect(planInvitationRedemption("CODE", codeData, user)).toEqual({
+        organizationId: "org1",
+        organization: null,
+        member: {
+          email: "uj@example.com",
+          role: "unitLeader",
+          unit: "I.",
+          invitationCode: "CODE",
+        },
+        profile: {
+          email: "uj@example.com",
+          activeOrganizationId: "org1",
+          invitationCode: "CODE",
+        },
+      });
+    });
+
+    it("should create an own organisation for a code without one", () => {
+      const redemption = planInvitationRedemption(
+        "FIRST",
+        { ...codeData, organizationId: null, role: null },
+        user,
+      );
+      expect(redemption.organizationId).toBe("u1");
+      expect(redemption.organization).toMatchObject({
+        ownerId: "u1",
+        memberIds: ["u1"],
+        invitationCode: "FIRST",
+      });
+      expect(redemption.member).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { getShiftKind } from "./shiftKinds";
+import { getCurrentMonday, toDateKey } from "./helpers";
+
+/**
+ * @typedef {object} LeaveBalance - The paid leave balance of a staff member for a year.
+ * @property {number} entitlement - The yearly leave entitlement in days.
+ * @property {number} used - The number of leave days assigned in the year up to today.
+ * @property {number} remaining - The number of days still available (negative if the entitlement is exceeded).
+ */
+
+/**
+ * @constant {string[]} LEAVE_KINDS
+ * Shift kinds that are deducted from the yearly leave entitlement.
+ */
+export const LEAVE_KINDS = ["paidLeave"];
+
+/**
+ * Checks whether a shift code is deducted from the yearly leave entitlement.
+ *
+ * @param {string} shiftCode - The shift code.
+ * @param {Array<{code: string, kind?: string}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {boolean} True if the code is a paid leave shift.
+ */
+export const isLeaveShift = (shiftCode, shiftTypes = []) =>
+  LEAVE_KINDS.includes(getShiftKind(shiftCode, shiftTypes));
+
+/**
+ * @typedef {object} LeavePeriod - The days counted for the year-to-date leave balance of a year.
+ * @property {string} firstWeekStartDate - The Monday of the week of January 1, which may be in December ('YYYY-MM-DD').
+ * @property {string} lastWeekStartDate - The Monday of the week of the last counted day ('YYYY-MM-DD').
+ * @property {string} lastDateKey - The last counted day: today, or December 31 of a past year ('YYYY-MM-DD').
+ */
+
+/**
+ * Returns the period counted for the year-to-date leave balance of a year, and the weekly schedules
+ * (by their week start dates, the IDs of the weekly documents) overlapping it.
+ *
+ * @param {number} year - The calendar year.
+ * @param {Date} [today=new Date()] - The current date.
+ * @returns {LeavePeriod} The counted period.
+ * @example
+ * getLeavePeriod(2025, new Date(2025, 0, 2));
+ * // returns { firstWeekStartDate: '2024-12-30', lastWeekStartDate: '2024-12-30', lastDateKey: '2025-01-02' }
+ */
+export const getLeavePeriod = (year, today = new Date()) => {
+  // Noon keeps the date keys in the same day in every time zone
+  const lastDate =
+    today.getFullYear() > year
+      ? new Date(year, 11, 31, 12)
+      : new Date(today.getFullYear(), today.getMonth(), today.getDate(), 12);
+  return {
+    firstWeekStartDate: toDateKey(getCurrentMonday(new Date(year, 0, 1, 12))),
+    lastWeekStartDate: toDateKey(getCurrentMonday(lastDate)),
+    lastDateKey: toDateKey(lastDate),
+  };
+};
+
+/**
+ * Counts the leave days in a shift mapping that fall into the given year.
+ *
+ * @param {object.<string, string>} [shifts={}] - Mapping of date keys ('YYYY-MM-DD') to shift codes.
+ * @param {number} year - The calendar year (e.g., 2024).
+ * @param {Array<{code: string, kind?: string}>} [shiftTypes=[]] - The defined shift types.
+ * @param {string} [lastDateKey] - If given, only the days up to this day ('YYYY-MM-DD', inclusive) are counted.
+ * @returns {number} The number of leave days.
+ */
+export const countLeaveDays = (
+  shifts = {},
+  year,
+  shiftTypes = [],
+  lastDateKey,
+) =>
+  Object.entries(shifts || {}).filter(
+    ([dateKey, code]) =>
+      dateKey.startsWith(`${year}-`) &&
+      (!lastDateKey || dateKey <= lastDateKey) &&
+      isLeaveShift(code, shiftTypes),
+  ).length;
+
+/**
+ * Sums the leave days of every staff member in a year over a list of weekly schedules.
+ * Weeks spanning the turn of the year only contribute the days of the given year.
+ *
+ * @param {Array<{staff?: Array<{staffId: string, shifts?: object.<string, string>}>}>} schedules - The weekly schedule documents.
+ * @param {number} year - The calendar year.
+ * @param {Array<{code: string, kind?: string}>} [shiftTypes=[]] - The defined shift types.
+ * @param {string} [lastDateKey] - If given, only the days up to this day ('YYYY-MM-DD', inclusive) are counted.
+ * @returns {object.<string, number>} Mapping of staff IDs to used leave days (staff without leave are omitted).
+ */
+export const calculateLeaveUsage = (
+  schedules = [],
+  year,
+  shiftTypes = [],
+  lastDateKey,
+) => {
+  const usage = {};
+  schedules.forEach((schedule) => {
+    (schedule?.staff || []).forEach((staff) => {
+      const days = countLeaveDays(staff.shifts, year, shiftTypes, lastDateKey);
+      if (days > 0) {
+        usage[staff.staffId] = (usage[staff.staffId] || 0) + days;
+      }
+    });
+  });
+  return usage;
+};
+
+/**
+ * Builds the leave balance of a staff member.
+ *
+ * @param {number | string | null | undefined} entitlement - The yearly entitlement in days (empty means not set).
+ * @param {number} [used=0] - The used leave days.
+ * @returns {LeaveBalance | null} The balance, or null if no entitlement is set.
+ */
+export const getLeaveBalance = (entitlement, used = 0) => {
+  if (entitlement === null || entitlement === undefined || entitlement === "") {
+    return null;
+  }
+  const days = Number(entitlement);
+  if (isNaN(days)) return null;
+  return { entitlement: days, used, remaining: days - used };
+};
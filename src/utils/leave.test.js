@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import {
+  isLeaveShift,
+  countLeaveDays,
+  calculateLeaveUsage,
+  getLeaveBalance,
+  getLeavePeriod,
+} from "./leave";
+
+const shiftTypes = [
+  { code: "DE", kind: "work" },
+  { code: "FSZ", kind: "paidLeave" },
+  { code: "TP", kind: "sickLeave" },
+];
+
+describe("utils/leave", () => {
+  describe("isLeaveShift", () => {
+    it("should only accept paid leave codes", () => {
+      expect(isLeaveShift("FSZ", shiftTypes)).toBe(true);
+      expect(isLeaveShift("TP", shiftTypes)).toBe(false);
+      expect(isLeaveShift("DE", shiftTypes)).toBe(false);
+      expect(isLeaveShift("", shiftTypes)).toBe(false);
+    });
+  });
+
+  describe("countLeaveDays", () => {
+    it("should count the leave days of the given year", () => {
+      const shifts = {
+        "2024-12-30": "FSZ",
+        "2024-12-31": "FSZ",
+        "2025-01-02": "FSZ",
+        "2025-01-03": "TP",
+      };
+      expect(countLeaveDays(shifts, 2024, shiftTypes)).toBe(2);
+      expect(countLeaveDays(shifts, 2025, shiftTypes)).toBe(1);
+      expect(countLeaveDays(undefined, 2025, shiftTypes)).toBe(0);
+      expect(countLeaveDays(shifts, 2024, shiftTypes, "2024-12-30")).toBe(1);
+    });
+  });
+
+  describe("getLeavePeriod", () => {
+    it("should start with the week of January 1 and end today", () => {
+      // 2025-01-01 is a Wednesday: its week starts in December
+      expect(getLeavePeriod(2025, new Date(2025, 0, 2, 8))).toEqual({
+        firstWeekStartDate: "2024-12-30",
+        lastWeekStartDate: "2024-12-30",
+        lastDateKey: "2025-01-02",
+      });
+      expect(getLeavePeriod(2025, new Date(2025, 5, 12, 23, 30))).toEqual({
+        firstWeekStartDate: "2024-12-30",
+        lastWeekStartDate: "2025-06-09",
+        lastDateKey: "2025-06-12",
+      });
+    });
+
+    it("should count past years to December 31", () => {
+      // 2024-12-31 is a Tuesday, in the week starting on 2024-12-30
+      expect(getLeavePeriod(2024, new Date(2025, 2, 1))).toEqual({
+        firstWeekStartDate: "2024-01-01",
+        lastWeekStartDate: "2024-12-30",
+        lastDateKey: "2024-12-31",
+      });
+    });
+  });
+
+  describe("calculateLeaveUsage", () => {
+    it("should sum the leave days per staff member over all weeks", () => {
+      const schedules = [
+        {
+          staff: [
+            {
+              staffId: "a",
+              shifts: { "2024-06-10": "FSZ", "2024-06-11": "DE" },
+            },
+            { staffId: "b", shifts: { "2024-06-10": "TP" } },
+          ],
+        },
+        {
+          staff: [
+            {
+              staffId: "a",
+              shifts: { "2024-06-17": "FSZ", "2023-06-19": "FSZ" },
+            },
+          ],
+        },
+        {},
+      ];
+      expect(calculateLeaveUsage(schedules, 2024, shiftTypes)).toEqual({
+        a: 2,
+      });
+    });
+
+    it("should count only the days of the year up to the last day from the boundary weeks", () => {
+      const schedules = [
+        {
+          staff: [
+            {
+              staffId: "a",
+              shifts: { "2024-12-31": "FSZ", "2025-01-02": "FSZ" },
+            },
+          ],
+        },
+        {
+          staff: [
+            {
+              staffId: "a",
+              shifts: { "2025-12-30": "FSZ", "2026-01-02": "FSZ" },
+            },
+          ],
+        },
+      ];
+      expect(calculateLeaveUsage(schedules, 2025, shiftTypes)).toEqual({
+        a: 2,
+      });
+      expect(
+        calculateLeaveUsage(schedules, 2025, shiftTypes, "2025-12-29"),
+      ).toEqual({ a: 1 });
+    });
+  });
+
+  describe("getLeaveBalance", () => {
+    it("should calculate the remaining days", () => {
+      expect(getLeaveBalance(20, 5)).toEqual({
+        entitlement: 20,
+        used: 5,
+        remaining: 15,
+      });
+      expect(getLeaveBalance("3", 4)?.remaining).toBe(-1);
+    });
+    it("should return null without an entitlement", () => {
+      expect(getLeaveBalance(null, 3)).toBeNull();
+      expect(getLeaveBalance("", 3)).toBeNull();
+      expect(getLeaveBalance(undefined)).toBeNull();
+    });
+  });
+});
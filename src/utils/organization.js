@@ -0,0 +1,163 @@
+import { toWeeklyDocument } from "./weeklyDocument";
+import { migrateSettings } from "./schemaMigrations";
+
+/**
+ * @typedef {object} Organization - A shared workspace (e.g. a nursery) whose members edit the same data.
+ * @property {string} id - The document ID of the organisation.
+ * @property {string} name - The display name.
+ * @property {string} ownerId - The UID of the member who manages the members and invitations.
+ * @property {string[]} memberIds - The UIDs of the members (queried with `array-contains`).
+ * @property {object.<string, {email: string}>} members - The members' details keyed by UID.
+ * @property {string[]} invitedEmails - The lower-case email addresses allowed to join.
+ */
+
+/**
+ * @typedef {object} MigrationWrite - A document copied into an organisation by the legacy migration.
+ * @property {string} path - The path of the new document.
+ * @property {object} data - The document data.
+ */
+
+/**
+ * @constant {string} ORGANIZATIONS_COLLECTION
+ * The top-level collection of the organisations. The settings, weekly schedules and audit log
+ * of an organisation are stored under its document.
+ */
+export const ORGANIZATIONS_COLLECTION = "organizations";
+
+/**
+ * @constant {string} USER_PROFILES_COLLECTION
+ * The top-level collection of the user profiles (`userProfiles/{uid}`), which store the active organisation.
+ */
+export const USER_PROFILES_COLLECTION = "userProfiles";
+
+/**
+ * @constant {string} LEGACY_DATA_COLLECTION
+ * The collection of the per-user data used before organisations (`userSchedules/{uid}`).
+ */
+export const LEGACY_DATA_COLLECTION = "userSchedules";
+
+/**
+ * @constant {string} DEFAULT_ORGANIZATION_NAME
+ * The name of the organisation created for a new or migrated account.
+ */
+export const DEFAULT_ORGANIZATION_NAME = "Saját bölcsőde";
+
+/**
+ * Returns the Firestore path of an organisation document, the root of its data.
+ *
+ * @param {string} organizationId - The organisation ID.
+ * @returns {string} The path (e.g. 'organizations/abc').
+ */
+export const getOrganizationPath = (organizationId) =>
+  `${ORGANIZATIONS_COLLECTION}/${organizationId}`;
+
+/**
+ * Normalizes an email address for the invitation lists (trimmed, lower case).
+ *
+ * @param {string | null | undefined} email - The email address.
+ * @returns {string} The normalized address (empty if none).
+ */
+export const normalizeEmail = (email) => (email || "").trim().toLowerCase();
+
+/**
+ * Builds the document of a new organisation with its creator as the owner and only member.
+ *
+ * @param {{uid: string, email?: string | null}} user - The creating user.
+ * @param {string} name - The name of the organisation.
+ * @returns {Omit<Organization, 'id'>} The organisation document.
+ */
+export const buildOrganizationData = (user, name) => ({
+  name: name.trim() || DEFAULT_ORGANIZATION_NAME,
+  ownerId: user.uid,
+  memberIds: [user.uid],
+  members: { [user.uid]: { email: user.email || "" } },
+  invitedEmails: [],
+});
+
+/**
+ * Lists the members of an organisation: the owner first, then the others by email.
+ *
+ * @param {Organization | null} organization - The organisation.
+ * @returns {Array<{uid: string, email: string, isOwner: boolean}>} The members.
+ */
+export const getOrganizationMembers = (organization) =>
+  (organization?.memberIds || [])
+    .map((uid) => ({
+      uid,
+      email: organization.members?.[uid]?.email || "",
+      isOwner: uid === organization.ownerId,
+    }))
+    .sort(
+      (a, b) =>
+        Number(b.isOwner) - Number(a.isOwner) || a.email.localeCompare(b.email),
+    );
+
+/**
+ * Checks an email address before it is invited to an organisation.
+ *
+ * @param {Organization} organization - The organisation.
+ * @param {string} email - The email address to invite.
+ * @returns {string | null} The Hungarian error message, or null if the address can be invited.
+ */
+export const validateInvitationEmail = (organization, email) => {
+  const normalized = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    return "Érvénytelen e-mail cím.";
+  }
+  if (
+    getOrganizationMembers(organization).some(
+      (member) => normalizeEmail(member.email) === normalized,
+    )
+  ) {
+    return "Ez a felhasználó már tagja a szervezetnek.";
+  }
+  if ((organization.invitedEmails || []).includes(normalized)) {
+    return "Erre a címre már van meghívó.";
+  }
+  return null;
+};
+
+/**
+ * Plans the copy of a user's legacy data (`userSchedules/{uid}`) into an organisation: the global settings,
+ * the weekly schedules with their snapshots and the audit log keep their document IDs.
+ * The copied documents are stored in the current schema version (see `utils/schemaMigrations`);
+ * the weeks start at revision 1.
+ *
+ * @param {object} data - The legacy data.
+ * @param {object | null} data.settings - The global settings document.
+ * @param {object.<string, object>} data.weeklySchedules - The weekly schedules keyed by week start date.
+ * @param {object.<string, object.<string, object>>} [data.snapshots={}] - The snapshots keyed by week start date and snapshot ID.
+ * @param {object.<string, object>} [data.auditLog={}] - The audit entries keyed by document ID.
+ * @param {string} organizationId - The target organisation.
+ * @returns {MigrationWrite[]} The documents to write, the settings first.
+ */
+export const planLegacyMigration = (
+  { settings, weeklySchedules, snapshots = {}, auditLog = {} },
+  organizationId,
+) => {
+  const root = getOrganizationPath(organizationId);
+  return [
+    ...(settings
+      ? [
+          {
+            path: `${root}/settings/global`,
+            data: migrateSettings(settings).data,
+          },
+        ]
+      : []),
+    ...Object.entries(weeklySchedules).map(([weekId, data]) => ({
+      path: `${root}/weeklySchedules/${weekId}`,
+      data: toWeeklyDocument({ ...data, revision: 1 }),
+    })),
+    ...Object.entries(snapshots).flatMap(([weekId, weekSnapshots]) =>
+      Object.entries(weekSnapshots).map(([snapshotId, data]) => ({
+        path: `${root}/weeklySchedules/${weekId}/snapshots/${snapshotId}`,
+        data,
+      })),
+    ),
+    ...Object.entries(auditLog).map(([entryId, data]) => ({
+      path: `${root}/auditLog/${entryId}`,
+      data,
+    })),
+  ];
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildOrganizationData,
+  getOrganizationMembers,
+  normalizeEmail,
+  planLegacyMigration,
+  validateInvitationEmail,
+} from "./organization";
+
+const organization = {
+  id: "org1",
+  name: "Napsugár Bölcsőde",
+  ownerId: "u2",
+  memberIds: ["u1", "u2"],
+  members: {
+    u1: { email: "helyettes@example.com" },
+    u2: { email: "vezeto@example.com" },
+  },
+  invitedEmails: ["uj@example.com"],
+};
+
+describe("utils/organization", () => {
+  describe("buildOrganizationData", () => {
+    it("should make the creator the owner and only member", () => {
+      expect(
+        buildOrganizationData({ uid: "u1", email: "a@example.com" }, "  "),
+      ).toEqual({
+        name: "Saját bölcsőde",
+        ownerId: "u1",
+        memberIds: ["u1"],
+        members: { u1: { email: "a@example.com" } },
+        invitedEmails: [],
+      });
+    });
+  });
+
+  describe("getOrganizationMembers", () => {
+    it("should list the owner first", () => {
+      expect(getOrganizationMembers(organization)).toEqual([
+        { uid: "u2", email: "vezeto@example.com", isOwner: true },
+        { uid: "u1", email: "helyettes@example.com", isOwner: false },
+      ]);
+      expect(getOrganizationMembers(null)).toEqual([]);
+    });
+  });
+
+  describe("validateInvitationEmail", () => {
+    it("should reject invalid, member and already invited addresses", () => {
+      expect(validateInvitationEmail(organization, "nem-email")).toBe(
+        "Érvénytelen e-mail cím.",
+      );
+      expect(
+        validateInvitationEmail(organization, " Vezeto@Example.com "),
+      ).toBe("Ez a felhasználó már tagja a szervezetnek.");
+      expect(validateInvitationEmail(organization, "UJ@example.com")).toBe(
+        "Erre a címre már van meghívó.",
+      );
+      expect(
+        validateInvitationEmail(organization, "masik@example.com"),
+      ).toBeNull();
+      expect(normalizeEmail(" A@B.hu ")).toBe("a@b.hu");
+    });
+  });
+
+  describe("planLegacyMigration", () => {
+    it("should keep the document IDs under the organisation", () => {
+      const writes = planLegacyMigration(
+        {
+          settings: { units: ["I."] },
+          weeklySchedules: {
+            "2024-06-03": {
+              weekStartDate: "2024-06-03",
+              staff: [{ staffId: "s1", shifts: { "2024-06-03": "DE" } }],
+            },
+          },
+          snapshots: { "2024-06-03": { snap1: { name: "Péntek" } } },
+          auditLog: { entry1: { field: "shift" } },
+        },
+        "u1",
+      );
+      expect(writes.map((write) => write.path)).toEqual([
+        "organizations/u1/settings/global",
+        "organizations/u1/weeklySchedules/2024-06-03",
+        "organizations/u1/weeklySchedules/2024-06-03/snapshots/snap1",
+        "organizations/u1/auditLog/entry1",
+      ]);
+      expect(writes[0].data).toEqual({ units: ["I."], schemaVersion: 3 });
+      expect(writes[1].data).toEqual({
+        weekStartDate: "2024-06-03",
+        schemaVersion: 1,
+        revision: 1,
+        rows: {
+          s1: {
+            staffId: "s1",
+            name: "",
+            unit: "",
+            group: "",
+            jobTitle: "",
+            shifts: { "2024-06-03": "DE" },
+          },
+        },
+      });
+      expect(
+        planLegacyMigration({ settings: null, weeklySchedules: {} }, "u1"),
+      ).toEqual([]);
+    });
+  });
+});
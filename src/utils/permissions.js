@@ -0,0 +1,113 @@
+/**
+ * @typedef {'owner' | 'editor' | 'unitLeader' | 'viewer'} MemberRole - The role of a member in an organisation.
+ */
+
+/**
+ * @typedef {object} Permissions - What the logged-in member may do in the active organisation.
+ * @property {MemberRole | null} role - The role of the member (null if not a member).
+ * @property {string} unit - The unit of a unit leader (empty for the other roles).
+ * @property {boolean} canManageMembers - Invite and remove members and change their roles.
+ * @property {boolean} canEditSettings - Edit the categories, the staff list, the coverage rules and the calendar.
+ * @property {boolean} canEditShiftTypes - Add and edit shift types.
+ * @property {boolean} canDeleteStaff - Delete staff members from the staff list (or replace it with demo data).
+ * @property {boolean} canDeleteShiftTypes - Delete shift types.
+ * @property {boolean} canEditAllRows - Edit the weekly data of every staff member.
+ * @property {boolean} canEditWeek - Edit the weekly data of at least some staff members.
+ * @property {boolean} canEditWholeWeek - Run the week-wide operations: copying, the automatic filling and snapshot rollbacks.
+ * @property {boolean} canRestoreBackup - Restore a backup over the data of the organisation.
+ */
+
+/**
+ * @constant {object.<string, MemberRole>} ROLES
+ * The member roles. The owner of an organisation is always `owner`; the others are stored in `members.{uid}.role`.
+ */
+export const ROLES = {
+  OWNER: "owner",
+  EDITOR: "editor",
+  UNIT_LEADER: "unitLeader",
+  VIEWER: "viewer",
+};
+
+/**
+ * @constant {object.<MemberRole, string>} ROLE_LABELS
+ * The Hungarian names of the roles.
+ */
+export const ROLE_LABELS = {
+  owner: "Tulajdonos",
+  editor: "Szerkesztő",
+  unitLeader: "Egységvezető",
+  viewer: "Megtekintő",
+};
+
+/**
+ * @constant {MemberRole[]} ASSIGNABLE_ROLES
+ * The roles the owner can give to the other members.
+ */
+export const ASSIGNABLE_ROLES = [ROLES.EDITOR, ROLES.UNIT_LEADER, ROLES.VIEWER];
+
+/**
+ * @constant {MemberRole} DEFAULT_MEMBER_ROLE
+ * The role of members without a stored role (e.g. the members who joined before roles existed).
+ */
+export const DEFAULT_MEMBER_ROLE = ROLES.EDITOR;
+
+/**
+ * Returns the role of a user in an organisation.
+ *
+ * @param {import('./organization').Organization | null} organization - The organisation.
+ * @param {string | null | undefined} uid - The user ID.
+ * @returns {MemberRole | null} The role, or null if the user is not a member.
+ */
+export const getMemberRole = (organization, uid) => {
+  if (!organization || !uid || !organization.memberIds?.includes(uid)) {
+    return null;
+  }
+  if (organization.ownerId === uid) return ROLES.OWNER;
+  const role = organization.members?.[uid]?.role;
+  return ASSIGNABLE_ROLES.includes(role) ? role : DEFAULT_MEMBER_ROLE;
+};
+
+/**
+ * Resolves the permissions of a user in an organisation:
+ * - the owner may do everything,
+ * - an editor may edit the schedules and the settings, but not delete staff members or shift types,
+ *   restore backups or manage the members,
+ * - a unit leader may only edit the weekly rows whose effective unit is their unit,
+ * - a viewer may only view the data.
+ *
+ * @param {import('./organization').Organization | null} organization - The organisation.
+ * @param {string | null | undefined} uid - The user ID.
+ * @returns {Permissions} The permissions.
+ */
+export const getPermissions = (organization, uid) => {
+  const role = getMemberRole(organization, uid);
+  const isOwner = role === ROLES.OWNER;
+  const canEdit = isOwner || role === ROLES.EDITOR;
+  const unit =
+    role === ROLES.UNIT_LEADER ? organization.members?.[uid]?.unit || "" : "";
+  return {
+    role,
+    unit,
+    canManageMembers: isOwner,
+    canEditSettings: canEdit,
+    canEditShiftTypes: canEdit,
+    canDeleteStaff: isOwner,
+    canDeleteShiftTypes: isOwner,
+    canEditAllRows: canEdit,
+    canEditWeek: canEdit || !!unit,
+    canEditWholeWeek: canEdit,
+    canRestoreBackup: isOwner,
+  };
+};
+
+/**
+ * Checks whether the weekly data of a staff row may be edited: editors edit every row,
+ * unit leaders only the rows whose effective unit (the weekly override or the default unit) is theirs.
+ *
+ * @param {Permissions} permissions - The permissions of the user.
+ * @param {{unit?: string}} row - The staff row (e.g. a `StaffRow` of `buildStaffByUnit`).
+ * @returns {boolean} True if the row may be edited.
+ */
+export const canEditStaffRow = (permissions, row) =>
+  permissions.canEditAllRows ||
+  (!!permissions.unit && (row?.unit || "") === permissions.unit);
@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { canEditStaffRow, getMemberRole, getPermissions } from "./permissions";
+
+const organization = {
+  ownerId: "owner",
+  memberIds: ["owner", "editor", "leader", "viewer", "legacy"],
+  members: {
+    owner: { email: "owner@example.com" },
+    editor: { email: "editor@example.com", role: "editor" },
+    leader: { email: "leader@example.com", role: "unitLeader", unit: "I." },
+    viewer: { email: "viewer@example.com", role: "viewer" },
+    legacy: { email: "legacy@example.com" },
+  },
+};
+
+describe("utils/permissions", () => {
+  describe("getMemberRole", () => {
+    it("should resolve the owner, the stored roles and the default role", () => {
+      expect(getMemberRole(organization, "owner")).toBe("owner");
+      expect(getMemberRole(organization, "leader")).toBe("unitLeader");
+      expect(getMemberRole(organization, "legacy")).toBe("editor");
+      expect(getMemberRole(organization, "stranger")).toBeNull();
+      expect(getMemberRole(null, "owner")).toBeNull();
+    });
+  });
+
+  describe("getPermissions", () => {
+    it("should keep deletions and member management for the owner", () => {
+      expect(getPermissions(organization, "owner")).toMatchObject({
+        canManageMembers: true,
+        canDeleteStaff: true,
+        canRestoreBackup: true,
+      });
+      expect(getPermissions(organization, "editor")).toMatchObject({
+        canEditSettings: true,
+        canEditAllRows: true,
+        canDeleteStaff: false,
+        canDeleteShiftTypes: false,
+        canManageMembers: false,
+      });
+    });
+
+    it("should limit unit leaders and viewers", () => {
+      expect(getPermissions(organization, "leader")).toMatchObject({
+        unit: "I.",
+        canEditWeek: true,
+        canEditAllRows: false,
+        canEditWholeWeek: false,
+        canEditSettings: false,
+      });
+      const viewer = getPermissions(organization, "viewer");
+      expect(viewer.canEditWeek).toBe(false);
+      expect(canEditStaffRow(viewer, { unit: "" })).toBe(false);
+    });
+  });
+
+  describe("canEditStaffRow", () => {
+    it("should allow unit leaders only the rows of their unit", () => {
+      const leader = getPermissions(organization, "leader");
+      expect(canEditStaffRow(leader, { unit: "I." })).toBe(true);
+      expect(canEditStaffRow(leader, { unit: "II." })).toBe(false);
+      expect(canEditStaffRow(leader, { unit: "" })).toBe(false);
+      expect(
+        canEditStaffRow(getPermissions(organization, "editor"), { unit: "" }),
+      ).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { buildStaffByUnit } from "./staffRows";
+
+/**
+ * @typedef {object} DiffCell - A day of a staff member in the comparison of two schedules.
+ * @property {string} dateKey - The day ('YYYY-MM-DD').
+ * @property {string} oldCode - The shift code in the older schedule (empty if none).
+ * @property {string} newCode - The shift code in the newer schedule (empty if none).
+ * @property {boolean} isChanged - True if the codes differ.
+ */
+
+/**
+ * @typedef {import('./staffRows').StaffRow & {previous: {name: string, displayUnit: string, displayGroup: string, displayJobTitle: string}, changedFields: string[], cells: DiffCell[], isChanged: boolean}} DiffRow
+ * A staff row of the newer schedule with the values of the older schedule and the differences.
+ */
+
+/**
+ * @typedef {object} ScheduleDiff - The cell-by-cell comparison of two versions of a weekly schedule.
+ * @property {Array<{unit: string, rows: DiffRow[]}>} units - The staff rows grouped by unit as in the newer schedule.
+ * @property {number} changeCount - The number of changed cells and weekly overrides.
+ */
+
+/**
+ * @constant {string[]} COMPARED_FIELDS
+ * The effective staff fields compared besides the shifts (the weekly name, unit, group and job title).
+ */
+const COMPARED_FIELDS = ["name", "unit", "group", "jobTitle"];
+
+/**
+ * Compares two versions of a weekly schedule (e.g. two snapshots) cell by cell. Both versions are
+ * combined with the current staff list the same way as in the schedule table, so only active staff
+ * members are compared, and the rows are grouped and ordered by the newer version.
+ *
+ * @param {object} params - The parameters.
+ * @param {object} params.globalSettings - The global settings (staff list and categories).
+ * @param {object | null} params.before - The older schedule (`{weekStartDate, staff}`), null for an empty week.
+ * @param {object | null} params.after - The newer schedule, null for an empty week.
+ * @param {string[]} params.dateKeys - The compared days ('YYYY-MM-DD').
+ * @returns {ScheduleDiff} The comparison.
+ */
+export const buildScheduleDiff = ({
+  globalSettings,
+  before,
+  after,
+  dateKeys,
+}) => {
+  const beforeRows = new Map(
+    Object.values(buildStaffByUnit(globalSettings, before?.staff))
+      .flat()
+      .map((row) => [row.staffId, row]),
+  );
+  let changeCount = 0;
+
+  const units = Object.entries(
+    buildStaffByUnit(globalSettings, after?.staff),
+  ).map(([unit, rows]) => ({
+    unit,
+    rows: rows.map((row) => {
+      const oldRow = beforeRows.get(row.staffId) || row;
+      const changedFields = COMPARED_FIELDS.filter(
+        (field) => (oldRow[field] || "") !== (row[field] || ""),
+      );
+      const cells = dateKeys.map((dateKey) => {
+        const oldCode = oldRow.shifts[dateKey] || "";
+        const newCode = row.shifts[dateKey] || "";
+        return { dateKey, oldCode, newCode, isChanged: oldCode !== newCode };
+      });
+      const rowChangeCount =
+        changedFields.length + cells.filter((cell) => cell.isChanged).length;
+      changeCount += rowChangeCount;
+      return {
+        ...row,
+        previous: {
+          name: oldRow.name,
+          displayUnit: oldRow.displayUnit,
+          displayGroup: oldRow.displayGroup,
+          displayJobTitle: oldRow.displayJobTitle,
+        },
+        changedFields,
+        cells,
+        isChanged: rowChangeCount > 0,
+      };
+    }),
+  }));
+
+  return { units, changeCount };
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from "vitest";
+import { buildScheduleDiff } from "./scheduleDiff";
+
+const globalSettings = {
+  units: ["I.", "II."],
+  groups: [],
+  jobTitles: [],
+  staffList: [
+    { id: "s1", name: "Anna", defaultUnit: "I.", isActive: true, sortOrder: 0 },
+    { id: "s2", name: "Béla", defaultUnit: "I.", isActive: true, sortOrder: 1 },
+    {
+      id: "s3",
+      name: "Cili",
+      defaultUnit: "I.",
+      isActive: false,
+      sortOrder: 2,
+    },
+  ],
+};
+const dateKeys = ["2024-06-03", "2024-06-04"];
+
+describe("utils/scheduleDiff", () => {
+  describe("buildScheduleDiff", () => {
+    it("should mark the changed cells and weekly overrides", () => {
+      const diff = buildScheduleDiff({
+        globalSettings,
+        before: {
+          weekStartDate: "2024-06-03",
+          staff: [
+            {
+              staffId: "s1",
+              shifts: { "2024-06-03": "DE", "2024-06-04": "DU" },
+            },
+            { staffId: "s3", shifts: { "2024-06-03": "DE" } },
+          ],
+        },
+        after: {
+          weekStartDate: "2024-06-03",
+          staff: [
+            {
+              staffId: "s1",
+              unit: "II.",
+              shifts: { "2024-06-03": "DE", "2024-06-04": "TP" },
+            },
+            { staffId: "s3", shifts: { "2024-06-03": "DU" } },
+          ],
+        },
+        dateKeys,
+      });
+
+      expect(diff.units.map((unit) => unit.unit)).toEqual(["I.", "II."]);
+      const [anna] = diff.units[1].rows;
+      expect(anna.changedFields).toEqual(["unit"]);
+      expect(anna.previous.displayUnit).toBe("I.");
+      expect(anna.cells).toEqual([
+        {
+          dateKey: "2024-06-03",
+          oldCode: "DE",
+          newCode: "DE",
+          isChanged: false,
+        },
+        {
+          dateKey: "2024-06-04",
+          oldCode: "DU",
+          newCode: "TP",
+          isChanged: true,
+        },
+      ]);
+      expect(diff.units[0].rows[0]).toMatchObject({
+        staffId: "s2",
+        isChanged: false,
+      });
+      // The inactive staff member is not compared
+      expect(diff.changeCount).toBe(2);
+    });
+
+    it("should compare with an empty week", () => {
+      const diff = buildScheduleDiff({
+        globalSettings,
+        before: null,
+        after: { staff: [{ staffId: "s2", shifts: { "2024-06-04": "K" } }] },
+        dateKeys,
+      });
+      expect(diff.changeCount).toBe(1);
+      expect(diff.units[0].rows[1].cells[1]).toMatchObject({
+        oldCode: "",
+        newCode: "K",
+      });
+    });
+  });
+});
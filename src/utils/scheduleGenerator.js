@@ -0,0 +1,198 @@
+import { toDateKey } from "./helpers";
+import {
+  expandRules,
+  ruleAppliesOnDate,
+  ruleMatchesStaff,
+  shiftSatisfiesRule,
+} from "./coverage";
+import { isPresenceShift } from "./shiftKinds";
+
+/**
+ * @typedef {object} GeneratorStaffRow - A staff member's effective data for the week (as produced by `getStaffByUnit`).
+ * @property {string} staffId - Unique identifier of the staff member.
+ * @property {string} name - Staff member's name.
+ * @property {string} unit - Effective unit for the week.
+ * @property {string} group - Effective group for the week.
+ * @property {string} jobTitle - Effective job title for the week.
+ * @property {object.<string, string>} shifts - Mapping of date keys ('YYYY-MM-DD') to shift codes.
+ */
+
+/**
+ * @typedef {object} UnmetRequirement - A rule that could not be satisfied on a given day.
+ * @property {import('./coverage').CoverageRule} rule - The (expanded) rule that is not satisfied.
+ * @property {string} dateKey - The date ('YYYY-MM-DD') on which the rule is not satisfied.
+ * @property {number} missing - Number of staff members still missing.
+ */
+
+/**
+ * Counts how many times a staff member has a given shift code (or any shift if `code` is empty) in the week.
+ * @param {object.<string, string>} shifts - The staff member's shifts.
+ * @param {string} [code] - The shift code to count.
+ * @returns {number} The number of matching days.
+ */
+const countShifts = (shifts, code) =>
+  Object.values(shifts).filter((c) => (code ? c === code : !!c)).length;
+
+/**
+ * Returns the most frequently used work shift code among the given staff rows, or an empty string if there is none.
+ * Absence codes (leave, sick leave, etc.) are ignored so they are never proposed.
+ * @param {GeneratorStaffRow[]} rows - The rows to inspect.
+ * @param {Array<{code: string, kind?: string}>} shiftTypes - The defined shift types.
+ * @returns {string} The most frequent work shift code.
+ */
+const mostFrequentCode = (rows, shiftTypes) => {
+  const counts = {};
+  rows.forEach((row) =>
+    Object.values(row.shifts).forEach((code) => {
+      if (isPresenceShift(code, shiftTypes)) {
+        counts[code] = (counts[code] || 0) + 1;
+      }
+    }),
+  );
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? "";
+};
+
+/**
+ * Proposes shifts for the empty cells of a week.
+ *
+ * The generator works in two passes for each day:
+ * 1. Every applicable rule is satisfied by assigning its shift code to matching staff members whose
+ *    cell is still empty, preferring the people who had that shift the fewest times this week.
+ * 2. If `fillRemaining` is set, every remaining empty cell gets the shift code (out of the codes required
+ *    by the rules matching the person) that is least represented in the person's group that day.
+ *    People without any matching code get the most common work shift code of their unit.
+ *    Absence shift types are never proposed.
+ *
+ * Already assigned cells are never changed.
+ *
+ * @param {object} params - The generator parameters.
+ * @param {GeneratorStaffRow[]} params.staffRows - Active staff rows of the week in display order.
+ * @param {Date[]} params.weekDates - The days to fill.
+ * @param {import('./coverage').CoverageRule[]} [params.rules=[]] - The coverage rules to satisfy.
+ * @param {Array<{code: string, kind?: string}>} [params.shiftTypes=[]] - The defined shift types (the first work shift is the last-resort fallback).
+ * @param {boolean} [params.fillRemaining=true] - Whether to fill cells not required by any rule.
+ * @returns {{ proposedRows: GeneratorStaffRow[], unmet: UnmetRequirement[] }} The proposed rows and the unsatisfiable requirements.
+ */
+export const generateWeekSchedule = ({
+  staffRows = [],
+  weekDates = [],
+  rules = [],
+  shiftTypes = [],
+  fillRemaining = true,
+}) => {
+  const proposedRows = staffRows.map((row) => ({
+    ...row,
+    shifts: { ...(row.shifts || {}) },
+  }));
+  const concreteRules = expandRules(rules, proposedRows).filter(
+    (rule) => Number(rule.minCount) > 0,
+  );
+  const fallbackCode =
+    shiftTypes.find((type) => isPresenceShift(type.code, shiftTypes))?.code ||
+    "";
+  const unmet = [];
+
+  const codeForRow = (row) =>
+    mostFrequentCode(
+      proposedRows.filter((r) => r.unit === row.unit),
+      shiftTypes,
+    ) || fallbackCode;
+
+  weekDates.forEach((date) => {
+    const dateKey = toDateKey(date);
+
+    const dayRules = concreteRules.filter((rule) =>
+      ruleAppliesOnDate(rule, date),
+    );
+
+    // --- Pass 1: satisfy rules ---
+    dayRules.forEach((rule) => {
+      const matching = proposedRows.filter((row) =>
+        ruleMatchesStaff(rule, row),
+      );
+      const assigned = matching.filter((row) =>
+        shiftSatisfiesRule(rule, row.shifts[dateKey], shiftTypes),
+      ).length;
+      let missing = Number(rule.minCount) - assigned;
+
+      while (missing > 0) {
+        const candidates = matching.filter((row) => !row.shifts[dateKey]);
+        if (candidates.length === 0) break;
+        const chosen = candidates.reduce((best, row) => {
+          const code = rule.shiftCode || codeForRow(row);
+          const bestCode = rule.shiftCode || codeForRow(best);
+          const diff =
+            countShifts(row.shifts, code) - countShifts(best.shifts, bestCode);
+          if (diff !== 0) return diff < 0 ? row : best;
+          return countShifts(row.shifts) < countShifts(best.shifts)
+            ? row
+            : best;
+        });
+        const code = rule.shiftCode || codeForRow(chosen);
+        if (!code) break;
+        chosen.shifts[dateKey] = code;
+        missing -= 1;
+      }
+
+      if (missing > 0) unmet.push({ rule, dateKey, missing });
+    });
+
+    // --- Pass 2: fill everyone else ---
+    if (!fillRemaining) return;
+    proposedRows.forEach((row) => {
+      if (row.shifts[dateKey]) return;
+      const ruleCodes = [
+        ...new Set(
+          dayRules
+            .filter((rule) => rule.shiftCode && ruleMatchesStaff(rule, row))
+            .map((rule) => rule.shiftCode),
+        ),
+      ];
+      if (ruleCodes.length === 0) {
+        const code = codeForRow(row);
+        if (code) row.shifts[dateKey] = code;
+        return;
+      }
+      const peers = proposedRows.filter((r) =>
+        row.group ? r.group === row.group : r.unit === row.unit,
+      );
+      const countOnDay = (code) =>
+        peers.filter((r) => r.shifts[dateKey] === code).length;
+      const [bestCode] = [...ruleCodes].sort(
+        (a, b) =>
+          countOnDay(a) - countOnDay(b) ||
+          countShifts(row.shifts, a) - countShifts(row.shifts, b),
+      );
+      row.shifts[dateKey] = bestCode;
+    });
+  });
+
+  return { proposedRows, unmet };
+};
+
+/**
+ * Lists the cells that differ between two sets of staff rows for the given days.
+ *
+ * @param {GeneratorStaffRow[]} beforeRows - The original rows.
+ * @param {GeneratorStaffRow[]} afterRows - The modified rows.
+ * @param {string[]} dateKeys - The date keys ('YYYY-MM-DD') to compare.
+ * @returns {Array<{staffId: string, name: string, dateKey: string, before: string, after: string}>} The changed cells.
+ */
+export const diffStaffShifts = (
+  beforeRows = [],
+  afterRows = [],
+  dateKeys = [],
+) => {
+  const beforeMap = new Map(beforeRows.map((row) => [row.staffId, row]));
+  return afterRows.flatMap((row) =>
+    dateKeys
+      .map((dateKey) => ({
+        staffId: row.staffId,
+        name: row.name,
+        dateKey,
+        before: beforeMap.get(row.staffId)?.shifts?.[dateKey] || "",
+        after: row.shifts?.[dateKey] || "",
+      }))
+      .filter((cell) => cell.before !== cell.after),
+  );
+};
@@ -0,0 +1,204 @@
+import { describe, it, expect } from "vitest";
+import { generateWeekSchedule, diffStaffShifts } from "./scheduleGenerator";
+import { EACH_GROUP } from "./coverage";
+import { getWeekDates, toDateKey } from "./helpers";
+
+const weekDates = getWeekDates(new Date("2024-06-10T10:00:00Z"));
+const dateKeys = weekDates.map(toDateKey);
+
+const shiftTypes = [
+  { code: "DE", name: "Délelőtt", color: "#cce6ff" },
+  { code: "DU", name: "Délután", color: "#ffcc99" },
+  { code: "K1", name: "Konyha 1", color: "#d2b48c" },
+];
+
+const staffRows = [
+  {
+    staffId: "s1",
+    name: "Nagy Mária",
+    unit: "I.",
+    group: "Süni (A)",
+    jobTitle: "k.gy.n.",
+    shifts: {},
+  },
+  {
+    staffId: "s2",
+    name: "Kiss Józsefné",
+    unit: "I.",
+    group: "Süni (A)",
+    jobTitle: "k.gy.n.",
+    shifts: { [dateKeys[0]]: "TP" },
+  },
+  {
+    staffId: "s3",
+    name: "Varga Pál",
+    unit: "I.",
+    group: "Maci (B)",
+    jobTitle: "k.gy.n.",
+    shifts: {},
+  },
+  {
+    staffId: "s4",
+    name: "Kovács István",
+    unit: "Konyha",
+    group: "",
+    jobTitle: "szakács",
+    shifts: { [dateKeys[0]]: "K1" },
+  },
+];
+
+const eachGroupRules = [
+  {
+    id: "r1",
+    group: EACH_GROUP,
+    jobTitle: "k.gy.n.",
+    shiftCode: "DE",
+    minCount: 1,
+  },
+  {
+    id: "r2",
+    group: EACH_GROUP,
+    jobTitle: "k.gy.n.",
+    shiftCode: "DU",
+    minCount: 1,
+  },
+];
+
+describe("utils/scheduleGenerator", () => {
+  describe("generateWeekSchedule", () => {
+    it("should never overwrite existing cells", () => {
+      const { proposedRows } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+      });
+      expect(proposedRows[1].shifts[dateKeys[0]]).toBe("TP");
+      expect(proposedRows[3].shifts[dateKeys[0]]).toBe("K1");
+    });
+
+    it("should give Süni (A) one DE and one DU on days where both are available", () => {
+      const { proposedRows } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+      });
+      dateKeys.slice(1).forEach((dateKey) => {
+        const codes = proposedRows
+          .filter((r) => r.group === "Süni (A)")
+          .map((r) => r.shifts[dateKey])
+          .sort();
+        expect(codes).toEqual(["DE", "DU"]);
+      });
+    });
+
+    it("should report requirements that cannot be met", () => {
+      const { unmet } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+      });
+      // Maci (B) has a single k.gy.n., so either DE or DU is missing every day
+      const maciUnmet = unmet.filter((u) => u.rule.group === "Maci (B)");
+      expect(maciUnmet).toHaveLength(dateKeys.length);
+      // Süni (A) only lacks a second person on Monday (s2 is on sick leave)
+      const suniUnmet = unmet.filter((u) => u.rule.group === "Süni (A)");
+      expect(suniUnmet).toHaveLength(1);
+      expect(suniUnmet[0].dateKey).toBe(dateKeys[0]);
+    });
+
+    it("should fill staff without rules with the most common code of their unit", () => {
+      const { proposedRows } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+      });
+      dateKeys.forEach((dateKey) =>
+        expect(proposedRows[3].shifts[dateKey]).toBe("K1"),
+      );
+    });
+
+    it("should leave non-required cells empty when fillRemaining is false", () => {
+      const { proposedRows } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+        fillRemaining: false,
+      });
+      expect(proposedRows[3].shifts[dateKeys[1]]).toBeUndefined();
+    });
+
+    it("should only apply rules on their weekdays", () => {
+      const { proposedRows, unmet } = generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: [{ ...eachGroupRules[0], weekdays: [3] }],
+        shiftTypes,
+        fillRemaining: false,
+      });
+      // Only Wednesday is required, so Maci (B) gets a single DE shift
+      expect(proposedRows[2].shifts).toEqual({ [dateKeys[2]]: "DE" });
+      expect(unmet).toHaveLength(0);
+    });
+
+    it("should never propose absence shift types", () => {
+      const absenceFirst = [
+        { code: "FSZ", name: "Fizetett szabadság", kind: "paidLeave" },
+        ...shiftTypes,
+      ];
+      const rows = [
+        {
+          staffId: "k1",
+          name: "Kovács István",
+          unit: "Konyha",
+          group: "",
+          jobTitle: "szakács",
+          shifts: { [dateKeys[0]]: "FSZ", [dateKeys[1]]: "FSZ" },
+        },
+      ];
+      const { proposedRows } = generateWeekSchedule({
+        staffRows: rows,
+        weekDates,
+        rules: [{ id: "k", unit: "Konyha", minCount: 1 }],
+        shiftTypes: absenceFirst,
+      });
+      dateKeys
+        .slice(2)
+        .forEach((dateKey) =>
+          expect(proposedRows[0].shifts[dateKey]).toBe("DE"),
+        );
+    });
+
+    it("should not mutate the input rows", () => {
+      generateWeekSchedule({
+        staffRows,
+        weekDates,
+        rules: eachGroupRules,
+        shiftTypes,
+      });
+      expect(staffRows[0].shifts).toEqual({});
+    });
+  });
+
+  describe("diffStaffShifts", () => {
+    it("should list only the changed cells", () => {
+      const after = [
+        { ...staffRows[0], shifts: { [dateKeys[0]]: "DE" } },
+        staffRows[1],
+      ];
+      expect(diffStaffShifts(staffRows, after, dateKeys)).toEqual([
+        {
+          staffId: "s1",
+          name: "Nagy Mária",
+          dateKey: dateKeys[0],
+          before: "",
+          after: "DE",
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @typedef {object} SchemaMigration
+ * @property {number} version - The schema version of the documents the migration produces.
+ * @property {string} description - What the migration changes.
+ * @property {function(object): object} migrate - Upgrades a document of the previous schema version
+ * (returns a new object, the document is not mutated).
+ */
+
+/**
+ * @typedef {object} MigrationResult
+ * @property {object} data - The document in the current schema (the input itself if it was up to date).
+ * @property {boolean} migrated - True if any migration was applied, i.e. the stored document is outdated.
+ */
+
+/**
+ * @constant {string} SCHEMA_VERSION_FIELD
+ * The field of the settings and weekly documents holding their schema version.
+ * Documents saved before schema versions count as version 0.
+ */
+export const SCHEMA_VERSION_FIELD = "schemaVersion";
+
+/**
+ * @constant {SchemaMigration[]} SETTINGS_MIGRATIONS
+ * The migrations of the global settings document (`settings/global`), in version order.
+ * A migration describes the stored data of its time: it must not use the current helpers
+ * of the app, whose behaviour may change later.
+ */
+export const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      "Staff members get the isActive flag (active by default) and a sortOrder (after the ordered ones, in list order).",
+    migrate: (settings) => {
+      // Partial settings (e.g. of a backup) may lack the staff list
+      if (!Array.isArray(settings.staffList)) return { ...settings };
+      let nextSortOrder =
+        Math.max(
+          -1,
+          ...settings.staffList
+            .map((staff) => staff.sortOrder)
+            .filter(Number.isFinite),
+        ) + 1;
+      return {
+        ...settings,
+        staffList: settings.staffList.map((staff) => ({
+          ...staff,
+          isActive: staff.isActive ?? true,
+          sortOrder: Number.isFinite(staff.sortOrder)
+            ? staff.sortOrder
+            : nextSortOrder++,
+        })),
+      };
+    },
+  },
+  {
+    version: 2,
+    description:
+      "The settings list the staff IDs (`staffIds`) and shift type codes (`shiftTypeCodes`) checked by the security rules.",
+    migrate: (settings) => ({
+      ...settings,
+      ...(Array.isArray(settings.staffList) && {
+        staffIds: settings.staffList.map((staff) => staff.id),
+      }),
+      ...(Array.isArray(settings.shiftTypes) && {
+        shiftTypeCodes: settings.shiftTypes.map((shift) => shift.code),
+      }),
+    }),
+  },
+  {
+    version: 3,
+    description:
+      "The settings map the staff IDs to the default units (`staffUnits`), checked by the security rules for the rows of unit leaders.",
+    migrate: (settings) => ({
+      ...settings,
+      ...(Array.isArray(settings.staffList) && {
+        staffUnits: Object.fromEntries(
+          settings.staffList.map((staff) => [
+            staff.id,
+            staff.defaultUnit ?? "",
+          ]),
+        ),
+      }),
+    }),
+  },
+];
+
+/**
+ * @constant {SchemaMigration[]} WEEKLY_MIGRATIONS
+ * The migrations of the weekly schedule documents (`weeklySchedules/{weekStartDate}`), in version order.
+ */
+export const WEEKLY_MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      "The rows of the `staff` array are stored in the `rows` map keyed by staff ID.",
+    migrate: ({ staff, ...week }) =>
+      Array.isArray(staff)
+        ? {
+            ...week,
+            rows: Object.fromEntries(staff.map((row) => [row.staffId, row])),
+          }
+        : week,
+  },
+];
+
+/**
+ * Returns the version of the last migration of a registry.
+ *
+ * @param {SchemaMigration[]} migrations - The migrations, in version order.
+ * @returns {number} The current schema version.
+ */
+const getLatestVersion = (migrations) =>
+  migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+/**
+ * @constant {number} SETTINGS_SCHEMA_VERSION
+ * The current schema version of the global settings document.
+ */
+export const SETTINGS_SCHEMA_VERSION = getLatestVersion(SETTINGS_MIGRATIONS);
+
+/**
+ * @constant {number} WEEKLY_SCHEMA_VERSION
+ * The current schema version of the weekly schedule documents.
+ */
+export const WEEKLY_SCHEMA_VERSION = getLatestVersion(WEEKLY_MIGRATIONS);
+
+/**
+ * Returns the schema version of a stored document.
+ *
+ * @param {object | null | undefined} data - The stored document.
+ * @returns {number} The schema version (0 for documents saved without one).
+ */
+export const getSchemaVersion = (data) => data?.[SCHEMA_VERSION_FIELD] ?? 0;
+
+/**
+ * Upgrades a stored document by applying, in order, the migrations newer than its schema version.
+ * Documents of a newer version than the app knows (saved by a newer release) are left unchanged.
+ *
+ * @param {SchemaMigration[]} migrations - The migrations of the document type, in version order.
+ * @param {object} data - The stored document.
+ * @returns {MigrationResult} The upgraded document.
+ */
+export const applyMigrations = (migrations, data) => {
+  const version = getSchemaVersion(data);
+  const pending = migrations.filter((migration) => migration.version > version);
+  if (pending.length === 0) return { data, migrated: false };
+  return {
+    data: pending.reduce(
+      (upgraded, migration) => ({
+        ...migration.migrate(upgraded),
+        [SCHEMA_VERSION_FIELD]: migration.version,
+      }),
+      data,
+    ),
+    migrated: true,
+  };
+};
+
+/**
+ * Upgrades a stored global settings document to the current schema version.
+ *
+ * @param {object} settings - The stored settings.
+ * @returns {MigrationResult} The upgraded settings.
+ */
+export const migrateSettings = (settings) =>
+  applyMigrations(SETTINGS_MIGRATIONS, settings);
+
+/**
+ * Upgrades a stored weekly schedule document to the current schema version.
+ *
+ * @param {object} data - The stored weekly document.
+ * @returns {MigrationResult} The upgraded document.
+ */
+export const migrateWeeklyDocument = (data) =>
+  applyMigrations(WEEKLY_MIGRATIONS, data);
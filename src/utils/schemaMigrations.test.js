@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  SETTINGS_MIGRATIONS,
+  SETTINGS_SCHEMA_VERSION,
+  WEEKLY_MIGRATIONS,
+  WEEKLY_SCHEMA_VERSION,
+  applyMigrations,
+  getSchemaVersion,
+  migrateSettings,
+  migrateWeeklyDocument,
+} from "./schemaMigrations";
+import {
+  settingsV0,
+  settingsV1,
+  settingsV2,
+  settingsV3,
+  weekV0Array,
+  weekV0Rows,
+  weekV1,
+} from "./__fixtures__/schemaMigrations";
+
+describe("utils/schemaMigrations", () => {
+  it("should keep the registries in increasing version order", () => {
+    [SETTINGS_MIGRATIONS, WEEKLY_MIGRATIONS].forEach((migrations) => {
+      expect(migrations.map((migration) => migration.version)).toEqual(
+        migrations.map((_, index) => index + 1),
+      );
+    });
+    expect(SETTINGS_SCHEMA_VERSION).toBe(3);
+    expect(WEEKLY_SCHEMA_VERSION).toBe(1);
+  });
+
+  it("should apply only the migrations newer than the document", () => {
+    const migrations = [
+      { version: 1, migrate: (doc) => ({ ...doc, steps: [1] }) },
+      { version: 2, migrate: (doc) => ({ ...doc, steps: [...doc.steps, 2] }) },
+    ];
+    expect(applyMigrations(migrations, {})).toEqual({
+      data: { steps: [1, 2], schemaVersion: 2 },
+      migrated: true,
+    });
+    expect(
+      applyMigrations(migrations, { steps: [1], schemaVersion: 1 }).data,
+    ).toEqual({ steps: [1, 2], schemaVersion: 2 });
+    // Up to date and newer documents are returned as they are
+    const newer = { schemaVersion: 3 };
+    expect(applyMigrations(migrations, newer)).toEqual({
+      data: newer,
+      migrated: false,
+    });
+    expect(getSchemaVersion(null)).toBe(0);
+  });
+
+  describe("settings v1", () => {
+    it("should default the active flag and order the unordered staff last", () => {
+      const input = structuredClone(settingsV0);
+      expect(SETTINGS_MIGRATIONS[0].migrate(input)).toEqual({
+        ...settingsV1,
+        schemaVersion: undefined,
+      });
+      expect(input).toEqual(settingsV0);
+    });
+
+    it("should leave settings without a staff list alone", () => {
+      expect(SETTINGS_MIGRATIONS[0].migrate({ units: ["I."] })).toEqual({
+        units: ["I."],
+      });
+    });
+  });
+
+  describe("settings v2", () => {
+    it("should list the staff IDs and shift type codes", () => {
+      expect(SETTINGS_MIGRATIONS[1].migrate(settingsV1)).toEqual({
+        ...settingsV2,
+        schemaVersion: 1,
+      });
+    });
+
+    it("should only list the IDs of the lists present", () => {
+      expect(SETTINGS_MIGRATIONS[1].migrate({ units: ["I."] })).toEqual({
+        units: ["I."],
+      });
+    });
+  });
+
+  describe("settings v3", () => {
+    it("should map the staff IDs to their default units", () => {
+      expect(migrateSettings(settingsV2)).toEqual({
+        data: settingsV3,
+        migrated: true,
+      });
+      expect(migrateSettings(settingsV0).data).toEqual(settingsV3);
+      expect(migrateSettings(settingsV3).migrated).toBe(false);
+      expect(
+        SETTINGS_MIGRATIONS[2].migrate({ staffList: [{ id: "s1" }] })
+          .staffUnits,
+      ).toEqual({ s1: "" });
+    });
+
+    it("should leave settings without a staff list alone", () => {
+      expect(migrateSettings({ units: ["I."] }).data).toEqual({
+        units: ["I."],
+        schemaVersion: 3,
+      });
+    });
+  });
+
+  describe("weekly v1", () => {
+    it("should key the rows of the staff array by staff ID", () => {
+      expect(migrateWeeklyDocument(weekV0Array)).toEqual({
+        data: weekV1,
+        migrated: true,
+      });
+    });
+
+    it("should only version the weeks already stored with keyed rows", () => {
+      expect(migrateWeeklyDocument(weekV0Rows).data).toEqual({
+        ...weekV0Rows,
+        schemaVersion: 1,
+      });
+      expect(migrateWeeklyDocument(weekV1).migrated).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * @constant {string[]} SETTINGS_ID_FIELDS
+ * The fields of the global settings listing the IDs of the staff members (`staffIds`) and the codes of the
+ * shift types (`shiftTypeCodes`), in list order, and mapping the staff IDs to their default units (`staffUnits`).
+ * They are derived from `staffList` and `shiftTypes` on every write, so that the Firestore rules can check that
+ * only the owner removes staff members or shift types, and find the unit of a weekly row without its own unit.
+ */
+export const SETTINGS_ID_FIELDS = ["staffIds", "shiftTypeCodes", "staffUnits"];
+
+/**
+ * Returns the global settings to store, with the ID lists derived from the staff list and the shift types.
+ *
+ * @param {object} settings - The global settings.
+ * @returns {object} The settings with `staffIds`, `shiftTypeCodes` and `staffUnits`.
+ */
+export const withSettingsIds = (settings) => ({
+  ...settings,
+  staffIds: (settings.staffList || []).map((staff) => staff.id),
+  shiftTypeCodes: (settings.shiftTypes || []).map((shift) => shift.code),
+  staffUnits: Object.fromEntries(
+    (settings.staffList || []).map((staff) => [
+      staff.id,
+      staff.defaultUnit ?? "",
+    ]),
+  ),
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { withSettingsIds } from "./settingsDocument";
+
+describe("utils/settingsDocument", () => {
+  it("should list the staff IDs and shift type codes in list order and map the default units", () => {
+    const settings = {
+      units: ["I."],
+      staffList: [{ id: "s2", defaultUnit: "I." }, { id: "s1" }],
+      shiftTypes: [{ code: "DU" }, { code: "DE" }],
+    };
+    expect(withSettingsIds(settings)).toEqual({
+      ...settings,
+      staffIds: ["s2", "s1"],
+      shiftTypeCodes: ["DU", "DE"],
+      staffUnits: { s2: "I.", s1: "" },
+    });
+    expect(withSettingsIds({})).toEqual({
+      staffIds: [],
+      shiftTypeCodes: [],
+      staffUnits: {},
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @typedef {'work' | 'paidLeave' | 'sickLeave' | 'training' | 'dayOff'} ShiftKind
+ * The category of a shift type. Only `work` shifts mean that the staff member is present at the nursery.
+ */
+
+/**
+ * @constant {string} DEFAULT_SHIFT_KIND
+ * The kind assumed for shift types saved before kinds were introduced.
+ */
+export const DEFAULT_SHIFT_KIND = "work";
+
+/**
+ * @constant {Array<{value: ShiftKind, label: string}>} SHIFT_KINDS
+ * The selectable shift kinds with their Hungarian labels.
+ */
+export const SHIFT_KINDS = [
+  { value: "work", label: "Munkavégzés" },
+  { value: "paidLeave", label: "Fizetett szabadság" },
+  { value: "sickLeave", label: "Táppénz" },
+  { value: "training", label: "Továbbképzés" },
+  { value: "dayOff", label: "Szabadnap" },
+];
+
+/**
+ * @constant {ShiftKind[]} ONE_OFF_ABSENCE_KINDS
+ * Absence kinds that belong to a specific date and must not be carried over when a week is copied.
+ */
+export const ONE_OFF_ABSENCE_KINDS = ["paidLeave", "sickLeave"];
+
+/**
+ * Finds the shift type definition of a shift code.
+ *
+ * @param {string} shiftCode - The shift code.
+ * @param {Array<{code: string}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {object | undefined} The shift type, or undefined if the code is not defined.
+ */
+export const findShiftType = (shiftCode, shiftTypes = []) =>
+  shiftCode ? shiftTypes.find((type) => type.code === shiftCode) : undefined;
+
+/**
+ * Returns the kind of a shift code. Codes without a stored kind (including codes
+ * that are no longer defined) are treated as work shifts.
+ *
+ * @param {string} shiftCode - The shift code.
+ * @param {Array<{code: string, kind?: ShiftKind}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {ShiftKind | ""} The kind of the shift, or an empty string for an empty cell.
+ */
+export const getShiftKind = (shiftCode, shiftTypes = []) => {
+  if (!shiftCode) return "";
+  return findShiftType(shiftCode, shiftTypes)?.kind || DEFAULT_SHIFT_KIND;
+};
+
+/**
+ * Checks whether a shift code means that the staff member is present at the nursery.
+ *
+ * @param {string} shiftCode - The shift code.
+ * @param {Array<{code: string, kind?: ShiftKind}>} [shiftTypes=[]] - The defined shift types.
+ * @returns {boolean} True for work shifts, false for empty cells and absences.
+ */
+export const isPresenceShift = (shiftCode, shiftTypes = []) =>
+  getShiftKind(shiftCode, shiftTypes) === "work";
+
+/**
+ * Returns the label of a shift kind.
+ *
+ * @param {ShiftKind} kind - The shift kind.
+ * @returns {string} The Hungarian label, or the kind itself if it is unknown.
+ */
+export const getShiftKindLabel = (kind) =>
+  SHIFT_KINDS.find((k) => k.value === (kind || DEFAULT_SHIFT_KIND))?.label ||
+  kind;
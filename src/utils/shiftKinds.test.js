@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import {
+  findShiftType,
+  getShiftKind,
+  isPresenceShift,
+  getShiftKindLabel,
+} from "./shiftKinds";
+
+const shiftTypes = [
+  { code: "DE", name: "Délelőtt", color: "#cce6ff", kind: "work" },
+  { code: "K", name: "Köztes", color: "#ccffcc" },
+  {
+    code: "FSZ",
+    name: "Fizetett szabadság",
+    color: "#99ff99",
+    kind: "paidLeave",
+  },
+  { code: "TK", name: "Továbbképzés", color: "#ffff99", kind: "training" },
+];
+
+describe("utils/shiftKinds", () => {
+  describe("findShiftType", () => {
+    it("should find the shift type by code", () => {
+      expect(findShiftType("FSZ", shiftTypes)?.name).toBe("Fizetett szabadság");
+      expect(findShiftType("XX", shiftTypes)).toBeUndefined();
+      expect(findShiftType("", shiftTypes)).toBeUndefined();
+    });
+  });
+
+  describe("getShiftKind", () => {
+    it("should return the stored kind", () => {
+      expect(getShiftKind("FSZ", shiftTypes)).toBe("paidLeave");
+      expect(getShiftKind("TK", shiftTypes)).toBe("training");
+    });
+    it("should default to work for legacy and unknown codes", () => {
+      expect(getShiftKind("K", shiftTypes)).toBe("work");
+      expect(getShiftKind("XX", shiftTypes)).toBe("work");
+    });
+    it("should return an empty string for empty cells", () => {
+      expect(getShiftKind("", shiftTypes)).toBe("");
+      expect(getShiftKind(undefined, shiftTypes)).toBe("");
+    });
+  });
+
+  describe("isPresenceShift", () => {
+    it("should only treat work shifts as presence", () => {
+      expect(isPresenceShift("DE", shiftTypes)).toBe(true);
+      expect(isPresenceShift("K", shiftTypes)).toBe(true);
+      expect(isPresenceShift("FSZ", shiftTypes)).toBe(false);
+      expect(isPresenceShift("TK", shiftTypes)).toBe(false);
+      expect(isPresenceShift("", shiftTypes)).toBe(false);
+    });
+  });
+
+  describe("getShiftKindLabel", () => {
+    it("should return the Hungarian label", () => {
+      expect(getShiftKindLabel("sickLeave")).toBe("Táppénz");
+      expect(getShiftKindLabel(undefined)).toBe("Munkavégzés");
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * @typedef {'name' | 'employeeNumber' | 'defaultUnit' | 'defaultGroup' | 'defaultJobTitle' | 'isActive'} StaffImportField
+ * A staff list field that can be filled from an imported column.
+ */
+
+/**
+ * @typedef {object.<StaffImportField, number>} StaffImportMapping
+ * Mapping of staff fields to column indexes of the imported table (-1 if the field is not imported).
+ */
+
+/**
+ * @typedef {object} StaffImportRow - A data row of the import preview.
+ * @property {number} rowNumber - The row number in the file (1-based, the header is row 1).
+ * @property {object} data - The imported values of the mapped fields (`isActive` as a boolean).
+ * @property {'create' | 'update' | 'skip'} action - What happens with the row (`skip` for rows with errors).
+ * @property {string | null} existingId - The ID of the matched staff member (for updates).
+ * @property {string[]} errors - The Hungarian error messages of the row.
+ */
+
+/**
+ * @typedef {object} StaffImportPreview - The result of checking an imported table.
+ * @property {StaffImportRow[]} rows - The data rows.
+ * @property {{units: string[], groups: string[], jobTitles: string[]}} unknownCategories - Category values
+ *           that do not exist in the settings yet (can be created during the import).
+ */
+
+/**
+ * @constant {Array<{key: StaffImportField, label: string, required: boolean, aliases: string[]}>} STAFF_IMPORT_FIELDS
+ * The importable fields with their labels and the header names recognized automatically (lowercase, without accents).
+ */
+export const STAFF_IMPORT_FIELDS = [
+  {
+    key: "name",
+    label: "Név",
+    required: true,
+    aliases: ["nev", "name", "dolgozo", "dolgozo neve"],
+  },
+  {
+    key: "employeeNumber",
+    label: "Azonosító",
+    required: false,
+    aliases: [
+      "azonosito",
+      "azon",
+      "azon.",
+      "torzsszam",
+      "employeenumber",
+      "employee number",
+    ],
+  },
+  {
+    key: "defaultUnit",
+    label: "Egység",
+    required: false,
+    aliases: ["egyseg", "unit", "defaultunit"],
+  },
+  {
+    key: "defaultGroup",
+    label: "Csoport",
+    required: false,
+    aliases: ["csoport", "group", "defaultgroup"],
+  },
+  {
+    key: "defaultJobTitle",
+    label: "Munkakör",
+    required: false,
+    aliases: [
+      "munkakor",
+      "beosztas",
+      "jobtitle",
+      "job title",
+      "defaultjobtitle",
+    ],
+  },
+  {
+    key: "isActive",
+    label: "Aktív",
+    required: false,
+    aliases: ["aktiv", "active", "isactive", "statusz"],
+  },
+];
+
+/**
+ * @constant {object.<string, StaffImportField>} CATEGORY_FIELDS
+ * The category lists of the settings and the staff fields referring to them.
+ */
+const CATEGORY_FIELDS = {
+  units: "defaultUnit",
+  groups: "defaultGroup",
+  jobTitles: "defaultJobTitle",
+};
+
+/**
+ * Normalizes a header name for matching: lowercase, trimmed, without accents.
+ *
+ * @param {string} text - The header name.
+ * @returns {string} The normalized text.
+ */
+const normalizeHeader = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+/**
+ * Parses CSV text into rows of cells. Supports quoted fields (with escaped quotes and line breaks),
+ * CRLF line endings and a byte order mark. The delimiter (semicolon, comma or tab) is detected
+ * from the first line, as Hungarian Excel saves CSV files with semicolons.
+ *
+ * @param {string} text - The CSV content.
+ * @returns {string[][]} The rows (empty lines are dropped).
+ * @example
+ * parseCsv('Név;Egység\n"Kiss; Anna";Katica'); // returns [["Név", "Egység"], ["Kiss; Anna", "Katica"]]
+ */
+export const parseCsv = (text) => {
+  const content = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t", ","].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best,
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Reads the rows of an imported file: CSV text or the first worksheet of an .xlsx workbook
+ * (the spreadsheet library is loaded on demand).
+ *
+ * @param {File} file - The selected file.
+ * @returns {Promise<string[][]>} The rows of the table as text cells.
+ */
+export const readSpreadsheetRows = async (file) => {
+  if (!/\.xlsx$/i.test(file.name)) {
+    return parseCsv(await file.text());
+  }
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+  const rows = [];
+  worksheet.eachRow((row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      cells[columnNumber - 1] = cell.text ?? "";
+    });
+    rows.push(Array.from(cells, (value) => value ?? ""));
+  });
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Guesses the column of every importable field from the header row.
+ *
+ * @param {string[]} headerRow - The first row of the imported table.
+ * @returns {StaffImportMapping} The guessed mapping (-1 for fields without a matching column).
+ */
+export const guessColumnMapping = (headerRow = []) => {
+  const headers = headerRow.map(normalizeHeader);
+  return STAFF_IMPORT_FIELDS.reduce((mapping, field) => {
+    mapping[field.key] = headers.findIndex((header) =>
+      field.aliases.includes(header),
+    );
+    return mapping;
+  }, {});
+};
+
+/**
+ * Parses the value of the "active" column.
+ *
+ * @param {string} value - The cell value.
+ * @returns {boolean | null} The parsed value (true for an empty cell), or null if the value is not recognized.
+ */
+export const parseActiveValue = (value) => {
+  const normalized = normalizeHeader(value);
+  if (
+    ["", "igen", "i", "1", "true", "aktiv", "x", "yes"].includes(normalized)
+  ) {
+    return true;
+  }
+  if (["nem", "n", "0", "false", "inaktiv", "no"].includes(normalized)) {
+    return false;
+  }
+  return null;
+};
+
+/**
+ * Checks the imported data rows and decides for each row whether it creates a new staff member
+ * or updates an existing one (matched by employee number). Rows with errors are skipped.
+ *
+ * @param {object} params - The parameters.
+ * @param {string[][]} params.rows - The data rows (without the header row).
+ * @param {StaffImportMapping} params.mapping - The column of every field.
+ * @param {Array<object>} [params.staffList=[]] - The current staff list.
+ * @param {string[]} [params.units=[]] - The current units.
+ * @param {string[]} [params.groups=[]] - The current groups.
+ * @param {string[]} [params.jobTitles=[]] - The current job titles.
+ * @returns {StaffImportPreview} The preview of the import.
+ */
+export const buildImportPreview = ({
+  rows,
+  mapping,
+  staffList = [],
+  units = [],
+  groups = [],
+  jobTitles = [],
+}) => {
+  const existingByNumber = new Map(
+    staffList
+      .filter((s) => s.employeeNumber)
+      .map((s) => [String(s.employeeNumber).trim(), s]),
+  );
+  const known = { units, groups, jobTitles };
+  const unknownCategories = { units: [], groups: [], jobTitles: [] };
+  const seenNumbers = new Map();
+
+  const previewRows = rows.map((row, index) => {
+    const rowNumber = index + 2; // Row 1 is the header
+    const errors = [];
+    const data = {};
+
+    STAFF_IMPORT_FIELDS.forEach((field) => {
+      const column = mapping[field.key];
+      if (column === undefined || column < 0) return;
+      const value = String(row[column] ?? "").trim();
+      // An empty cell leaves the field unchanged (new staff members get the default)
+      if (value === "") return;
+      if (field.key === "isActive") {
+        const isActive = parseActiveValue(value);
+        if (isActive === null) {
+          errors.push(`Ismeretlen aktív érték: "${value}"`);
+        } else {
+          data.isActive = isActive;
+        }
+      } else {
+        data[field.key] = value;
+      }
+    });
+
+    if (!data.name) errors.push("Hiányzó név");
+
+    const employeeNumber = data.employeeNumber;
+    if (employeeNumber) {
+      if (seenNumbers.has(employeeNumber)) {
+        errors.push(
+          `Az azonosító már szerepel a(z) ${seenNumbers.get(employeeNumber)}. sorban`,
+        );
+      } else {
+        seenNumbers.set(employeeNumber, rowNumber);
+      }
+    }
+
+    if (errors.length === 0) {
+      Object.entries(CATEGORY_FIELDS).forEach(([listKey, fieldKey]) => {
+        const value = data[fieldKey];
+        if (
+          value &&
+          !known[listKey].includes(value) &&
+          !unknownCategories[listKey].includes(value)
+        ) {
+          unknownCategories[listKey].push(value);
+        }
+      });
+    }
+
+    const existing = employeeNumber
+      ? existingByNumber.get(employeeNumber)
+      : undefined;
+    let action = existing ? "update" : "create";
+    if (errors.length > 0) action = "skip";
+    return {
+      rowNumber,
+      data,
+      action,
+      existingId: existing?.id ?? null,
+      errors,
+    };
+  });
+
+  return { rows: previewRows, unknownCategories };
+};
+
+/**
+ * Lists the category fields of an import row whose value is neither an existing nor a created category.
+ * These values are not imported (see `applyStaffImport`).
+ *
+ * @param {object} data - The imported fields of a row (`StaffImportRow.data`).
+ * @param {{units: string[], groups: string[], jobTitles: string[]}} categories - The category lists after the import.
+ * @returns {string[]} The keys of the dropped fields (e.g. `defaultUnit`).
+ */
+export const getDroppedCategoryFields = (data, categories) =>
+  Object.entries(CATEGORY_FIELDS)
+    .filter(
+      ([listKey, fieldKey]) =>
+        data[fieldKey] && !categories[listKey].includes(data[fieldKey]),
+    )
+    .map(([, fieldKey]) => fieldKey);
+
+/**
+ * Applies the checked import rows to the staff list. Updated staff members keep their ID, order
+ * and the fields that were not imported or were empty in the file; new staff members are appended
+ * at the end (active by default). Category values that are neither existing nor created are not
+ * imported either: an updated staff member keeps the previous value, a new one gets an empty field.
+ *
+ * @param {object} params - The parameters.
+ * @param {Array<object>} params.staffList - The current staff list.
+ * @param {StaffImportRow[]} params.rows - The preview rows (`skip` rows are ignored).
+ * @param {{units: string[], groups: string[], jobTitles: string[]}} params.categories - The category lists after the import
+ *        (the existing values plus the created ones).
+ * @param {function(): string} params.generateId - Generates the ID of a new staff member.
+ * @returns {Array<object>} The new staff list with recalculated `sortOrder`.
+ */
+export const applyStaffImport = ({
+  staffList,
+  rows,
+  categories,
+  generateId,
+}) => {
+  const result = staffList.map((staff) => ({ ...staff }));
+
+  rows
+    .filter((row) => row.action !== "skip")
+    .forEach((row) => {
+      const data = { ...row.data };
+      getDroppedCategoryFields(data, categories).forEach((fieldKey) => {
+        delete data[fieldKey];
+      });
+
+      if (row.action === "update") {
+        const index = result.findIndex((s) => s.id === row.existingId);
+        if (index !== -1) result[index] = { ...result[index], ...data };
+        return;
+      }
+      result.push({
+        id: generateId(),
+        name: "",
+        employeeNumber: "",
+        defaultUnit: "",
+        defaultGroup: "",
+        defaultJobTitle: "",
+        isActive: true,
+        contractedWeeklyHours: null,
+        annualLeaveDays: null,
+        ...data,
+      });
+    });
+
+  return result.map((staff, index) => ({ ...staff, sortOrder: index }));
+};
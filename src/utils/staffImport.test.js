@@ -0,0 +1,160 @@
+import { describe, it, expect } from "vitest";
+import {
+  parseCsv,
+  guessColumnMapping,
+  parseActiveValue,
+  buildImportPreview,
+  applyStaffImport,
+  getDroppedCategoryFields,
+} from "./staffImport";
+
+const staffList = [
+  {
+    id: "s1",
+    name: "Kiss Józsefné",
+    employeeNumber: "101",
+    defaultUnit: "Katica",
+    isActive: true,
+    contractedWeeklyHours: 40,
+    sortOrder: 0,
+  },
+];
+
+describe("utils/staffImport", () => {
+  describe("parseCsv", () => {
+    it("should detect the delimiter and handle quoted fields", () => {
+      expect(
+        parseCsv('\uFEFFNév;Egység\r\n"Kiss; ""Anna""";Katica\r\n\r\n'),
+      ).toEqual([
+        ["Név", "Egység"],
+        ['Kiss; "Anna"', "Katica"],
+      ]);
+      expect(parseCsv("a,b\n1,2")).toEqual([
+        ["a", "b"],
+        ["1", "2"],
+      ]);
+    });
+  });
+
+  describe("guessColumnMapping", () => {
+    it("should recognize Hungarian headers regardless of accents and case", () => {
+      expect(
+        guessColumnMapping(["Azonosító", "NÉV", "Munkakör", "Megjegyzés"]),
+      ).toEqual({
+        name: 1,
+        employeeNumber: 0,
+        defaultUnit: -1,
+        defaultGroup: -1,
+        defaultJobTitle: 2,
+        isActive: -1,
+      });
+    });
+  });
+
+  describe("parseActiveValue", () => {
+    it("should parse yes/no values", () => {
+      expect(parseActiveValue("Igen")).toBe(true);
+      expect(parseActiveValue("")).toBe(true);
+      expect(parseActiveValue("inaktív")).toBe(false);
+      expect(parseActiveValue("talán")).toBeNull();
+    });
+  });
+
+  describe("buildImportPreview / applyStaffImport", () => {
+    const mapping = {
+      name: 0,
+      employeeNumber: 1,
+      defaultUnit: 2,
+      defaultGroup: -1,
+      defaultJobTitle: -1,
+      isActive: 3,
+    };
+    const preview = buildImportPreview({
+      rows: [
+        ["Kiss Józsefné", "101", "Méhecske", "nem"],
+        ["Nagy Éva", "102", "Pillangó", ""],
+        ["", "103", "Katica", ""],
+        ["Tóth Ilona", "102", "Katica", ""],
+        ["Szabó Pál", "104", "Katica", "talán"],
+      ],
+      mapping,
+      staffList,
+      units: ["Katica", "Méhecske"],
+    });
+
+    it("should match existing staff by employee number and report row errors", () => {
+      expect(preview.rows.map((row) => row.action)).toEqual([
+        "update",
+        "create",
+        "skip",
+        "skip",
+        "skip",
+      ]);
+      expect(preview.rows[0].existingId).toBe("s1");
+      expect(preview.rows[2].errors).toEqual(["Hiányzó név"]);
+      expect(preview.rows[3].errors[0]).toContain("3. sorban");
+      expect(preview.rows[4].rowNumber).toBe(6);
+      expect(preview.unknownCategories.units).toEqual(["Pillangó"]);
+    });
+
+    it("should update and append staff, leaving categories that were not created empty", () => {
+      const result = applyStaffImport({
+        staffList,
+        rows: preview.rows,
+        categories: {
+          units: ["Katica", "Méhecske"],
+          groups: [],
+          jobTitles: [],
+        },
+        generateId: () => "new",
+      });
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({
+        id: "s1",
+        defaultUnit: "Méhecske",
+        isActive: false,
+        contractedWeeklyHours: 40,
+      });
+      expect(result[1]).toMatchObject({
+        id: "new",
+        name: "Nagy Éva",
+        defaultUnit: "",
+        isActive: true,
+        sortOrder: 1,
+      });
+    });
+
+    it("should leave the fields of empty cells and of categories that were not created unchanged", () => {
+      const categories = { units: ["Katica"], groups: [], jobTitles: [] };
+      const importRow = (cells) => {
+        const { rows } = buildImportPreview({
+          rows: [cells],
+          mapping,
+          staffList,
+          ...categories,
+        });
+        const [updated] = applyStaffImport({
+          staffList,
+          rows,
+          categories,
+          generateId: () => "new",
+        });
+        return { row: rows[0], updated };
+      };
+      const emptyCells = importRow(["Kiss Józsefné", "101", "", ""]);
+      expect(emptyCells.row.data).toEqual({
+        name: "Kiss Józsefné",
+        employeeNumber: "101",
+      });
+      expect(emptyCells.updated).toMatchObject({
+        defaultUnit: "Katica",
+        isActive: true,
+      });
+      const unknownUnit = importRow(["Kiss Józsefné", "101", "Pillangó", ""]);
+      expect(
+        getDroppedCategoryFields(unknownUnit.row.data, categories),
+      ).toEqual(["defaultUnit"]);
+      expect(unknownUnit.updated.defaultUnit).toBe("Katica");
+    });
+  });
+});
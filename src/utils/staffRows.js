@@ -0,0 +1,239 @@
+/**
+ * @typedef {object} StaffRow - A staff member's effective data for a period, as displayed in the schedule tables.
+ * @property {string} staffId - Unique identifier of the staff member.
+ * @property {string} name - Staff member's name.
+ * @property {string} unit - Effective unit (weekly override or global default).
+ * @property {string} displayUnit - Unit name for display (marked if orphaned).
+ * @property {boolean} isOrphanedUnit - True if the unit no longer exists in the global settings.
+ * @property {string} group - Effective group.
+ * @property {string} displayGroup - Group name for display (marked if orphaned).
+ * @property {boolean} isOrphanedGroup - True if the group no longer exists in the global settings.
+ * @property {string} jobTitle - Effective job title.
+ * @property {string} displayJobTitle - Job title for display (marked if orphaned).
+ * @property {boolean} isOrphanedJobTitle - True if the job title no longer exists in the global settings.
+ * @property {object.<string, string>} shifts - Mapping of date keys ('YYYY-MM-DD') to shift codes.
+ * @property {number} sortOrder - Sort order from the global staff list.
+ * @property {string} employeeNumber - Employee number from the global staff list.
+ * @property {number | null} contractedWeeklyHours - Contracted weekly hours from the global staff list.
+ * @property {number | null} annualLeaveDays - Yearly leave entitlement from the global staff list.
+ */
+
+/**
+ * Combines the global staff list with the weekly staff data (overrides and shifts).
+ * Filters by active staff, groups the results by unit, and sorts units and staff
+ * according to the order defined in global settings. Marks 'orphaned' data
+ * (unit/group/jobTitle used in the weekly data but no longer existing in global settings).
+ *
+ * @param {object} globalSettings - The global settings (`staffList`, `units`, `groups`, `jobTitles`).
+ * @param {Array<object>} [weeklyStaff=[]] - The `staff` array of a weekly schedule (or merged weeks, see `mergeWeeklyStaff`).
+ * @returns {object.<string, StaffRow[]>} An object where keys are unit names (or "" for unassigned) and values are
+ *                   arrays of staff rows sorted for display. Returns an empty object if there is no active staff.
+ */
+export const buildStaffByUnit = (globalSettings, weeklyStaff = []) => {
+  const activeGlobalStaff = (globalSettings.staffList || []).filter(
+    (s) => s.isActive,
+  );
+  if (activeGlobalStaff.length === 0) {
+    return {}; // Return empty if no active staff defined globally
+  }
+
+  // Create a map for quick lookup of weekly data by staffId
+  const weeklyStaffDataMap = (weeklyStaff || []).reduce((map, entry) => {
+    map[entry.staffId] = entry;
+    return map;
+  }, {});
+
+  // Create Sets for efficient validity checks of categories
+  const validUnits = new Set(globalSettings.units || []);
+  const validGroups = new Set(globalSettings.groups || []);
+  const validJobTitles = new Set(globalSettings.jobTitles || []);
+
+  // Combine global and weekly data for each active staff member
+  const combinedStaffList = activeGlobalStaff.map((globalStaff) => {
+    const weeklyData = weeklyStaffDataMap[globalStaff.id];
+
+    // Determine effective category, preferring weekly override, falling back to global default
+    const weeklyUnit = weeklyData?.unit;
+    const globalUnit = globalStaff.defaultUnit ?? "";
+    const effectiveUnit = weeklyUnit ?? globalUnit;
+    const isOrphanedUnit = !!weeklyUnit && !validUnits.has(weeklyUnit); // True if weeklyUnit exists but is not in global units
+
+    const weeklyGroup = weeklyData?.group;
+    const globalGroup = globalStaff.defaultGroup ?? "";
+    const effectiveGroup = weeklyGroup ?? globalGroup;
+    const isOrphanedGroup = !!weeklyGroup && !validGroups.has(weeklyGroup);
+
+    const weeklyJobTitle = weeklyData?.jobTitle;
+    const globalJobTitle = globalStaff.defaultJobTitle ?? "";
+    const effectiveJobTitle = weeklyJobTitle ?? globalJobTitle;
+    const isOrphanedJobTitle =
+      !!weeklyJobTitle && !validJobTitles.has(weeklyJobTitle);
+
+    return {
+      staffId: globalStaff.id,
+      name: weeklyData?.name ?? globalStaff.name, // Prefer weekly name override
+      unit: effectiveUnit,
+      displayUnit: isOrphanedUnit ? `${effectiveUnit} (törölt)` : effectiveUnit,
+      isOrphanedUnit,
+      group: effectiveGroup,
+      displayGroup: isOrphanedGroup
+        ? `${effectiveGroup} (törölt)`
+        : effectiveGroup,
+      isOrphanedGroup,
+      jobTitle: effectiveJobTitle,
+      displayJobTitle: isOrphanedJobTitle
+        ? `${effectiveJobTitle} (törölt)`
+        : effectiveJobTitle,
+      isOrphanedJobTitle,
+      shifts: weeklyData?.shifts ?? {}, // Use weekly shifts, or empty object if none for the week
+      sortOrder: globalStaff.sortOrder ?? Infinity, // From global list
+      employeeNumber: globalStaff.employeeNumber ?? "", // From global list
+      contractedWeeklyHours: globalStaff.contractedWeeklyHours ?? null, // From global list
+      annualLeaveDays: globalStaff.annualLeaveDays ?? null, // From global list
+    };
+  });
+
+  // Group staff by their effective unit
+  const groupedByUnit = combinedStaffList.reduce((acc, staff) => {
+    const unitKey = staff.unit || ""; // Use empty string for "unassigned" unit
+    if (!acc[unitKey]) acc[unitKey] = [];
+    acc[unitKey].push(staff);
+    return acc;
+  }, {});
+
+  // --- Sorting Logic ---
+  // Create maps for category sort order lookup
+  const createOrderMap = (items = []) =>
+    items.reduce((map, item, index) => {
+      map[item] = index;
+      return map;
+    }, {});
+  const unitOrderMap = createOrderMap(globalSettings.units);
+  const groupOrderMap = createOrderMap(globalSettings.groups);
+  const jobTitleOrderMap = createOrderMap(globalSettings.jobTitles);
+
+  // 1. Sort the unit keys based on global settings order
+  const sortedUnitKeys = Object.keys(groupedByUnit).sort((a, b) => {
+    // Check if units are valid according to current global settings
+    const isUnitAValid = validUnits.has(a);
+    const isUnitBValid = validUnits.has(b);
+
+    // Get sort index, Infinity if orphaned/invalid or ""
+    const indexA =
+      a === ""
+        ? Infinity
+        : isUnitAValid
+          ? (unitOrderMap[a] ?? Infinity)
+          : Infinity;
+    const indexB =
+      b === ""
+        ? Infinity
+        : isUnitBValid
+          ? (unitOrderMap[b] ?? Infinity)
+          : Infinity;
+
+    // Sort "" (unassigned) to the end
+    if (a === "") return 1;
+    if (b === "") return -1;
+
+    // Sort orphaned units after valid units
+    if (indexA === Infinity && indexB !== Infinity) return 1;
+    if (indexA !== Infinity && indexB === Infinity) return -1;
+
+    // If both are orphaned, sort alphabetically
+    if (indexA === Infinity && indexB === Infinity) return a.localeCompare(b);
+
+    // Otherwise, sort by defined order
+    return indexA - indexB;
+  });
+
+  // 2. Sort staff within each unit
+  const finalSortedResult = {};
+  sortedUnitKeys.forEach((unitKey) => {
+    groupedByUnit[unitKey].sort((a, b) => {
+      // --- Primary Sort: Group ---
+      const isGroupAOrphaned = a.isOrphanedGroup;
+      const isGroupBOrphaned = b.isOrphanedGroup;
+      const groupIndexA = !isGroupAOrphaned
+        ? (groupOrderMap[a.group || ""] ?? Infinity)
+        : Infinity;
+      const groupIndexB = !isGroupBOrphaned
+        ? (groupOrderMap[b.group || ""] ?? Infinity)
+        : Infinity;
+
+      // Sort orphaned groups after valid ones
+      if (groupIndexA !== groupIndexB) {
+        if (groupIndexA === Infinity && groupIndexB !== Infinity) return 1;
+        if (groupIndexA !== Infinity && groupIndexB === Infinity) return -1;
+        // If neither is orphaned, sort by defined order
+        return groupIndexA - groupIndexB;
+      } else if (isGroupAOrphaned && isGroupBOrphaned) {
+        // If both are orphaned, sort alphabetically by group name
+        const groupCompare = (a.group || "").localeCompare(b.group || "");
+        if (groupCompare !== 0) return groupCompare;
+      } // If both valid and same index, proceed to next sort key
+
+      // --- Secondary Sort: Job Title ---
+      const isJobAOrphaned = a.isOrphanedJobTitle;
+      const isJobBOrphaned = b.isOrphanedJobTitle;
+      const jobIndexA = !isJobAOrphaned
+        ? (jobTitleOrderMap[a.jobTitle || ""] ?? Infinity)
+        : Infinity;
+      const jobIndexB = !isJobBOrphaned
+        ? (jobTitleOrderMap[b.jobTitle || ""] ?? Infinity)
+        : Infinity;
+
+      // Sort orphaned job titles after valid ones
+      if (jobIndexA !== jobIndexB) {
+        if (jobIndexA === Infinity && jobIndexB !== Infinity) return 1;
+        if (jobIndexA !== Infinity && jobIndexB === Infinity) return -1;
+        // If neither is orphaned, sort by defined order
+        return jobIndexA - jobIndexB;
+      } else if (isJobAOrphaned && isJobBOrphaned) {
+        // If both are orphaned, sort alphabetically by job title
+        const jobCompare = (a.jobTitle || "").localeCompare(b.jobTitle || "");
+        if (jobCompare !== 0) return jobCompare;
+      } // If both valid and same index, proceed to next sort key
+
+      // --- Tertiary Sort: Global Staff Sort Order ---
+      if (a.sortOrder !== b.sortOrder) return a.sortOrder - b.sortOrder;
+
+      // --- Fallback Sort: Name ---
+      return (a.name || "").localeCompare(b.name || "");
+    });
+    // Assign the sorted staff list to the unit key in the result
+    finalSortedResult[unitKey] = groupedByUnit[unitKey];
+  });
+
+  return finalSortedResult;
+};
+
+/**
+ * Merges the staff data of several weekly schedules into a single `staff` array (e.g. for a month).
+ * The shifts of all weeks are combined; the weekly overrides (name, unit, group, job title)
+ * of the latest week in which the staff member appears win.
+ *
+ * @param {Array<{weekStartDate: string, staff?: Array<object>}>} schedules - The weekly schedule documents.
+ * @returns {Array<object>} The merged weekly staff entries.
+ */
+export const mergeWeeklyStaff = (schedules = []) => {
+  const merged = new Map();
+  [...schedules]
+    .sort((a, b) =>
+      (a.weekStartDate || "").localeCompare(b.weekStartDate || ""),
+    )
+    .forEach((schedule) => {
+      (schedule.staff || []).forEach((weeklyStaff) => {
+        const previous = merged.get(weeklyStaff.staffId);
+        merged.set(weeklyStaff.staffId, {
+          ...previous,
+          ...weeklyStaff,
+          shifts: {
+            ...(previous?.shifts || {}),
+            ...(weeklyStaff.shifts || {}),
+          },
+        });
+      });
+    });
+  return [...merged.values()];
+};
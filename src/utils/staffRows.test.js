@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { buildStaffByUnit, mergeWeeklyStaff } from "./staffRows";
+
+const globalSettings = {
+  units: ["Katica", "Méhecske"],
+  groups: ["1. csoport"],
+  jobTitles: ["Kisgyermeknevelő"],
+  staffList: [
+    { id: "a", name: "Anna", defaultUnit: "Méhecske", isActive: true },
+    { id: "b", name: "Béla", defaultUnit: "Katica", isActive: true },
+    { id: "c", name: "Cecília", defaultUnit: "Katica", isActive: false },
+  ],
+};
+
+describe("utils/staffRows", () => {
+  describe("buildStaffByUnit", () => {
+    it("should group the active staff by unit in the order of the settings", () => {
+      const result = buildStaffByUnit(globalSettings);
+      expect(Object.keys(result)).toEqual(["Katica", "Méhecske"]);
+      expect(result.Katica.map((s) => s.staffId)).toEqual(["b"]);
+      expect(result.Méhecske[0].shifts).toEqual({});
+    });
+
+    it("should apply the weekly overrides and mark orphaned units", () => {
+      const result = buildStaffByUnit(globalSettings, [
+        { staffId: "a", unit: "Katica", shifts: { "2024-06-10": "DE" } },
+        { staffId: "b", unit: "Régi egység" },
+      ]);
+      expect(result.Katica.map((s) => s.staffId)).toEqual(["a"]);
+      expect(result.Katica[0].shifts).toEqual({ "2024-06-10": "DE" });
+      expect(result["Régi egység"][0].displayUnit).toBe("Régi egység (törölt)");
+    });
+
+    it("should return an empty object without active staff", () => {
+      expect(buildStaffByUnit({ staffList: [] })).toEqual({});
+    });
+  });
+
+  describe("mergeWeeklyStaff", () => {
+    it("should merge the shifts of every week and keep the latest overrides", () => {
+      const merged = mergeWeeklyStaff([
+        {
+          weekStartDate: "2024-06-10",
+          staff: [
+            { staffId: "a", unit: "Méhecske", shifts: { "2024-06-10": "DU" } },
+          ],
+        },
+        {
+          weekStartDate: "2024-06-03",
+          staff: [
+            { staffId: "a", unit: "Katica", shifts: { "2024-06-03": "DE" } },
+            { staffId: "b", shifts: { "2024-06-04": "DE" } },
+          ],
+        },
+      ]);
+      expect(merged).toEqual([
+        {
+          staffId: "a",
+          unit: "Méhecske",
+          shifts: { "2024-06-03": "DE", "2024-06-10": "DU" },
+        },
+        { staffId: "b", shifts: { "2024-06-04": "DE" } },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { getWeekDates, getWeekStartsBetween, toDateKey } from "./helpers";
+import { getShiftHours } from "./hours";
+import { getShiftKind } from "./shiftKinds";
+
+/**
+ * @typedef {object} TimelineDay - A single day of a staff member's timeline.
+ * @property {Date} date - The day.
+ * @property {string} dateKey - The date key ('YYYY-MM-DD').
+ * @property {string} shiftCode - The assigned shift code (empty if none).
+ * @property {string} kind - The kind of the shift (see `utils/shiftKinds.js`), empty if no shift is assigned.
+ * @property {number} hours - The worked or counted hours of the day.
+ */
+
+/**
+ * @typedef {object} TimelineWeek - A week of a staff member's timeline.
+ * @property {string} weekStartDate - The Monday of the week ('YYYY-MM-DD').
+ * @property {boolean} isScheduled - True if the staff member has an entry in the saved weekly schedule.
+ * @property {string} unit - The effective unit of the week (weekly override or global default).
+ * @property {string} group - The effective group of the week.
+ * @property {string} jobTitle - The effective job title of the week.
+ * @property {TimelineDay[]} days - The working days of the week that fall into the range.
+ * @property {number} hours - The sum of the daily hours.
+ */
+
+/**
+ * @typedef {object} StaffTimeline - A staff member's schedule over a date range.
+ * @property {TimelineWeek[]} weeks - The weeks of the range in chronological order.
+ * @property {number} totalHours - The hours of the whole range.
+ * @property {object.<string, number>} absenceDays - Mapping of absence kinds to the number of days in the range.
+ */
+
+/**
+ * Collects the schedule of a single staff member over a date range from the weekly schedule documents.
+ * Weeks without a saved schedule (or without the staff member) are included with empty days and the
+ * global default categories, so that the timeline has no gaps.
+ *
+ * @param {object} params - The parameters.
+ * @param {Array<{weekStartDate: string, staff?: Array<object>}>} params.schedules - The weekly schedule documents overlapping the range.
+ * @param {object} params.globalStaff - The staff member's entry in the global staff list (`id`, `defaultUnit`, `defaultGroup`, `defaultJobTitle`).
+ * @param {Date} params.startDate - The first day of the range.
+ * @param {Date} params.endDate - The last day of the range (inclusive).
+ * @param {number[]} [params.weekdays] - The working weekdays (`Date.getDay()` values), see `getWeekDates`.
+ * @param {object.<string, string>} [params.timeSlots={}] - Mapping of shift codes to time slot strings.
+ * @param {Array<object>} [params.shiftTypes=[]] - The defined shift types.
+ * @returns {StaffTimeline} The timeline of the staff member.
+ */
+export const buildStaffTimeline = ({
+  schedules = [],
+  globalStaff,
+  startDate,
+  endDate,
+  weekdays,
+  timeSlots = {},
+  shiftTypes = [],
+}) => {
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+  const defaults = {
+    unit: globalStaff?.defaultUnit ?? "",
+    group: globalStaff?.defaultGroup ?? "",
+    jobTitle: globalStaff?.defaultJobTitle ?? "",
+  };
+  const scheduleByWeek = new Map(
+    schedules.map((schedule) => [schedule.weekStartDate, schedule]),
+  );
+
+  const absenceDays = {};
+  let totalHours = 0;
+
+  const weeks = getWeekStartsBetween(startDate, endDate).map((monday) => {
+    const weekStartDate = toDateKey(monday);
+    const entry = scheduleByWeek
+      .get(weekStartDate)
+      ?.staff?.find((s) => s.staffId === globalStaff?.id);
+    const categories = {
+      unit: entry?.unit ?? defaults.unit,
+      group: entry?.group ?? defaults.group,
+      jobTitle: entry?.jobTitle ?? defaults.jobTitle,
+    };
+
+    const days = getWeekDates(monday, weekdays)
+      .map((date) => ({ date, dateKey: toDateKey(date) }))
+      .filter(({ dateKey }) => dateKey >= startKey && dateKey <= endKey)
+      .map(({ date, dateKey }) => {
+        const shiftCode = entry?.shifts?.[dateKey] || "";
+        const kind = getShiftKind(shiftCode, shiftTypes);
+        if (kind && kind !== "work") {
+          absenceDays[kind] = (absenceDays[kind] || 0) + 1;
+        }
+        return {
+          date,
+          dateKey,
+          shiftCode,
+          kind,
+          hours: getShiftHours(shiftCode, timeSlots, shiftTypes),
+        };
+      });
+    const hours = days.reduce((sum, day) => sum + day.hours, 0);
+    totalHours += hours;
+
+    return {
+      weekStartDate,
+      isScheduled: !!entry,
+      ...categories,
+      days,
+      hours,
+    };
+  });
+
+  return { weeks, totalHours, absenceDays };
+};
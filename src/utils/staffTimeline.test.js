@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { buildStaffTimeline } from "./staffTimeline";
+
+const globalStaff = {
+  id: "a",
+  defaultUnit: "Katica",
+  defaultGroup: "1. csoport",
+  defaultJobTitle: "Kisgyermeknevelő",
+};
+const timeSlots = { DE: "6:00-14:00" };
+const shiftTypes = [
+  { code: "DE", kind: "work" },
+  { code: "FSZ", kind: "paidLeave", countedHours: 8 },
+];
+
+describe("utils/staffTimeline", () => {
+  describe("buildStaffTimeline", () => {
+    const timeline = buildStaffTimeline({
+      schedules: [
+        {
+          weekStartDate: "2024-06-03",
+          staff: [
+            {
+              staffId: "a",
+              unit: "Méhecske",
+              shifts: {
+                "2024-06-04": "DE",
+                "2024-06-05": "FSZ",
+                "2024-06-06": "DE",
+              },
+            },
+            { staffId: "b", shifts: { "2024-06-05": "DE" } },
+          ],
+        },
+      ],
+      globalStaff,
+      startDate: new Date(2024, 5, 5, 12),
+      endDate: new Date(2024, 5, 11, 12),
+      weekdays: [1, 2, 3, 4, 5],
+      timeSlots,
+      shiftTypes,
+    });
+
+    it("should list every week of the range with the days inside the range", () => {
+      expect(timeline.weeks.map((w) => w.weekStartDate)).toEqual([
+        "2024-06-03",
+        "2024-06-10",
+      ]);
+      expect(timeline.weeks[0].days.map((d) => d.dateKey)).toEqual([
+        "2024-06-05",
+        "2024-06-06",
+        "2024-06-07",
+      ]);
+      expect(timeline.weeks[1].days.map((d) => d.dateKey)).toEqual([
+        "2024-06-10",
+        "2024-06-11",
+      ]);
+    });
+
+    it("should use the weekly overrides and fall back to the global defaults", () => {
+      expect(timeline.weeks[0]).toMatchObject({
+        isScheduled: true,
+        unit: "Méhecske",
+        group: "1. csoport",
+      });
+      expect(timeline.weeks[1]).toMatchObject({
+        isScheduled: false,
+        unit: "Katica",
+      });
+    });
+
+    it("should sum the hours and count the absences", () => {
+      expect(timeline.weeks[0].hours).toBe(16);
+      expect(timeline.totalHours).toBe(16);
+      expect(timeline.absenceDays).toEqual({ paidLeave: 1 });
+    });
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * @typedef {object} QueuedWeek - A weekly schedule edited while the app was offline, waiting to be synchronized.
+ * @property {string} weekStartDate - The week ('YYYY-MM-DD').
+ * @property {object | null} base - The schedule the offline edits started from (null if it was not saved yet).
+ * @property {object} mine - The schedule with every offline edit.
+ * @property {number} queuedAt - The time of the first offline edit (milliseconds since the epoch).
+ */
+
+/**
+ * @typedef {object.<string, QueuedWeek>} SyncQueue - The queued weeks keyed by week start date.
+ */
+
+/**
+ * @typedef {object} CellConflict - A value edited offline that someone else changed differently in the meantime.
+ * The other user's value was kept; the offline value can still be chosen.
+ * @property {string} id - Identifies the conflict (week, staff member and key).
+ * @property {string} weekStartDate - The week ('YYYY-MM-DD').
+ * @property {string} staffId - The staff member of the row.
+ * @property {string} staffName - The name of the staff member, for display.
+ * @property {string} key - A date key ('YYYY-MM-DD') for a shift cell, a row field ('name', 'unit', 'group', 'jobTitle'),
+ * or 'row' if the row was removed on one side and changed on the other.
+ * @property {string | object | null} mine - The offline value (the whole row or null for 'row').
+ * @property {string | object | null} theirs - The saved value of the other user (the whole row or null for 'row').
+ */
+
+/**
+ * @typedef {object} WeekMergeResult - The result of synchronizing a queued week.
+ * @property {object} schedule - The merged schedule to save.
+ * @property {CellConflict[]} conflicts - The values that could not be merged.
+ * @property {boolean} changed - False if the merged schedule equals the saved one (nothing to write).
+ */
+
+/**
+ * @constant {string[]} ROW_FIELDS
+ * The weekly overrides of a staff row merged like the shift cells.
+ */
+const ROW_FIELDS = ["name", "unit", "group", "jobTitle"];
+
+/**
+ * @constant {string} SYNC_STORAGE_PREFIX
+ * The prefix of the localStorage keys storing the queue and the conflicts of an organisation.
+ */
+const SYNC_STORAGE_PREFIX = "bolcsiPlan.sync.";
+
+/**
+ * @constant {{queue: SyncQueue, conflicts: CellConflict[]}} EMPTY_SYNC_STATE
+ * The synchronization state without queued weeks and conflicts.
+ */
+export const EMPTY_SYNC_STATE = { queue: {}, conflicts: [] };
+
+/**
+ * Returns whether the browser is offline. Edits made offline are queued instead of written.
+ *
+ * @returns {boolean} True if the browser reports no network connection.
+ */
+export const isBrowserOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Returns whether a failed Firestore call failed because the server cannot be reached.
+ *
+ * @param {{code?: string} | null | undefined} error - The error.
+ * @returns {boolean} True for network errors.
+ */
+export const isOfflineError = (error) =>
+  error?.code === "unavailable" || isBrowserOffline();
+
+/**
+ * Loads the synchronization state of an organisation saved by `saveSyncState`.
+ *
+ * @param {string} organizationId - The organisation ID.
+ * @returns {{queue: SyncQueue, conflicts: CellConflict[]}} The saved state (empty if none or unreadable).
+ */
+export const loadSyncState = (organizationId) => {
+  try {
+    const saved = JSON.parse(
+      localStorage.getItem(SYNC_STORAGE_PREFIX + organizationId),
+    );
+    return {
+      queue: saved?.queue || {},
+      conflicts: saved?.conflicts || [],
+    };
+  } catch (error) {
+    console.error("Error loading the sync queue:", error);
+    return EMPTY_SYNC_STATE;
+  }
+};
+
+/**
+ * Saves the synchronization state of an organisation, so that offline edits survive a reload.
+ *
+ * @param {string} organizationId - The organisation ID.
+ * @param {{queue: SyncQueue, conflicts: CellConflict[]}} state - The state to save.
+ */
+export const saveSyncState = (organizationId, state) => {
+  try {
+    if (Object.keys(state.queue).length === 0 && state.conflicts.length === 0) {
+      localStorage.removeItem(SYNC_STORAGE_PREFIX + organizationId);
+    } else {
+      localStorage.setItem(
+        SYNC_STORAGE_PREFIX + organizationId,
+        JSON.stringify(state),
+      );
+    }
+  } catch (error) {
+    console.error("Error saving the sync queue:", error);
+  }
+};
+
+/**
+ * Queues an offline edit of a week. A week edited again keeps the base of its first offline edit,
+ * so that the synchronization sees every offline change.
+ *
+ * @param {SyncQueue} queue - The current queue.
+ * @param {string} weekStartDate - The week ('YYYY-MM-DD').
+ * @param {object | null} base - The schedule before this edit.
+ * @param {object} mine - The schedule after this edit.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {SyncQueue} The new queue.
+ */
+export const enqueueWeek = (
+  queue,
+  weekStartDate,
+  base,
+  mine,
+  now = Date.now(),
+) => ({
+  ...queue,
+  [weekStartDate]: queue[weekStartDate]
+    ? { ...queue[weekStartDate], mine }
+    : { weekStartDate, base, mine, queuedAt: now },
+});
+
+/**
+ * Removes a synchronized week from the queue.
+ *
+ * @param {SyncQueue} queue - The current queue.
+ * @param {string} weekStartDate - The week ('YYYY-MM-DD').
+ * @returns {SyncQueue} The new queue.
+ */
+export const dequeueWeek = (queue, weekStartDate) => {
+  const rest = { ...queue };
+  delete rest[weekStartDate];
+  return rest;
+};
+
+/**
+ * Returns a value of a staff row: a row field or a shift code (empty if missing).
+ *
+ * @param {object | undefined} row - The row.
+ * @param {string} key - A row field or a date key.
+ * @returns {string} The value.
+ */
+const getRowValue = (row, key) =>
+  (ROW_FIELDS.includes(key) ? row?.[key] : row?.shifts?.[key]) || "";
+
+/**
+ * Returns the keys whose values are compared in a set of rows: the row fields and every date with a shift.
+ *
+ * @param {Array<object | undefined>} rows - The rows.
+ * @returns {string[]} The keys.
+ */
+const getRowKeys = (rows) => [
+  ...ROW_FIELDS,
+  ...new Set(rows.flatMap((row) => Object.keys(row?.shifts || {}))),
+];
+
+/**
+ * Returns whether two rows have the same values.
+ *
+ * @param {object | undefined} a - A row.
+ * @param {object | undefined} b - Another row.
+ * @returns {boolean} True if every field and shift is equal.
+ */
+export const rowsEqual = (a, b) =>
+  getRowKeys([a, b]).every(
+    (key) => getRowValue(a, key) === getRowValue(b, key),
+  );
+
+/**
+ * Returns whether two schedules have the same rows in the same order.
+ *
+ * @param {object} a - A schedule.
+ * @param {object} b - Another schedule.
+ * @returns {boolean} True if the rows are equal.
+ */
+const schedulesEqual = (a, b) =>
+  a.staff.length === b.staff.length &&
+  a.staff.every(
+    (row, index) =>
+      row.staffId === b.staff[index].staffId && rowsEqual(row, b.staff[index]),
+  );
+
+/**
+ * Merges the values of a row edited on both sides cell by cell: a value changed on one side only
+ * is taken from that side, a value changed differently on both sides keeps the other user's value.
+ * Used for the offline edits and for the staff rows saved over another user's changes.
+ *
+ * @param {string} staffId - The staff member.
+ * @param {object | undefined} base - The row before the offline edits.
+ * @param {object} mine - The row with the offline edits.
+ * @param {object} theirs - The saved row.
+ * @returns {{row: object, conflictKeys: string[]}} The merged row and the keys of the conflicting values.
+ */
+export const mergeRowEdits = (staffId, base, mine, theirs) => {
+  const row = { staffId, shifts: {} };
+  const conflictKeys = [];
+  getRowKeys([base, mine, theirs]).forEach((key) => {
+    const baseValue = getRowValue(base, key);
+    const mineValue = getRowValue(mine, key);
+    const theirsValue = getRowValue(theirs, key);
+    let value = theirsValue;
+    if (mineValue !== baseValue && mineValue !== theirsValue) {
+      if (theirsValue === baseValue) value = mineValue;
+      else conflictKeys.push(key);
+    }
+    if (ROW_FIELDS.includes(key)) row[key] = value;
+    else if (value) row.shifts[key] = value;
+  });
+  return { row, conflictKeys };
+};
+
+/**
+ * Synchronizes a week edited offline with its saved version (three-way merge by cell).
+ * Rows added on one side are kept, rows removed on one side are removed unless the other side
+ * changed them (a 'row' conflict keeping the other user's version).
+ *
+ * @param {object | null} base - The schedule the offline edits started from.
+ * @param {object} mine - The schedule with the offline edits.
+ * @param {object | null} theirs - The saved schedule (null if it does not exist).
+ * @returns {WeekMergeResult} The merged schedule and the conflicts.
+ */
+export const mergeWeekEdits = (base, mine, theirs) => {
+  const weekStartDate = mine.weekStartDate;
+  const savedSchedule = theirs || { weekStartDate, staff: [] };
+  const baseRows = new Map((base?.staff || []).map((r) => [r.staffId, r]));
+  const mineRows = new Map(mine.staff.map((r) => [r.staffId, r]));
+  const theirsRows = new Map(savedSchedule.staff.map((r) => [r.staffId, r]));
+  const staffIds = [
+    ...savedSchedule.staff.map((r) => r.staffId),
+    ...mine.staff.map((r) => r.staffId).filter((id) => !theirsRows.has(id)),
+  ];
+
+  const staff = [];
+  const conflicts = [];
+  const addConflict = (staffId, key, mineValue, theirsValue) =>
+    conflicts.push({
+      id: `${weekStartDate}|${staffId}|${key}`,
+      weekStartDate,
+      staffId,
+      staffName:
+        mineRows.get(staffId)?.name ||
+        theirsRows.get(staffId)?.name ||
+        baseRows.get(staffId)?.name ||
+        staffId,
+      key,
+      mine: mineValue,
+      theirs: theirsValue,
+    });
+
+  staffIds.forEach((staffId) => {
+    const baseRow = baseRows.get(staffId);
+    const mineRow = mineRows.get(staffId);
+    const theirsRow = theirsRows.get(staffId);
+    if (!mineRow || !theirsRow) {
+      // Removed on one side: keep the removal unless the other side changed the row
+      const keptRow = mineRow || theirsRow;
+      const isRemovedOffline = !mineRow && !!baseRow;
+      if (!baseRow) {
+        staff.push(keptRow);
+      } else if (!rowsEqual(baseRow, keptRow)) {
+        if (isRemovedOffline) staff.push(theirsRow);
+        addConflict(staffId, "row", mineRow || null, theirsRow || null);
+      }
+      return;
+    }
+    const { row, conflictKeys } = mergeRowEdits(
+      staffId,
+      baseRow,
+      mineRow,
+      theirsRow,
+    );
+    staff.push(row);
+    conflictKeys.forEach((key) =>
+      addConflict(
+        staffId,
+        key,
+        getRowValue(mineRow, key),
+        getRowValue(theirsRow, key),
+      ),
+    );
+  });
+
+  const schedule = { weekStartDate, staff };
+  return {
+    schedule,
+    conflicts,
+    changed: !theirs || !schedulesEqual(schedule, savedSchedule),
+  };
+};
+
+/**
+ * Turns the offline edits of a week that the server rejected (e.g. after a role change) into conflicts,
+ * so that they leave the queue without being lost: every value changed offline becomes a conflict
+ * between the offline value and the value it started from, and the user decides about each of them.
+ *
+ * @param {QueuedWeek} queuedWeek - The rejected week.
+ * @returns {CellConflict[]} The conflicts of the offline changes.
+ */
+export const createRejectedWeekConflicts = ({ weekStartDate, base, mine }) => {
+  const baseRows = new Map((base?.staff || []).map((r) => [r.staffId, r]));
+  const mineRows = new Map(mine.staff.map((r) => [r.staffId, r]));
+  const toConflict = (staffId, key, mineValue, theirsValue) => ({
+    id: `${weekStartDate}|${staffId}|${key}`,
+    weekStartDate,
+    staffId,
+    staffName:
+      mineRows.get(staffId)?.name || baseRows.get(staffId)?.name || staffId,
+    key,
+    mine: mineValue,
+    theirs: theirsValue,
+  });
+  return [...new Set([...baseRows.keys(), ...mineRows.keys()])].flatMap(
+    (staffId) => {
+      const baseRow = baseRows.get(staffId);
+      const mineRow = mineRows.get(staffId);
+      if (!baseRow || !mineRow) {
+        return [toConflict(staffId, "row", mineRow || null, baseRow || null)];
+      }
+      return getRowKeys([baseRow, mineRow])
+        .filter(
+          (key) => getRowValue(baseRow, key) !== getRowValue(mineRow, key),
+        )
+        .map((key) =>
+          toConflict(
+            staffId,
+            key,
+            getRowValue(mineRow, key),
+            getRowValue(baseRow, key),
+          ),
+        );
+    },
+  );
+};
+
+/**
+ * Applies the offline value of a conflict to a schedule (the user chose their own value).
+ *
+ * @param {object} schedule - The saved schedule.
+ * @param {CellConflict} conflict - The conflict.
+ * @returns {object} The schedule with the offline value.
+ */
+export const applyConflictChoice = (schedule, conflict) => {
+  const rows = schedule.staff.filter((r) => r.staffId !== conflict.staffId);
+  const row = schedule.staff.find((r) => r.staffId === conflict.staffId);
+  if (conflict.key === "row") {
+    return {
+      ...schedule,
+      staff: conflict.mine ? [...rows, conflict.mine] : rows,
+    };
+  }
+  if (!row) return schedule;
+  const updatedRow = ROW_FIELDS.includes(conflict.key)
+    ? { ...row, [conflict.key]: conflict.mine }
+    : { ...row, shifts: { ...row.shifts, [conflict.key]: conflict.mine } };
+  return {
+    ...schedule,
+    staff: schedule.staff.map((r) =>
+      r.staffId === conflict.staffId ? updatedRow : r,
+    ),
+  };
+};
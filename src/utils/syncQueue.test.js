@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  EMPTY_SYNC_STATE,
+  applyConflictChoice,
+  createRejectedWeekConflicts,
+  dequeueWeek,
+  enqueueWeek,
+  loadSyncState,
+  mergeWeekEdits,
+  saveSyncState,
+} from "./syncQueue";
+
+const row = (staffId, shifts, fields = {}) => ({
+  staffId,
+  name: staffId.toUpperCase(),
+  unit: "I.",
+  group: "",
+  jobTitle: "",
+  shifts,
+  ...fields,
+});
+
+const week = (...staff) => ({ weekStartDate: "2024-06-03", staff });
+
+const base = week(
+  row("a", { "2024-06-03": "DE", "2024-06-04": "DE" }),
+  row("b", { "2024-06-03": "DU" }),
+);
+
+describe("utils/syncQueue", () => {
+  describe("enqueueWeek / dequeueWeek", () => {
+    it("should keep the base of the first offline edit", () => {
+      const edited = week(row("a", {}));
+      const queue = enqueueWeek(
+        enqueueWeek({}, "2024-06-03", base, edited, 1),
+        "2024-06-03",
+        edited,
+        week(),
+        2,
+      );
+      expect(queue["2024-06-03"]).toEqual({
+        weekStartDate: "2024-06-03",
+        base,
+        mine: week(),
+        queuedAt: 1,
+      });
+      expect(dequeueWeek(queue, "2024-06-03")).toEqual({});
+    });
+  });
+
+  describe("loadSyncState / saveSyncState", () => {
+    beforeEach(() => localStorage.clear());
+
+    it("should keep the queue of an organisation across reloads", () => {
+      const state = {
+        queue: enqueueWeek({}, "2024-06-03", base, week(), 1),
+        conflicts: [],
+      };
+      saveSyncState("org1", state);
+      expect(loadSyncState("org1")).toEqual(state);
+      expect(loadSyncState("org2")).toEqual(EMPTY_SYNC_STATE);
+
+      saveSyncState("org1", EMPTY_SYNC_STATE);
+      expect(localStorage.length).toBe(0);
+    });
+  });
+
+  describe("mergeWeekEdits", () => {
+    it("should merge cells changed on different sides", () => {
+      const mine = week(
+        row("a", { "2024-06-03": "SZ", "2024-06-04": "DE" }),
+        row("b", { "2024-06-03": "DU" }),
+      );
+      const theirs = week(
+        row("a", { "2024-06-03": "DE", "2024-06-04": "DU" }),
+        row("b", { "2024-06-03": "DU" }, { unit: "II." }),
+      );
+
+      const result = mergeWeekEdits(base, mine, theirs);
+
+      expect(result.conflicts).toEqual([]);
+      expect(result.changed).toBe(true);
+      expect(result.schedule.staff).toEqual([
+        row("a", { "2024-06-03": "SZ", "2024-06-04": "DU" }),
+        row("b", { "2024-06-03": "DU" }, { unit: "II." }),
+      ]);
+    });
+
+    it("should keep the saved value of a cell changed on both sides and report it", () => {
+      const mine = week(
+        row("a", { "2024-06-03": "SZ", "2024-06-04": "DE" }),
+        row("b", { "2024-06-03": "DU" }),
+      );
+      const theirs = week(
+        row("a", { "2024-06-03": "B", "2024-06-04": "DE" }),
+        row("b", { "2024-06-03": "DU" }),
+      );
+
+      const result = mergeWeekEdits(base, mine, theirs);
+
+      expect(result.schedule.staff[0].shifts["2024-06-03"]).toBe("B");
+      expect(result.changed).toBe(false);
+      expect(result.conflicts).toEqual([
+        {
+          id: "2024-06-03|a|2024-06-03",
+          weekStartDate: "2024-06-03",
+          staffId: "a",
+          staffName: "A",
+          key: "2024-06-03",
+          mine: "SZ",
+          theirs: "B",
+        },
+      ]);
+      expect(
+        applyConflictChoice(result.schedule, result.conflicts[0]).staff[0]
+          .shifts["2024-06-03"],
+      ).toBe("SZ");
+    });
+
+    it("should keep added rows and report rows removed on one side but changed on the other", () => {
+      const mine = week(row("b", { "2024-06-03": "DU" }), row("c", {}));
+      const theirs = week(
+        row("a", { "2024-06-03": "B", "2024-06-04": "DE" }),
+        row("b", { "2024-06-03": "DU" }),
+        row("d", {}),
+      );
+
+      const result = mergeWeekEdits(base, mine, theirs);
+
+      expect(result.schedule.staff.map((r) => r.staffId)).toEqual([
+        "a",
+        "b",
+        "d",
+        "c",
+      ]);
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({
+          staffId: "a",
+          key: "row",
+          mine: null,
+          theirs: theirs.staff[0],
+        }),
+      ]);
+      expect(
+        applyConflictChoice(result.schedule, result.conflicts[0]).staff.map(
+          (r) => r.staffId,
+        ),
+      ).toEqual(["b", "d", "c"]);
+    });
+
+    it("should write a new week without a saved version", () => {
+      const mine = week(row("a", { "2024-06-03": "DE" }));
+      expect(mergeWeekEdits(null, mine, null)).toEqual({
+        schedule: mine,
+        conflicts: [],
+        changed: true,
+      });
+    });
+  });
+
+  describe("createRejectedWeekConflicts", () => {
+    it("should turn every offline change into a conflict with the value it started from", () => {
+      const mine = week(
+        row("a", { "2024-06-03": "E", "2024-06-04": "DE" }, { unit: "II." }),
+        row("c", {}),
+      );
+      const conflicts = createRejectedWeekConflicts({
+        weekStartDate: "2024-06-03",
+        base,
+        mine,
+      });
+      expect(
+        conflicts.map(({ id, mine: value, theirs }) => [id, value, theirs]),
+      ).toEqual([
+        ["2024-06-03|a|unit", "II.", "I."],
+        ["2024-06-03|a|2024-06-03", "E", "DE"],
+        ["2024-06-03|b|row", null, base.staff[1]],
+        ["2024-06-03|c|row", mine.staff[1], null],
+      ]);
+      // Choosing the offline value applies it again
+      expect(
+        applyConflictChoice(base, conflicts[1]).staff[0].shifts["2024-06-03"],
+      ).toBe("E");
+    });
+  });
+});
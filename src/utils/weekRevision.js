@@ -0,0 +1,94 @@
+import { rowsEqual } from "./syncQueue";
+
+/**
+ * @constant {string} STALE_REVISION
+ * The `code` of the error rejecting a save that was based on an outdated version of a week.
+ */
+export const STALE_REVISION = "stale-revision";
+
+/**
+ * Returns the revision of a weekly schedule. Every write of a week increments it by one, so a save
+ * can tell whether the week was changed since it was loaded. Weeks saved before revisions (and
+ * weeks not saved yet) count as revision 0.
+ *
+ * @param {object | null | undefined} schedule - The weekly schedule.
+ * @returns {number} The revision.
+ */
+export const getRevision = (schedule) => schedule?.revision ?? 0;
+
+/**
+ * Returns a schedule to write over the saved version of the week, with the next revision.
+ *
+ * @param {object} schedule - The schedule to write (its own revision is ignored).
+ * @param {object | null} saved - The saved version of the week (null if it does not exist).
+ * @returns {object} The schedule with the revision following the saved one.
+ */
+export const withNextRevision = (schedule, saved) => ({
+  ...schedule,
+  revision: getRevision(saved) + 1,
+});
+
+/**
+ * Creates the error rejecting a save based on an outdated version of a week.
+ *
+ * @param {object | null} saved - The saved version of the week (null if it was deleted).
+ * @returns {Error & {code: string, saved: object | null}} The error, carrying the saved week.
+ */
+export const createStaleRevisionError = (saved) => {
+  const error = new Error("A hetet közben más is módosította.");
+  error.code = STALE_REVISION;
+  error.saved = saved;
+  return error;
+};
+
+/**
+ * Returns whether an error rejected a save based on an outdated version of a week.
+ *
+ * @param {{code?: string} | null | undefined} error - The error.
+ * @returns {boolean} True for the errors of `createStaleRevisionError`.
+ */
+export const isStaleRevisionError = (error) => error?.code === STALE_REVISION;
+
+/**
+ * Returns the row of a staff member in a weekly schedule.
+ *
+ * @param {object | null | undefined} schedule - The weekly schedule.
+ * @param {string} staffId - The staff member.
+ * @returns {object | null} The row, or null if the staff member is not in the week.
+ */
+export const findStaffRow = (schedule, staffId) =>
+  schedule?.staff?.find((row) => row.staffId === staffId) ?? null;
+
+/**
+ * Returns whether the saved row of a staff member differs from the row an edit started from
+ * (including the row being added or removed in the meantime).
+ *
+ * @param {object | null} savedRow - The saved row (null if the staff member is not in the saved week).
+ * @param {object | null} baseRow - The row the edit started from (null if it was not in the week).
+ * @returns {boolean} True if someone else changed the row since the edit started.
+ */
+export const isRowChangedSince = (savedRow, baseRow) =>
+  savedRow && baseRow
+    ? !rowsEqual(savedRow, baseRow)
+    : !!savedRow !== !!baseRow;
+
+/**
+ * Replaces, adds or removes the row of a staff member in a weekly schedule, keeping the other rows.
+ *
+ * @param {object} schedule - The weekly schedule.
+ * @param {string} staffId - The staff member.
+ * @param {object | null} row - The new row (null removes the staff member from the week).
+ * @returns {object} The new schedule.
+ */
+export const replaceStaffRow = (schedule, staffId, row) => {
+  const staff = schedule.staff || [];
+  if (!row) {
+    return { ...schedule, staff: staff.filter((r) => r.staffId !== staffId) };
+  }
+  return {
+    ...schedule,
+    staff: staff.some((r) => r.staffId === staffId)
+      ? staff.map((r) => (r.staffId === staffId ? row : r))
+      : [...staff, row],
+  };
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import {
+  createStaleRevisionError,
+  findStaffRow,
+  getRevision,
+  isRowChangedSince,
+  isStaleRevisionError,
+  replaceStaffRow,
+  withNextRevision,
+} from "./weekRevision";
+
+const row = (staffId, shifts = {}) => ({
+  staffId,
+  name: staffId.toUpperCase(),
+  unit: "I.",
+  group: "",
+  jobTitle: "",
+  shifts,
+});
+
+const week = {
+  weekStartDate: "2024-06-03",
+  revision: 4,
+  staff: [row("a", { "2024-06-03": "DE" }), row("b")],
+};
+
+describe("utils/weekRevision", () => {
+  it("should count weeks without a revision as revision 0", () => {
+    expect(getRevision(null)).toBe(0);
+    expect(getRevision({ weekStartDate: "2024-06-03", staff: [] })).toBe(0);
+    expect(getRevision(week)).toBe(4);
+  });
+
+  it("should write the revision following the saved one", () => {
+    const edited = { ...week, revision: 1, staff: [] };
+    expect(withNextRevision(edited, week)).toEqual({ ...edited, revision: 5 });
+    expect(withNextRevision(edited, null).revision).toBe(1);
+  });
+
+  it("should carry the saved week in the stale revision error", () => {
+    const error = createStaleRevisionError(week);
+    expect(isStaleRevisionError(error)).toBe(true);
+    expect(error.saved).toBe(week);
+    expect(isStaleRevisionError(new Error("other"))).toBe(false);
+  });
+
+  it("should detect rows changed, added or removed since an edit started", () => {
+    const saved = findStaffRow(week, "a");
+    expect(isRowChangedSince(saved, row("a", { "2024-06-03": "DE" }))).toBe(
+      false,
+    );
+    expect(isRowChangedSince(saved, row("a", { "2024-06-03": "DU" }))).toBe(
+      true,
+    );
+    expect(isRowChangedSince(saved, null)).toBe(true);
+    expect(isRowChangedSince(findStaffRow(week, "c"), row("c"))).toBe(true);
+    expect(isRowChangedSince(null, null)).toBe(false);
+  });
+
+  it("should replace, add and remove a single row", () => {
+    const updated = row("b", { "2024-06-04": "DU" });
+    expect(replaceStaffRow(week, "b", updated).staff).toEqual([
+      week.staff[0],
+      updated,
+    ]);
+    expect(replaceStaffRow(week, "c", row("c")).staff).toHaveLength(3);
+    expect(replaceStaffRow(week, "a", null).staff).toEqual([week.staff[1]]);
+  });
+});
@@ -0,0 +1,121 @@
+import { rowsEqual } from "./syncQueue";
+import {
+  SCHEMA_VERSION_FIELD,
+  WEEKLY_SCHEMA_VERSION,
+  migrateWeeklyDocument,
+} from "./schemaMigrations";
+
+/**
+ * @typedef {object} WeeklyRow - The weekly row of a staff member as stored in Firestore.
+ * @property {string} staffId - The staff member (also the key of the row).
+ * @property {string} name - The weekly name override.
+ * @property {string} unit - The weekly unit override.
+ * @property {string} group - The weekly group override.
+ * @property {string} jobTitle - The weekly job title override.
+ * @property {object.<string, string>} shifts - Shift codes keyed by date ('YYYY-MM-DD').
+ */
+
+/**
+ * @typedef {object} WeeklyDocument - A weekly schedule as stored in Firestore (`weeklySchedules/{weekStartDate}`).
+ * The rows are keyed by staff ID, so that a save writes only the changed rows (field-level updates).
+ * Documents of older schema versions (e.g. with a `staff` array instead of `rows`) are upgraded
+ * when read (see `utils/schemaMigrations`) and stored in the current schema on their next save.
+ * @property {string} weekStartDate - The week ('YYYY-MM-DD').
+ * @property {number} schemaVersion - The schema version of the document.
+ * @property {number} revision - The revision of the week (see `utils/weekRevision`).
+ * @property {object.<string, WeeklyRow>} rows - The rows keyed by staff ID.
+ */
+
+/**
+ * @constant {string} WEEKLY_ROWS_FIELD
+ * The field of a weekly document holding the rows; a row is updated at the field path `rows.{staffId}`.
+ */
+export const WEEKLY_ROWS_FIELD = "rows";
+
+/**
+ * Returns the stored form of a row, with every field present.
+ *
+ * @param {object} row - The row (must include `staffId`).
+ * @returns {WeeklyRow} The row to store.
+ */
+export const toWeeklyRow = (row) => ({
+  staffId: row.staffId,
+  name: row.name || "",
+  unit: row.unit || "",
+  group: row.group || "",
+  jobTitle: row.jobTitle || "",
+  shifts: row.shifts || {},
+});
+
+/**
+ * Converts a weekly schedule of the app (`staff` array) into its stored form.
+ *
+ * @param {object} schedule - The weekly schedule.
+ * @returns {WeeklyDocument} The document to store.
+ */
+export const toWeeklyDocument = (schedule) => ({
+  weekStartDate: schedule.weekStartDate,
+  [SCHEMA_VERSION_FIELD]: WEEKLY_SCHEMA_VERSION,
+  revision: schedule.revision ?? 0,
+  [WEEKLY_ROWS_FIELD]: Object.fromEntries(
+    (schedule.staff || []).map((row) => [row.staffId, toWeeklyRow(row)]),
+  ),
+});
+
+/**
+ * Converts a stored weekly document (of any schema version) into the weekly schedule of the app.
+ * The rows are ordered by staff ID; the displayed order comes from the staff list.
+ *
+ * @param {WeeklyDocument | object} data - The stored document.
+ * @returns {{weekStartDate: string, revision: number, staff: WeeklyRow[]}} The weekly schedule.
+ */
+export const fromWeeklyDocument = (data) => {
+  const { data: stored } = migrateWeeklyDocument(data);
+  const rows = stored[WEEKLY_ROWS_FIELD] || {};
+  return {
+    weekStartDate: stored.weekStartDate,
+    revision: stored.revision ?? 0,
+    staff: Object.keys(rows)
+      .sort()
+      .map((staffId) => ({ ...rows[staffId], staffId })),
+  };
+};
+
+/**
+ * The Firestore converter of the weekly schedule documents: the app reads and writes weekly schedules
+ * with a `staff` array, while they are stored with their rows keyed by staff ID.
+ * Field-level updates (`updateDoc`, `transaction.update`) are not converted.
+ *
+ * @type {import("firebase/firestore").FirestoreDataConverter<object, WeeklyDocument>}
+ */
+export const weeklyScheduleConverter = {
+  toFirestore: (schedule) => toWeeklyDocument(schedule),
+  fromFirestore: (snapshot, options) =>
+    fromWeeklyDocument(snapshot.data(options)),
+};
+
+/**
+ * Lists the rows to write when a weekly schedule is saved over its saved version:
+ * the added and changed rows, and the removed ones (as null).
+ *
+ * @param {object | null} saved - The saved schedule (null if the week does not exist).
+ * @param {object} schedule - The schedule to save.
+ * @returns {Array<[string, WeeklyRow | null]>} The staff IDs and their new rows (null to remove the row).
+ */
+export const getChangedWeeklyRows = (saved, schedule) => {
+  const savedRows = new Map(
+    (saved?.staff || []).map((row) => [row.staffId, row]),
+  );
+  const ids = new Set(schedule.staff.map((row) => row.staffId));
+  return [
+    ...schedule.staff
+      .filter((row) => {
+        const savedRow = savedRows.get(row.staffId);
+        return !savedRow || !rowsEqual(savedRow, row);
+      })
+      .map((row) => [row.staffId, toWeeklyRow(row)]),
+    ...[...savedRows.keys()]
+      .filter((staffId) => !ids.has(staffId))
+      .map((staffId) => [staffId, null]),
+  ];
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import {
+  fromWeeklyDocument,
+  getChangedWeeklyRows,
+  toWeeklyDocument,
+} from "./weeklyDocument";
+
+const row = (staffId, shifts = {}) => ({
+  staffId,
+  name: staffId.toUpperCase(),
+  unit: "I.",
+  group: "",
+  jobTitle: "",
+  shifts,
+});
+
+const schedule = {
+  weekStartDate: "2024-06-03",
+  revision: 2,
+  staff: [row("a", { "2024-06-03": "DE" }), row("b")],
+};
+
+describe("utils/weeklyDocument", () => {
+  it("should store the rows keyed by staff ID and read them back", () => {
+    const stored = toWeeklyDocument(schedule);
+    expect(stored).toEqual({
+      weekStartDate: "2024-06-03",
+      schemaVersion: 1,
+      revision: 2,
+      rows: { a: schedule.staff[0], b: schedule.staff[1] },
+    });
+    expect(fromWeeklyDocument(stored)).toEqual(schedule);
+  });
+
+  it("should read documents of the old array layout", () => {
+    const legacy = { weekStartDate: "2024-06-03", staff: [row("b"), row("a")] };
+    expect(fromWeeklyDocument(legacy)).toEqual({
+      weekStartDate: "2024-06-03",
+      revision: 0,
+      staff: [row("a"), row("b")],
+    });
+  });
+
+  it("should fill the missing fields of a stored row", () => {
+    expect(
+      toWeeklyDocument({
+        weekStartDate: "2024-06-03",
+        staff: [{ staffId: "a", unit: undefined }],
+      }).rows.a,
+    ).toEqual({
+      staffId: "a",
+      name: "",
+      unit: "",
+      group: "",
+      jobTitle: "",
+      shifts: {},
+    });
+  });
+
+  it("should list only the added, changed and removed rows", () => {
+    const edited = {
+      ...schedule,
+      staff: [row("a", { "2024-06-03": "DU" }), row("c")],
+    };
+    expect(getChangedWeeklyRows(schedule, edited)).toEqual([
+      ["a", edited.staff[0]],
+      ["c", edited.staff[1]],
+      ["b", null],
+    ]);
+    expect(getChangedWeeklyRows(schedule, schedule)).toEqual([]);
+    expect(getChangedWeeklyRows(null, schedule)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,276 @@
+import { formatDate, getDayName, toDateKey } from "./helpers";
+import { calculateStaffHours, formatHours } from "./hours";
+
+/**
+ * @typedef {object} ExportCell - A cell of an exported sheet.
+ * @property {string | number} value - The cell value.
+ * @property {string} [fill] - Background color as a hex string (e.g., "#cce6ff").
+ */
+
+/**
+ * @typedef {object} ExportRow - A row of an exported sheet.
+ * @property {'unit' | 'staff'} type - Unit header rows span the whole width of the sheet.
+ * @property {ExportCell[]} cells - The cells of the row.
+ */
+
+/**
+ * @typedef {object} ExportSheet - A library-independent description of a worksheet.
+ * @property {string} name - The sheet name (shown on the tab, see `toSheetName`).
+ * @property {string} title - The title written above the table (e.g., the week range and parity).
+ * @property {string[]} header - The column headers.
+ * @property {number[]} columnWidths - The column widths in characters.
+ * @property {number} frozenColumns - Number of info columns kept visible while scrolling horizontally.
+ * @property {ExportRow[]} rows - The unit header and staff rows.
+ */
+
+/**
+ * @constant {string} XLSX_MIME_TYPE
+ * MIME type of the generated files.
+ */
+export const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * Converts a text into a valid Excel sheet name (at most 31 characters, without the characters Excel forbids).
+ *
+ * @param {string} name - The desired name.
+ * @returns {string} The sanitized sheet name.
+ * @example
+ * toSheetName("2024/06/03"); // returns "2024-06-03"
+ */
+export const toSheetName = (name) =>
+  (String(name || "").replace(/[\\/?*[\]:]/g, "-") || "Munkalap").slice(0, 31);
+
+/**
+ * Converts a hex color ("#abc" or "#aabbcc") into the ARGB format used by Excel.
+ *
+ * @param {string} color - The hex color.
+ * @returns {string | null} The ARGB color (e.g., "FFAABBCC"), or null if the color is not a hex color.
+ */
+const toArgb = (color) => {
+  const hex = String(color || "").replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    return `FF${hex
+      .split("")
+      .map((c) => c + c)
+      .join("")
+      .toUpperCase()}`;
+  }
+  return /^[0-9a-f]{6}$/i.test(hex) ? `FF${hex.toUpperCase()}` : null;
+};
+
+/**
+ * Chooses a readable font color (ARGB) for a background color, using the same luminance rule as `getContrastingTextColor`.
+ *
+ * @param {string} argb - The background color in ARGB format.
+ * @returns {string} Black or white in ARGB format.
+ */
+const getContrastingArgb = (argb) => {
+  const rgb = parseInt(argb.slice(2), 16);
+  const luma =
+    0.2126 * ((rgb >> 16) & 0xff) +
+    0.7152 * ((rgb >> 8) & 0xff) +
+    0.0722 * (rgb & 0xff);
+  return luma < 128 ? "FFFFFFFF" : "FF000000";
+};
+
+/**
+ * Describes a schedule table (staff grouped by unit, one column per day) as an export sheet.
+ * The layout follows the ScheduleTable: unit sections, the info columns, the shift codes with
+ * their time slots and colors, and the hours total of the displayed days.
+ *
+ * @param {object} params - The parameters.
+ * @param {string} params.name - The sheet name.
+ * @param {string} params.title - The title written above the table.
+ * @param {Date[]} params.dates - The days (columns) of the sheet.
+ * @param {object.<string, Array<import('./staffRows').StaffRow>>} params.staffByUnit - The staff rows grouped by unit (see `buildStaffByUnit`).
+ * @param {function(string): string} params.getShiftColor - Returns the background color of a shift code.
+ * @param {object.<string, string>} [params.timeSlots={}] - Mapping of shift codes to time slot strings.
+ * @param {Array<object>} [params.shiftTypes=[]] - The defined shift types (for the counted hours of absences).
+ * @param {string[]} [params.units=[]] - The units of the global settings (to mark deleted units).
+ * @returns {ExportSheet} The sheet description.
+ */
+export const buildScheduleSheet = ({
+  name,
+  title,
+  dates,
+  staffByUnit,
+  getShiftColor,
+  timeSlots = {},
+  shiftTypes = [],
+  units = [],
+}) => {
+  const dateKeys = dates.map(toDateKey);
+  const rows = [];
+
+  Object.entries(staffByUnit || {}).forEach(([unitKey, staffList]) => {
+    const isUnitKeyOrphaned = unitKey !== "" && !units.includes(unitKey);
+    rows.push({
+      type: "unit",
+      cells: [
+        {
+          value: isUnitKeyOrphaned
+            ? `${unitKey} (törölt)`
+            : unitKey || "Nincs egységhez rendelve",
+        },
+      ],
+    });
+
+    staffList.forEach((staff) => {
+      const { total } = calculateStaffHours(
+        staff.shifts,
+        dateKeys,
+        timeSlots,
+        shiftTypes,
+      );
+      rows.push({
+        type: "staff",
+        cells: [
+          { value: staff.employeeNumber || "" },
+          { value: staff.displayUnit || "" },
+          { value: staff.displayGroup || "" },
+          { value: staff.displayJobTitle || "" },
+          { value: staff.name || "" },
+          ...dateKeys.map((dateKey) => {
+            const shiftCode = staff.shifts?.[dateKey] || "";
+            if (!shiftCode) return { value: "" };
+            const timeSlot = timeSlots[shiftCode];
+            return {
+              value: timeSlot ? `${shiftCode}\n${timeSlot}` : shiftCode,
+              fill: getShiftColor(shiftCode),
+            };
+          }),
+          { value: formatHours(total) },
+        ],
+      });
+    });
+  });
+
+  return {
+    name: toSheetName(name),
+    title,
+    header: [
+      "Azon.",
+      "Egység",
+      "Csoport",
+      "Munkakör",
+      "Név",
+      ...dates.map((date) => `${getDayName(date)}\n${formatDate(date)}`),
+      "Óra",
+    ],
+    columnWidths: [8, 14, 14, 16, 24, ...dates.map(() => 12), 8],
+    frozenColumns: 5,
+    rows,
+  };
+};
+
+/**
+ * Writes export sheets into an .xlsx workbook. The spreadsheet library is loaded on demand,
+ * so that it is not part of the main bundle.
+ *
+ * @param {ExportSheet[]} sheets - The sheets to write, one worksheet each.
+ * @returns {Promise<ArrayBuffer>} The content of the .xlsx file.
+ */
+export const createWorkbook = async (sheets) => {
+  const { default: ExcelJS } = await import("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "BölcsiPlan";
+  workbook.created = new Date();
+
+  const thinBorder = { style: "thin", color: { argb: "FFD1D5DB" } };
+  const border = {
+    top: thinBorder,
+    left: thinBorder,
+    bottom: thinBorder,
+    right: thinBorder,
+  };
+
+  sheets.forEach((sheet) => {
+    const columnCount = sheet.header.length;
+    const worksheet = workbook.addWorksheet(sheet.name, {
+      pageSetup: {
+        paperSize: 9, // A4
+        orientation: "landscape",
+        fitToPage: true,
+        fitToWidth: 1,
+        fitToHeight: 0,
+      },
+      views: [{ state: "frozen", xSplit: sheet.frozenColumns, ySplit: 3 }],
+    });
+    worksheet.columns = sheet.columnWidths.map((width) => ({ width }));
+
+    // Title row
+    worksheet.mergeCells(1, 1, 1, columnCount);
+    const titleCell = worksheet.getCell(1, 1);
+    titleCell.value = sheet.title;
+    titleCell.font = { bold: true, size: 14 };
+
+    // Header row (row 2 is left empty as a spacer)
+    const headerRow = worksheet.getRow(3);
+    headerRow.values = sheet.header;
+    headerRow.eachCell((cell) => {
+      cell.font = { bold: true };
+      cell.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFF3F4F6" },
+      };
+      cell.alignment = {
+        horizontal: "center",
+        vertical: "middle",
+        wrapText: true,
+      };
+      cell.border = border;
+    });
+
+    sheet.rows.forEach((row, index) => {
+      const rowNumber = 4 + index;
+      if (row.type === "unit") {
+        worksheet.mergeCells(rowNumber, 1, rowNumber, columnCount);
+        const cell = worksheet.getCell(rowNumber, 1);
+        cell.value = row.cells[0].value;
+        cell.font = { bold: true, color: { argb: "FF1E40AF" } };
+        cell.fill = {
+          type: "pattern",
+          pattern: "solid",
+          fgColor: { argb: "FFDBEAFE" },
+        };
+        return;
+      }
+      row.cells.forEach((exportCell, columnIndex) => {
+        const cell = worksheet.getCell(rowNumber, columnIndex + 1);
+        cell.value = exportCell.value;
+        cell.border = border;
+        cell.alignment = {
+          vertical: "middle",
+          wrapText: true,
+          horizontal: columnIndex >= 5 || columnIndex === 0 ? "center" : "left",
+        };
+        const argb = toArgb(exportCell.fill);
+        if (argb) {
+          cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb } };
+          cell.font = { color: { argb: getContrastingArgb(argb) } };
+        }
+      });
+    });
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Offers the content of an .xlsx file for download in the browser.
+ *
+ * @param {ArrayBuffer} buffer - The file content (see `createWorkbook`).
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export const downloadWorkbook = (buffer, fileName) => {
+  const url = URL.createObjectURL(new Blob([buffer], { type: XLSX_MIME_TYPE }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import ExcelJS from "exceljs";
+import { buildScheduleSheet, createWorkbook, toSheetName } from "./xlsxExport";
+
+const staffByUnit = {
+  Katica: [
+    {
+      staffId: "a",
+      employeeNumber: "12",
+      name: "Anna",
+      displayUnit: "Katica",
+      displayGroup: "1. csoport",
+      displayJobTitle: "Kisgyermeknevelő",
+      shifts: { "2024-06-03": "DE", "2024-06-04": "FSZ" },
+    },
+  ],
+  "Régi egység": [],
+};
+const sheet = buildScheduleSheet({
+  name: "2024.06.03",
+  title: "2024.06.03 - 2024.06.04 (páros)",
+  dates: [new Date(2024, 5, 3, 12), new Date(2024, 5, 4, 12)],
+  staffByUnit,
+  getShiftColor: (code) => (code === "DE" ? "#cce6ff" : "#333"),
+  timeSlots: { DE: "6:00-14:00" },
+  shiftTypes: [{ code: "FSZ", kind: "paidLeave", countedHours: 8 }],
+  units: ["Katica"],
+});
+
+describe("utils/xlsxExport", () => {
+  describe("toSheetName", () => {
+    it("should remove forbidden characters and shorten the name", () => {
+      expect(toSheetName("2024/06:03")).toBe("2024-06-03");
+      expect(toSheetName("x".repeat(40))).toHaveLength(31);
+      expect(toSheetName("")).toBe("Munkalap");
+    });
+  });
+
+  describe("buildScheduleSheet", () => {
+    it("should keep the unit sections, time slots, colors and hours", () => {
+      expect(sheet.header).toEqual([
+        "Azon.",
+        "Egység",
+        "Csoport",
+        "Munkakör",
+        "Név",
+        "Hétfő\n2024.06.03",
+        "Kedd\n2024.06.04",
+        "Óra",
+      ]);
+      expect(sheet.rows.map((row) => row.type)).toEqual([
+        "unit",
+        "staff",
+        "unit",
+      ]);
+      expect(sheet.rows[2].cells[0].value).toBe("Régi egység (törölt)");
+      const cells = sheet.rows[1].cells;
+      expect(cells[5]).toEqual({ value: "DE\n6:00-14:00", fill: "#cce6ff" });
+      expect(cells[6]).toEqual({ value: "FSZ", fill: "#333" });
+      expect(cells[7].value).toBe("16:00");
+    });
+  });
+
+  describe("createWorkbook", () => {
+    it("should write one worksheet per sheet with the cell colors", async () => {
+      const buffer = await createWorkbook([
+        sheet,
+        { ...sheet, name: "2024.06.10" },
+      ]);
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      expect(workbook.worksheets.map((ws) => ws.name)).toEqual([
+        "2024.06.03",
+        "2024.06.10",
+      ]);
+      const worksheet = workbook.worksheets[0];
+      expect(worksheet.getCell(1, 1).value).toBe(
+        "2024.06.03 - 2024.06.04 (páros)",
+      );
+      expect(worksheet.getCell(4, 1).value).toBe("Katica");
+      expect(worksheet.getCell(5, 6).fill.fgColor.argb).toBe("FFCCE6FF");
+      expect(worksheet.getCell(5, 7).font.color.argb).toBe("FFFFFFFF");
+    });
+  });
+});
@@ -1,9 +1,45 @@
 import { defineConfig } from "vite";
+import { configDefaults } from "vitest/config";
 import react from "@vitejs/plugin-react";
+import { VitePWA } from "vite-plugin-pwa";
 
 export default defineConfig(({ mode }) => {
   return {
-    plugins: [react()],
+    plugins: [
+      react(),
+      // Service worker precaching the app shell, so that the app also opens offline.
+      // The data comes from the Firestore offline cache, so Firestore requests are not cached here.
+      VitePWA({
+        registerType: "prompt", // The user decides when a new version is activated
+        injectRegister: false, // Registered by PwaUpdatePrompt
+        manifest: false, // public/manifest.json
+        workbox: {
+          globPatterns: ["**/*.{js,css,html,ico,svg,png,json,txt}"],
+          // The main chunk and ExcelJS are about 1 MB each
+          maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+          navigateFallback: "index.html",
+          // The Firebase Auth handler pages must reach the server
+          navigateFallbackDenylist: [/^\/__\//],
+          runtimeCaching: [
+            {
+              urlPattern: ({ request, sameOrigin }) =>
+                sameOrigin && request.destination === "image",
+              handler: "CacheFirst",
+              options: {
+                cacheName: "images",
+                expiration: { maxEntries: 50, maxAgeSeconds: 30 * 24 * 3600 },
+              },
+            },
+            {
+              urlPattern: ({ request, sameOrigin }) =>
+                sameOrigin && request.method === "GET",
+              handler: "StaleWhileRevalidate",
+              options: { cacheName: "static" },
+            },
+          ],
+        },
+      }),
+    ],
 
     server: {
       port: 5173,
@@ -23,6 +59,8 @@ export default defineConfig(({ mode }) => {
       environment: "jsdom",
       setupFiles: "./src/setupTests.js",
       css: false, // faster
+      // Needs the Firestore emulator, run by `npm run test:rules`
+      exclude: [...configDefaults.exclude, "firestore.rules.test.js"],
     },
   };
 });
@@ -0,0 +1,11 @@
+import { defineConfig } from "vitest/config";
+
+// The Firestore rules suite runs in Node against the emulator started by `npm run test:rules`
+export default defineConfig({
+  test: {
+    include: ["firestore.rules.test.js"],
+    environment: "node",
+    fileParallelism: false,
+    testTimeout: 20000,
+  },
+});